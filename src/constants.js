@@ -10,6 +10,23 @@ export const NODE_OUT_PREFIX = 'node_out_';
 export const INPUT_PREFIX = 'input_';
 export const OUTPUT_PREFIX = 'output_';
 
+// Port type accepted by and compatible with every other type
+export const PORT_TYPE_ANY = 'any';
+
+// What happens when a connection is added to a port that reached max_connections
+export const PORT_LIMIT_POLICIES = {
+  REJECT: 'reject',
+  REPLACE: 'replace'
+};
+
+// Reasons reported by the connectionRejected event
+export const CONNECTION_REJECT_REASONS = {
+  INCOMPATIBLE: 'incompatible',
+  OUTPUT_LIMIT: 'output_limit',
+  INPUT_LIMIT: 'input_limit',
+  CYCLE: 'cycle'
+};
+
 // CSS Class Names
 export const CSS_CLASSES = {
   PARENT_NODEFORGE: 'parent-nodeforge',
@@ -18,13 +35,47 @@ export const CSS_CLASSES = {
   NODEFORGE_DELETE: 'nodeforge-delete',
   SELECTED: 'selected',
   CONNECTION: 'connection',
+  CONNECTION_LAYER: 'connection-layer',
+  CONNECTION_CANVAS: 'connection-canvas',
+  CONNECTION_HOVER: 'connection-hover',
   MAIN_PATH: 'main-path',
   POINT: 'point',
   INPUTS: 'inputs',
   OUTPUTS: 'outputs',
   INPUT: 'input',
   OUTPUT: 'output',
-  NODEFORGE_CONTENT_NODE: 'nodeforge_content_node'
+  NODEFORGE_CONTENT_NODE: 'nodeforge_content_node',
+  SELECTION_BOX: 'selection-box',
+  REJECTED: 'rejected',
+  BREAKPOINT: 'breakpoint',
+  PAUSED: 'paused',
+  CONNECTION_VALUE: 'connection-value',
+  CONNECTION_LABEL: 'connection-label',
+  CONNECTION_LABEL_EDITOR: 'connection-label-editor',
+  CONNECTION_MARKER_DEFS: 'connection-marker-defs',
+  FLOW_DASH: 'flow-dash',
+  FLOW_DOTS: 'flow-dots',
+  FLOW_REVERSE: 'flow-reverse',
+  FLOW_DOT: 'flow-dot',
+  FLOW_PULSE: 'flow-pulse',
+  SNAP_HOVER: 'snap-hover',
+  RECONNECTING: 'reconnecting',
+  SPLICE_TARGET: 'splice-target',
+  CONNECT_SOURCE: 'connect-source',
+  LIVE_REGION: 'nodeforge-live-region',
+  NODEFORGE_FORM: 'nodeforge-form',
+  NODEFORGE_FIELD: 'nodeforge-field',
+  NODEFORGE_FIELD_LABEL: 'nodeforge-field-label',
+  INVALID: 'invalid'
+};
+
+// Execution states of a node, also used as CSS classes in debug mode
+export const NODE_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
 };
 
 // Zoom Configuration
@@ -33,7 +84,8 @@ export const ZOOM_CONFIG = {
   MIN: 0.5,
   MAX: 1.6,
   STEP: 0.1,
-  LAST_VALUE: 1
+  LAST_VALUE: 1,
+  FIT_PADDING: 40          // Space in screen pixels kept around the nodes by fitView()
 };
 
 // Editor Modes
@@ -51,10 +103,145 @@ export const REROUTE_CONFIG = {
   FIX_CURVATURE: false
 };
 
+// Where connection elements live: one <svg> each, or <g> groups in one shared <svg>
+export const CONNECTION_LAYERS = {
+  SEPARATE: 'separate',
+  SHARED: 'shared'
+};
+
+// How connections are drawn: SVG elements, or one <canvas> behind the nodes
+export const CONNECTION_RENDERERS = {
+  SVG: 'svg',
+  CANVAS: 'canvas'
+};
+
+// Canvas Renderer Configuration
+export const CANVAS_RENDERER_CONFIG = {
+  HIT_TOLERANCE: 6,    // Distance in screen pixels within which a connection is hit
+  CURVE_SAMPLES: 16    // Polyline points per curve used for hit testing
+};
+
+// Shapes of connection paths
+export const PATH_STYLES = {
+  BEZIER: 'bezier',
+  STRAIGHT: 'straight',
+  STEP: 'step',
+  SMOOTH_STEP: 'smooth-step',
+  ORTHOGONAL: 'orthogonal'
+};
+
+// Shapes drawn at the ends of connections
+export const CONNECTION_MARKERS = {
+  NONE: 'none',
+  ARROW: 'arrow',
+  DOT: 'dot',
+  DIAMOND: 'diamond'
+};
+
+// Properties of the output-side connection entry besides node, output and points
+export const CONNECTION_PROPERTIES = ['path_style', 'label', 'marker_start', 'marker_end', 'style', 'data'];
+
+// Keys of a connection style: stroke color, dash pattern, stroke width and CSS class
+export const CONNECTION_STYLE_KEYS = ['color', 'dash', 'width', 'class'];
+
+// Endpoint fields of a connection, reported in connectionUpdated when it is reconnected
+export const CONNECTION_ENDPOINTS = ['output_id', 'input_id', 'output_class', 'input_class'];
+
 // Connection Configuration
 export const CONNECTION_CONFIG = {
   DEFAULT_CURVATURE: 0.5,
-  LINE_PATH: 5
+  LINE_PATH: 5,
+  ALLOW_CYCLES: true,
+  PATH_STYLE: PATH_STYLES.BEZIER,
+  STEP_RADIUS: 8,          // Corner radius of smooth-step paths
+  ORTHOGONAL_OFFSET: 20,   // Horizontal length of orthogonal paths out of outputs and into inputs
+  MARKER_START: CONNECTION_MARKERS.NONE,
+  MARKER_END: CONNECTION_MARKERS.NONE,
+  MARKER_SIZE: 10,         // Length and width of markers
+  MARKER_CLEARANCE: 8,     // Distance between a marker and the port center, so ports do not hide it
+  LABEL_POSITION: 0.5,     // Default place of labels along the path, from 0 (output) to 1 (input)
+  SNAP_RADIUS: 30,         // Distance in screen pixels within which a dragged connection snaps to a port
+  RECONNECT_RADIUS: 20,    // Distance in screen pixels from a port within which pressing a connection grabs its end
+  DETACH_INPUTS: false,    // Dragging a connected input drags its last connection off instead of drawing a new one
+  SPLICE_ON_DROP: true     // Dropping a node on a connection inserts it between the connection's ends
+};
+
+// Obstacle-avoiding connection routing
+export const EDGE_ROUTING = {
+  NONE: 'none',
+  ORTHOGONAL: 'orthogonal',
+  SPLINE: 'spline'
+};
+
+// Routing Configuration
+export const ROUTING_CONFIG = {
+  MODE: EDGE_ROUTING.NONE,
+  PADDING: 20,          // Clearance kept around node boxes
+  EDGE_SPACING: 6,      // Distance between parallel connections sharing a channel
+  BEND_PENALTY: 30,     // Extra length a route accepts to save a bend
+  SEARCH_MARGIN: 200    // Distance a route may stray from the box of its ends
+};
+
+// History Configuration
+export const HISTORY_CONFIG = {
+  DEPTH: 100
+};
+
+// Execution Configuration
+export const EXECUTION_CONFIG = {
+  AUTO_EXECUTE: true
+};
+
+// What updateNodeDataFromId() does with data that fails the node's schema
+export const SCHEMA_VALIDATION = {
+  REJECT: 'reject',
+  FLAG: 'flag'
+};
+
+// Schema Configuration
+export const SCHEMA_CONFIG = {
+  VALIDATION: SCHEMA_VALIDATION.REJECT
+};
+
+// Debug Configuration
+export const DEBUG_CONFIG = {
+  ENABLED: false,
+  VALUE_MAX_LENGTH: 24
+};
+
+// Animated flow on connections
+export const FLOW_TYPES = {
+  DASH: 'dash',
+  DOTS: 'dots'
+};
+
+export const FLOW_DIRECTIONS = {
+  FORWARD: 'forward',
+  REVERSE: 'reverse'
+};
+
+export const FLOW_CONFIG = {
+  TYPE: FLOW_TYPES.DASH,
+  DIRECTION: FLOW_DIRECTIONS.FORWARD,
+  SPEED: 60,               // Canvas units per second
+  DASH_LENGTH: 12,         // Length of the dash pattern of .flow-dash paths (see nodeforge.css)
+  DOTS: 3,                 // Dots moving along each 'dots' connection
+  DOT_RADIUS: 3,
+  PULSE_SPEED: 300
+};
+
+// Virtualization Configuration
+// Nodes that were never rendered are assumed to have the default node size
+export const VIRTUALIZATION_CONFIG = {
+  ENABLED: false,
+  MARGIN: 200,
+  NODE_WIDTH: 160,
+  NODE_HEIGHT: 80
+};
+
+// Clipboard Configuration
+export const CLIPBOARD_CONFIG = {
+  PASTE_OFFSET: 20
 };
 
 // Mobile Gesture Thresholds
@@ -82,10 +269,68 @@ export const MOUSE_BUTTONS = {
   RIGHT: 2
 };
 
-// Key Codes
-export const KEY_CODES = {
-  DELETE: 'Delete',
-  BACKSPACE: 'Backspace'
+// Keyboard Shortcuts
+// Chords are keys joined with '+': modifiers (Mod, Ctrl, Alt, Shift, Meta) then one
+// KeyboardEvent.key value. Mod is Cmd on Apple platforms and Ctrl elsewhere.
+export const DEFAULT_SHORTCUTS = {
+  delete: ['Delete', 'Mod+Backspace'],
+  selectAll: ['Mod+A'],
+  cancel: ['Escape'],
+  undo: ['Mod+Z'],
+  redo: ['Mod+Y', 'Mod+Shift+Z'],
+  copy: ['Mod+C'],
+  cut: ['Mod+X'],
+  paste: ['Mod+V'],
+  duplicate: ['Mod+D'],
+  nudgeLeft: ['ArrowLeft'],
+  nudgeRight: ['ArrowRight'],
+  nudgeUp: ['ArrowUp'],
+  nudgeDown: ['ArrowDown'],
+  nudgeLeftLarge: ['Shift+ArrowLeft'],
+  nudgeRightLarge: ['Shift+ArrowRight'],
+  nudgeUpLarge: ['Shift+ArrowUp'],
+  nudgeDownLarge: ['Shift+ArrowDown'],
+  zoomIn: ['Mod+=', 'Mod++'],
+  zoomOut: ['Mod+-'],
+  zoomReset: ['Mod+0'],
+  fitView: ['Shift+F'],
+  connect: ['Enter', 'Space'],
+  toggleBreakpoint: ['F9'],
+  step: ['F10'],
+  resume: ['F8']
+};
+
+export const SHORTCUT_CONFIG = {
+  NUDGE_STEP: 1,           // Pixels the selection moves per arrow key
+  NUDGE_STEP_LARGE: 10     // Pixels the selection moves per arrow key with Shift
+};
+
+// Accessibility
+export const ACCESSIBILITY_CONFIG = {
+  ENABLED: true,
+  REVEAL_MARGIN: 20        // Pixels kept between a focused node and the container edge
+};
+
+// Texts of the ARIA labels and of the live region announcements
+// {placeholders} are filled in; the plural forms are used when one action
+// (e.g. deleting a selection) announces several changes of the same kind.
+export const ACCESSIBILITY_MESSAGES = {
+  editor: 'Node editor',
+  node: '{name} (node {id})',
+  port: '{port} of {node}',
+  connection: 'Connection from {output} to {input}',
+  node_created: 'Added {node}',
+  nodes_created: 'Added {count} nodes',
+  node_removed: 'Deleted {node}',
+  nodes_removed: 'Deleted {count} nodes',
+  connection_created: 'Connected {output} to {input}',
+  connections_created: 'Added {count} connections',
+  connection_removed: 'Disconnected {output} from {input}',
+  connections_removed: 'Removed {count} connections',
+  connection_rejected: 'Cannot connect {output} to {input}: {reason}',
+  connections_rejected: 'Rejected {count} connections',
+  connection_started: 'Connecting from {port}. Move to a port and press Enter, or press Escape to cancel',
+  connection_cancelled: 'Connection cancelled'
 };
 
 // SVG Namespace
@@ -106,6 +351,8 @@ export const EVENTS = {
   NODE_SELECTED: 'nodeSelected',
   NODE_UNSELECTED: 'nodeUnselected',
   NODE_DATA_CHANGED: 'nodeDataChanged',
+  NODE_DATA_INVALID: 'nodeDataInvalid',
+  NODE_DATA_UPDATED: 'nodeDataUpdated',
 
   // Connection Events
   CONNECTION_START: 'connectionStart',
@@ -114,6 +361,29 @@ export const EVENTS = {
   CONNECTION_REMOVED: 'connectionRemoved',
   CONNECTION_SELECTED: 'connectionSelected',
   CONNECTION_UNSELECTED: 'connectionUnselected',
+  CONNECTION_REJECTED: 'connectionRejected',
+  CONNECTION_UPDATED: 'connectionUpdated',
+  CONNECTION_SPLICED: 'connectionSpliced',
+
+  // Selection Events
+  SELECTION_CHANGED: 'selectionChanged',
+
+  // Execution Events
+  NODE_EXECUTED: 'nodeExecuted',
+  NODE_ERROR: 'nodeError',
+
+  // Debug Events
+  NODE_STATUS_CHANGED: 'nodeStatusChanged',
+  BREAKPOINT_CHANGED: 'breakpointChanged',
+  EXECUTION_PAUSED: 'executionPaused',
+  EXECUTION_RESUMED: 'executionResumed',
+
+  // Virtualization Events
+  VIEWPORT_UPDATED: 'viewportUpdated',
+
+  // Clipboard Events
+  NODES_COPIED: 'nodesCopied',
+  NODES_PASTED: 'nodesPasted',
 
   // Reroute Events
   ADD_REROUTE: 'addReroute',
@@ -125,6 +395,9 @@ export const EVENTS = {
   MODULE_CHANGED: 'moduleChanged',
   MODULE_REMOVED: 'moduleRemoved',
 
+  // History Events
+  HISTORY_CHANGED: 'historyChanged',
+
   // General Events
   CLICK: 'click',
   CLICK_END: 'clickEnd',
@@ -132,6 +405,7 @@ export const EVENTS = {
   MOUSE_MOVE: 'mouseMove',
   MOUSE_UP: 'mouseUp',
   KEY_DOWN: 'keydown',
+  SHORTCUT: 'shortcut',
   ZOOM: 'zoom',
   TRANSLATE: 'translate',
   IMPORT: 'import',
@@ -203,16 +203,24 @@ export class NodeForgeContext {
       curvature: this.nodeforge.curvature,
       line_path: this.nodeforge.line_path,
       force_first_input: this.nodeforge.force_first_input,
-      draggable_inputs: this.nodeforge.draggable_inputs
+      draggable_inputs: this.nodeforge.draggable_inputs,
+      can_connect: this.nodeforge.canConnect,
+      allow_cycles: this.nodeforge.allow_cycles,
+      connection_layer: this.nodeforge.connection_layer,
+      connection_renderer: this.nodeforge.connection_renderer,
+      path_style: this.nodeforge.path_style,
+      marker_start: this.nodeforge.marker_start,
+      marker_end: this.nodeforge.marker_end
     };
   }
 
   /**
    * Gets reroute configuration
-   * @returns {Object} Reroute config with curvature, width, etc.
+   * @returns {Object} Reroute config with enabled, curvature, width, etc.
    */
   getRerouteConfig() {
     return {
+      enabled: this.nodeforge.reroute,
       curvature: this.nodeforge.reroute_curvature,
       curvature_start_end: this.nodeforge.reroute_curvature_start_end,
       width: this.nodeforge.reroute_width,
@@ -220,6 +228,91 @@ export class NodeForgeContext {
     };
   }
 
+  /**
+   * Gets history configuration
+   * @returns {Object} History config with depth
+   */
+  getHistoryConfig() {
+    return {
+      depth: this.nodeforge.history_depth
+    };
+  }
+
+  /**
+   * Gets execution configuration
+   * @returns {Object} Execution config with auto_execute
+   */
+  getExecutionConfig() {
+    return {
+      auto_execute: this.nodeforge.auto_execute
+    };
+  }
+
+  /**
+   * Gets schema configuration
+   * @returns {Object} Schema config with schema_validation
+   */
+  getSchemaConfig() {
+    return {
+      schema_validation: this.nodeforge.schema_validation
+    };
+  }
+
+  /**
+   * Gets debug configuration
+   * @returns {Object} Debug config with debug
+   */
+  getDebugConfig() {
+    return {
+      debug: this.nodeforge.debug
+    };
+  }
+
+  /**
+   * Gets virtualization configuration
+   * @returns {Object} Virtualization config with virtualize and virtualize_margin
+   */
+  getVirtualizationConfig() {
+    return {
+      virtualize: this.nodeforge.virtualize,
+      virtualize_margin: this.nodeforge.virtualize_margin
+    };
+  }
+
+  /**
+   * Gets routing configuration
+   * @returns {Object} Routing config with edge_routing, padding and spacing
+   */
+  getRoutingConfig() {
+    return {
+      edge_routing: this.nodeforge.edge_routing,
+      padding: this.nodeforge.routing_padding,
+      spacing: this.nodeforge.routing_spacing
+    };
+  }
+
+  /**
+   * Gets accessibility configuration
+   * @returns {Object} Accessibility config with enabled, messages and node_label
+   */
+  getAccessibilityConfig() {
+    return {
+      enabled: this.nodeforge.accessibility,
+      messages: this.nodeforge.accessibility_messages,
+      node_label: this.nodeforge.nodeLabel
+    };
+  }
+
+  /**
+   * Gets clipboard configuration
+   * @returns {Object} Clipboard config with paste_offset
+   */
+  getClipboardConfig() {
+    return {
+      paste_offset: this.nodeforge.paste_offset
+    };
+  }
+
   /**
    * Gets the node register (registered node types)
    * @returns {Object} Node register
@@ -344,6 +437,46 @@ export class NodeForgeContext {
     return this.managers.rerouteManager;
   }
 
+  getHistoryManager() {
+    return this.managers.historyManager;
+  }
+
+  getSelectionManager() {
+    return this.managers.selectionManager;
+  }
+
+  getClipboardManager() {
+    return this.managers.clipboardManager;
+  }
+
+  getExecutionManager() {
+    return this.managers.executionManager;
+  }
+
+  getDebugManager() {
+    return this.managers.debugManager;
+  }
+
+  getVirtualizationManager() {
+    return this.managers.virtualizationManager;
+  }
+
+  getRoutingManager() {
+    return this.managers.routingManager;
+  }
+
+  getFlowManager() {
+    return this.managers.flowManager;
+  }
+
+  getShortcutManager() {
+    return this.managers.shortcutManager;
+  }
+
+  getAccessibilityManager() {
+    return this.managers.accessibilityManager;
+  }
+
   getSelectionHandler() {
     return this.managers.selectionHandler;
   }
@@ -0,0 +1,500 @@
+/**
+ * AccessibilityManager - Keyboard navigation and screen reader support
+ *
+ * Nodes, ports and connection elements are made focusable and get ARIA roles
+ * and labels; the label of a node comes from its data (title, label or name)
+ * or from the nodeLabel function of the editor. Focusing a node or a
+ * connection with the keyboard selects it, so the shortcuts (arrow keys,
+ * Delete, copy...) apply to it, and pans the canvas to keep it in view.
+ *
+ * Connections are made from the keyboard with the 'connect' shortcut (Enter
+ * or Space): pressed on a port it picks the start of the connection, pressed
+ * on a port of the other side it connects both. Escape cancels.
+ *
+ * Changes to the graph are announced through a polite live region. The
+ * announcements of one action are grouped, so deleting a selection reads
+ * "Removed 3 connections. Deleted 2 nodes" instead of every single change.
+ */
+import { CSS_CLASSES, EVENTS, EDITOR_MODES, ACCESSIBILITY_CONFIG } from '../constants.js';
+import { buildNodeId, extractNodeId, buildNodeConnectionsSelector } from '../utils/string.js';
+import { isConnectionElement, getConnectionFromElement } from '../utils/dom.js';
+
+export class AccessibilityManager {
+  /**
+   * Creates a new AccessibilityManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.labels = {};
+    this.pending = null;
+    this.region = null;
+    this.queue = [];
+    this.pointer = false;
+    this.focused = false;
+  }
+
+  /**
+   * Listens to the focus and to the graph changes
+   * Called by start(), once the container is set up.
+   */
+  attach() {
+    const container = this.context.getContainer();
+    const eventManager = this.context.getEventManager();
+
+    if (this.isEnabled()) {
+      this.describeEditor();
+    }
+
+    // Focus given by a click must not replace a modifier click selection
+    container.addEventListener('mousedown', () => { this.pointer = true; }, true);
+    container.addEventListener('touchstart', () => { this.pointer = true; }, true);
+    container.addEventListener('keydown', () => { this.pointer = false; }, true);
+    container.addEventListener('focusin', (e) => this.handleFocus(e));
+    container.addEventListener('focusout', (e) => {
+      if (e.relatedTarget && !container.contains(e.relatedTarget)) {
+        this.focused = false;
+      }
+    });
+
+    eventManager.on(EVENTS.NODE_CREATED, (id) => {
+      this.queueMessage('node_created', 'nodes_created', { node: this.getNodeLabel(String(id)) });
+    });
+    eventManager.on(EVENTS.NODE_DATA_CHANGED, (id) => this.describeNode(String(id)));
+    eventManager.on(EVENTS.NODE_REMOVED, (id) => {
+      const nodeId = String(id);
+      this.queueMessage('node_removed', 'nodes_removed', { node: this.getNodeLabel(nodeId) });
+      delete this.labels[nodeId];
+      if (this.pending !== null && this.pending.id === nodeId) {
+        this.pending = null;
+      }
+      this.restoreFocus();
+    });
+    eventManager.on(EVENTS.CONNECTION_CREATED, (connection) => {
+      this.queueMessage('connection_created', 'connections_created', this.getConnectionValues(connection));
+    });
+    eventManager.on(EVENTS.CONNECTION_REMOVED, (connection) => {
+      this.queueMessage('connection_removed', 'connections_removed', this.getConnectionValues(connection));
+      this.restoreFocus();
+    });
+    eventManager.on(EVENTS.CONNECTION_REJECTED, (connection) => {
+      const values = this.getConnectionValues(connection);
+      values.reason = String(connection.reason).replace(/_/g, ' ');
+      this.queueMessage('connection_rejected', 'connections_rejected', values);
+    });
+    eventManager.on(EVENTS.MODULE_CHANGED, () => { this.pending = null; });
+  }
+
+  /**
+   * Checks if the accessibility layer is on
+   * @returns {boolean} True unless accessibility is set to false
+   */
+  isEnabled() {
+    return this.context.getAccessibilityConfig().enabled !== false;
+  }
+
+  /**
+   * Gives the editor container its role and name, unless the host set them
+   */
+  describeEditor() {
+    const container = this.context.getContainer();
+    if (!container.hasAttribute('role')) {
+      container.setAttribute('role', 'application');
+    }
+    if (!container.hasAttribute('aria-label') && !container.hasAttribute('aria-labelledby')) {
+      container.setAttribute('aria-label', this.getMessages().editor);
+    }
+  }
+
+  /**
+   * Writes the focus order, roles and labels of a node, its ports and its connections
+   * Called whenever the element of a node or of one of its ports is created,
+   * and when its data changes.
+   * @param {string} id - Node ID
+   */
+  describeNode(id) {
+    if (!this.isEnabled()) return;
+
+    const element = this.context.getContainer().querySelector('#' + buildNodeId(id));
+    const dataNode = this.getNodeData(id);
+    if (!element || dataNode === null) return;
+
+    const label = this.computeNodeLabel(id, dataNode);
+    this.labels[id] = label;
+
+    element.setAttribute('tabindex', '0');
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-roledescription', 'node');
+    element.setAttribute('aria-label', label);
+
+    element.querySelectorAll(`.${CSS_CLASSES.INPUT}, .${CSS_CLASSES.OUTPUT}`).forEach((port) => {
+      const type = port.classList[0];
+      const port_class = port.classList[1];
+      const settings = (type === CSS_CLASSES.INPUT ? dataNode.inputs : dataNode.outputs)[port_class];
+      let name = this.getPortName(port_class);
+      if (settings && settings.type !== undefined) {
+        name += ', ' + [].concat(settings.type).join(' or ');
+      }
+
+      port.setAttribute('tabindex', '0');
+      port.setAttribute('role', 'button');
+      port.setAttribute('aria-roledescription', type);
+      port.setAttribute('aria-label', this.format(this.getMessages().port, { port: name, node: label }));
+    });
+
+    this.context.getContainer().querySelectorAll(buildNodeConnectionsSelector(id)).forEach((connection) => {
+      this.describeConnection(connection);
+    });
+  }
+
+  /**
+   * Writes the focus order, role and label of a connection element
+   * @param {SVGElement} element - Connection <svg> or <g> element
+   */
+  describeConnection(element) {
+    if (!this.isEnabled()) return;
+
+    element.setAttribute('tabindex', '0');
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-roledescription', 'connection');
+    element.setAttribute('aria-label', this.format(this.getMessages().connection, this.getConnectionValues(getConnectionFromElement(element))));
+  }
+
+  /**
+   * Gets the accessible name of a node
+   * @param {string} id - Node ID
+   * @returns {string} Label from nodeLabel, the node data or the node name; the last known label of removed nodes
+   */
+  getNodeLabel(id) {
+    const dataNode = this.getNodeData(id);
+    if (dataNode === null) {
+      return this.labels[id] || this.format(this.getMessages().node, { name: '', id: id }).trim();
+    }
+    return this.computeNodeLabel(id, dataNode);
+  }
+
+  /**
+   * Focuses the element of a node
+   * @param {string} id - Node ID
+   * @returns {boolean} False if the node is not rendered
+   */
+  focusNode(id) {
+    const element = this.context.getContainer().querySelector('#' + buildNodeId(id));
+    if (!element) return false;
+
+    this.pointer = false;
+    element.focus();
+    return true;
+  }
+
+  /**
+   * Picks a port as an end of the connection made from the keyboard
+   * The first port is the start; a port on the other side connects both, a
+   * port on the same side becomes the new start, the start again cancels.
+   * @param {Element} port - Input or output element
+   * @returns {boolean} False if the element is not a port of this editor
+   */
+  activatePort(port) {
+    const container = this.context.getContainer();
+    if (!port || !port.classList || !container.contains(port)) return false;
+
+    const type = port.classList[0];
+    if (type !== CSS_CLASSES.INPUT && type !== CSS_CLASSES.OUTPUT) return false;
+
+    const id = extractNodeId(port.closest('.' + CSS_CLASSES.NODEFORGE_NODE).id);
+    const port_class = port.classList[1];
+
+    if (this.pending !== null && this.pending.id === id && this.pending.port_class === port_class) {
+      return this.cancelConnection();
+    }
+    if (this.pending === null || this.pending.type === type) {
+      this.startConnection(type, id, port_class);
+      return true;
+    }
+
+    const start = this.pending;
+    this.clearPending();
+    const output = type === CSS_CLASSES.OUTPUT ? { id: id, port_class: port_class } : start;
+    const input = type === CSS_CLASSES.INPUT ? { id: id, port_class: port_class } : start;
+    this.context.getConnectionManager().addConnection(output.id, input.id, output.port_class, input.port_class);
+    return true;
+  }
+
+  /**
+   * Cancels the connection started from the keyboard
+   * @returns {boolean} False if no connection was started
+   */
+  cancelConnection() {
+    if (this.pending === null) return false;
+
+    this.clearPending();
+    this.context.getEventManager().dispatch(EVENTS.CONNECTION_CANCEL, true);
+    this.announce(this.getMessages().connection_cancelled);
+    return true;
+  }
+
+  /**
+   * Reads a message out through the live region
+   * Messages of one action are read together.
+   * @param {string} message - Text to read
+   */
+  announce(message) {
+    this.queueMessage(null, null, { message: String(message) });
+  }
+
+  /**
+   * Selects the node or connection that got the focus from the keyboard
+   * @private
+   * @param {FocusEvent} e - focusin event
+   */
+  handleFocus(e) {
+    const container = this.context.getContainer();
+    const target = e.target;
+    this.focused = true;
+
+    // The browser scrolls the container to a focused element, the canvas is panned instead
+    container.scrollTop = 0;
+    container.scrollLeft = 0;
+
+    const isNode = target.classList && target.classList.contains(CSS_CLASSES.NODEFORGE_NODE);
+    const isConnection = isConnectionElement(target);
+    if (!isNode && !isConnection) return;
+
+    if (isNode) {
+      this.reveal(target);
+    }
+    if (this.pointer || this.context.getEditorMode() !== EDITOR_MODES.EDIT) return;
+
+    const selectionManager = this.context.getSelectionManager();
+    if (isNode) {
+      const id = extractNodeId(target.id);
+      if (!selectionManager.isNodeSelected(id)) {
+        selectionManager.setSelection({ nodes: [id] });
+      }
+    } else {
+      selectionManager.setSelection({ connections: [getConnectionFromElement(target)] });
+    }
+  }
+
+  /**
+   * Pans the canvas until an element is inside the container
+   * @private
+   * @param {Element} element - Node element
+   */
+  reveal(element) {
+    const box = this.context.getContainer().getBoundingClientRect();
+    const rect = element.getBoundingClientRect();
+    const margin = ACCESSIBILITY_CONFIG.REVEAL_MARGIN;
+    const shift = (start, end, min, max) => {
+      if (start < min + margin) return min + margin - start;
+      if (end > max - margin) return Math.max(max - margin - end, min + margin - start);
+      return 0;
+    };
+
+    const dx = shift(rect.left, rect.right, box.left, box.right);
+    const dy = shift(rect.top, rect.bottom, box.top, box.bottom);
+    if (dx !== 0 || dy !== 0) {
+      this.context.getZoomManager().panBy(dx, dy);
+    }
+  }
+
+  /**
+   * Keeps the keyboard on the editor when the focused element was removed
+   * @private
+   */
+  restoreFocus() {
+    if (this.focused && (document.activeElement === null || document.activeElement === document.body)) {
+      this.context.getContainer().focus();
+    }
+  }
+
+  /**
+   * Marks a port as the start of a keyboard connection
+   * @private
+   * @param {string} type - 'input' or 'output'
+   * @param {string} id - Node ID
+   * @param {string} port_class - Port class name
+   */
+  startConnection(type, id, port_class) {
+    this.clearPending();
+    this.pending = { type: type, id: id, port_class: port_class };
+
+    const port = this.getPortElement(id, port_class);
+    if (port) {
+      port.classList.add(CSS_CLASSES.CONNECT_SOURCE);
+    }
+
+    const detail = type === CSS_CLASSES.OUTPUT
+      ? { output_id: id, output_class: port_class }
+      : { input_id: id, input_class: port_class };
+    this.context.getEventManager().dispatch(EVENTS.CONNECTION_START, detail);
+    this.announce(this.format(this.getMessages().connection_started, {
+      port: this.getNodeLabel(id) + ' ' + this.getPortName(port_class)
+    }));
+  }
+
+  /**
+   * Forgets the start of the keyboard connection
+   * @private
+   */
+  clearPending() {
+    if (this.pending === null) return;
+
+    const port = this.getPortElement(this.pending.id, this.pending.port_class);
+    if (port) {
+      port.classList.remove(CSS_CLASSES.CONNECT_SOURCE);
+    }
+    this.pending = null;
+  }
+
+  /**
+   * Adds a message to the ones read at the end of the current action
+   * @private
+   * @param {string|null} key - Message key, null for a ready text in values.message
+   * @param {string|null} plural - Key of the message used when several are grouped
+   * @param {Object} values - Placeholder values
+   */
+  queueMessage(key, plural, values) {
+    if (!this.isEnabled()) return;
+
+    if (this.queue.length === 0) {
+      Promise.resolve().then(() => this.flush());
+    }
+    this.queue.push({ key: key, plural: plural, values: values });
+  }
+
+  /**
+   * Writes the queued messages into the live region
+   * @private
+   */
+  flush() {
+    const messages = this.getMessages();
+    const groups = [];
+    this.queue.forEach((item) => {
+      const group = item.key === null ? null : groups.find((other) => other.key === item.key);
+      if (group) {
+        group.count++;
+      } else {
+        groups.push({ key: item.key, plural: item.plural, values: item.values, count: 1 });
+      }
+    });
+    this.queue = [];
+
+    const text = groups.map((group) => {
+      if (group.key === null) return group.values.message;
+      if (group.count > 1) return this.format(messages[group.plural], { count: group.count });
+      return this.format(messages[group.key], group.values);
+    }).join('. ');
+
+    this.getRegion().textContent = text;
+  }
+
+  /**
+   * Gets the live region, creating it on first use
+   * @private
+   * @returns {HTMLElement} Visually hidden status element
+   */
+  getRegion() {
+    const container = this.context.getContainer();
+    if (this.region === null || !container.contains(this.region)) {
+      this.region = document.createElement('div');
+      this.region.classList.add(CSS_CLASSES.LIVE_REGION);
+      this.region.setAttribute('role', 'status');
+      this.region.setAttribute('aria-live', 'polite');
+      this.region.setAttribute('aria-atomic', 'true');
+      container.appendChild(this.region);
+    }
+    return this.region;
+  }
+
+  /**
+   * Gets the texts of the labels and announcements
+   * @private
+   * @returns {Object} accessibility_messages of the editor
+   */
+  getMessages() {
+    return this.context.getAccessibilityConfig().messages;
+  }
+
+  /**
+   * Fills the {placeholders} of a message
+   * @private
+   * @param {string} template - Message
+   * @param {Object} values - Placeholder values
+   * @returns {string} Text
+   */
+  format(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+  }
+
+  /**
+   * Builds the accessible name of a node from its data
+   * @private
+   * @param {string} id - Node ID
+   * @param {Object} dataNode - Node data
+   * @returns {string} Label
+   */
+  computeNodeLabel(id, dataNode) {
+    const node_label = this.context.getAccessibilityConfig().node_label;
+    if (typeof node_label === 'function') {
+      const label = node_label(id, dataNode);
+      if (label !== undefined && label !== null && label !== '') return String(label);
+    }
+
+    const data = dataNode.data || {};
+    const name = ['title', 'label', 'name'].map((key) => data[key]).find((value) => {
+      return typeof value === 'string' && value.trim() !== '';
+    });
+    return this.format(this.getMessages().node, { name: name !== undefined ? name.trim() : dataNode.name, id: id });
+  }
+
+  /**
+   * Gets the placeholder values of a connection
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @returns {{output: string, input: string}} Labels of both ends
+   */
+  getConnectionValues(connection) {
+    return {
+      output: this.getNodeLabel(String(connection.output_id)) + ' ' + this.getPortName(connection.output_class),
+      input: this.getNodeLabel(String(connection.input_id)) + ' ' + this.getPortName(connection.input_class)
+    };
+  }
+
+  /**
+   * Turns a port class into words
+   * @private
+   * @param {string} port_class - Port class name (e.g., 'output_1')
+   * @returns {string} Name (e.g., 'output 1')
+   */
+  getPortName(port_class) {
+    return String(port_class).replace(/_/g, ' ');
+  }
+
+  /**
+   * Gets the data of a node of any module
+   * @private
+   * @param {string} id - Node ID
+   * @returns {Object|null} Node data, null if the node does not exist
+   */
+  getNodeData(id) {
+    const stateManager = this.context.getStateManager();
+    const current = stateManager.getCurrentModuleData();
+    if (current && current[id]) return current[id];
+
+    const moduleName = stateManager.getModuleFromNodeId(id);
+    if (moduleName === undefined) return null;
+    return this.context.getNodeForgeData()[moduleName].data[id];
+  }
+
+  /**
+   * Gets the element of a port of the current module
+   * @private
+   * @param {string} id - Node ID
+   * @param {string} port_class - Port class name
+   * @returns {Element|null} Port element
+   */
+  getPortElement(id, port_class) {
+    return this.context.getContainer().querySelector(`#${buildNodeId(id)} .${port_class}`);
+  }
+}
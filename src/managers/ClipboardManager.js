@@ -0,0 +1,270 @@
+/**
+ * ClipboardManager - Handles copy, cut, paste and duplicate of node subgraphs
+ *
+ * Copies the selected nodes and the connections between them in the same
+ * shape export() produces. The data is written to the system clipboard when
+ * the browser allows it and is always kept in memory as a fallback.
+ *
+ * Pasting remaps every node ID (numeric or UUID, following useuuid) and
+ * offsets positions, so the same data can be pasted any number of times.
+ */
+import { EVENTS } from '../constants.js';
+import { generateUUID } from '../utils/string.js';
+
+export class ClipboardManager {
+  /**
+   * Creates a new ClipboardManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.clipboard = null;
+    this.pasteCount = 0;
+  }
+
+  /**
+   * Copies the selected nodes and the connections between them
+   * @returns {Object|null} Copied data in export() format, null if nothing is selected
+   */
+  copy() {
+    const selectionManager = this.context.getSelectionManager();
+    const eventManager = this.context.getEventManager();
+
+    if (selectionManager.getSelection().nodes.length === 0) return null;
+
+    const data = selectionManager.exportSelection();
+    const text = JSON.stringify(data);
+
+    this.clipboard = text;
+    this.pasteCount = 0;
+    this.writeSystemClipboard(text);
+
+    eventManager.dispatch(EVENTS.NODES_COPIED, { nodes: Object.keys(this.getNodesData(data)) });
+    return data;
+  }
+
+  /**
+   * Copies the selection, then removes it as one undoable step
+   * @returns {Object|null} Copied data in export() format, null if nothing is selected
+   */
+  cut() {
+    const data = this.copy();
+    if (data === null) return null;
+
+    this.context.getSelectionManager().removeSelection();
+    return data;
+  }
+
+  /**
+   * Pastes the clipboard into the current module
+   * Reads the system clipboard first and falls back to the in-memory copy
+   * when it is unavailable or does not hold NodeForge data.
+   * @param {{x: number, y: number}} [position] - Canvas position of the pasted
+   *   group's top-left corner; defaults to the original position plus an offset
+   * @returns {Promise<Array<string>>} IDs of the pasted nodes
+   */
+  paste(position) {
+    return this.readSystemClipboard().then((text) => {
+      const external = this.parse(text);
+      if (external !== null && text !== this.clipboard) {
+        // Content copied from another editor or tab starts a new offset cascade
+        this.clipboard = text;
+        this.pasteCount = 0;
+      }
+
+      const data = external || this.parse(this.clipboard);
+      if (data === null) return [];
+
+      this.pasteCount++;
+      return this.pasteData(data, position, this.pasteCount);
+    });
+  }
+
+  /**
+   * Duplicates the selected nodes without touching the clipboard
+   * @returns {Array<string>} IDs of the new nodes
+   */
+  duplicate() {
+    const selectionManager = this.context.getSelectionManager();
+
+    if (selectionManager.getSelection().nodes.length === 0) return [];
+    return this.pasteData(selectionManager.exportSelection());
+  }
+
+  /**
+   * Adds nodes from export() data to the current module with new IDs
+   * Connections whose other end is not part of the data are dropped.
+   * The pasted nodes and connections become the selection.
+   * @param {Object} data - Data in export() format
+   * @param {{x: number, y: number}} [position] - Canvas position of the group's top-left corner
+   * @param {number} [step=1] - Number of paste offsets to apply when no position is given
+   * @returns {Array<string>} IDs of the new nodes
+   */
+  pasteData(data, position, step = 1) {
+    const nodeManager = this.context.getNodeManager();
+    const connectionManager = this.context.getConnectionManager();
+    const rerouteManager = this.context.getRerouteManager();
+    const selectionManager = this.context.getSelectionManager();
+    const historyManager = this.context.getHistoryManager();
+    const eventManager = this.context.getEventManager();
+    const useuuid = this.context.isUsingUuid();
+
+    const nodes = this.getNodesData(data);
+    const oldIds = Object.keys(nodes);
+    if (oldIds.length === 0) return [];
+
+    const offset = this.getOffset(nodes, position, step);
+    const idMap = {};
+    oldIds.forEach((id) => {
+      idMap[id] = (useuuid ? generateUUID() : this.context.getNextNodeId()).toString();
+    });
+
+    historyManager.beginTransaction('paste');
+    try {
+      oldIds.forEach((id) => {
+        const node = JSON.parse(JSON.stringify(nodes[id]));
+        node.id = useuuid ? idMap[id] : parseInt(idMap[id]);
+        node.pos_x += offset.x;
+        node.pos_y += offset.y;
+        Object.keys(node.inputs).forEach((input_class) => {
+          node.inputs[input_class].connections = [];
+        });
+        Object.keys(node.outputs).forEach((output_class) => {
+          node.outputs[output_class].connections = [];
+        });
+        nodeManager.addNodeFromData(node);
+      });
+
+      oldIds.forEach((id) => {
+        Object.keys(nodes[id].outputs).forEach((output_class) => {
+          nodes[id].outputs[output_class].connections.forEach((item) => {
+            const id_input = idMap[item.node];
+            if (id_input === undefined) return;
+            if (!connectionManager.addConnection(idMap[id], id_input, output_class, item.output)) return;
+
+            // Path style, label and markers
+            const properties = connectionManager.getConnectionProperties(item);
+            if (Object.keys(properties).length > 0) {
+              connectionManager.setConnectionProperties(idMap[id], id_input, output_class, item.output, properties, 'connectionProperties');
+            }
+
+            if (item.points !== undefined && item.points.length > 0) {
+              const points = item.points.map((point) => ({
+                pos_x: point.pos_x + offset.x,
+                pos_y: point.pos_y + offset.y
+              }));
+              rerouteManager.setConnectionPoints(idMap[id], id_input, output_class, item.output, points);
+              rerouteManager.recordPointsChange(idMap[id], id_input, output_class, item.output, [], points);
+            }
+          });
+        });
+      });
+    } finally {
+      historyManager.endTransaction();
+    }
+
+    const newIds = oldIds.map((id) => idMap[id]);
+    selectionManager.setSelection({
+      nodes: newIds,
+      connections: selectionManager.getConnectionsBetween(newIds)
+    });
+
+    eventManager.dispatch(EVENTS.NODES_PASTED, { nodes: newIds, ids: idMap });
+    return newIds;
+  }
+
+  /**
+   * Computes the position offset of a paste
+   * @param {Object} nodes - Node data keyed by ID
+   * @param {{x: number, y: number}} [position] - Target top-left corner
+   * @param {number} step - Number of default offsets to apply
+   * @returns {{x: number, y: number}} Offset to add to every position
+   */
+  getOffset(nodes, position, step) {
+    if (position && typeof position.x === 'number' && typeof position.y === 'number') {
+      const ids = Object.keys(nodes);
+      const minX = Math.min(...ids.map((id) => nodes[id].pos_x));
+      const minY = Math.min(...ids.map((id) => nodes[id].pos_y));
+      return { x: position.x - minX, y: position.y - minY };
+    }
+
+    const distance = this.context.getClipboardConfig().paste_offset * step;
+    return { x: distance, y: distance };
+  }
+
+  /**
+   * Collects the node data of every module in export() data
+   * @param {Object} data - Data in export() format
+   * @returns {Object} Node data keyed by ID
+   */
+  getNodesData(data) {
+    const nodes = {};
+    Object.keys(data.nodeforge).forEach((moduleName) => {
+      Object.assign(nodes, data.nodeforge[moduleName].data);
+    });
+    return nodes;
+  }
+
+  /**
+   * Parses clipboard text into export() data
+   * @param {string|null} text - Clipboard text
+   * @returns {Object|null} Parsed data, null if the text is not NodeForge data or one of its nodes is malformed
+   */
+  parse(text) {
+    if (typeof text !== 'string' || text === '') return null;
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+
+    if (!data || typeof data.nodeforge !== 'object' || data.nodeforge === null) return null;
+    const valid = Object.keys(data.nodeforge).every((moduleName) => {
+      const module = data.nodeforge[moduleName];
+      if (!module || typeof module.data !== 'object' || module.data === null) return false;
+      return Object.keys(module.data).every((id) => this.isNodeData(module.data[id]));
+    });
+    return valid ? data : null;
+  }
+
+  /**
+   * Checks that a parsed node has what pasteData() reads
+   * @private
+   * @param {*} node - Parsed node
+   * @returns {boolean} True for { inputs, outputs, pos_x, pos_y, html } with port connection lists
+   */
+  isNodeData(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (typeof node.pos_x !== 'number' || typeof node.pos_y !== 'number' || node.html === undefined) return false;
+
+    const isPorts = (ports) => {
+      return typeof ports === 'object' && ports !== null && Object.keys(ports).every((port_class) => {
+        return ports[port_class] && Array.isArray(ports[port_class].connections);
+      });
+    };
+    return isPorts(node.inputs) && isPorts(node.outputs);
+  }
+
+  /**
+   * Writes text to the system clipboard, ignoring failures
+   * (insecure context, missing permission or no Clipboard API)
+   * @param {string} text - Text to write
+   */
+  writeSystemClipboard(text) {
+    if (typeof navigator === 'undefined' || !navigator.clipboard || !navigator.clipboard.writeText) return;
+    navigator.clipboard.writeText(text).catch(() => {});
+  }
+
+  /**
+   * Reads text from the system clipboard
+   * @returns {Promise<string|null>} Clipboard text, null when it cannot be read
+   */
+  readSystemClipboard() {
+    if (typeof navigator === 'undefined' || !navigator.clipboard || !navigator.clipboard.readText) {
+      return Promise.resolve(null);
+    }
+    return navigator.clipboard.readText().catch(() => null);
+  }
+}
@@ -4,9 +4,22 @@
  * Extracted from nodeforge.js
  * Manages connection creation, deletion, and rendering updates
  */
-import { createSVGElement } from '../utils/dom.js';
-import { CSS_CLASSES, EVENTS } from '../constants.js';
-import { buildNodeId, extractNodeId } from '../utils/string.js';
+import { createSVGElement, setConnectionAttributes, getConnectionFromElement, isConnectionElement } from '../utils/dom.js';
+import {
+  CSS_CLASSES,
+  EVENTS,
+  PORT_LIMIT_POLICIES,
+  CONNECTION_REJECT_REASONS,
+  CONNECTION_LAYERS,
+  CONNECTION_CONFIG,
+  CONNECTION_PROPERTIES,
+  CONNECTION_STYLE_KEYS,
+  CONNECTION_ENDPOINTS
+} from '../constants.js';
+import { buildNodeId, extractNodeId, buildConnectionSelector, getConnectionKey } from '../utils/string.js';
+import { isTypeCompatible, isPortFull, getPortLimitPolicy } from '../utils/ports.js';
+import { wouldCreateCycle, getAdjacency, getReachableNodes, getReachingNodes } from '../utils/graph.js';
+import { commandsToPath, distanceToPolyline, getPointsBoundingBox } from '../utils/geometry.js';
 
 export class ConnectionManager {
   /**
@@ -15,267 +28,1511 @@ export class ConnectionManager {
    */
   constructor(context) {
     this.context = context;
+    this.labelEditor = null;
+    this.reconnecting = null;
+    this.splicing = null;
   }
 
   /**
    * Draws a new connection element while dragging
-   * @param {HTMLElement} ele - The output element being dragged from
+   * A connection dragged from an input is drawn backwards, to an output.
+   * @param {HTMLElement} ele - The output or input element being dragged from
    */
   drawConnection(ele) {
-    const precanvas = this.context.getPrecanvas();
     const eventManager = this.context.getEventManager();
 
     // Clear any previous snap highlight
+    this.clearSnapTarget();
+
+    let connection = this.createConnectionShape();
+    this.context.setConnectionElement(connection);
+    this.getConnectionLayer().appendChild(connection);
+
+    let id = extractNodeId(ele.parentElement.parentElement.id);
+    let port_class = ele.classList[1];
+
+    if (ele.classList[0] === CSS_CLASSES.INPUT) {
+      this.markRejectedOutputs(id, port_class);
+
+      eventManager.dispatch(EVENTS.CONNECTION_START, {
+        input_id: id,
+        input_class: port_class
+      });
+      return;
+    }
+
+    this.markRejectedInputs(id, port_class);
+
+    eventManager.dispatch(EVENTS.CONNECTION_START, {
+      output_id: id,
+      output_class: port_class
+    });
+  }
+
+  /**
+   * Updates connection path during dragging with magnetic snap
+   * Snaps to inputs, or to outputs when the connection is dragged from an input.
+   * @param {number} eX - Mouse X position
+   * @param {number} eY - Mouse Y position
+   */
+  updateConnection(eX, eY) {
+    const precanvas = this.context.getPrecanvas();
+    const zoom = this.context.getZoom();
+    const connection_ele = this.context.getConnectionElement();
+    const ele_selected = this.context.getElementSelected();
+    const renderManager = this.context.getRenderManager();
+    const connectionConfig = this.context.getConnectionConfig();
+
+    if (!connection_ele || !ele_selected) return;
+
+    let precanvasWitdhZoom = precanvas.clientWidth / (precanvas.clientWidth * zoom);
+    precanvasWitdhZoom = precanvasWitdhZoom || 0;
+    let precanvasHeightZoom = precanvas.clientHeight / (precanvas.clientHeight * zoom);
+    precanvasHeightZoom = precanvasHeightZoom || 0;
+    let path = connection_ele.children[0];
+
+    let line_x = ele_selected.offsetWidth / 2 + (ele_selected.getBoundingClientRect().x - precanvas.getBoundingClientRect().x) * precanvasWitdhZoom;
+    let line_y = ele_selected.offsetHeight / 2 + (ele_selected.getBoundingClientRect().y - precanvas.getBoundingClientRect().y) * precanvasHeightZoom;
+
+    let x = eX * (precanvas.clientWidth / (precanvas.clientWidth * zoom)) - (precanvas.getBoundingClientRect().x * (precanvas.clientWidth / (precanvas.clientWidth * zoom)));
+    let y = eY * (precanvas.clientHeight / (precanvas.clientHeight * zoom)) - (precanvas.getBoundingClientRect().y * (precanvas.clientHeight / (precanvas.clientHeight * zoom)));
+
+    // Magnetic snap: find nearest input (or output) within snap radius
+    const backwards = ele_selected.classList[0] === CSS_CLASSES.INPUT;
+    const nodeId = ele_selected.parentElement.parentElement.id;
+    const closestPort = this.snapToPort(eX, eY, backwards ? CSS_CLASSES.OUTPUT : CSS_CLASSES.INPUT, nodeId);
+
+    if (closestPort) {
+      const snapX = closestPort.offsetWidth / 2 + (closestPort.getBoundingClientRect().x - precanvas.getBoundingClientRect().x) * precanvasWitdhZoom;
+      const snapY = closestPort.offsetHeight / 2 + (closestPort.getBoundingClientRect().y - precanvas.getBoundingClientRect().y) * precanvasHeightZoom;
+      x = snapX;
+      y = snapY;
+    }
+
+    // Drawn in the path style the connection will get from its output node, always from output to input
+    let lineCurve;
+    if (backwards) {
+      const outputNode = closestPort ? closestPort.closest('.' + CSS_CLASSES.NODEFORGE_NODE) : null;
+      const style = renderManager.getPathStyle({ output_id: outputNode ? extractNodeId(outputNode.id) : undefined });
+      lineCurve = commandsToPath(renderManager.createPathCommands(x, y, line_x, line_y, style, connectionConfig.curvature, connectionConfig.line_path));
+    } else {
+      const style = renderManager.getPathStyle({ output_id: extractNodeId(nodeId) });
+      lineCurve = commandsToPath(renderManager.createPathCommands(line_x, line_y, x, y, style, connectionConfig.curvature, connectionConfig.line_path));
+    }
+    path.setAttributeNS(null, 'd', lineCurve);
+  }
+
+  /**
+   * Highlights the port nearest to the mouse within CONNECTION_CONFIG.SNAP_RADIUS
+   * Rejected ports and the ports of the excluded node are skipped. The port is
+   * remembered in _lastSnapTarget, so the drop can use it.
+   * @param {number} eX - Mouse X position
+   * @param {number} eY - Mouse Y position
+   * @param {string} type - 'input' or 'output'
+   * @param {string} excludeNodeId - ID of the node at the other end of the dragged connection (with 'node-' prefix)
+   * @returns {HTMLElement|null} The highlighted port, null if none is in reach
+   */
+  snapToPort(eX, eY, type, excludeNodeId) {
+    const ports = this.context.getContainer().querySelectorAll('.' + type);
+    this.clearSnapTarget();
+
+    let closestDist = CONNECTION_CONFIG.SNAP_RADIUS;
+    let closestPort = null;
+
+    for (let i = 0; i < ports.length; i++) {
+      const port = ports[i];
+      const portNode = port.closest('.' + CSS_CLASSES.NODEFORGE_NODE);
+      if (!portNode || portNode.id === excludeNodeId) continue;
+      if (port.classList.contains(CSS_CLASSES.REJECTED)) continue;
+
+      const portRect = port.getBoundingClientRect();
+      const portCenterX = portRect.x + portRect.width / 2;
+      const portCenterY = portRect.y + portRect.height / 2;
+
+      const dist = Math.sqrt(Math.pow(eX - portCenterX, 2) + Math.pow(eY - portCenterY, 2));
+      if (dist < closestDist) {
+        closestDist = dist;
+        closestPort = port;
+      }
+    }
+
+    if (closestPort) {
+      closestPort.classList.add(CSS_CLASSES.SNAP_HOVER);
+      this._lastSnapTarget = closestPort;
+    }
+    return closestPort;
+  }
+
+  /**
+   * Removes the snap highlight set by snapToPort()
+   */
+  clearSnapTarget() {
     if (this._lastSnapTarget) {
-      this._lastSnapTarget.classList.remove('snap-hover');
+      this._lastSnapTarget.classList.remove(CSS_CLASSES.SNAP_HOVER);
       this._lastSnapTarget = null;
     }
+  }
+
+  /**
+   * Marks the inputs that cannot accept a connection from an output
+   * Called when a connection drag starts so incompatible inputs can be styled
+   * @param {string} id_output - Output node ID
+   * @param {string} output_class - Output class name
+   */
+  markRejectedInputs(id_output, output_class) {
+    const closesCycle = this.getCycleCheck(id_output, CSS_CLASSES.OUTPUT);
+    this.markRejectedPorts(CSS_CLASSES.INPUT, (id_input, input_class) => {
+      return this.getRejectionReason(id_output, id_input, output_class, input_class, closesCycle) !== null;
+    });
+  }
+
+  /**
+   * Marks the outputs that cannot feed a connection into an input
+   * Called when a connection is dragged from an input
+   * @param {string} id_input - Input node ID
+   * @param {string} input_class - Input class name
+   */
+  markRejectedOutputs(id_input, input_class) {
+    const closesCycle = this.getCycleCheck(id_input, CSS_CLASSES.INPUT);
+    this.markRejectedPorts(CSS_CLASSES.OUTPUT, (id_output, output_class) => {
+      return this.getRejectionReason(id_output, id_input, output_class, input_class, closesCycle) !== null;
+    });
+  }
+
+  /**
+   * Builds the cycle check for the connections of one node, with one walk of the graph
+   * Used when every port on the canvas is checked against the same node.
+   * @private
+   * @param {string} id - Node ID of the fixed end
+   * @param {string} end - Side of the fixed end, 'output' or 'input'
+   * @returns {Function} Called with the output and input node IDs, true if the connection would close a loop
+   */
+  getCycleCheck(id, end) {
+    if (this.context.getConnectionConfig().allow_cycles !== false) return () => false;
+
+    const moduleName = this.context.getStateManager().getModuleFromNodeId(id);
+    if (moduleName === undefined) return () => false;
+    const adjacency = getAdjacency(this.context.getNodeForgeData()[moduleName].data);
+
+    // A connection closes a loop when its input node already reaches its output node
+    if (end === CSS_CLASSES.OUTPUT) {
+      const reaching = getReachingNodes(adjacency, id);
+      return (id_output, id_input) => reaching[String(id_input)] === true;
+    }
+    const reachable = getReachableNodes(adjacency, id);
+    return (id_output, id_input) => reachable[String(id_output)] === true;
+  }
+
+  /**
+   * Marks the ports of one side that fail a check
+   * @param {string} type - 'input' or 'output'
+   * @param {Function} isRejected - Called with the node ID and the port class
+   */
+  markRejectedPorts(type, isRejected) {
+    const container = this.context.getContainer();
+
+    container.querySelectorAll('.' + CSS_CLASSES.NODEFORGE_NODE + ' .' + type).forEach((port) => {
+      const id = extractNodeId(port.closest('.' + CSS_CLASSES.NODEFORGE_NODE).id);
+      if (isRejected(id, port.classList[1])) {
+        port.classList.add(CSS_CLASSES.REJECTED);
+      }
+    });
+  }
+
+  /**
+   * Removes the rejection marks set by markRejectedInputs()
+   */
+  clearRejectedInputs() {
+    this.clearRejectedPorts(CSS_CLASSES.INPUT);
+  }
+
+  /**
+   * Removes the rejection marks set by markRejectedOutputs()
+   */
+  clearRejectedOutputs() {
+    this.clearRejectedPorts(CSS_CLASSES.OUTPUT);
+  }
+
+  /**
+   * Removes the rejection marks of one side set by markRejectedPorts()
+   * @param {string} type - 'input' or 'output'
+   */
+  clearRejectedPorts(type) {
+    const container = this.context.getContainer();
+
+    container.querySelectorAll('.' + type + '.' + CSS_CLASSES.REJECTED).forEach((port) => {
+      port.classList.remove(CSS_CLASSES.REJECTED);
+    });
+  }
+
+  /**
+   * Checks whether an output may be connected to an input
+   * Uses the canConnect validator when one is set, the port types otherwise.
+   * The validator receives two port descriptors:
+   *   { id: '1', port: 'output_1', type: 'number', name: 'sum' }
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @returns {boolean} True if the connection is allowed
+   */
+  canConnect(id_output, id_input, output_class, input_class) {
+    const stateManager = this.context.getStateManager();
+    const connectionConfig = this.context.getConnectionConfig();
+
+    if (stateManager.getModuleFromNodeId(id_output) === undefined || stateManager.getModuleFromNodeId(id_input) === undefined) return false;
+
+    const outputNode = stateManager.getNodeFromId(id_output);
+    const inputNode = stateManager.getNodeFromId(id_input);
+    if (!outputNode.outputs[output_class] || !inputNode.inputs[input_class]) return false;
+
+    const output = {
+      id: id_output.toString(),
+      port: output_class,
+      type: outputNode.outputs[output_class].type || null,
+      name: outputNode.name
+    };
+    const input = {
+      id: id_input.toString(),
+      port: input_class,
+      type: inputNode.inputs[input_class].type || null,
+      name: inputNode.name
+    };
+
+    if (typeof connectionConfig.can_connect === 'function') {
+      return connectionConfig.can_connect(output, input) === true;
+    }
+    return isTypeCompatible(output.type, input.type);
+  }
+
+  /**
+   * Explains why a connection would be rejected
+   * Ports whose limit policy is 'replace' never reject, the oldest connection
+   * is removed instead (see makeRoomForConnection)
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Function} [closesCycle] - Cycle check from getCycleCheck(), by default the graph is walked now
+   * @returns {string|null} One of CONNECTION_REJECT_REASONS, or null if the connection is accepted
+   */
+  getRejectionReason(id_output, id_input, output_class, input_class, closesCycle) {
+    const stateManager = this.context.getStateManager();
+    const connectionConfig = this.context.getConnectionConfig();
+
+    if (!this.canConnect(id_output, id_input, output_class, input_class)) {
+      return CONNECTION_REJECT_REASONS.INCOMPATIBLE;
+    }
+
+    if (connectionConfig.allow_cycles === false) {
+      const moduleName = stateManager.getModuleFromNodeId(id_output);
+      const cyclic = closesCycle
+        ? closesCycle(id_output, id_input)
+        : wouldCreateCycle(this.context.getNodeForgeData()[moduleName].data, id_output, id_input);
+      if (cyclic) {
+        return CONNECTION_REJECT_REASONS.CYCLE;
+      }
+    }
+
+    const outputPort = stateManager.getNodeFromId(id_output).outputs[output_class];
+    if (isPortFull(outputPort) && getPortLimitPolicy(outputPort) === PORT_LIMIT_POLICIES.REJECT) {
+      return CONNECTION_REJECT_REASONS.OUTPUT_LIMIT;
+    }
+
+    const inputPort = stateManager.getNodeFromId(id_input).inputs[input_class];
+    if (isPortFull(inputPort) && getPortLimitPolicy(inputPort) === PORT_LIMIT_POLICIES.REJECT) {
+      return CONNECTION_REJECT_REASONS.INPUT_LIMIT;
+    }
+
+    return null;
+  }
+
+  /**
+   * Removes the oldest connections of full 'replace' ports so a new connection fits
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   */
+  makeRoomForConnection(id_output, id_input, output_class, input_class) {
+    const stateManager = this.context.getStateManager();
+    const nodeforgeData = this.context.getNodeForgeData();
+    const moduleName = stateManager.getModuleFromNodeId(id_output);
+
+    const outputPort = nodeforgeData[moduleName].data[id_output].outputs[output_class];
+    while (outputPort.connections.length > 0 && isPortFull(outputPort)) {
+      const oldest = outputPort.connections[0];
+      this.removeSingleConnection(id_output.toString(), oldest.node, output_class, oldest.output);
+    }
+
+    const inputPort = nodeforgeData[moduleName].data[id_input].inputs[input_class];
+    while (inputPort.connections.length > 0 && isPortFull(inputPort)) {
+      const oldest = inputPort.connections[0];
+      this.removeSingleConnection(oldest.node, id_input.toString(), oldest.input, input_class);
+    }
+  }
+
+  /**
+   * Drops the connections that exceed a port limit in the loaded data
+   * Used by import(); 'reject' ports keep their first connections,
+   * 'replace' ports keep their last ones. Each dropped connection is
+   * reported with a connectionRejected event.
+   */
+  enforceConnectionLimits() {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const eventManager = this.context.getEventManager();
+
+    const getKept = (port) => {
+      if (port.max_connections === undefined || port.connections.length <= port.max_connections) {
+        return port.connections;
+      }
+      return getPortLimitPolicy(port) === PORT_LIMIT_POLICIES.REPLACE
+        ? port.connections.slice(port.connections.length - port.max_connections)
+        : port.connections.slice(0, port.max_connections);
+    };
+
+    Object.keys(nodeforgeData).forEach((moduleName) => {
+      const moduleData = nodeforgeData[moduleName].data;
+
+      [['outputs', CONNECTION_REJECT_REASONS.OUTPUT_LIMIT], ['inputs', CONNECTION_REJECT_REASONS.INPUT_LIMIT]].forEach(([key, reason]) => {
+        Object.keys(moduleData).forEach((id) => {
+          Object.keys(moduleData[id][key]).forEach((port_class) => {
+            const port = moduleData[id][key][port_class];
+            const kept = getKept(port);
+            if (kept === port.connections) return;
+
+            port.connections.filter((item) => kept.indexOf(item) === -1).forEach((item) => {
+              const connection = key === 'outputs'
+                ? { output_id: id, input_id: item.node, output_class: port_class, input_class: item.output }
+                : { output_id: item.node, input_id: id, output_class: item.input, input_class: port_class };
+
+              // Drop the mirrored entry on the other node
+              const other = moduleData[key === 'outputs' ? connection.input_id : connection.output_id];
+              const otherPort = other && (key === 'outputs' ? other.inputs[connection.input_class] : other.outputs[connection.output_class]);
+              if (otherPort) {
+                otherPort.connections = otherPort.connections.filter((entry) => {
+                  return key === 'outputs'
+                    ? !(entry.node == id && entry.input === port_class)
+                    : !(entry.node == id && entry.output === port_class);
+                });
+              }
+
+              eventManager.dispatch(EVENTS.CONNECTION_REJECTED, Object.assign(connection, { reason: reason }));
+            });
+            port.connections = kept;
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Creates a connection between two nodes
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @returns {boolean} True if connection was created, false if it exists, the nodes are in
+   *   different modules or it was rejected (see the connectionRejected event)
+   */
+  addConnection(id_output, id_input, output_class, input_class) {
+    const stateManager = this.context.getStateManager();
+    const nodeforgeData = this.context.getNodeForgeData();
+    const module = this.context.getModule();
+    const precanvas = this.context.getPrecanvas();
+    const eventManager = this.context.getEventManager();
+    const historyManager = this.context.getHistoryManager();
+    const virtualizationManager = this.context.getVirtualizationManager();
+
+    let nodeOneModule = stateManager.getModuleFromNodeId(id_output);
+    let nodeTwoModule = stateManager.getModuleFromNodeId(id_input);
+
+    if (nodeOneModule === nodeTwoModule && nodeOneModule !== undefined) {
+      let dataNode = stateManager.getNodeFromId(id_output);
+      let exist = false;
+
+      for (let checkOutput in dataNode.outputs[output_class].connections) {
+        let connectionSearch = dataNode.outputs[output_class].connections[checkOutput];
+        if (connectionSearch.node == id_input && connectionSearch.output === input_class) {
+          exist = true;
+        }
+      }
+
+      // Check connection exist
+      if (exist === false) {
+        // Undo/redo restores connections that were valid when recorded
+        const replaying = historyManager.isReplaying();
+        const reason = replaying ? null : this.getRejectionReason(id_output, id_input, output_class, input_class);
+        if (reason !== null) {
+          eventManager.dispatch(EVENTS.CONNECTION_REJECTED, {
+            output_id: id_output,
+            input_id: id_input,
+            output_class: output_class,
+            input_class: input_class,
+            reason: reason
+          });
+          return false;
+        }
+
+        // Replaced connections and the new one are undone together
+        historyManager.beginTransaction('addConnection');
+        try {
+          if (!replaying) {
+            this.makeRoomForConnection(id_output, id_input, output_class, input_class);
+          }
+
+          //Create Connection
+          nodeforgeData[nodeOneModule].data[id_output].outputs[output_class].connections.push({
+            "node": id_input.toString(),
+            "output": input_class
+          });
+          nodeforgeData[nodeOneModule].data[id_input].inputs[input_class].connections.push({
+            "node": id_output.toString(),
+            "input": output_class
+          });
+
+          // In virtualized mode the connection is drawn once both of its nodes are mounted
+          if (module === nodeOneModule && virtualizationManager.isMounted(id_output) && virtualizationManager.isMounted(id_input)) {
+            //Draw connection
+            const renderManager = this.context.getRenderManager();
+            if (renderManager.hasConnectionElements()) {
+              this.getConnectionLayer().appendChild(this.createConnectionElement(id_output, id_input, output_class, input_class));
+            }
+            renderManager.beginBatch();
+            this.updateConnectionNodes(buildNodeId(id_output));
+            this.updateConnectionNodes(buildNodeId(id_input));
+            renderManager.endBatch();
+          }
+
+          eventManager.dispatch(EVENTS.CONNECTION_CREATED, {
+            output_id: id_output,
+            input_id: id_input,
+            output_class: output_class,
+            input_class: input_class
+          });
+
+          historyManager.record({
+            type: 'addConnection',
+            module: nodeOneModule,
+            undo: () => this.removeSingleConnection(id_output.toString(), id_input.toString(), output_class, input_class),
+            redo: () => this.addConnection(id_output, id_input, output_class, input_class)
+          });
+        } finally {
+          historyManager.endTransaction();
+        }
+
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Grabs an end of a connection when its path is pressed near a port
+   * The end whose port is within CONNECTION_CONFIG.RECONNECT_RADIUS is grabbed,
+   * dragging starts with the first move (see updateReconnect()).
+   * @param {SVGElement} element - Connection element
+   * @param {number} eX - Mouse X position
+   * @param {number} eY - Mouse Y position
+   * @returns {boolean} True if an end was grabbed
+   */
+  beginReconnect(element, eX, eY) {
+    this.reconnecting = null;
+    if (!isConnectionElement(element)) return false;
+
+    const connection = getConnectionFromElement(element);
+    let end = null;
+    let closestDist = CONNECTION_CONFIG.RECONNECT_RADIUS;
+    [
+      [CSS_CLASSES.OUTPUT, connection.output_id, connection.output_class],
+      [CSS_CLASSES.INPUT, connection.input_id, connection.input_class]
+    ].forEach(([side, id, port_class]) => {
+      const port = this.context.getContainer().querySelector('#' + buildNodeId(id) + ' .' + port_class);
+      if (!port) return;
+      const rect = port.getBoundingClientRect();
+      const dist = Math.sqrt(Math.pow(eX - (rect.x + rect.width / 2), 2) + Math.pow(eY - (rect.y + rect.height / 2), 2));
+      if (dist < closestDist) {
+        closestDist = dist;
+        end = side;
+      }
+    });
+    if (end === null) return false;
+
+    this.reconnecting = { element: element, connection: connection, end: end, moved: false };
+    return true;
+  }
+
+  /**
+   * Grabs the input end of the last connection of an input
+   * Used with detach_inputs: the end can be dropped on another input, or
+   * anywhere else to remove the connection (see endReconnect()).
+   * @param {HTMLElement} input - Input element
+   * @returns {boolean} True if the input has a drawn connection to grab
+   */
+  beginDetach(input) {
+    this.reconnecting = null;
+
+    const id_input = extractNodeId(input.parentElement.parentElement.id);
+    const input_class = input.classList[1];
+    const dataNode = this.context.getStateManager().getCurrentModuleData()[id_input];
+    if (!dataNode || !dataNode.inputs[input_class]) return false;
+
+    const connections = dataNode.inputs[input_class].connections;
+    if (connections.length === 0) return false;
+    const last = connections[connections.length - 1];
+    const connection = { output_id: String(last.node), input_id: id_input, output_class: last.input, input_class: input_class };
+
+    const element = this.context.getContainer().querySelector(buildConnectionSelector(connection.output_id, connection.input_id, connection.output_class, connection.input_class));
+    if (!element) return false;
+
+    this.reconnecting = { element: element, connection: connection, end: CSS_CLASSES.INPUT, moved: false, detach: true };
+    return true;
+  }
+
+  /**
+   * Drags the grabbed end of a connection, with magnetic snap to the ports of the same side
+   * The connection is drawn in its path style, from its other end to the mouse
+   * or the snapped port; it is routed again once dropped.
+   * @param {number} eX - Mouse X position
+   * @param {number} eY - Mouse Y position
+   */
+  updateReconnect(eX, eY) {
+    const reconnecting = this.reconnecting;
+    if (!reconnecting) return;
+
+    const renderManager = this.context.getRenderManager();
+    const connection = reconnecting.connection;
+    const movingInput = reconnecting.end === CSS_CLASSES.INPUT;
+
+    if (!reconnecting.moved) {
+      reconnecting.moved = true;
+      reconnecting.element.classList.add(CSS_CLASSES.RECONNECTING);
+      // Ports are checked as if the connection were already gone, so its own port stays valid
+      this.withoutConnection(connection, () => {
+        const closesCycle = movingInput
+          ? this.getCycleCheck(connection.output_id, CSS_CLASSES.OUTPUT)
+          : this.getCycleCheck(connection.input_id, CSS_CLASSES.INPUT);
+        this.markRejectedPorts(reconnecting.end, (id, port_class) => {
+          const target = movingInput
+            ? { output_id: connection.output_id, input_id: id, output_class: connection.output_class, input_class: port_class }
+            : { output_id: id, input_id: connection.input_id, output_class: port_class, input_class: connection.input_class };
+          return this.getConnectionEntry(target.output_id, target.input_id, target.output_class, target.input_class) !== null ||
+            this.getRejectionReason(target.output_id, target.input_id, target.output_class, target.input_class, closesCycle) !== null;
+        });
+      });
+    }
+
+    const fixedNodeId = buildNodeId(movingInput ? connection.output_id : connection.input_id);
+    const port = this.snapToPort(eX, eY, reconnecting.end, fixedNodeId);
+    const moving = port
+      ? renderManager.getPortPosition(extractNodeId(port.closest('.' + CSS_CLASSES.NODEFORGE_NODE).id), port.classList[1])
+      : this.context.getSelectionManager().toCanvasCoords(eX, eY);
+
+    const data = renderManager.getConnection(connection.output_id, connection.output_class, connection.input_id, connection.input_class);
+    const start = movingInput ? renderManager.getPortPosition(connection.output_id, connection.output_class) : moving;
+    const end = movingInput ? moving : renderManager.getPortPosition(connection.input_id, connection.input_class);
+    if (data === null || start === null || end === null) return;
+
+    renderManager.getRenderer().draw([{ connection: data, segments: renderManager.createConnectionSegments(data, start, end) }]);
+  }
+
+  /**
+   * Drops the grabbed end of a connection
+   * On a snapped port the connection is moved with reconnectConnection(),
+   * anywhere else it goes back to where it was, or is removed when it was
+   * grabbed by its input (beginDetach()).
+   * @returns {boolean} True if the connection was moved or removed
+   */
+  endReconnect() {
+    const reconnecting = this.reconnecting;
+    this.reconnecting = null;
+    if (!reconnecting || !reconnecting.moved) return false;
+
+    const target = this._lastSnapTarget;
+    this.clearSnapTarget();
+    this.clearRejectedPorts(reconnecting.end);
+    reconnecting.element.classList.remove(CSS_CLASSES.RECONNECTING);
+
+    let moved = false;
+    if (target) {
+      const id = extractNodeId(target.closest('.' + CSS_CLASSES.NODEFORGE_NODE).id);
+      const connection = reconnecting.connection;
+      moved = this.reconnectConnection(connection.output_id, connection.input_id, connection.output_class, connection.input_class, reconnecting.end === CSS_CLASSES.INPUT
+        ? { input_id: id, input_class: target.classList[1] }
+        : { output_id: id, output_class: target.classList[1] });
+    } else if (reconnecting.detach) {
+      const connection = reconnecting.connection;
+      this.removeSingleConnection(connection.output_id, connection.input_id, connection.output_class, connection.input_class);
+      return true;
+    }
+    if (!moved) {
+      this.context.getRenderManager().updateNodeConnections(reconnecting.connection.output_id);
+    }
+    return moved;
+  }
+
+  /**
+   * Puts a grabbed connection end back where it was
+   * @returns {boolean} True if an end was grabbed
+   */
+  cancelReconnect() {
+    const reconnecting = this.reconnecting;
+    this.reconnecting = null;
+    if (!reconnecting) return false;
+
+    if (reconnecting.moved) {
+      this.clearSnapTarget();
+      this.clearRejectedPorts(reconnecting.end);
+      reconnecting.element.classList.remove(CSS_CLASSES.RECONNECTING);
+      this.context.getRenderManager().updateNodeConnections(reconnecting.connection.output_id);
+    }
+    return true;
+  }
+
+  /**
+   * Moves one or both ends of a connection to other ports
+   * The connection keeps its reroute points and properties. Validated like
+   * addConnection(), a rejected move dispatches connectionRejected. A move is
+   * reported with one connectionUpdated event, whose previous and values hold
+   * the old and new ends, and is undone in one step.
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Object} target - New ends ({ output_id, input_id, output_class, input_class }), missing ones are kept
+   * @returns {boolean} True if the connection was moved, false if it does not exist, the target
+   *   is the same, exists already, is in another module or was rejected
+   */
+  reconnectConnection(id_output, id_input, output_class, input_class, target) {
+    const stateManager = this.context.getStateManager();
+    const historyManager = this.context.getHistoryManager();
+
+    const connection = { output_id: id_output, input_id: id_input, output_class: output_class, input_class: input_class };
+    const from = {};
+    const to = {};
+    CONNECTION_ENDPOINTS.forEach((key) => {
+      from[key] = String(connection[key]);
+      to[key] = String(target[key] !== undefined ? target[key] : connection[key]);
+    });
+
+    if (this.getConnectionEntry(from.output_id, from.input_id, from.output_class, from.input_class) === null) return false;
+    if (getConnectionKey(from) === getConnectionKey(to)) return false;
+
+    const moduleName = stateManager.getModuleFromNodeId(from.output_id);
+    if (stateManager.getModuleFromNodeId(to.output_id) !== moduleName || stateManager.getModuleFromNodeId(to.input_id) !== moduleName) return false;
+    if (this.getConnectionEntry(to.output_id, to.input_id, to.output_class, to.input_class) !== null) return false;
+
+    const reason = this.withoutConnection(from, () => this.getRejectionReason(to.output_id, to.input_id, to.output_class, to.input_class));
+    if (reason !== null) {
+      this.context.getEventManager().dispatch(EVENTS.CONNECTION_REJECTED, Object.assign({}, to, { reason: reason }));
+      return false;
+    }
+
+    // Replaced connections and the move are undone together
+    historyManager.beginTransaction('reconnectConnection');
+    try {
+      this.withoutConnection(from, () => this.makeRoomForConnection(to.output_id, to.input_id, to.output_class, to.input_class));
+      this.moveConnection(from, to);
+
+      historyManager.record({
+        type: 'reconnectConnection',
+        module: moduleName,
+        undo: () => this.moveConnection(to, from),
+        redo: () => this.moveConnection(from, to)
+      });
+    } finally {
+      historyManager.endTransaction();
+    }
+    return true;
+  }
+
+  /**
+   * Inserts a node into a connection
+   * The connection is replaced by one from its output to an input of the node
+   * and one from an output of the node to its input, undone in one step and
+   * reported with connectionSpliced after the usual connectionRemoved and
+   * connectionCreated events. Both keep its style, path style, data and flow;
+   * the label and start marker go to the first, the end marker to the second,
+   * and its reroute points are split on either side of the node.
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {string} id_node - ID of the node to insert
+   * @param {string} [node_input] - Input of the node, by default its first free input that accepts the connection
+   * @param {string} [node_output] - Output of the node, by default its first free output that accepts the connection
+   * @returns {boolean} True if the node was inserted, false if the connection does not exist, the node
+   *   is one of its ends or in another module, has no suitable ports or a new connection was rejected
+   */
+  spliceConnection(id_output, id_input, output_class, input_class, id_node, node_input, node_output) {
+    const stateManager = this.context.getStateManager();
+    const historyManager = this.context.getHistoryManager();
+
+    const from = { output_id: String(id_output), input_id: String(id_input), output_class: output_class, input_class: input_class };
+    const node = String(id_node);
+    if (this.getConnectionEntry(from.output_id, from.input_id, from.output_class, from.input_class) === null) return false;
+    if (node === from.output_id || node === from.input_id || stateManager.getModuleFromNodeId(node) !== stateManager.getModuleFromNodeId(from.output_id)) return false;
+
+    let ports;
+    if (node_input === undefined || node_output === undefined) {
+      ports = this.getSplicePorts(from, node);
+      if (ports === null) return false;
+      ports = { input: node_input !== undefined ? node_input : ports.input, output: node_output !== undefined ? node_output : ports.output };
+    } else {
+      ports = { input: node_input, output: node_output };
+    }
+
+    // Both new connections are checked before anything changes
+    const first = { output_id: from.output_id, input_id: node, output_class: from.output_class, input_class: ports.input };
+    const second = { output_id: node, input_id: from.input_id, output_class: ports.output, input_class: from.input_class };
+    const rejected = this.withoutConnection(from, () => {
+      return [first, second].map((connection) => {
+        return Object.assign({}, connection, { reason: this.getRejectionReason(connection.output_id, connection.input_id, connection.output_class, connection.input_class) });
+      }).find((connection) => connection.reason !== null);
+    });
+    if (rejected) {
+      this.context.getEventManager().dispatch(EVENTS.CONNECTION_REJECTED, rejected);
+      return false;
+    }
+
+    // Taken before the connection goes: its properties, reroute points and flow move to the new ones
+    const entry = this.getConnectionEntry(from.output_id, from.input_id, from.output_class, from.input_class);
+    const properties = this.getConnectionProperties(entry);
+    const points = entry.points ? entry.points.map((point) => ({ pos_x: point.pos_x, pos_y: point.pos_y })) : [];
+    const split = this.getSplicePointIndex(from, points, node);
+    const flow = this.context.getFlowManager().getFlow(from);
+
+    historyManager.beginTransaction('spliceConnection');
+    try {
+      this.removeSingleConnection(from.output_id, from.input_id, from.output_class, from.input_class);
+      this.addConnection(first.output_id, first.input_id, first.output_class, first.input_class);
+      this.addConnection(second.output_id, second.input_id, second.output_class, second.input_class);
+
+      // The label and start marker stay by the output, the end marker by the input
+      const first_properties = Object.assign({}, properties);
+      delete first_properties.marker_end;
+      const second_properties = Object.assign({}, properties);
+      delete second_properties.label;
+      delete second_properties.marker_start;
+      this.spliceLeg(first, first_properties, points.slice(0, split));
+      this.spliceLeg(second, second_properties, points.slice(split));
+    } finally {
+      historyManager.endTransaction();
+    }
+
+    if (flow !== null) {
+      this.context.getFlowManager().setFlow(first, flow);
+      this.context.getFlowManager().setFlow(second, flow);
+    }
+
+    this.context.getEventManager().dispatch(EVENTS.CONNECTION_SPLICED, Object.assign({}, from, {
+      node_id: node,
+      node_input: ports.input,
+      node_output: ports.output
+    }));
+    return true;
+  }
+
+  /**
+   * Gives properties and reroute points to a connection created by a splice, with undo
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {Object} properties - Connection properties (see getConnectionProperties)
+   * @param {Array<{pos_x: number, pos_y: number}>} points - Reroute points
+   */
+  spliceLeg(connection, properties, points) {
+    if (Object.keys(properties).length > 0) {
+      this.setConnectionProperties(connection.output_id, connection.input_id, connection.output_class, connection.input_class, properties, 'connectionProperties');
+    }
+    if (points.length > 0) {
+      const rerouteManager = this.context.getRerouteManager();
+      rerouteManager.setConnectionPoints(connection.output_id, connection.input_id, connection.output_class, connection.input_class, points);
+      rerouteManager.recordPointsChange(connection.output_id, connection.input_id, connection.output_class, connection.input_class, [], points);
+    }
+  }
+
+  /**
+   * Finds where a node inserted into a connection splits its reroute points
+   * The points before the segment passing nearest the node center go to the
+   * connection into the node, the others to the one out of it. Without a drawn
+   * path, the points left of the node center go into it.
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {Array<{pos_x: number, pos_y: number}>} points - Its reroute points
+   * @param {string} id - ID of the inserted node
+   * @returns {number} Number of points before the node
+   */
+  getSplicePointIndex(connection, points, id) {
+    if (points.length === 0) return 0;
+
+    const rect = this.context.getVirtualizationManager().getNodeRect(id, this.context.getStateManager().getNodeFromId(id));
+    const center_x = rect.x + rect.width / 2;
+    const center_y = rect.y + rect.height / 2;
+
+    const renderManager = this.context.getRenderManager();
+    const data = renderManager.getConnection(connection.output_id, connection.output_class, connection.input_id, connection.input_class);
+    const legs = data === null ? null : renderManager.getConnectionLegs(data);
+    if (legs === null || legs.length !== points.length + 1) {
+      const index = points.findIndex((point) => point.pos_x >= center_x);
+      return index === -1 ? points.length : index;
+    }
+
+    let nearest = 0;
+    let best = Infinity;
+    legs.forEach((leg, i) => {
+      const distance = leg.length > 0 ? distanceToPolyline(leg, center_x, center_y) : Infinity;
+      if (distance < best) {
+        best = distance;
+        nearest = i;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Finds the connection a node would be inserted into if it were dropped
+   * The nearest drawn connection passing within half the node's smaller side
+   * of its center, that does not touch the node and that the node can be
+   * inserted into.
+   * @param {string} id - Node ID
+   * @param {Array<Object>} [candidates] - Connections from getSpliceCandidates(), by default measured now
+   * @returns {{connection: Object, node_input: string, node_output: string}|null} Connection and ports of the node, null if none
+   */
+  findSpliceTarget(id, candidates) {
+    const dataNode = this.context.getStateManager().getCurrentModuleData()[id];
+    if (!dataNode) return null;
+    if (candidates === undefined) {
+      candidates = this.getSpliceCandidates(id);
+    }
+
+    const rect = this.context.getVirtualizationManager().getNodeRect(id, dataNode);
+    const center_x = rect.x + rect.width / 2;
+    const center_y = rect.y + rect.height / 2;
+    const reach = Math.min(rect.width, rect.height) / 2;
+
+    const found = [];
+    candidates.forEach((candidate) => {
+      // Connections whose box is out of reach are not measured
+      const bounds = candidate.bounds;
+      if (center_x < bounds.x - reach || center_x > bounds.x + bounds.width + reach ||
+          center_y < bounds.y - reach || center_y > bounds.y + bounds.height + reach) return;
+
+      const distance = distanceToPolyline(candidate.points, center_x, center_y);
+      if (distance <= reach) {
+        found.push({ connection: candidate.connection, distance: distance });
+      }
+    });
+
+    found.sort((a, b) => a.distance - b.distance);
+    for (let i = 0; i < found.length; i++) {
+      const ports = this.getSplicePorts(found[i].connection, id);
+      if (ports !== null) {
+        return { connection: found[i].connection, node_input: ports.input, node_output: ports.output };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lists the drawn connections a node could be inserted into, with their shape
+   * Only connections that do not touch the node, so they do not move while it
+   * is dragged alone.
+   * @private
+   * @param {string} id - Node ID
+   * @returns {Array<{connection: Object, points: Array<{x: number, y: number}>, bounds: Object}>} Connections,
+   *   their polyline and its bounding box
+   */
+  getSpliceCandidates(id) {
+    const renderManager = this.context.getRenderManager();
+    if (!renderManager.hasConnectionElements()) return [];
+
+    const candidates = [];
+    this.getConnectionLayer().querySelectorAll('.' + CSS_CLASSES.CONNECTION).forEach((element) => {
+      const connection = getConnectionFromElement(element);
+      if (connection.output_id === null || connection.output_id === id || connection.input_id === id) return;
+
+      const data = renderManager.getConnection(connection.output_id, connection.output_class, connection.input_id, connection.input_class);
+      const points = data === null ? null : renderManager.getConnectionPolyline(data);
+      if (points === null || points.length === 0) return;
+
+      candidates.push({ connection: connection, points: points, bounds: getPointsBoundingBox(points) });
+    });
+    return candidates;
+  }
+
+  /**
+   * Highlights the connection a dragged node would be inserted into
+   * Called on every move of a single dragged node.
+   * @param {string} id - Node ID
+   */
+  updateSpliceTarget(id) {
+    if (this.splicing === null || this.splicing.id !== id) {
+      this.clearSpliceTarget();
+      // Measured once per drag, moving does not read the layout
+      this.context.getVirtualizationManager().measure(id, this.context.getContainer().querySelector('#' + buildNodeId(id)));
+      // So are the connections: only the dragged node moves
+      this.splicing = { id: id, target: null, element: null, candidates: this.getSpliceCandidates(id) };
+    }
+
+    const target = this.findSpliceTarget(id, this.splicing.candidates);
+    const element = target === null ? null : this.context.getContainer().querySelector(buildConnectionSelector(
+      target.connection.output_id, target.connection.input_id, target.connection.output_class, target.connection.input_class
+    ));
+    if (this.splicing.element !== element) {
+      if (this.splicing.element) {
+        this.splicing.element.classList.remove(CSS_CLASSES.SPLICE_TARGET);
+      }
+      if (element) {
+        element.classList.add(CSS_CLASSES.SPLICE_TARGET);
+      }
+    }
+    this.splicing.target = target;
+    this.splicing.element = element;
+  }
+
+  /**
+   * Removes the highlight set by updateSpliceTarget()
+   * @returns {{connection: Object, node_input: string, node_output: string}|null} The highlighted target, null if none
+   */
+  clearSpliceTarget() {
+    const splicing = this.splicing;
+    this.splicing = null;
+    if (splicing === null) return null;
+
+    if (splicing.element) {
+      splicing.element.classList.remove(CSS_CLASSES.SPLICE_TARGET);
+    }
+    return splicing.target;
+  }
+
+  /**
+   * Picks the ports of a node that a connection can be split through
+   * The first free input that accepts the connection's output and the first
+   * free output its input accepts, ignoring the connection itself.
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {string} id - Node ID
+   * @returns {{input: string, output: string}|null} Port classes, null if the node has none
+   */
+  getSplicePorts(connection, id) {
+    const dataNode = this.context.getStateManager().getNodeFromId(id);
+    const inputs = Object.keys(dataNode.inputs).filter((port_class) => dataNode.inputs[port_class].connections.length === 0);
+    const outputs = Object.keys(dataNode.outputs).filter((port_class) => dataNode.outputs[port_class].connections.length === 0);
+    if (inputs.length === 0 || outputs.length === 0) return null;
+
+    return this.withoutConnection(connection, () => {
+      const input = inputs.find((port_class) => this.getRejectionReason(connection.output_id, id, connection.output_class, port_class) === null);
+      const output = outputs.find((port_class) => this.getRejectionReason(id, connection.input_id, port_class, connection.input_class) === null);
+      return input !== undefined && output !== undefined ? { input: input, output: output } : null;
+    });
+  }
+
+  /**
+   * Moves the data entries and the element of a connection to other ports and
+   * dispatches connectionUpdated
+   * @private
+   * @param {Object} from - Current ends ({ output_id, input_id, output_class, input_class })
+   * @param {Object} to - New ends
+   */
+  moveConnection(from, to) {
+    const moduleName = this.context.getStateManager().getModuleFromNodeId(from.output_id);
+    const moduleData = this.context.getNodeForgeData()[moduleName].data;
+    const renderManager = this.context.getRenderManager();
+
+    const outputConnections = moduleData[from.output_id].outputs[from.output_class].connections;
+    const inputConnections = moduleData[from.input_id].inputs[from.input_class].connections;
+    const index_out = outputConnections.findIndex((item) => item.node == from.input_id && item.output === from.input_class);
+    const index_in = inputConnections.findIndex((item) => item.node == from.output_id && item.input === from.output_class);
+    if (index_out === -1 || index_in === -1) return;
+
+    // The entry keeps its reroute points and properties; an end that stays keeps its place
+    const entry = outputConnections.splice(index_out, 1)[0];
+    inputConnections.splice(index_in, 1);
+    entry.node = to.input_id;
+    entry.output = to.input_class;
+
+    const sameOutput = from.output_id === to.output_id && from.output_class === to.output_class;
+    const sameInput = from.input_id === to.input_id && from.input_class === to.input_class;
+    const nextOutputs = moduleData[to.output_id].outputs[to.output_class].connections;
+    const nextInputs = moduleData[to.input_id].inputs[to.input_class].connections;
+    nextOutputs.splice(sameOutput ? index_out : nextOutputs.length, 0, entry);
+    nextInputs.splice(sameInput ? index_in : nextInputs.length, 0, { "node": to.output_id, "input": to.output_class });
+
+    this.moveConnectionElement(moduleName, from, to);
+    if (moduleName === this.context.getModule()) {
+      renderManager.beginBatch();
+      [from.output_id, from.input_id, to.output_id, to.input_id].forEach((id, i, ids) => {
+        if (ids.indexOf(id) === i) {
+          this.updateConnectionNodes(buildNodeId(id));
+        }
+      });
+      renderManager.endBatch();
+    }
+    this.context.getSelectionManager().replaceConnection(from, to);
+
+    this.context.getEventManager().dispatch(EVENTS.CONNECTION_UPDATED, Object.assign({}, to, {
+      module: moduleName,
+      keys: CONNECTION_ENDPOINTS.slice(),
+      previous: Object.assign({}, from),
+      values: Object.assign({}, to)
+    }));
+  }
+
+  /**
+   * Gives the element of a moved connection its new ends
+   * The element is created or removed when the new ends change whether it is
+   * drawn (virtualized mode).
+   * @private
+   * @param {string} moduleName - Module of the connection
+   * @param {Object} from - Previous ends ({ output_id, input_id, output_class, input_class })
+   * @param {Object} to - New ends
+   */
+  moveConnectionElement(moduleName, from, to) {
+    const virtualizationManager = this.context.getVirtualizationManager();
+    const element = this.context.getContainer().querySelector(buildConnectionSelector(from.output_id, from.input_id, from.output_class, from.input_class));
+    const drawn = moduleName === this.context.getModule() && this.context.getRenderManager().hasConnectionElements() &&
+      virtualizationManager.isMounted(to.output_id) && virtualizationManager.isMounted(to.input_id);
+
+    if (element && !drawn) {
+      element.remove();
+    } else if (element) {
+      if (!this.isSharedLayer()) {
+        element.classList.remove("node_in_node-" + from.input_id, "node_out_node-" + from.output_id, from.output_class, from.input_class);
+        element.classList.add("node_in_node-" + to.input_id, "node_out_node-" + to.output_id, to.output_class, to.input_class);
+      }
+      setConnectionAttributes(element, to.output_id, to.input_id, to.output_class, to.input_class);
+      this.context.getAccessibilityManager().describeConnection(element);
+    } else if (drawn) {
+      this.getConnectionLayer().appendChild(this.createConnectionElement(to.output_id, to.input_id, to.output_class, to.input_class));
+    }
+  }
+
+  /**
+   * Runs a function as if a connection did not exist
+   * Its entries are taken out of the data and put back afterwards, so checks
+   * and port limits do not count the connection being moved.
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {Function} callback - Function to run
+   * @returns {*} What the function returns
+   */
+  withoutConnection(connection, callback) {
+    const moduleData = this.context.getNodeForgeData()[this.context.getStateManager().getModuleFromNodeId(connection.output_id)].data;
+    const outputConnections = moduleData[connection.output_id].outputs[connection.output_class].connections;
+    const inputConnections = moduleData[connection.input_id].inputs[connection.input_class].connections;
+    const index_out = outputConnections.findIndex((item) => item.node == connection.input_id && item.output === connection.input_class);
+    const index_in = inputConnections.findIndex((item) => item.node == connection.output_id && item.input === connection.output_class);
+    const entry_out = index_out > -1 ? outputConnections.splice(index_out, 1)[0] : null;
+    const entry_in = index_in > -1 ? inputConnections.splice(index_in, 1)[0] : null;
+
+    try {
+      return callback();
+    } finally {
+      if (entry_out !== null) {
+        outputConnections.splice(Math.min(index_out, outputConnections.length), 0, entry_out);
+      }
+      if (entry_in !== null) {
+        inputConnections.splice(Math.min(index_in, inputConnections.length), 0, entry_in);
+      }
+    }
+  }
 
-    let connection = createSVGElement("svg");
-    this.context.setConnectionElement(connection);
+  /**
+   * Creates the element of a connection, without its path
+   * The element must be appended to getConnectionLayer() and positioned with updateConnectionNodes().
+   * Its ports are stored in data-* attributes; a separate <svg> also carries the
+   * positional class list (node_in_, node_out_, output class, input class).
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @returns {SVGElement} Connection <svg>, or <g> with the shared connection layer
+   */
+  createConnectionElement(id_output, id_input, output_class, input_class) {
+    const connection = this.createConnectionShape();
+    if (!this.isSharedLayer()) {
+      connection.classList.add("node_in_node-" + id_input);
+      connection.classList.add("node_out_node-" + id_output);
+      connection.classList.add(output_class);
+      connection.classList.add(input_class);
+    }
+    setConnectionAttributes(connection, id_output, id_input, output_class, input_class);
+    this.context.getAccessibilityManager().describeConnection(connection);
+    return connection;
+  }
 
-    let path = createSVGElement("path");
+  /**
+   * Creates an empty connection element holding one main path
+   * @returns {SVGElement} <svg class="connection">, or <g class="connection"> with the shared layer
+   */
+  createConnectionShape() {
+    const connection = createSVGElement(this.isSharedLayer() ? "g" : "svg");
+    const path = createSVGElement("path");
     path.classList.add("main-path");
     path.setAttributeNS(null, 'd', '');
     connection.classList.add(CSS_CLASSES.CONNECTION);
     connection.appendChild(path);
-    precanvas.appendChild(connection);
-
-    let id_output = extractNodeId(ele.parentElement.parentElement.id);
-    let output_class = ele.classList[1];
+    return connection;
+  }
 
-    eventManager.dispatch(EVENTS.CONNECTION_START, {
-      output_id: id_output,
-      output_class: output_class
-    });
+  /**
+   * Checks if connections share one <svg> (connection_layer 'shared')
+   * @returns {boolean} True with the shared connection layer
+   */
+  isSharedLayer() {
+    return this.context.getConnectionConfig().connection_layer === CONNECTION_LAYERS.SHARED;
   }
 
   /**
-   * Updates connection path during dragging with magnetic snap
-   * @param {number} eX - Mouse X position
-   * @param {number} eY - Mouse Y position
+   * Gets the element connection elements are appended to
+   * The shared layer is the first child of the precanvas, below the nodes, and
+   * is created again after the precanvas is cleared.
+   * @returns {Element} The shared <svg class="connection-layer">, or the precanvas
    */
-  updateConnection(eX, eY) {
+  getConnectionLayer() {
     const precanvas = this.context.getPrecanvas();
-    const zoom = this.context.getZoom();
-    const connection_ele = this.context.getConnectionElement();
-    const ele_selected = this.context.getElementSelected();
-    const renderManager = this.context.getRenderManager();
-    const connectionConfig = this.context.getConnectionConfig();
-    const container = this.context.getContainer();
-
-    if (!connection_ele || !ele_selected) return;
+    if (!this.isSharedLayer()) return precanvas;
 
-    let precanvasWitdhZoom = precanvas.clientWidth / (precanvas.clientWidth * zoom);
-    precanvasWitdhZoom = precanvasWitdhZoom || 0;
-    let precanvasHeightZoom = precanvas.clientHeight / (precanvas.clientHeight * zoom);
-    precanvasHeightZoom = precanvasHeightZoom || 0;
-    let path = connection_ele.children[0];
+    const first = precanvas.firstElementChild;
+    if (first !== null && first.classList.contains(CSS_CLASSES.CONNECTION_LAYER)) {
+      return first;
+    }
+    const layer = createSVGElement("svg");
+    layer.classList.add(CSS_CLASSES.CONNECTION_LAYER);
+    precanvas.insertBefore(layer, precanvas.firstChild);
+    return layer;
+  }
 
-    let line_x = ele_selected.offsetWidth / 2 + (ele_selected.getBoundingClientRect().x - precanvas.getBoundingClientRect().x) * precanvasWitdhZoom;
-    let line_y = ele_selected.offsetHeight / 2 + (ele_selected.getBoundingClientRect().y - precanvas.getBoundingClientRect().y) * precanvasHeightZoom;
+  /**
+   * Restores a removed connection together with its reroute points
+   * Used by undo/redo of the remove* methods
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Object} entry - Snapshot of the removed output-side connection entry
+   */
+  restoreConnection(id_output, id_input, output_class, input_class, entry) {
+    const rerouteManager = this.context.getRerouteManager();
 
-    let x = eX * (precanvas.clientWidth / (precanvas.clientWidth * zoom)) - (precanvas.getBoundingClientRect().x * (precanvas.clientWidth / (precanvas.clientWidth * zoom)));
-    let y = eY * (precanvas.clientHeight / (precanvas.clientHeight * zoom)) - (precanvas.getBoundingClientRect().y * (precanvas.clientHeight / (precanvas.clientHeight * zoom)));
+    if (!this.addConnection(id_output, id_input, output_class, input_class)) return;
 
-    // Magnetic snap: find nearest input within snap radius
-    const SNAP_RADIUS = 30;
-    const outputNodeId = ele_selected.parentElement.parentElement.id;
-    const inputs = container.querySelectorAll('.input');
-    // Clear previous snap highlight
-    if (this._lastSnapTarget) {
-      this._lastSnapTarget.classList.remove('snap-hover');
-      this._lastSnapTarget = null;
+    if (entry) {
+      this.applyConnectionProperties(id_output, id_input, output_class, input_class, this.getConnectionProperties(entry));
     }
+    if (entry && entry.points !== undefined) {
+      rerouteManager.setConnectionPoints(id_output, id_input, output_class, input_class, entry.points);
+    }
+  }
 
-    let closestDist = SNAP_RADIUS;
-    let closestInput = null;
-
-    for (let i = 0; i < inputs.length; i++) {
-      const input = inputs[i];
-      const inputNode = input.closest('.nodeforge-node');
-      if (!inputNode || inputNode.id === outputNodeId) continue;
+  /**
+   * Gets the output-side data entry of a connection
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @returns {Object|null} Entry ({ node, output, points?, path_style?, label?, marker_start?, marker_end?, style?, data? }),
+   *   null if the connection does not exist
+   */
+  getConnectionEntry(id_output, id_input, output_class, input_class) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const moduleName = this.context.getStateManager().getModuleFromNodeId(id_output);
+    if (!moduleName) return null;
 
-      const inputRect = input.getBoundingClientRect();
-      const inputCenterX = inputRect.x + inputRect.width / 2;
-      const inputCenterY = inputRect.y + inputRect.height / 2;
+    const output = nodeforgeData[moduleName].data[id_output].outputs[output_class];
+    if (!output) return null;
+    const entry = output.connections.find((item) => item.node == id_input && item.output === input_class);
+    return entry || null;
+  }
 
-      const dist = Math.sqrt(Math.pow(eX - inputCenterX, 2) + Math.pow(eY - inputCenterY, 2));
-      if (dist < closestDist) {
-        closestDist = dist;
-        closestInput = input;
+  /**
+   * Gets the properties stored on a connection entry (see CONNECTION_PROPERTIES)
+   * @param {Object} entry - Output-side connection entry
+   * @returns {Object} Copies of the properties the entry has
+   */
+  getConnectionProperties(entry) {
+    const properties = {};
+    CONNECTION_PROPERTIES.forEach((key) => {
+      if (entry[key] !== undefined) {
+        properties[key] = JSON.parse(JSON.stringify(entry[key]));
       }
-    }
+    });
+    return properties;
+  }
 
-    if (closestInput) {
-      const snapX = closestInput.offsetWidth / 2 + (closestInput.getBoundingClientRect().x - precanvas.getBoundingClientRect().x) * precanvasWitdhZoom;
-      const snapY = closestInput.offsetHeight / 2 + (closestInput.getBoundingClientRect().y - precanvas.getBoundingClientRect().y) * precanvasHeightZoom;
-      x = snapX;
-      y = snapY;
-      closestInput.classList.add('snap-hover');
-      this._lastSnapTarget = closestInput;
-    }
+  /**
+   * Changes properties of a connection entry, with undo
+   * The properties are stored in the connection data, so they are exported.
+   * Every change, including undo and redo, dispatches connectionUpdated.
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Object} values - New values by property name, null removes a property
+   * @param {string} type - History entry type
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionProperties(id_output, id_input, output_class, input_class, values, type) {
+    const entry = this.getConnectionEntry(id_output, id_input, output_class, input_class);
+    if (entry === null) return false;
+
+    const previous = {};
+    const next = {};
+    Object.keys(values).forEach((key) => {
+      previous[key] = entry[key] !== undefined ? JSON.parse(JSON.stringify(entry[key])) : null;
+      // Copied so later changes to the caller's object do not reach the history
+      next[key] = values[key] === undefined || values[key] === null ? null : JSON.parse(JSON.stringify(values[key]));
+    });
+    if (JSON.stringify(previous) === JSON.stringify(next)) return true;
 
-    let lineCurve = renderManager.createCurvature(line_x, line_y, x, y, connectionConfig.curvature, connectionConfig.line_path);
-    path.setAttributeNS(null, 'd', lineCurve);
+    this.updateConnectionProperties(id_output, id_input, output_class, input_class, previous, next);
+
+    this.context.getHistoryManager().record({
+      type: type,
+      module: this.context.getStateManager().getModuleFromNodeId(id_output),
+      undo: () => this.updateConnectionProperties(id_output, id_input, output_class, input_class, next, previous),
+      redo: () => this.updateConnectionProperties(id_output, id_input, output_class, input_class, previous, next)
+    });
+    return true;
   }
 
   /**
-   * Creates a connection between two nodes
+   * Stores properties on a connection entry and dispatches connectionUpdated
+   * @private
    * @param {string} id_output - Output node ID
    * @param {string} id_input - Input node ID
    * @param {string} output_class - Output class name
    * @param {string} input_class - Input class name
-   * @returns {boolean} True if connection was created
+   * @param {Object} previous - Current values by property name, null for missing ones
+   * @param {Object} values - New values by property name, null removes a property
    */
-  addConnection(id_output, id_input, output_class, input_class) {
-    const stateManager = this.context.getStateManager();
-    const nodeforgeData = this.context.getNodeForgeData();
-    const module = this.context.getModule();
-    const precanvas = this.context.getPrecanvas();
-    const eventManager = this.context.getEventManager();
+  updateConnectionProperties(id_output, id_input, output_class, input_class, previous, values) {
+    this.applyConnectionProperties(id_output, id_input, output_class, input_class, values);
 
-    let nodeOneModule = stateManager.getModuleFromNodeId(id_output);
-    let nodeTwoModule = stateManager.getModuleFromNodeId(id_input);
+    this.context.getEventManager().dispatch(EVENTS.CONNECTION_UPDATED, {
+      output_id: id_output,
+      input_id: id_input,
+      output_class: output_class,
+      input_class: input_class,
+      module: this.context.getStateManager().getModuleFromNodeId(id_output),
+      keys: Object.keys(values),
+      previous: JSON.parse(JSON.stringify(previous)),
+      values: JSON.parse(JSON.stringify(values))
+    });
+  }
 
-    if (nodeOneModule === nodeTwoModule) {
-      let dataNode = stateManager.getNodeFromId(id_output);
-      let exist = false;
+  /**
+   * Stores properties on a connection entry and redraws it
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Object} values - Values by property name, null removes a property
+   */
+  applyConnectionProperties(id_output, id_input, output_class, input_class, values) {
+    const entry = this.getConnectionEntry(id_output, id_input, output_class, input_class);
+    if (entry === null) return;
 
-      for (let checkOutput in dataNode.outputs[output_class].connections) {
-        let connectionSearch = dataNode.outputs[output_class].connections[checkOutput];
-        if (connectionSearch.node === id_input && connectionSearch.output === input_class) {
-          exist = true;
-        }
+    Object.keys(values).forEach((key) => {
+      if (values[key] === null) {
+        delete entry[key];
+      } else {
+        entry[key] = JSON.parse(JSON.stringify(values[key]));
       }
+    });
 
-      // Check connection exist
-      if (exist === false) {
-        //Create Connection
-        nodeforgeData[nodeOneModule].data[id_output].outputs[output_class].connections.push({
-          "node": id_input.toString(),
-          "output": input_class
-        });
-        nodeforgeData[nodeOneModule].data[id_input].inputs[input_class].connections.push({
-          "node": id_output.toString(),
-          "input": output_class
-        });
+    if (this.context.getStateManager().getModuleFromNodeId(id_output) === this.context.getModule()) {
+      this.updateConnectionNodes(buildNodeId(id_output));
+    }
+  }
+
+  /**
+   * Sets the path style of a connection
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {string|null} style - Path style (see PATH_STYLES), null to use the node type's or the editor's
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionPathStyle(id_output, id_input, output_class, input_class, style) {
+    return this.setConnectionProperties(id_output, id_input, output_class, input_class, { path_style: style }, 'pathStyle');
+  }
+
+  /**
+   * Sets the label of a connection
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {string|{text: string, position: number}|null} label - Text, or text and place along
+   *   the path from 0 (output) to 1 (input); null or an empty text removes the label
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionLabel(id_output, id_input, output_class, input_class, label) {
+    let value = typeof label === 'string' ? { text: label } : label;
+    if (!value || value.text === undefined || value.text === null || value.text === '') {
+      value = null;
+    } else {
+      value = Object.assign({}, value, { text: String(value.text) });
+      if (value.position === undefined) delete value.position;
+    }
+    return this.setConnectionProperties(id_output, id_input, output_class, input_class, { label: value }, 'label');
+  }
+
+  /**
+   * Sets the start and end markers of a connection
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {{start: (string|null), end: (string|null)}} markers - Markers (see CONNECTION_MARKERS);
+   *   a missing side is left as is, null uses the editor's marker_start/marker_end
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionMarkers(id_output, id_input, output_class, input_class, markers) {
+    const values = {};
+    if (markers.start !== undefined) values.marker_start = markers.start;
+    if (markers.end !== undefined) values.marker_end = markers.end;
+    return this.setConnectionProperties(id_output, id_input, output_class, input_class, values, 'markers');
+  }
 
-        if (module === nodeOneModule) {
-          //Draw connection
-          let connection = createSVGElement("svg");
-          let path = createSVGElement("path");
-          path.classList.add("main-path");
-          path.setAttributeNS(null, 'd', '');
-          connection.classList.add(CSS_CLASSES.CONNECTION);
-          connection.classList.add("node_in_node-" + id_input);
-          connection.classList.add("node_out_node-" + id_output);
-          connection.classList.add(output_class);
-          connection.classList.add(input_class);
-          connection.appendChild(path);
-          precanvas.appendChild(connection);
-          this.updateConnectionNodes(buildNodeId(id_output));
-          this.updateConnectionNodes(buildNodeId(id_input));
+  /**
+   * Sets the style of a connection
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {{color: string, dash: (string|Array<number>), width: number, class: string}|null} style - Stroke
+   *   color, dash pattern, stroke width and CSS class, each optional; replaces the current style, null removes it
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionStyle(id_output, id_input, output_class, input_class, style) {
+    let value = null;
+    if (style) {
+      value = {};
+      CONNECTION_STYLE_KEYS.forEach((key) => {
+        if (style[key] !== undefined && style[key] !== null && style[key] !== '') {
+          value[key] = style[key];
         }
+      });
+      if (Object.keys(value).length === 0) value = null;
+    }
+    return this.setConnectionProperties(id_output, id_input, output_class, input_class, { style: value }, 'connectionStyle');
+  }
 
-        eventManager.dispatch(EVENTS.CONNECTION_CREATED, {
-          output_id: id_output,
-          input_id: id_input,
-          output_class: output_class,
-          input_class: input_class
-        });
+  /**
+   * Replaces the custom data of a connection
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Object|null} data - JSON-serializable data, null removes it
+   * @returns {boolean} True if the connection exists
+   */
+  updateConnectionData(id_output, id_input, output_class, input_class, data) {
+    return this.setConnectionProperties(id_output, id_input, output_class, input_class, { data: data === undefined ? null : data }, 'updateConnectionData');
+  }
 
-        return true;
+  /**
+   * Opens a text field over the label of a connection to edit it
+   * Enter or leaving the field saves (an empty text removes the label), Escape cancels.
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {number} [position] - Place of a new label along the path, from 0 (output) to 1 (input)
+   * @returns {boolean} True if the field was opened
+   */
+  editConnectionLabel(id_output, id_input, output_class, input_class, position) {
+    const entry = this.getConnectionEntry(id_output, id_input, output_class, input_class);
+    if (entry === null || this.context.getStateManager().getModuleFromNodeId(id_output) !== this.context.getModule()) return false;
+
+    const label = entry.label || {};
+    if (label.position !== undefined) {
+      position = label.position;
+    }
+    const connection = { output_id: id_output, input_id: id_input, output_class: output_class, input_class: input_class };
+    const point = this.context.getRenderManager().getConnectionPoint(connection, position !== undefined ? position : CONNECTION_CONFIG.LABEL_POSITION);
+    if (point === null) return false;
+
+    this.closeLabelEditor();
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add(CSS_CLASSES.CONNECTION_LABEL_EDITOR);
+    input.value = label.text !== undefined ? label.text : '';
+    input.style.left = point.x + 'px';
+    input.style.top = point.y + 'px';
+
+    let open = true;
+    const close = (save) => {
+      if (!open) return;
+      open = false;
+      this.labelEditor = null;
+      input.remove();
+      if (save) {
+        const text = input.value.trim();
+        this.setConnectionLabel(id_output, id_input, output_class, input_class, text === '' ? null : { text: text, position: position });
+      }
+    };
+
+    // Keys and clicks in the field must not reach the editor (Delete would remove the connection)
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        close(true);
+      } else if (e.key === 'Escape') {
+        close(false);
       }
+    });
+    ['mousedown', 'touchstart', 'dblclick'].forEach((type) => {
+      input.addEventListener(type, (e) => e.stopPropagation());
+    });
+    input.addEventListener('blur', () => close(true));
+
+    this.labelEditor = { input: input, close: close };
+    this.context.getPrecanvas().appendChild(input);
+    input.focus();
+    input.select();
+    return true;
+  }
+
+  /**
+   * Closes the label field, saving it
+   */
+  closeLabelEditor() {
+    if (this.labelEditor !== null) {
+      this.labelEditor.close(true);
     }
-    return false;
+  }
+
+  /**
+   * Records a connection removal in the history
+   * @param {string} moduleName - Module the connection belongs to
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Object} entry - The removed output-side connection entry
+   */
+  recordRemoval(moduleName, id_output, id_input, output_class, input_class, entry) {
+    const snapshot = JSON.parse(JSON.stringify(entry || {}));
+
+    this.context.getHistoryManager().record({
+      type: 'removeConnection',
+      module: moduleName,
+      undo: () => this.restoreConnection(id_output, id_input, output_class, input_class, snapshot),
+      redo: () => this.removeSingleConnection(id_output, id_input, output_class, input_class)
+    });
   }
 
   /**
    * Updates all connections for a specific node
+   * Inside a render batch the node is queued and drawn by endBatch().
    * @param {string} id - Node ID (with 'node-' prefix)
    */
   updateConnectionNodes(id) {
-    const container = this.context.getContainer();
-    const precanvas = this.context.getPrecanvas();
-    const nodeforgeData = this.context.getNodeForgeData();
-    const module = this.context.getModule();
-    const zoomManager = this.context.getZoomManager();
-    const renderManager = this.context.getRenderManager();
-    const connectionConfig = this.context.getConnectionConfig();
-    const rerouteConfig = this.context.getRerouteConfig();
-
-    const idSearchOut = 'node_out_' + id;
-    const idSearchIn = 'node_in_' + id;
-    const elemsOut = container.querySelectorAll(`.${CSS_CLASSES.CONNECTION}.${idSearchOut}`);
-    const elemsIn = container.querySelectorAll(`.${CSS_CLASSES.CONNECTION}.${idSearchIn}`);
-
-    const zoomFactors = zoomManager.getZoomFactors();
-    const nodeId = extractNodeId(id);
-
-    // Update output connections
-    Object.keys(elemsOut).forEach((item, i) => {
-      const points = elemsOut[item].querySelectorAll('.point');
-
-      const elemtsearchId_out = container.querySelector(`#${id}`);
-      const elemtsearch = elemtsearchId_out.querySelectorAll('.' + elemsOut[item].classList[3])[0];
-      const id_search = elemsOut[item].classList[1].replace('node_in_', '');
-      const elemtsearchId = container.querySelector(`#${id_search}`);
-      const elemtsearch_in = elemtsearchId.querySelectorAll('.' + elemsOut[item].classList[4])[0];
-
-      if (points.length === 0) {
-        renderManager.updateSimpleOutputConnection(
-          elemsOut[item],
-          elemtsearch,
-          elemtsearch_in,
-          zoomFactors,
-          connectionConfig.curvature
-        );
-      } else {
-        renderManager.updateReroutedOutputConnection(
-          elemsOut[item],
-          points,
-          elemtsearch,
-          elemtsearch_in,
-          zoomFactors,
-          rerouteConfig.curvature,
-          rerouteConfig.curvature_start_end,
-          rerouteConfig.width
-        );
-      }
-    });
-
-    // Update input connections
-    Object.keys(elemsIn).forEach((item, i) => {
-      const points = elemsIn[item].querySelectorAll('.point');
-
-      const elemtsearchId_in = container.querySelector(`#${id}`);
-      const elemtsearch = elemtsearchId_in.querySelectorAll('.' + elemsIn[item].classList[4])[0];
-      const id_search = elemsIn[item].classList[2].replace('node_out_', '');
-      const elemtsearchId = container.querySelector(`#${id_search}`);
-      const elemtsearch_out = elemtsearchId.querySelectorAll('.' + elemsIn[item].classList[3])[0];
-
-      if (points.length === 0) {
-        renderManager.updateSimpleInputConnection(
-          elemsIn[item],
-          elemtsearch_out,
-          elemtsearch,
-          zoomFactors,
-          connectionConfig.curvature
-        );
-      } else {
-        renderManager.updateReroutedInputConnection(
-          elemsIn[item],
-          points,
-          elemtsearch_out,
-          elemtsearch,
-          zoomFactors,
-          rerouteConfig.curvature,
-          rerouteConfig.curvature_start_end,
-          rerouteConfig.width
-        );
-      }
-    });
+    this.context.getRenderManager().updateNodeConnections(extractNodeId(id));
   }
 
   /**
@@ -288,18 +1545,13 @@ export class ConnectionManager {
     const module = this.context.getModule();
 
     if (connection_selected) {
-      // connection_selected is the .main-path element; parent is the .connection SVG
+      // connection_selected is the .main-path element; parent is the .connection element
       const connectionElem = connection_selected.parentElement;
-      const listclass = connectionElem.classList;
+      const { output_id: id_output, input_id: id_input, output_class, input_class } = getConnectionFromElement(connectionElem);
 
       this.context.setConnectionSelected(null);
       connection_selected.classList.remove(CSS_CLASSES.SELECTED);
 
-      const id_output = extractNodeId(listclass[2].replace('node_out_', ''));
-      const id_input = extractNodeId(listclass[1].replace('node_in_', ''));
-      const output_class = listclass[3];
-      const input_class = listclass[4];
-
       // Remove from data
       const outputConnections = nodeforgeData[module].data[id_output].outputs[output_class].connections;
       const inputConnections = nodeforgeData[module].data[id_input].inputs[input_class].connections;
@@ -307,7 +1559,7 @@ export class ConnectionManager {
       const index_out = outputConnections.findIndex(item =>
         item.node === id_input && item.output === input_class
       );
-      outputConnections.splice(index_out, 1);
+      const removed = outputConnections.splice(index_out, 1)[0];
 
       const index_in = inputConnections.findIndex(item =>
         item.node === id_output && item.input === output_class
@@ -322,6 +1574,14 @@ export class ConnectionManager {
         output_class: output_class,
         input_class: input_class
       });
+      this.context.getSelectionManager().deselectConnection({
+        output_id: id_output,
+        input_id: id_input,
+        output_class: output_class,
+        input_class: input_class
+      });
+
+      this.recordRemoval(module, id_output, id_input, output_class, input_class, removed);
     }
   }
 
@@ -349,8 +1609,9 @@ export class ConnectionManager {
       const index_out = outputConnections.findIndex(item =>
         item.node === id_input && item.output === input_class
       );
+      let removed;
       if (index_out > -1) {
-        outputConnections.splice(index_out, 1);
+        removed = outputConnections.splice(index_out, 1)[0];
       }
 
       const index_in = inputConnections.findIndex(item =>
@@ -361,8 +1622,7 @@ export class ConnectionManager {
       }
 
       // Remove DOM element
-      const selector = `.connection.node_in_node-${id_input}.node_out_node-${id_output}.${output_class}.${input_class}`;
-      const ele = container.querySelector(selector);
+      const ele = container.querySelector(buildConnectionSelector(id_output, id_input, output_class, input_class));
       if (ele) {
         ele.remove();
       }
@@ -373,86 +1633,46 @@ export class ConnectionManager {
         output_class: output_class,
         input_class: input_class
       });
+      this.context.getSelectionManager().deselectConnection({
+        output_id: id_output,
+        input_id: id_input,
+        output_class: output_class,
+        input_class: input_class
+      });
+
+      if (removed) {
+        this.recordRemoval(nodeOneModule, id_output, id_input, output_class, input_class, removed);
+      }
     }
   }
 
   /**
    * Removes all connections for a specific node
+   * The connections are taken from the node data, so those without an
+   * element (unmounted in virtualized mode) are removed as well.
    * @param {string} id - Node ID
    */
   removeConnectionNodeId(id) {
-    const container = this.context.getContainer();
+    const stateManager = this.context.getStateManager();
     const nodeforgeData = this.context.getNodeForgeData();
-    const module = this.context.getModule();
-    const eventManager = this.context.getEventManager();
+    const moduleName = stateManager.getModuleFromNodeId(id);
+    if (moduleName === undefined) return;
 
-    const idSearchOut = 'node_out_node-' + id;
-    const idSearchIn = 'node_in_node-' + id;
-    const elemsOut = container.querySelectorAll(`.${CSS_CLASSES.CONNECTION}.${idSearchOut}`);
-    const elemsIn = container.querySelectorAll(`.${CSS_CLASSES.CONNECTION}.${idSearchIn}`);
+    const infoNode = nodeforgeData[moduleName].data[id];
+    const nodeId = id.toString();
 
     // Remove output connections
-    for (let i = elemsOut.length - 1; i >= 0; i--) {
-      const listclass = elemsOut[i].classList;
-      const id_output = extractNodeId(listclass[2].replace('node_out_', ''));
-      const id_input = extractNodeId(listclass[1].replace('node_in_', ''));
-      const output_class = listclass[3];
-      const input_class = listclass[4];
-
-      // Remove from input node
-      const inputConnections = nodeforgeData[module].data[id_input].inputs[input_class].connections;
-      const index_in = inputConnections.findIndex(item =>
-        item.node === id_output && item.input === output_class
-      );
-      inputConnections.splice(index_in, 1);
-
-      // Remove from output node
-      const outputConnections = nodeforgeData[module].data[id_output].outputs[output_class].connections;
-      const index_out = outputConnections.findIndex(item =>
-        item.node === id_input && item.output === input_class
-      );
-      outputConnections.splice(index_out, 1);
-
-      elemsOut[i].remove();
-
-      eventManager.dispatch(EVENTS.CONNECTION_REMOVED, {
-        output_id: id_output,
-        input_id: id_input,
-        output_class: output_class,
-        input_class: input_class
+    Object.keys(infoNode.outputs).forEach((output_class) => {
+      infoNode.outputs[output_class].connections.slice().forEach((item) => {
+        this.removeSingleConnection(nodeId, item.node, output_class, item.output);
       });
-    }
+    });
 
     // Remove input connections
-    for (let i = elemsIn.length - 1; i >= 0; i--) {
-      const listclass = elemsIn[i].classList;
-      const id_output = extractNodeId(listclass[2].replace('node_out_', ''));
-      const id_input = extractNodeId(listclass[1].replace('node_in_', ''));
-      const output_class = listclass[3];
-      const input_class = listclass[4];
-
-      // Remove from output node
-      const outputConnections = nodeforgeData[module].data[id_output].outputs[output_class].connections;
-      const index_out = outputConnections.findIndex(item =>
-        item.node === id_input && item.output === input_class
-      );
-      outputConnections.splice(index_out, 1);
-
-      // Remove from input node
-      const inputConnections = nodeforgeData[module].data[id_input].inputs[input_class].connections;
-      const index_in = inputConnections.findIndex(item =>
-        item.node === id_output && item.input === output_class
-      );
-      inputConnections.splice(index_in, 1);
-
-      elemsIn[i].remove();
-
-      eventManager.dispatch(EVENTS.CONNECTION_REMOVED, {
-        output_id: id_output,
-        input_id: id_input,
-        output_class: output_class,
-        input_class: input_class
+    Object.keys(infoNode.inputs).forEach((input_class) => {
+      infoNode.inputs[input_class].connections.slice().forEach((item) => {
+        this.removeSingleConnection(item.node, nodeId, item.input, input_class);
       });
-    }
+    });
   }
 }
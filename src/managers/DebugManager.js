@@ -0,0 +1,503 @@
+/**
+ * DebugManager - Breakpoints, stepping and execution visualisation
+ *
+ * ExecutionManager reports every run to this manager: beginRun() with the
+ * nodes about to be computed, beforeNode() right before a compute function
+ * is called, and setStatus() as nodes finish. beforeNode() returns a Promise
+ * that stays pending while execution is paused, which is how breakpoints,
+ * pause() and step() hold a run.
+ *
+ * Node states are tracked at all times; when `debug` is on they are also
+ * shown as CSS classes on the nodes, and the value produced by each output
+ * is drawn as a label over the connection's main-path.
+ */
+import { CSS_CLASSES, EVENTS, NODE_STATUS, DEBUG_CONFIG, SVG_NAMESPACE } from '../constants.js';
+import { buildNodeId, buildNodeConnectionsSelector } from '../utils/string.js';
+
+export class DebugManager {
+  /**
+   * Creates a new DebugManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.breakpoints = {};
+    this.status = {};
+    this.errors = {};
+    this.running = null;
+    this.paused = null;
+    this.stepping = false;
+    this.pauseRequested = false;
+    this.stopRequested = false;
+    this.listening = false;
+  }
+
+  /**
+   * Subscribes to the graph events that affect debug state
+   * Done once there is state to maintain (first breakpoint or run)
+   */
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    const eventManager = this.context.getEventManager();
+    eventManager.on(EVENTS.NODE_REMOVED, (id) => this.forget(id));
+    eventManager.on(EVENTS.CONNECTION_CREATED, (connection) => this.renderConnectionValues(connection.output_id));
+    eventManager.on(EVENTS.CONNECTION_UPDATED, (update) => {
+      if (update.previous.output_id !== undefined) {
+        this.renderConnectionValues(update.output_id);
+      }
+    });
+    eventManager.on(EVENTS.IMPORT, () => this.reset());
+  }
+
+  /* Breakpoints */
+
+  /**
+   * Sets or clears the breakpoint of a node
+   * @param {string|number} id - Node ID
+   * @param {boolean} enabled - True to pause before the node is computed
+   * @returns {boolean} False if the node does not exist
+   */
+  setBreakpoint(id, enabled) {
+    const key = id.toString();
+    if (this.context.getStateManager().getModuleFromNodeId(key) === undefined) return false;
+    if (this.hasBreakpoint(key) === !!enabled) return true;
+
+    this.listen();
+    if (enabled) {
+      this.breakpoints[key] = true;
+    } else {
+      delete this.breakpoints[key];
+    }
+
+    const element = this.getNodeElement(key);
+    if (element) {
+      element.classList.toggle(CSS_CLASSES.BREAKPOINT, !!enabled);
+    }
+    this.context.getEventManager().dispatch(EVENTS.BREAKPOINT_CHANGED, { id: key, enabled: !!enabled });
+    return true;
+  }
+
+  /**
+   * Toggles the breakpoint of a node
+   * @param {string|number} id - Node ID
+   * @returns {boolean} New breakpoint state
+   */
+  toggleBreakpoint(id) {
+    this.setBreakpoint(id, !this.hasBreakpoint(id));
+    return this.hasBreakpoint(id);
+  }
+
+  /**
+   * @param {string|number} id - Node ID
+   * @returns {boolean} True if the node has a breakpoint
+   */
+  hasBreakpoint(id) {
+    return this.breakpoints[id.toString()] === true;
+  }
+
+  /**
+   * @returns {Array<string>} IDs of the nodes with a breakpoint
+   */
+  getBreakpoints() {
+    return Object.keys(this.breakpoints);
+  }
+
+  /**
+   * Removes every breakpoint
+   */
+  clearBreakpoints() {
+    this.getBreakpoints().forEach((id) => this.setBreakpoint(id, false));
+  }
+
+  /* Run control */
+
+  /**
+   * Starts tracking a run
+   * @param {string} moduleName - Module being executed
+   * @param {Array<string>} ids - Nodes that will be computed, in order
+   */
+  beginRun(moduleName, ids) {
+    this.listen();
+    this.running = moduleName;
+    this.stopRequested = false;
+    ids.forEach((id) => this.setStatus(id, NODE_STATUS.PENDING));
+  }
+
+  /**
+   * Stops tracking the current run
+   */
+  endRun() {
+    this.running = null;
+    this.paused = null;
+    this.stepping = false;
+    this.pauseRequested = false;
+    this.stopRequested = false;
+  }
+
+  /**
+   * Holds the run before a node is computed when a breakpoint, pause() or step() asks for it
+   * @param {string} id - Node about to be computed
+   * @param {string} moduleName - Module being executed
+   * @param {Object} inputs - Values the node will receive
+   * @returns {Promise} Resolves when the run may go on, rejects when it is stopped
+   */
+  beforeNode(id, moduleName, inputs) {
+    if (this.stopRequested) {
+      return Promise.reject(new Error('Execution stopped'));
+    }
+    if (!this.stepping && !this.pauseRequested && !this.hasBreakpoint(id)) {
+      return Promise.resolve();
+    }
+
+    this.stepping = false;
+    this.pauseRequested = false;
+
+    return new Promise((resolve, reject) => {
+      this.paused = { id: id, module: moduleName, inputs: inputs, resolve: resolve, reject: reject };
+
+      const element = this.getNodeElement(id);
+      if (element && this.context.getDebugConfig().debug) {
+        element.classList.add(CSS_CLASSES.PAUSED);
+      }
+      this.context.getEventManager().dispatch(EVENTS.EXECUTION_PAUSED, {
+        id: id,
+        module: moduleName,
+        inputs: inputs
+      });
+    });
+  }
+
+  /**
+   * Pauses the current run before its next node
+   * When nothing is running, the next run pauses before its first node.
+   */
+  pause() {
+    this.pauseRequested = true;
+  }
+
+  /**
+   * Computes the node the run is paused on, then pauses again before the next one
+   * @returns {boolean} False if the run is not paused
+   */
+  step() {
+    return this.release(true);
+  }
+
+  /**
+   * Lets a paused run go on until the next breakpoint
+   * @returns {boolean} False if the run is not paused
+   */
+  resume() {
+    return this.release(false);
+  }
+
+  /**
+   * Aborts the current run; execute() rejects and uncomputed nodes stay dirty
+   * @returns {boolean} False if nothing is running
+   */
+  stop() {
+    if (this.running === null) return false;
+
+    if (this.paused !== null) {
+      const paused = this.paused;
+      this.clearPaused();
+      paused.reject(new Error('Execution stopped'));
+    } else {
+      this.stopRequested = true;
+    }
+    return true;
+  }
+
+  /**
+   * Releases a paused run
+   * @param {boolean} stepping - True to pause again before the next node
+   * @returns {boolean} False if the run is not paused
+   */
+  release(stepping) {
+    if (this.paused === null) return false;
+
+    const paused = this.paused;
+    this.clearPaused();
+    this.stepping = stepping;
+
+    this.context.getEventManager().dispatch(EVENTS.EXECUTION_RESUMED, {
+      id: paused.id,
+      module: paused.module,
+      step: stepping
+    });
+    paused.resolve();
+    return true;
+  }
+
+  /**
+   * Forgets the paused node and removes its highlight
+   */
+  clearPaused() {
+    const element = this.getNodeElement(this.paused.id);
+    if (element) {
+      element.classList.remove(CSS_CLASSES.PAUSED);
+    }
+    this.paused = null;
+  }
+
+  /**
+   * @returns {Object|null} The node the run is paused on ({id, module, inputs}), null if not paused
+   */
+  getPausedNode() {
+    if (this.paused === null) return null;
+    return { id: this.paused.id, module: this.paused.module, inputs: this.paused.inputs };
+  }
+
+  /* Node states */
+
+  /**
+   * Records the execution state of a node
+   * @param {string} id - Node ID
+   * @param {string} status - One of NODE_STATUS
+   * @param {*} [error] - Error of a failed node
+   */
+  setStatus(id, status, error) {
+    const moduleName = this.context.getStateManager().getModuleFromNodeId(id);
+    this.status[id] = status;
+    if (status === NODE_STATUS.FAILED) {
+      this.errors[id] = error;
+    } else {
+      delete this.errors[id];
+    }
+
+    this.renderNodeStatus(id);
+    if (status === NODE_STATUS.PENDING || status === NODE_STATUS.DONE) {
+      this.renderConnectionValues(id);
+    }
+
+    this.context.getEventManager().dispatch(EVENTS.NODE_STATUS_CHANGED, {
+      id: id,
+      module: moduleName,
+      status: status
+    });
+  }
+
+  /**
+   * @param {string|number} id - Node ID
+   * @returns {string|null} Execution state of the node, null if it never ran
+   */
+  getStatus(id) {
+    return this.status[id.toString()] || null;
+  }
+
+  /**
+   * Gathers what a watch panel needs for every node of a module
+   * @param {string} [moduleName] - Module name, defaults to the current one
+   * @returns {Object} Entries keyed by node ID: {name, status, breakpoint, inputs, outputs, error}
+   */
+  getWatch(moduleName = this.context.getModule()) {
+    const moduleData = this.context.getStateManager().getModuleData(moduleName) || {};
+    const executionManager = this.context.getExecutionManager();
+    const cache = executionManager.cache[moduleName] || {};
+    const watch = {};
+
+    Object.keys(moduleData).forEach((id) => {
+      watch[id] = {
+        name: moduleData[id].name,
+        status: this.getStatus(id),
+        breakpoint: this.hasBreakpoint(id),
+        inputs: executionManager.collectInputs(moduleData[id], cache),
+        outputs: cache[id] !== undefined ? cache[id] : null,
+        error: this.errors[id] !== undefined ? this.errors[id] : null
+      };
+    });
+    return watch;
+  }
+
+  /**
+   * Gets the value currently carried by a connection
+   * @param {string|number} id_output - Output node ID
+   * @param {string} output_class - Output class (e.g., 'output_1')
+   * @returns {*} Last value computed for that output, undefined if none
+   */
+  getConnectionValue(id_output, output_class) {
+    const outputs = this.context.getExecutionManager().getNodeResult(id_output);
+    return outputs !== undefined ? outputs[output_class] : undefined;
+  }
+
+  /**
+   * Drops the state of a removed node
+   * @param {string|number} id - Node ID
+   */
+  forget(id) {
+    const key = id.toString();
+    delete this.breakpoints[key];
+    delete this.status[key];
+    delete this.errors[key];
+  }
+
+  /**
+   * Drops node states after an import; breakpoints of nodes that no longer exist are removed
+   */
+  reset() {
+    const stateManager = this.context.getStateManager();
+    this.status = {};
+    this.errors = {};
+    this.getBreakpoints().forEach((id) => {
+      if (stateManager.getModuleFromNodeId(id) === undefined) {
+        delete this.breakpoints[id];
+      }
+    });
+    this.refresh();
+  }
+
+  /* Rendering */
+
+  /**
+   * Re-applies breakpoints, node states and connection values to the current module
+   * Called after the module is (re)rendered and when debug is toggled
+   */
+  refresh() {
+    const moduleData = this.context.getStateManager().getModuleData(this.context.getModule()) || {};
+    Object.keys(moduleData).forEach((id) => this.refreshNode(id));
+  }
+
+  /**
+   * Re-applies the breakpoint, state and connection values of one node
+   * Used when a virtualized node is mounted
+   * @param {string} id - Node ID
+   */
+  refreshNode(id) {
+    const element = this.getNodeElement(id);
+    if (element) {
+      element.classList.toggle(CSS_CLASSES.BREAKPOINT, this.hasBreakpoint(id));
+      element.classList.toggle(CSS_CLASSES.PAUSED, this.paused !== null && this.paused.id === id && this.context.getDebugConfig().debug);
+    }
+    this.renderNodeStatus(id);
+    this.renderConnectionValues(id);
+  }
+
+  /**
+   * Reflects the state of a node as a CSS class
+   * @param {string} id - Node ID
+   */
+  renderNodeStatus(id) {
+    const element = this.getNodeElement(id);
+    if (!element) return;
+
+    const status = this.context.getDebugConfig().debug ? this.getStatus(id) : null;
+    Object.keys(NODE_STATUS).forEach((key) => {
+      element.classList.toggle(NODE_STATUS[key], NODE_STATUS[key] === status);
+    });
+  }
+
+  /**
+   * Draws the value of each output of a node over its connections
+   * Stale or missing values remove the label.
+   * @param {string|number} id - Output node ID
+   */
+  renderConnectionValues(id) {
+    const container = this.context.getContainer();
+    if (!container) return;
+
+    const show = this.context.getDebugConfig().debug && this.getStatus(id) === NODE_STATUS.DONE;
+    const outputs = this.context.getExecutionManager().getNodeResult(id);
+    const connections = container.querySelectorAll(buildNodeConnectionsSelector(id, 'output'));
+
+    connections.forEach((connection) => {
+      let label = connection.querySelector(`.${CSS_CLASSES.CONNECTION_VALUE}`);
+      const output_class = connection.getAttribute('data-output-class');
+
+      if (!show || outputs === undefined || !(output_class in outputs)) {
+        if (label) label.remove();
+        return;
+      }
+
+      if (!label) {
+        label = document.createElementNS(SVG_NAMESPACE, 'text');
+        label.classList.add(CSS_CLASSES.CONNECTION_VALUE);
+        connection.appendChild(label);
+      }
+      label.textContent = this.formatValue(outputs[output_class]);
+      this.positionValueLabel(connection);
+    });
+  }
+
+  /**
+   * Moves the value label of a connection to the middle of its path
+   * @param {SVGElement} connection - Connection SVG element
+   */
+  positionValueLabel(connection) {
+    const label = connection.querySelector(`.${CSS_CLASSES.CONNECTION_VALUE}`);
+    if (!label) return;
+
+    const paths = connection.querySelectorAll(`.${CSS_CLASSES.MAIN_PATH}`);
+    if (paths.length === 0) return;
+
+    // With reroute_fix_curvature every segment is its own path
+    const path = paths[Math.floor(paths.length / 2)];
+    const point = this.getPathMidpoint(path);
+    if (point === null) return;
+
+    label.setAttribute('x', point.x);
+    label.setAttribute('y', point.y);
+  }
+
+  /**
+   * Gets the middle of an SVG path
+   * Falls back to the middle of its end points when the path cannot be measured
+   * @param {SVGPathElement} path - Path element
+   * @returns {{x: number, y: number}|null} Midpoint, null if the path is empty
+   */
+  getPathMidpoint(path) {
+    if (typeof path.getTotalLength === 'function') {
+      try {
+        const point = path.getPointAtLength(path.getTotalLength() / 2);
+        return { x: point.x, y: point.y };
+      } catch (e) {
+        // Detached or not rendered yet, use the end points
+      }
+    }
+
+    const numbers = (path.getAttribute('d') || '').match(/-?\d*\.?\d+(e[-+]?\d+)?/gi);
+    if (numbers === null || numbers.length < 4) return null;
+    const values = numbers.map(Number);
+    return {
+      x: (values[0] + values[values.length - 2]) / 2,
+      y: (values[1] + values[values.length - 1]) / 2
+    };
+  }
+
+  /**
+   * Turns a value into label text
+   * @param {*} value - Value carried by a connection
+   * @returns {string} Text, truncated to DEBUG_CONFIG.VALUE_MAX_LENGTH characters
+   */
+  formatValue(value) {
+    let text;
+    if (typeof value === 'string') {
+      text = value;
+    } else {
+      try {
+        text = JSON.stringify(value);
+      } catch (e) {
+        // Circular structures
+        text = Object.prototype.toString.call(value);
+      }
+      if (text === undefined) text = String(value);
+    }
+
+    if (text.length > DEBUG_CONFIG.VALUE_MAX_LENGTH) {
+      text = text.slice(0, DEBUG_CONFIG.VALUE_MAX_LENGTH - 1) + '…';
+    }
+    return text;
+  }
+
+  /**
+   * Gets the element of a node of the current module
+   * @param {string|number} id - Node ID
+   * @returns {HTMLElement|null} Node element, null if not rendered
+   */
+  getNodeElement(id) {
+    const container = this.context.getContainer();
+    if (!container) return null;
+    return container.querySelector(`#${buildNodeId(id)}`);
+  }
+}
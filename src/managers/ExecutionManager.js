@@ -0,0 +1,268 @@
+/**
+ * ExecutionManager - Evaluates node graphs
+ *
+ * Runs the compute function registered for each node type in topological
+ * order and passes the returned values along the output connections:
+ *
+ *   editor.registerNode('add', template, null, null, {
+ *     compute: (inputs, node) => ({ output_1: inputs.input_1[0] + inputs.input_2[0] })
+ *   });
+ *
+ * `inputs` holds one array per input class with the value of every connected
+ * output, in connection order. A compute function may return a Promise.
+ *
+ * Results are cached per module. Changing a node's data, adding a node or
+ * (dis)connecting an input marks that node and everything downstream dirty;
+ * the next run only recomputes dirty nodes.
+ */
+import { EVENTS, NODE_STATUS } from '../constants.js';
+import { getAdjacency, topologicalSort } from '../utils/graph.js';
+
+export class ExecutionManager {
+  /**
+   * Creates a new ExecutionManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.cache = {};
+    this.dirty = {};
+    this.queue = Promise.resolve();
+    this.listening = false;
+  }
+
+  /**
+   * Subscribes to the graph events that invalidate cached results
+   * Done on the first execution, nothing is cached before that
+   */
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    const eventManager = this.context.getEventManager();
+    eventManager.on(EVENTS.NODE_DATA_CHANGED, (id) => this.onNodeDataChanged(id));
+    eventManager.on(EVENTS.NODE_CREATED, (id) => this.invalidate(id));
+    eventManager.on(EVENTS.NODE_REMOVED, (id) => this.forget(id));
+    eventManager.on(EVENTS.CONNECTION_CREATED, (connection) => this.invalidate(connection.input_id));
+    eventManager.on(EVENTS.CONNECTION_REMOVED, (connection) => this.invalidate(connection.input_id));
+    eventManager.on(EVENTS.CONNECTION_UPDATED, (update) => {
+      // Reconnecting changes the inputs of the old and the new input node
+      if (update.previous.input_id !== undefined) {
+        this.invalidate(update.previous.input_id);
+        this.invalidate(update.input_id);
+      }
+    });
+    eventManager.on(EVENTS.MODULE_REMOVED, (name) => this.clear(name));
+    eventManager.on(EVENTS.IMPORT, () => this.clear());
+  }
+
+  /**
+   * Evaluates a module
+   * Runs are queued, so a run never overlaps another one.
+   * @param {string} [moduleName] - Module to evaluate, defaults to the current one
+   * @returns {Promise<Object>} Outputs of every evaluated node, keyed by node ID
+   */
+  execute(moduleName = this.context.getModule()) {
+    this.listen();
+
+    const run = this.queue.then(() => this.run(moduleName));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Evaluates the dirty nodes of a module in topological order
+   * A node whose compute function fails is reported with nodeError; the
+   * nodes depending on it are skipped, marked as such, and stay dirty. The DebugManager may
+   * hold the run before any node, or stop it.
+   * @param {string} moduleName - Module to evaluate
+   * @returns {Promise<Object>} Outputs keyed by node ID
+   */
+  run(moduleName) {
+    const moduleData = this.context.getStateManager().getModuleData(moduleName);
+    if (!moduleData) {
+      return Promise.reject(new Error(`Module "${moduleName}" does not exist`));
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(moduleData));
+    const order = topologicalSort(snapshot);
+    if (order === null) {
+      return Promise.reject(new Error(`Module "${moduleName}" contains a cycle and cannot be executed`));
+    }
+
+    if (this.cache[moduleName] === undefined) {
+      this.cache[moduleName] = {};
+      this.dirty[moduleName] = {};
+    }
+    const cache = this.cache[moduleName];
+    const dirty = this.dirty[moduleName];
+    const debugManager = this.context.getDebugManager();
+
+    const pending = order.filter((id) => cache[id] === undefined || dirty[id]);
+    debugManager.beginRun(moduleName, pending);
+
+    return pending.reduce((chain, id) => chain.then(() => {
+
+      const node = snapshot[id];
+      const inputs = this.collectInputs(node, cache);
+      if (inputs === null) {
+        // An upstream node failed or was skipped
+        delete cache[id];
+        dirty[id] = true;
+        debugManager.setStatus(id, NODE_STATUS.SKIPPED);
+        return;
+      }
+
+      const compute = this.getCompute(node);
+      // Rejects when the debugger stops the run, which ends the whole chain
+      return debugManager.beforeNode(id, moduleName, inputs).then(() => {
+        debugManager.setStatus(id, NODE_STATUS.RUNNING);
+        return Promise.resolve()
+          .then(() => (compute ? compute(inputs, node) : {}))
+          .then((outputs) => {
+            cache[id] = outputs || {};
+            delete dirty[id];
+            debugManager.setStatus(id, NODE_STATUS.DONE);
+            this.context.getEventManager().dispatch(EVENTS.NODE_EXECUTED, {
+              id: id,
+              module: moduleName,
+              outputs: cache[id]
+            });
+          }, (error) => {
+            delete cache[id];
+            dirty[id] = true;
+            debugManager.setStatus(id, NODE_STATUS.FAILED, error);
+            this.context.getEventManager().dispatch(EVENTS.NODE_ERROR, {
+              id: id,
+              module: moduleName,
+              error: error
+            });
+          });
+      });
+    }), Promise.resolve()).then(() => {
+      debugManager.endRun();
+      return this.getResults(moduleName);
+    }, (error) => {
+      debugManager.endRun();
+      throw error;
+    });
+  }
+
+  /**
+   * Gathers the values feeding each input of a node
+   * @param {Object} node - Node data
+   * @param {Object} cache - Outputs of the module keyed by node ID
+   * @returns {Object|null} Arrays of values keyed by input class, null if an upstream node has no result
+   */
+  collectInputs(node, cache) {
+    const inputs = {};
+
+    const complete = Object.keys(node.inputs).every((input_class) => {
+      inputs[input_class] = [];
+      return node.inputs[input_class].connections.every((item) => {
+        if (cache[item.node] === undefined) return false;
+        inputs[input_class].push(cache[item.node][item.input]);
+        return true;
+      });
+    });
+
+    return complete ? inputs : null;
+  }
+
+  /**
+   * Gets the compute function registered for a node
+   * @param {Object} node - Node data
+   * @returns {Function|null} Compute function, null if the type has none
+   */
+  getCompute(node) {
+    const definition = this.context.getNodeManager().getNodeDefinition(node.name, node.html, node.typenode);
+    return typeof definition.compute === 'function' ? definition.compute : null;
+  }
+
+  /**
+   * Re-runs the dirty part of an already executed module when a node's data changes
+   * @param {string} id - Node ID
+   */
+  onNodeDataChanged(id) {
+    const moduleName = this.context.getStateManager().getModuleFromNodeId(id);
+    this.invalidate(id);
+
+    if (this.context.getExecutionConfig().auto_execute && this.cache[moduleName] !== undefined) {
+      // Failures are reported through nodeError
+      this.execute(moduleName).catch(() => {});
+    }
+  }
+
+  /**
+   * Marks a node and every node downstream of it dirty
+   * @param {string|number} id - Node ID
+   */
+  invalidate(id) {
+    const stateManager = this.context.getStateManager();
+    const moduleName = stateManager.getModuleFromNodeId(id);
+    if (moduleName === undefined || this.cache[moduleName] === undefined) return;
+
+    const adjacency = getAdjacency(stateManager.getModuleData(moduleName));
+    const stack = [id.toString()];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (this.dirty[moduleName][current]) continue;
+      this.dirty[moduleName][current] = true;
+      (adjacency[current] || []).forEach((next) => stack.push(next));
+    }
+  }
+
+  /**
+   * Drops the cached result of a removed node
+   * @param {string|number} id - Node ID
+   */
+  forget(id) {
+    Object.keys(this.cache).forEach((moduleName) => {
+      delete this.cache[moduleName][id];
+      delete this.dirty[moduleName][id];
+    });
+  }
+
+  /**
+   * Gets the cached outputs of the nodes of a module
+   * @param {string} moduleName - Module name
+   * @returns {Object} Outputs keyed by node ID
+   */
+  getResults(moduleName) {
+    const moduleData = this.context.getStateManager().getModuleData(moduleName) || {};
+    const cache = this.cache[moduleName] || {};
+    const results = {};
+
+    Object.keys(moduleData).forEach((id) => {
+      if (cache[id] !== undefined) {
+        results[id] = cache[id];
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Gets the cached outputs of one node
+   * @param {string|number} id - Node ID
+   * @returns {Object|undefined} Outputs keyed by output class, undefined if not executed
+   */
+  getNodeResult(id) {
+    const moduleName = this.context.getStateManager().getModuleFromNodeId(id);
+    if (moduleName === undefined || this.cache[moduleName] === undefined) return undefined;
+    return this.cache[moduleName][id];
+  }
+
+  /**
+   * Clears cached results
+   * @param {string} [moduleName] - Module to clear, all modules if omitted
+   */
+  clear(moduleName) {
+    if (moduleName === undefined) {
+      this.cache = {};
+      this.dirty = {};
+      return;
+    }
+    delete this.cache[moduleName];
+    delete this.dirty[moduleName];
+  }
+}
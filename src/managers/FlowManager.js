@@ -0,0 +1,331 @@
+/**
+ * FlowManager - Animated flow along connections
+ *
+ * Connections can be marked as active to show data moving along them:
+ * 'dash' animates the dash offset of their paths with CSS, 'dots' moves
+ * circles along the path with <animateMotion>. A pulse sends a single dot
+ * from one end to the other, e.g. when a value passes.
+ *
+ * Flows are view state: they are not part of the module data, exported or
+ * recorded in the history. SvgConnectionRenderer calls renderFlow() whenever
+ * it draws a connection, so flows follow moved nodes and come back when a
+ * connection element is created again (module change, virtualization). The
+ * canvas renderer does not draw them.
+ */
+import { CSS_CLASSES, EVENTS, FLOW_TYPES, FLOW_DIRECTIONS, FLOW_CONFIG, SVG_NAMESPACE } from '../constants.js';
+import { commandsToPath, getPathLength } from '../utils/geometry.js';
+import { getConnectionKey, buildConnectionSelector, buildNodeId } from '../utils/string.js';
+
+export class FlowManager {
+  /**
+   * Creates a new FlowManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.flows = {};
+    this.listening = false;
+  }
+
+  /**
+   * Subscribes to the events that end flows
+   * Done the first time a flow is set
+   */
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    const eventManager = this.context.getEventManager();
+    eventManager.on(EVENTS.CONNECTION_REMOVED, (connection) => {
+      delete this.flows[getConnectionKey({
+        output_id: String(connection.output_id),
+        input_id: String(connection.input_id),
+        output_class: connection.output_class,
+        input_class: connection.input_class
+      })];
+    });
+    eventManager.on(EVENTS.CONNECTION_UPDATED, (update) => {
+      if (update.previous.output_id !== undefined) {
+        this.moveFlow(update.previous, update.values);
+      }
+    });
+    eventManager.on(EVENTS.NODE_REMOVED, (id) => this.forgetNode(String(id)));
+    // Imported connections are drawn before the event, clearing redraws them
+    eventManager.on(EVENTS.IMPORT, () => this.clearFlows());
+  }
+
+  /**
+   * Starts, changes or stops the flow of a connection
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {boolean|Object|null} flow - True or options to animate, false or null to stop
+   * @param {string} [flow.type='dash'] - 'dash' or 'dots'
+   * @param {number} [flow.speed=60] - Canvas units per second
+   * @param {string} [flow.direction='forward'] - 'forward' (output to input) or 'reverse'
+   * @returns {boolean} False if the connection does not exist
+   */
+  setFlow(connection, flow) {
+    const connectionManager = this.context.getConnectionManager();
+    if (connectionManager.getConnectionEntry(connection.output_id, connection.input_id, connection.output_class, connection.input_class) === null) {
+      return false;
+    }
+    this.listen();
+
+    const key = getConnectionKey(connection);
+    if (flow) {
+      this.flows[key] = {
+        connection: {
+          output_id: String(connection.output_id),
+          input_id: String(connection.input_id),
+          output_class: connection.output_class,
+          input_class: connection.input_class
+        },
+        options: this.normalize(flow === true ? {} : flow, FLOW_CONFIG.SPEED)
+      };
+    } else {
+      delete this.flows[key];
+    }
+
+    this.redraw(connection);
+    return true;
+  }
+
+  /**
+   * Gets the flow of a connection
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @returns {{type: string, speed: number, direction: string}|null} Copy of the options, null if not animated
+   */
+  getFlow(connection) {
+    const flow = this.flows[getConnectionKey(connection)];
+    return flow ? Object.assign({}, flow.options) : null;
+  }
+
+  /**
+   * Lists the animated connections
+   * @returns {Array<Object>} Connections ({ output_id, input_id, output_class, input_class })
+   */
+  getFlows() {
+    return Object.keys(this.flows).map((key) => Object.assign({}, this.flows[key].connection));
+  }
+
+  /**
+   * Stops every flow
+   */
+  clearFlows() {
+    const connections = this.getFlows();
+    this.flows = {};
+    connections.forEach((connection) => this.redraw(connection));
+  }
+
+  /**
+   * Drops every flow without redrawing
+   * Called when the editor is cleared.
+   */
+  reset() {
+    this.flows = {};
+  }
+
+  /**
+   * Drops the flows of a removed node
+   * @param {string} id - Node ID
+   */
+  forgetNode(id) {
+    Object.keys(this.flows).forEach((key) => {
+      const connection = this.flows[key].connection;
+      if (connection.output_id === id || connection.input_id === id) {
+        delete this.flows[key];
+      }
+    });
+  }
+
+  /**
+   * Keeps the flow of a reconnected connection
+   * @param {Object} previous - Previous ends ({ output_id, input_id, output_class, input_class })
+   * @param {Object} connection - New ends
+   */
+  moveFlow(previous, connection) {
+    const flow = this.flows[getConnectionKey(previous)];
+    if (!flow) return;
+
+    delete this.flows[getConnectionKey(previous)];
+    this.flows[getConnectionKey(connection)] = {
+      connection: {
+        output_id: String(connection.output_id),
+        input_id: String(connection.input_id),
+        output_class: connection.output_class,
+        input_class: connection.input_class
+      },
+      options: flow.options
+    };
+    this.redraw(connection);
+  }
+
+  /**
+   * Sends one dot along a connection
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {Object} [options={}] - Pulse options
+   * @param {number} [options.speed=300] - Canvas units per second
+   * @param {string} [options.direction='forward'] - 'forward' (output to input) or 'reverse'
+   * @returns {boolean} False if the connection is not drawn as an element
+   */
+  pulse(connection, options = {}) {
+    const element = this.context.getContainer().querySelector(buildConnectionSelector(
+      connection.output_id, connection.input_id, connection.output_class, connection.input_class
+    ));
+    const data = this.getConnectionData(connection);
+    const segments = element && data !== null ? this.context.getRenderManager().getConnectionSegments(data) : null;
+    if (segments === null) return false;
+
+    const settings = this.normalize(options, FLOW_CONFIG.PULSE_SPEED);
+    const duration = this.getDuration(segments, settings.speed);
+    const dot = this.createDot(CSS_CLASSES.FLOW_PULSE, segments, duration, settings.direction);
+    const motion = dot.firstChild;
+    motion.setAttribute('begin', 'indefinite');
+    motion.setAttribute('fill', 'freeze');
+    element.appendChild(dot);
+
+    if (typeof motion.beginElement === 'function') {
+      motion.beginElement();
+    }
+    setTimeout(() => dot.remove(), duration * 1000);
+    return true;
+  }
+
+  /**
+   * Writes the flow of a connection into its element
+   * Called by SvgConnectionRenderer for every drawn connection.
+   * @param {SVGElement} element - Connection SVG element
+   * @param {Object} item - Connection and its segments
+   */
+  renderFlow(element, item) {
+    const flow = this.flows[getConnectionKey(item.connection)];
+    const options = flow ? flow.options : null;
+
+    element.classList.toggle(CSS_CLASSES.FLOW_DASH, options !== null && options.type === FLOW_TYPES.DASH);
+    element.classList.toggle(CSS_CLASSES.FLOW_DOTS, options !== null && options.type === FLOW_TYPES.DOTS);
+    element.classList.toggle(CSS_CLASSES.FLOW_REVERSE, options !== null && options.direction === FLOW_DIRECTIONS.REVERSE);
+    if (options !== null && options.type === FLOW_TYPES.DASH) {
+      element.style.setProperty('--nf-flow-duration', (FLOW_CONFIG.DASH_LENGTH / options.speed) + 's');
+    } else {
+      element.style.removeProperty('--nf-flow-duration');
+    }
+
+    const path = item.segments.map(commandsToPath).join('');
+    let dots = element.querySelectorAll(`.${CSS_CLASSES.FLOW_DOT}`);
+    if (options === null || options.type !== FLOW_TYPES.DOTS) {
+      dots.forEach((dot) => dot.remove());
+    } else {
+      const duration = this.getDuration(item.segments, options.speed);
+      if (dots.length !== FLOW_CONFIG.DOTS) {
+        dots.forEach((dot) => dot.remove());
+        for (let i = 0; i < FLOW_CONFIG.DOTS; i++) {
+          element.appendChild(this.createDot(CSS_CLASSES.FLOW_DOT, item.segments, duration, options.direction));
+        }
+        dots = element.querySelectorAll(`.${CSS_CLASSES.FLOW_DOT}`);
+      }
+
+      // Spread evenly along the path
+      dots.forEach((dot, i) => {
+        const motion = dot.firstChild;
+        this.setDirection(motion, options.direction);
+        motion.setAttribute('dur', duration + 's');
+        motion.setAttribute('begin', (-Math.round(i * duration / FLOW_CONFIG.DOTS * 1000) / 1000) + 's');
+      });
+    }
+
+    // Moving dots and pulses follow the path
+    element.querySelectorAll(`.${CSS_CLASSES.FLOW_DOT} animateMotion, .${CSS_CLASSES.FLOW_PULSE} animateMotion`).forEach((motion) => {
+      motion.setAttribute('path', path);
+    });
+  }
+
+  /**
+   * Fills in the default options
+   * @private
+   * @param {Object} options - Options
+   * @param {number} speed - Default speed
+   * @returns {{type: string, speed: number, direction: string}} Options
+   */
+  normalize(options, speed) {
+    return {
+      type: options.type === FLOW_TYPES.DOTS ? FLOW_TYPES.DOTS : FLOW_CONFIG.TYPE,
+      speed: Number(options.speed) > 0 ? Number(options.speed) : speed,
+      direction: options.direction === FLOW_DIRECTIONS.REVERSE ? FLOW_DIRECTIONS.REVERSE : FLOW_CONFIG.DIRECTION
+    };
+  }
+
+  /**
+   * Gets the time a dot takes to travel a path
+   * Rounded to a tenth of a second, so small moves do not restart the animation.
+   * @private
+   * @param {Array<Array<Object>>} segments - Path commands of each segment
+   * @param {number} speed - Canvas units per second
+   * @returns {number} Seconds
+   */
+  getDuration(segments, speed) {
+    return Math.max(0.1, Math.round(getPathLength(segments) / speed * 10) / 10);
+  }
+
+  /**
+   * Creates a circle moving along a path
+   * @private
+   * @param {string} className - CSS class of the circle
+   * @param {Array<Array<Object>>} segments - Path commands of each segment
+   * @param {number} duration - Seconds per trip
+   * @param {string} direction - 'forward' or 'reverse'
+   * @returns {SVGCircleElement} Circle with its <animateMotion>
+   */
+  createDot(className, segments, duration, direction) {
+    const dot = document.createElementNS(SVG_NAMESPACE, 'circle');
+    dot.classList.add(className);
+    dot.setAttribute('r', FLOW_CONFIG.DOT_RADIUS);
+
+    const motion = document.createElementNS(SVG_NAMESPACE, 'animateMotion');
+    motion.setAttribute('path', segments.map(commandsToPath).join(''));
+    motion.setAttribute('dur', duration + 's');
+    motion.setAttribute('repeatCount', className === CSS_CLASSES.FLOW_DOT ? 'indefinite' : '1');
+    this.setDirection(motion, direction);
+    dot.appendChild(motion);
+    return dot;
+  }
+
+  /**
+   * Sets which way an <animateMotion> travels its path
+   * @private
+   * @param {SVGElement} motion - animateMotion element
+   * @param {string} direction - 'forward' or 'reverse'
+   */
+  setDirection(motion, direction) {
+    if (direction === FLOW_DIRECTIONS.REVERSE) {
+      motion.setAttribute('keyPoints', '1;0');
+      motion.setAttribute('keyTimes', '0;1');
+      motion.setAttribute('calcMode', 'linear');
+    } else {
+      motion.removeAttribute('keyPoints');
+      motion.removeAttribute('keyTimes');
+      motion.removeAttribute('calcMode');
+    }
+  }
+
+  /**
+   * Gets a connection of the current module with its reroute points
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @returns {Object|null} Connection data, null if it does not exist
+   */
+  getConnectionData(connection) {
+    return this.context.getRenderManager().getConnection(
+      connection.output_id, connection.output_class, connection.input_id, connection.input_class
+    );
+  }
+
+  /**
+   * Redraws a connection of the current module so its flow is written
+   * @private
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   */
+  redraw(connection) {
+    if (this.context.getStateManager().getModuleFromNodeId(connection.output_id) === this.context.getModule()) {
+      this.context.getConnectionManager().updateConnectionNodes(buildNodeId(connection.output_id));
+    }
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * HistoryManager - Handles undo/redo history
+ *
+ * Records every graph mutation as a command object and replays it on
+ * undo/redo. A command is a plain object:
+ *   { type: 'addNode', module: 'Home', undo: Function, redo: Function }
+ *
+ * Managers call record() after a mutation succeeds. Compound actions
+ * (e.g. removing a node together with its connections) are grouped with
+ * beginTransaction()/endTransaction() so a single undo reverts them all.
+ */
+import { EVENTS } from '../constants.js';
+
+export class HistoryManager {
+  /**
+   * Creates a new HistoryManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transactions = [];
+    this.replaying = false;
+  }
+
+  /**
+   * Checks whether commands are currently being recorded
+   * @returns {boolean} True if a new command would be recorded
+   */
+  isRecording() {
+    return !this.replaying && this.context.getHistoryConfig().depth > 0;
+  }
+
+  /**
+   * Checks whether an undo/redo is being replayed
+   * @returns {boolean} True while a command is being replayed
+   */
+  isReplaying() {
+    return this.replaying;
+  }
+
+  /**
+   * Records a command
+   * Ignored while an undo/redo is being replayed so that the manager
+   * methods used to replay a command do not record themselves again
+   * @param {Object} command - Command with type, module, undo and redo
+   */
+  record(command) {
+    if (!this.isRecording()) return;
+
+    if (this.transactions.length > 0) {
+      this.transactions[this.transactions.length - 1].commands.push(command);
+      return;
+    }
+
+    this.push(command);
+  }
+
+  /**
+   * Pushes a command on the undo stack, enforcing the configured depth
+   * @param {Object} command - Command to push
+   */
+  push(command) {
+    const depth = this.context.getHistoryConfig().depth;
+
+    this.undoStack.push(command);
+    while (this.undoStack.length > depth) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Opens a transaction; every command recorded until the matching
+   * endTransaction() is undone and redone as one step.
+   * Transactions can be nested, only the outermost one is pushed.
+   * @param {string} [label='transaction'] - Name reported as the command type
+   */
+  beginTransaction(label = 'transaction') {
+    this.transactions.push({ type: label, commands: [] });
+  }
+
+  /**
+   * Closes the innermost transaction
+   */
+  endTransaction() {
+    const transaction = this.transactions.pop();
+    if (!transaction || transaction.commands.length === 0) return;
+
+    const commands = transaction.commands;
+    const command = {
+      type: transaction.type,
+      module: commands[0].module,
+      commands: commands,
+      undo: () => {
+        for (let i = commands.length - 1; i >= 0; i--) {
+          commands[i].undo();
+        }
+      },
+      redo: () => {
+        commands.forEach((item) => item.redo());
+      }
+    };
+
+    if (this.transactions.length > 0) {
+      this.transactions[this.transactions.length - 1].commands.push(command);
+    } else if (this.isRecording()) {
+      this.push(command);
+    }
+  }
+
+  /**
+   * Undoes the last command
+   * @returns {boolean} True if a command was undone
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+
+    const command = this.undoStack.pop();
+    this.replay(command, 'undo');
+    this.redoStack.push(command);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Redoes the last undone command
+   * @returns {boolean} True if a command was redone
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+
+    const command = this.redoStack.pop();
+    this.replay(command, 'redo');
+    this.undoStack.push(command);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Runs one side of a command with recording disabled
+   * Switches to the command's module first when it belongs to another one
+   * @param {Object} command - Command to replay
+   * @param {string} action - 'undo' or 'redo'
+   */
+  replay(command, action) {
+    const stateManager = this.context.getStateManager();
+    const moduleManager = this.context.getModuleManager();
+
+    this.replaying = true;
+    try {
+      if (command.module && command.module !== this.context.getModule() && stateManager.moduleExists(command.module)) {
+        moduleManager.changeModule(command.module);
+      }
+      command[action]();
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  /**
+   * Checks if there is a command to undo
+   * @returns {boolean} True if undo() would do something
+   */
+  canUndo() {
+    return this.undoStack.length > 0 && this.transactions.length === 0;
+  }
+
+  /**
+   * Checks if there is a command to redo
+   * @returns {boolean} True if redo() would do something
+   */
+  canRedo() {
+    return this.redoStack.length > 0 && this.transactions.length === 0;
+  }
+
+  /**
+   * Clears the undo and redo stacks
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transactions = [];
+    this.notify();
+  }
+
+  /**
+   * Dispatches the historyChanged event
+   */
+  notify() {
+    const eventManager = this.context.getEventManager();
+    eventManager.dispatch(EVENTS.HISTORY_CHANGED, {
+      can_undo: this.canUndo(),
+      can_redo: this.canRedo(),
+      undo_size: this.undoStack.length,
+      redo_size: this.redoStack.length
+    });
+  }
+}
@@ -25,6 +25,33 @@ export class ModuleManager {
 
     const eventManager = this.context.getEventManager();
     eventManager.dispatch(EVENTS.MODULE_CREATED, name);
+
+    this.context.getHistoryManager().record({
+      type: 'addModule',
+      undo: () => this.removeModule(name),
+      redo: () => this.addModule(name)
+    });
+  }
+
+  /**
+   * Restores a module from a data snapshot
+   * Used by undo/redo; reloads the canvas when the module is the current one
+   * @param {string} name - Module name
+   * @param {Object} moduleData - Module snapshot ({ data: {...} })
+   */
+  restoreModule(name, moduleData) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const eventManager = this.context.getEventManager();
+    const created = nodeforgeData[name] === undefined;
+
+    nodeforgeData[name] = JSON.parse(JSON.stringify(moduleData));
+
+    if (created) {
+      eventManager.dispatch(EVENTS.MODULE_CREATED, name);
+    }
+    if (this.context.getModule() === name) {
+      this.context.nodeforge.import(this.context.nodeforge.nodeforge, false);
+    }
   }
 
   /**
@@ -79,11 +106,19 @@ export class ModuleManager {
       this.changeModule('Home');
     }
 
+    const snapshot = JSON.parse(JSON.stringify(nodeforgeData[name]));
+
     // Delete the module
     delete nodeforgeData[name];
 
     // Dispatch module removed event
     eventManager.dispatch(EVENTS.MODULE_REMOVED, name);
+
+    this.context.getHistoryManager().record({
+      type: 'removeModule',
+      undo: () => this.restoreModule(name, snapshot),
+      redo: () => this.removeModule(name)
+    });
   }
 
   /**
@@ -94,12 +129,21 @@ export class ModuleManager {
     const precanvas = this.context.getPrecanvas();
     const currentModule = this.context.getModule();
     const nodeforgeData = this.context.getNodeForgeData();
+    const snapshot = JSON.parse(JSON.stringify(nodeforgeData[currentModule]));
 
     // Clear canvas
     precanvas.innerHTML = "";
+    this.context.getRenderManager().reset();
 
     // Clear module data
     nodeforgeData[currentModule] = { "data": {} };
+
+    this.context.getHistoryManager().record({
+      type: 'clearModule',
+      module: currentModule,
+      undo: () => this.restoreModule(currentModule, snapshot),
+      redo: () => this.clearModuleSelected()
+    });
   }
 
   /**
@@ -112,6 +156,7 @@ export class ModuleManager {
 
     // Clear canvas
     precanvas.innerHTML = "";
+    this.context.getRenderManager().reset();
 
     // Reset to default nodeforge structure
     this.context.nodeforge.nodeforge = {
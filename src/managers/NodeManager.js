@@ -9,8 +9,24 @@ import {
   extractNodeId,
   buildNodeId
 } from '../utils/string.js';
-import { CSS_CLASSES, EVENTS } from '../constants.js';
-import { createSVGElement } from '../utils/dom.js';
+import { CSS_CLASSES, EVENTS, PORT_LIMIT_POLICIES, SCHEMA_VALIDATION } from '../constants.js';
+import {
+  getBindingAttribute,
+  getBoundDataValue,
+  readBoundValue,
+  writeBoundValue,
+  resetBoundValue
+} from '../utils/binding.js';
+import { createPortData, getPortSettings, setPortTypeAttribute, applyPortLimit } from '../utils/ports.js';
+import {
+  getSchemaDefaults,
+  coerceData,
+  validateData,
+  validateValue,
+  readFieldValue,
+  createSchemaForm,
+  markInvalidFields
+} from '../utils/schema.js';
 
 export class NodeManager {
   /**
@@ -27,10 +43,50 @@ export class NodeManager {
    * @param {HTMLElement|Object} html - HTML template or Vue component
    * @param {Object} props - Component properties
    * @param {Object} options - Additional options
+   * @param {{inputs: Array, outputs: Array, compute: Function, schema: Object, path_style: string}} [definition=null] - Port
+   *   definitions used when a node of this type is added with port counts (see addNode), the compute
+   *   function run by execute(), the data schema the node's form is generated from (see utils/schema.js)
+   *   and the path style of the connections leaving nodes of this type
    */
-  registerNode(name, html, props = null, options = null) {
+  registerNode(name, html, props = null, options = null, definition = null) {
     const nodeRegister = this.context.getNodeRegister();
-    nodeRegister[name] = { html: html, props: props, options: options };
+    nodeRegister[name] = { html: html, props: props, options: options, definition: definition || {} };
+  }
+
+  /**
+   * Gets the registered definition of a node
+   * Looks the node name up first, then the registered template it renders
+   * @param {string} name - Node name
+   * @param {string} html - Node html or registered template name
+   * @param {boolean|string} typenode - Node typenode
+   * @returns {Object} Definition ({ inputs, outputs, compute, schema, path_style }), empty if none
+   */
+  getNodeDefinition(name, html, typenode) {
+    const nodeRegister = this.context.getNodeRegister();
+    if (nodeRegister[name] && nodeRegister[name].definition) {
+      return nodeRegister[name].definition;
+    }
+    if (typenode !== false && nodeRegister[html] && nodeRegister[html].definition) {
+      return nodeRegister[html].definition;
+    }
+    return {};
+  }
+
+  /**
+   * Resolves the port definitions of a new node
+   * @param {number|Array} ports - Port count or list of port definitions
+   * @param {Array} [registered] - Port definitions of the registered node type
+   * @returns {Array} One definition per port (null for untyped ports)
+   */
+  getPortDefinitions(ports, registered) {
+    if (Array.isArray(ports)) {
+      return ports;
+    }
+    const definitions = [];
+    for (let x = 0; x < ports; x++) {
+      definitions.push(Array.isArray(registered) && registered[x] !== undefined ? registered[x] : null);
+    }
+    return definitions;
   }
 
   /**
@@ -50,39 +106,200 @@ export class NodeManager {
     }
     if (object !== null) {
       Object.entries(object).forEach((key, value) => {
-        if (typeof key[1] === "object") {
+        if (this.isNestedData(content, key[1], completname + '-' + key[0])) {
           this.populateNodeDataAttributes(content, dataSource, object, key[0], completname + '-' + key[0]);
         } else {
           let elems = content.querySelectorAll('[df-' + completname + '-' + key[0] + ']');
           for (let i = 0; i < elems.length; i++) {
-            elems[i].value = key[1];
-            if (elems[i].isContentEditable) {
-              elems[i].innerText = key[1];
-            }
+            writeBoundValue(elems[i], key[1]);
           }
         }
       });
     }
   }
 
+  /**
+   * Writes node data into the df-* controls of a node's content
+   * @param {HTMLElement} content - Node content element
+   * @param {Object} data - Node data
+   */
+  populateNodeData(content, data) {
+    Object.entries(data).forEach((key, value) => {
+      if (this.isNestedData(content, key[1], key[0])) {
+        this.populateNodeDataAttributes(content, data, null, key[0], key[0]);
+      } else {
+        let elems = content.querySelectorAll('[df-' + key[0] + ']');
+        for (let i = 0; i < elems.length; i++) {
+          writeBoundValue(elems[i], key[1]);
+        }
+      }
+    });
+  }
+
+  /**
+   * Tells whether a data value is an object whose keys are bound separately
+   * An array bound to a control of its own (select[multiple], checkbox group)
+   * is a single value.
+   * @param {HTMLElement} content - Node content element
+   * @param {*} value - Data value
+   * @param {string} path - df-* path of the value (e.g., 'user-address')
+   * @returns {boolean} True if the value's keys are bound as 'path-key'
+   */
+  isNestedData(content, value, path) {
+    if (value === null || typeof value !== 'object') return false;
+    return !(Array.isArray(value) && content.querySelector('[df-' + path + ']') !== null);
+  }
+
+  /**
+   * Appends the form generated from a schema to a node's content and flags invalid data
+   * @param {HTMLElement} node - Node element
+   * @param {HTMLElement} content - Node content element
+   * @param {Object} schema - Field descriptions keyed by data key
+   * @param {Object} data - Node data
+   */
+  appendSchemaForm(node, content, schema, data) {
+    content.appendChild(createSchemaForm(schema, data));
+    this.markNodeValidity(node, schema, validateData(schema, data));
+  }
+
+  /**
+   * Reflects validation errors on a node element and its form controls
+   * @param {HTMLElement} node - Node element
+   * @param {Object} schema - Field descriptions keyed by data key
+   * @param {Object|null} errors - Error messages keyed by data key
+   */
+  markNodeValidity(node, schema, errors) {
+    node.classList.toggle(CSS_CLASSES.INVALID, errors !== null);
+    markInvalidFields(node, schema, errors);
+  }
+
+  /**
+   * Validates the data of a node against the schema of its type
+   * @param {string|number} id - Node ID
+   * @param {Object} [data] - Data to check instead of the node's current data
+   * @returns {Object|null} Error messages keyed by data key, null if valid or the type has no schema
+   */
+  validateNodeData(id, data) {
+    const nodeInfo = this.context.getStateManager().getNodeFromId(id);
+    const definition = this.getNodeDefinition(nodeInfo.name, nodeInfo.html, nodeInfo.typenode);
+    if (!definition.schema) return null;
+    return validateData(definition.schema, coerceData(definition.schema, data !== undefined ? data : nodeInfo.data));
+  }
+
+  /**
+   * Renders the content of a node: an HTML string, a registered template or a Vue component
+   * @param {HTMLElement} content - Node content element
+   * @param {string} html - HTML string, or the registered name when typenode is not false
+   * @param {boolean|string} typenode - false for HTML, true for a registered template, 'vue' for a component
+   */
+  renderNodeContent(content, html, typenode) {
+    const nodeRegister = this.context.getNodeRegister();
+    const renderFunction = this.context.getRenderFunction();
+    const parent_context = this.context.getParent();
+
+    if (typenode === false) {
+      content.innerHTML = html;
+    } else if (typenode === true) {
+      content.appendChild(nodeRegister[html].html.cloneNode(true));
+    } else {
+      if (parseInt(renderFunction.version) === 3) {
+        //Vue 3
+        let wrapper = renderFunction.h(nodeRegister[html].html, nodeRegister[html].props, nodeRegister[html].options);
+        wrapper.appContext = parent_context;
+        renderFunction.render(wrapper, content);
+      } else {
+        // Vue 2
+        let wrapper = new renderFunction({
+          parent: parent_context,
+          render: h => h(nodeRegister[html].html, { props: nodeRegister[html].props }),
+          ...nodeRegister[html].options
+        }).$mount();
+        content.appendChild(wrapper.$el);
+      }
+    }
+  }
+
+  /**
+   * Unmounts the Vue component rendered in a node's content and empties it
+   * @param {HTMLElement} content - Node content element
+   */
+  clearNodeContent(content) {
+    const renderFunction = this.context.getRenderFunction();
+
+    if (renderFunction && parseInt(renderFunction.version) === 3) {
+      renderFunction.render(null, content);
+    } else if (content.firstElementChild && content.firstElementChild.__vue__) {
+      content.firstElementChild.__vue__.$destroy();
+    }
+    content.innerHTML = '';
+  }
+
+  /**
+   * Brings the rendered content of one node in line with its data
+   * Bound controls are re-hydrated in place, so focus, scroll and selection are
+   * kept; controls whose key is no longer in the data go back to their template
+   * value. Vue components are rendered again since they may derive from the data.
+   * @param {string|number} id - Node ID
+   */
+  refreshNodeContent(id) {
+    const stateManager = this.context.getStateManager();
+    if (stateManager.getModuleFromNodeId(id) !== this.context.getModule()) return;
+
+    const node = this.context.getContainer().querySelector(`#${buildNodeId(id)}`);
+    if (!node) return;
+
+    const dataNode = stateManager.getNodeFromId(id);
+    const content = node.querySelector(`.${CSS_CLASSES.NODEFORGE_CONTENT_NODE}`);
+    const definition = this.getNodeDefinition(dataNode.name, dataNode.html, dataNode.typenode);
+
+    if (dataNode.typenode !== false && dataNode.typenode !== true) {
+      this.clearNodeContent(content);
+      this.renderNodeContent(content, dataNode.html, dataNode.typenode);
+      if (definition.schema) {
+        content.appendChild(createSchemaForm(definition.schema, dataNode.data));
+      }
+    }
+
+    content.querySelectorAll('*').forEach((element) => {
+      const attribute = getBindingAttribute(element);
+      if (attribute === null) return;
+
+      const value = getBoundDataValue(dataNode.data, attribute);
+      if (value === undefined) {
+        resetBoundValue(element);
+      } else {
+        writeBoundValue(element, value);
+      }
+    });
+
+    if (definition.schema) {
+      this.markNodeValidity(node, definition.schema, validateData(definition.schema, dataNode.data));
+    }
+
+    // Ports move when the content changes the node's size: they are measured
+    // again with the next draw rather than reading the layout here
+    const renderManager = this.context.getRenderManager();
+    renderManager.invalidatePorts(id);
+    renderManager.requestNodeUpdate(id);
+  }
+
   /**
    * Adds a new node to the editor
    * @param {string} name - The name/type of the node
-   * @param {number} num_in - Number of input connectors
-   * @param {number} num_out - Number of output connectors
+   * @param {number|Array} num_in - Number of input connectors, or one definition per input
+   *   (a type string, an array of accepted types, { type } or null)
+   * @param {number|Array} num_out - Number of output connectors, or one definition per output
    * @param {number} ele_pos_x - X position of the node in pixels
    * @param {number} ele_pos_y - Y position of the node in pixels
    * @param {string} classoverride - Additional CSS classes to apply to the node
-   * @param {Object} data - Custom data object associated with the node
+   * @param {Object} data - Custom data object associated with the node; for a type with a
+   *   schema it is coerced and completed with the schema defaults
    * @param {string} html - HTML content to render inside the node
    * @param {boolean} [typenode=false] - Whether this is a special type node
    * @returns {number|string} The ID of the created node
    */
   addNode(name, num_in, num_out, ele_pos_x, ele_pos_y, classoverride, data, html, typenode = false) {
     const useuuid = this.context.isUsingUuid();
-    const nodeRegister = this.context.getNodeRegister();
-    const renderFunction = this.context.getRenderFunction();
-    const parent_context = this.context.getParent();
     const precanvas = this.context.getPrecanvas();
     const nodeforgeData = this.context.getNodeForgeData();
     const module = this.context.getModule();
@@ -112,60 +329,40 @@ export class NodeManager {
     const outputs = document.createElement('div');
     outputs.classList.add(CSS_CLASSES.OUTPUTS);
 
+    const definition = this.getNodeDefinition(name, html, typenode);
+    const inputDefinitions = this.getPortDefinitions(num_in, definition.inputs);
+    const outputDefinitions = this.getPortDefinitions(num_out, definition.outputs);
+
     const json_inputs = {};
-    for (let x = 0; x < num_in; x++) {
+    for (let x = 0; x < inputDefinitions.length; x++) {
       const input = document.createElement('div');
       input.classList.add(CSS_CLASSES.INPUT);
       input.classList.add("input_" + (x + 1));
-      json_inputs["input_" + (x + 1)] = { "connections": [] };
+      json_inputs["input_" + (x + 1)] = createPortData(inputDefinitions[x]);
+      setPortTypeAttribute(input, json_inputs["input_" + (x + 1)].type);
       inputs.appendChild(input);
     }
 
     const json_outputs = {};
-    for (let x = 0; x < num_out; x++) {
+    for (let x = 0; x < outputDefinitions.length; x++) {
       const output = document.createElement('div');
       output.classList.add(CSS_CLASSES.OUTPUT);
       output.classList.add("output_" + (x + 1));
-      json_outputs["output_" + (x + 1)] = { "connections": [] };
+      json_outputs["output_" + (x + 1)] = createPortData(outputDefinitions[x]);
+      setPortTypeAttribute(output, json_outputs["output_" + (x + 1)].type);
       outputs.appendChild(output);
     }
 
     const content = document.createElement('div');
     content.classList.add("nodeforge_content_node");
-    if (typenode === false) {
-      content.innerHTML = html;
-    } else if (typenode === true) {
-      content.appendChild(nodeRegister[html].html.cloneNode(true));
-    } else {
-      if (parseInt(renderFunction.version) === 3) {
-        //Vue 3
-        let wrapper = renderFunction.h(nodeRegister[html].html, nodeRegister[html].props, nodeRegister[html].options);
-        wrapper.appContext = parent_context;
-        renderFunction.render(wrapper, content);
-      } else {
-        // Vue 2
-        let wrapper = new renderFunction({
-          parent: parent_context,
-          render: h => h(nodeRegister[html].html, { props: nodeRegister[html].props }),
-          ...nodeRegister[html].options
-        }).$mount();
-        content.appendChild(wrapper.$el);
-      }
+    this.renderNodeContent(content, html, typenode);
+
+    if (definition.schema) {
+      data = Object.assign(getSchemaDefaults(definition.schema), coerceData(definition.schema, data));
+      this.appendSchemaForm(node, content, definition.schema, data);
     }
 
-    Object.entries(data).forEach((key, value) => {
-      if (typeof key[1] === "object") {
-        this.populateNodeDataAttributes(content, data, null, key[0], key[0]);
-      } else {
-        let elems = content.querySelectorAll('[df-' + key[0] + ']');
-        for (let i = 0; i < elems.length; i++) {
-          elems[i].value = key[1];
-          if (elems[i].isContentEditable) {
-            elems[i].innerText = key[1];
-          }
-        }
-      }
-    });
+    this.populateNodeData(content, data);
 
     node.appendChild(inputs);
     node.appendChild(content);
@@ -189,20 +386,72 @@ export class NodeManager {
     };
 
     nodeforgeData[module].data[newNodeId] = json;
+    this.context.getAccessibilityManager().describeNode(String(newNodeId));
     eventManager.dispatch(EVENTS.NODE_CREATED, newNodeId);
 
+    const snapshot = JSON.parse(JSON.stringify(json));
+    this.context.getHistoryManager().record({
+      type: 'addNode',
+      module: module,
+      undo: () => this.removeNodeId(buildNodeId(newNodeId)),
+      redo: () => this.restoreNode(module, snapshot)
+    });
+
     return newNodeId;
   }
 
+  /**
+   * Restores a node from a data snapshot, keeping its original ID
+   * Used by undo/redo; the snapshot's connections are expected to be empty,
+   * they are restored by their own connection commands
+   * @param {string} moduleName - Module the node belongs to
+   * @param {Object} dataNode - Node data snapshot
+   */
+  restoreNode(moduleName, dataNode) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const eventManager = this.context.getEventManager();
+    const json = JSON.parse(JSON.stringify(dataNode));
+
+    nodeforgeData[moduleName].data[json.id] = json;
+    if (moduleName === this.context.getModule()) {
+      this.addNodeImport(json, this.context.getPrecanvas());
+    }
+
+    eventManager.dispatch(EVENTS.NODE_CREATED, json.id);
+  }
+
+  /**
+   * Adds a node to the current module from a data object
+   * The node keeps the ID set in the data; its connections must be empty,
+   * they are added afterwards with addConnection()
+   * @param {Object} dataNode - Node data object
+   * @returns {string} The node ID
+   */
+  addNodeFromData(dataNode) {
+    const module = this.context.getModule();
+    const snapshot = JSON.parse(JSON.stringify(dataNode));
+
+    this.restoreNode(module, snapshot);
+
+    this.context.getHistoryManager().record({
+      type: 'addNode',
+      module: module,
+      undo: () => this.removeNodeId(buildNodeId(snapshot.id)),
+      redo: () => this.restoreNode(module, snapshot)
+    });
+
+    return snapshot.id;
+  }
+
   /**
    * Adds a node from imported data
    * @param {Object} dataNode - Node data object
    * @param {HTMLElement} precanvas - Precanvas element to append to
    */
   addNodeImport(dataNode, precanvas) {
-    const nodeRegister = this.context.getNodeRegister();
-    const renderFunction = this.context.getRenderFunction();
-    const parent_context = this.context.getParent();
+    const connectionManager = this.context.getConnectionManager();
+    const virtualizationManager = this.context.getVirtualizationManager();
+    const hasConnectionElements = this.context.getRenderManager().hasConnectionElements();
 
     const parent = document.createElement('div');
     parent.classList.add("parent-node");
@@ -225,67 +474,35 @@ export class NodeManager {
       const input = document.createElement('div');
       input.classList.add(CSS_CLASSES.INPUT);
       input.classList.add(input_item);
+      setPortTypeAttribute(input, dataNode.inputs[input_item].type);
       inputs.appendChild(input);
       Object.keys(dataNode.inputs[input_item].connections).map(function (output_item, index) {
-        let connection = createSVGElement("svg");
-        let path = createSVGElement("path");
-        path.classList.add("main-path");
-        path.setAttributeNS(null, 'd', '');
-        connection.classList.add(CSS_CLASSES.CONNECTION);
-        connection.classList.add("node_in_node-" + dataNode.id);
-        connection.classList.add("node_out_node-" + dataNode.inputs[input_item].connections[output_item].node);
-        connection.classList.add(dataNode.inputs[input_item].connections[output_item].input);
-        connection.classList.add(input_item);
-
-        connection.appendChild(path);
-        precanvas.appendChild(connection);
+        const item = dataNode.inputs[input_item].connections[output_item];
+        // Connections from unmounted nodes are drawn when those are mounted (virtualized mode)
+        if (!virtualizationManager.isMounted(item.node) || !hasConnectionElements) return;
+        connectionManager.getConnectionLayer().appendChild(connectionManager.createConnectionElement(item.node, dataNode.id, item.input, input_item));
       });
     });
 
-    for (let x = 0; x < Object.keys(dataNode.outputs).length; x++) {
+    Object.keys(dataNode.outputs).forEach((output_item) => {
       const output = document.createElement('div');
       output.classList.add(CSS_CLASSES.OUTPUT);
-      output.classList.add("output_" + (x + 1));
+      output.classList.add(output_item);
+      setPortTypeAttribute(output, dataNode.outputs[output_item].type);
       outputs.appendChild(output);
-    }
+    });
 
     const content = document.createElement('div');
     content.classList.add("nodeforge_content_node");
 
-    if (dataNode.typenode === false) {
-      content.innerHTML = dataNode.html;
-    } else if (dataNode.typenode === true) {
-      content.appendChild(nodeRegister[dataNode.html].html.cloneNode(true));
-    } else {
-      if (parseInt(renderFunction.version) === 3) {
-        //Vue 3
-        let wrapper = renderFunction.h(nodeRegister[dataNode.html].html, nodeRegister[dataNode.html].props, nodeRegister[dataNode.html].options);
-        wrapper.appContext = parent_context;
-        renderFunction.render(wrapper, content);
-      } else {
-        //Vue 2
-        let wrapper = new renderFunction({
-          parent: parent_context,
-          render: h => h(nodeRegister[dataNode.html].html, { props: nodeRegister[dataNode.html].props }),
-          ...nodeRegister[dataNode.html].options
-        }).$mount();
-        content.appendChild(wrapper.$el);
-      }
+    this.renderNodeContent(content, dataNode.html, dataNode.typenode);
+
+    const definition = this.getNodeDefinition(dataNode.name, dataNode.html, dataNode.typenode);
+    if (definition.schema) {
+      this.appendSchemaForm(node, content, definition.schema, dataNode.data);
     }
 
-    Object.entries(dataNode.data).forEach((key, value) => {
-      if (typeof key[1] === "object") {
-        this.populateNodeDataAttributes(content, dataNode.data, null, key[0], key[0]);
-      } else {
-        let elems = content.querySelectorAll('[df-' + key[0] + ']');
-        for (let i = 0; i < elems.length; i++) {
-          elems[i].value = key[1];
-          if (elems[i].isContentEditable) {
-            elems[i].innerText = key[1];
-          }
-        }
-      }
-    });
+    this.populateNodeData(content, dataNode.data);
 
     node.appendChild(inputs);
     node.appendChild(content);
@@ -294,10 +511,14 @@ export class NodeManager {
     node.style.left = dataNode.pos_x + "px";
     parent.appendChild(node);
     precanvas.appendChild(parent);
+    this.context.getRenderManager().invalidatePorts(dataNode.id);
+    this.context.getAccessibilityManager().describeNode(String(dataNode.id));
   }
 
   /**
    * Updates node data value from input event
+   * Fields described by the node's schema are coerced to their type; an
+   * invalid value is flagged on the control and not stored.
    * @param {Event} event - Input event from node content
    */
   updateNodeValue(event) {
@@ -309,45 +530,114 @@ export class NodeManager {
     for (let i = 0; i < attr.length; i++) {
       if (attr[i].nodeName.startsWith('df-')) {
         let keys = attr[i].nodeName.slice(3).split("-");
-        let target = nodeforgeData[module].data[extractNodeId(event.target.closest(".nodeforge_content_node").parentElement.id)].data;
+        const nodeElement = event.target.closest(".nodeforge_content_node").parentElement;
+        const nodeData = nodeforgeData[module].data[extractNodeId(nodeElement.id)];
+        const schema = this.getNodeDefinition(nodeData.name, nodeData.html, nodeData.typenode).schema;
+        if (schema && keys.length === 1 && schema[keys[0]] !== undefined) {
+          this.updateSchemaValue(nodeElement, nodeData, schema, keys[0], event.target);
+          continue;
+        }
+        let target = nodeData.data;
         for (let index = 0; index < keys.length - 1; index += 1) {
           if (target[keys[index]] == null) {
             target[keys[index]] = {};
           }
           target = target[keys[index]];
         }
-        target[keys[keys.length - 1]] = event.target.value;
-        if (event.target.isContentEditable) {
-          target[keys[keys.length - 1]] = event.target.innerText;
-        }
+        target[keys[keys.length - 1]] = readBoundValue(event.target, nodeElement);
         eventManager.dispatch(EVENTS.NODE_DATA_CHANGED, extractNodeId(event.target.closest(".nodeforge_content_node").parentElement.id));
       }
     }
   }
 
+  /**
+   * Stores the value of a schema field edited in the node's form
+   * @param {HTMLElement} nodeElement - Node element
+   * @param {Object} nodeData - Node data object (live)
+   * @param {Object} schema - Field descriptions keyed by data key
+   * @param {string} key - Data key of the field
+   * @param {HTMLElement} element - Edited control
+   */
+  updateSchemaValue(nodeElement, nodeData, schema, key, element) {
+    const eventManager = this.context.getEventManager();
+    const value = readFieldValue(element, schema[key], nodeElement);
+    const error = validateValue(schema[key], value);
+
+    const id = extractNodeId(nodeElement.id);
+    const errors = error !== null ? { [key]: error } : null;
+
+    // Other controls keep their own flags, the node is invalid while any control is
+    markInvalidFields(nodeElement, { [key]: schema[key] }, errors);
+    nodeElement.classList.toggle(CSS_CLASSES.INVALID, nodeElement.querySelector(`.${CSS_CLASSES.NODEFORGE_CONTENT_NODE} .${CSS_CLASSES.INVALID}`) !== null);
+
+    if (errors !== null) {
+      eventManager.dispatch(EVENTS.NODE_DATA_INVALID, { id: id, errors: errors, data: { [key]: value } });
+      return;
+    }
+
+    nodeData.data[key] = value;
+    eventManager.dispatch(EVENTS.NODE_DATA_CHANGED, id);
+  }
+
   /**
    * Updates node data by ID
+   * For a type with a schema the data is coerced and validated first: with
+   * schema_validation 'reject' invalid data is not applied, with 'flag' it is
+   * applied and the node is marked invalid. Both dispatch nodeDataInvalid.
    * @param {string} id - Node ID
    * @param {Object} data - New data object
+   * @returns {boolean} False if the data was rejected
    */
   updateNodeDataFromId(id, data) {
     const stateManager = this.context.getStateManager();
     const nodeInfo = stateManager.getNodeFromId(id);
     const nodeforgeData = this.context.getNodeForgeData();
     const moduleName = stateManager.getModuleFromNodeId(id);
+    const schema = this.getNodeDefinition(nodeInfo.name, nodeInfo.html, nodeInfo.typenode).schema;
+
+    if (schema) {
+      data = coerceData(schema, data);
+      const errors = validateData(schema, data);
+      if (errors !== null) {
+        this.context.getEventManager().dispatch(EVENTS.NODE_DATA_INVALID, { id: id, errors: errors, data: data });
+        if (this.context.getSchemaConfig().schema_validation !== SCHEMA_VALIDATION.FLAG) {
+          return false;
+        }
+      }
+    }
+
+    const previous = nodeInfo.data;
+    const next = JSON.parse(JSON.stringify(data));
+    this.context.getHistoryManager().record({
+      type: 'updateNodeData',
+      module: moduleName,
+      undo: () => this.updateNodeDataFromId(id, JSON.parse(JSON.stringify(previous))),
+      redo: () => this.updateNodeDataFromId(id, JSON.parse(JSON.stringify(next)))
+    });
 
     nodeforgeData[moduleName].data[id].data = data;
+    this.refreshNodeContent(id);
 
-    if (nodeInfo.html) {
-      this.context.nodeforge.import({ nodeforge: nodeforgeData }, false);
-    }
+    const keys = Object.keys(Object.assign({}, previous, data)).filter((key) => {
+      return JSON.stringify(previous[key]) !== JSON.stringify(data[key]);
+    });
+    this.context.getEventManager().dispatch(EVENTS.NODE_DATA_UPDATED, {
+      id: id,
+      module: moduleName,
+      keys: keys,
+      previous: previous,
+      data: JSON.parse(JSON.stringify(data))
+    });
+    this.context.getEventManager().dispatch(EVENTS.NODE_DATA_CHANGED, id);
+    return true;
   }
 
   /**
    * Adds an input to an existing node
    * @param {string} id - Node ID
+   * @param {string|Array<string>|Object} [definition=null] - Port type definition
    */
-  addNodeInput(id) {
+  addNodeInput(id, definition = null) {
     const nodeforgeData = this.context.getNodeForgeData();
     const stateManager = this.context.getStateManager();
     const moduleName = stateManager.getModuleFromNodeId(id);
@@ -366,16 +656,29 @@ export class NodeManager {
     input.classList.add(input_class);
 
     const parent = container.querySelector('#node-' + id);
-    parent.querySelector('.inputs').appendChild(input);
+    if (parent) {
+      parent.querySelector('.inputs').appendChild(input);
+      this.context.getRenderManager().invalidatePorts(id);
+    }
 
-    nodeforgeData[moduleName].data[id].inputs[input_class] = { "connections": [] };
+    nodeforgeData[moduleName].data[id].inputs[input_class] = createPortData(definition);
+    setPortTypeAttribute(input, nodeforgeData[moduleName].data[id].inputs[input_class].type);
+    this.context.getAccessibilityManager().describeNode(String(id));
+
+    this.context.getHistoryManager().record({
+      type: 'addNodeInput',
+      module: moduleName,
+      undo: () => this.removeNodeInput(id, input_class),
+      redo: () => this.addNodeInput(id, definition)
+    });
   }
 
   /**
    * Adds an output to an existing node
    * @param {string} id - Node ID
+   * @param {string|Array<string>|Object} [definition=null] - Port type definition
    */
-  addNodeOutput(id) {
+  addNodeOutput(id, definition = null) {
     const nodeforgeData = this.context.getNodeForgeData();
     const stateManager = this.context.getStateManager();
     const moduleName = stateManager.getModuleFromNodeId(id);
@@ -394,9 +697,96 @@ export class NodeManager {
     output.classList.add(output_class);
 
     const parent = container.querySelector('#node-' + id);
-    parent.querySelector('.outputs').appendChild(output);
+    if (parent) {
+      parent.querySelector('.outputs').appendChild(output);
+      this.context.getRenderManager().invalidatePorts(id);
+    }
+
+    nodeforgeData[moduleName].data[id].outputs[output_class] = createPortData(definition);
+    setPortTypeAttribute(output, nodeforgeData[moduleName].data[id].outputs[output_class].type);
+    this.context.getAccessibilityManager().describeNode(String(id));
 
-    nodeforgeData[moduleName].data[id].outputs[output_class] = { "connections": [] };
+    this.context.getHistoryManager().record({
+      type: 'addNodeOutput',
+      module: moduleName,
+      undo: () => this.removeNodeOutput(id, output_class),
+      redo: () => this.addNodeOutput(id, definition)
+    });
+  }
+
+  /**
+   * Sets or clears the connection limit of one port of a node
+   * Existing connections are kept; the limit applies to new connections.
+   * @param {string} id - Node ID
+   * @param {string} port_class - Port class name (e.g., 'input_1' or 'output_2')
+   * @param {number|null} max_connections - Maximum number of connections, null for unlimited
+   * @param {string} [limit_policy='reject'] - 'reject' or 'replace' (remove the oldest connection)
+   * @returns {boolean} False if the port does not exist
+   */
+  setPortLimit(id, port_class, max_connections, limit_policy = PORT_LIMIT_POLICIES.REJECT) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const stateManager = this.context.getStateManager();
+    const moduleName = stateManager.getModuleFromNodeId(id);
+    if (moduleName === undefined) return false;
+
+    const infoNode = nodeforgeData[moduleName].data[id];
+    const port = infoNode.inputs[port_class] || infoNode.outputs[port_class];
+    if (!port) return false;
+
+    const previous = { max_connections: port.max_connections, limit_policy: port.limit_policy };
+    applyPortLimit(port, max_connections, limit_policy);
+
+    this.context.getHistoryManager().record({
+      type: 'setPortLimit',
+      module: moduleName,
+      undo: () => this.setPortLimit(id, port_class, previous.max_connections, previous.limit_policy),
+      redo: () => this.setPortLimit(id, port_class, max_connections, limit_policy)
+    });
+    return true;
+  }
+
+  /**
+   * Re-inserts a removed input or output at its original position
+   * Used by undo/redo of removeNodeInput()/removeNodeOutput()
+   * @param {string} id - Node ID
+   * @param {string} type - 'input' or 'output'
+   * @param {string} port_class - Port class name (e.g., 'input_2')
+   * @param {number} index - Position of the port within the node
+   * @param {Object} [settings={}] - Port data other than connections (e.g., type)
+   */
+  restoreNodePort(id, type, port_class, index, settings = {}) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const stateManager = this.context.getStateManager();
+    const container = this.context.getContainer();
+    const moduleName = stateManager.getModuleFromNodeId(id);
+    const infoNode = nodeforgeData[moduleName].data[id];
+    const key = type === CSS_CLASSES.INPUT ? 'inputs' : 'outputs';
+
+    // Rebuild the ports object so the restored key keeps its original order
+    const restored = Object.assign({ "connections": [] }, JSON.parse(JSON.stringify(settings)));
+    const ports = {};
+    Object.keys(infoNode[key]).forEach((item, i) => {
+      if (i === index) {
+        ports[port_class] = restored;
+      }
+      ports[item] = infoNode[key][item];
+    });
+    if (ports[port_class] === undefined) {
+      ports[port_class] = restored;
+    }
+    infoNode[key] = ports;
+
+    const parent = container.querySelector('#node-' + id);
+    if (parent) {
+      const port = document.createElement('div');
+      port.classList.add(type);
+      port.classList.add(port_class);
+      setPortTypeAttribute(port, restored.type);
+      const list = parent.querySelector('.' + key);
+      list.insertBefore(port, list.children[index] || null);
+      this.context.getRenderManager().invalidatePorts(id);
+      this.context.getAccessibilityManager().describeNode(String(id));
+    }
   }
 
   /**
@@ -407,40 +797,38 @@ export class NodeManager {
   removeNodeInput(id, input_class) {
     const nodeforgeData = this.context.getNodeForgeData();
     const stateManager = this.context.getStateManager();
-    const eventManager = this.context.getEventManager();
     const container = this.context.getContainer();
+    const connectionManager = this.context.getConnectionManager();
+    const historyManager = this.context.getHistoryManager();
     const moduleName = stateManager.getModuleFromNodeId(id);
 
     const infoNode = nodeforgeData[moduleName].data[id];
+    const index = Object.keys(infoNode.inputs).indexOf(input_class);
+    const settings = getPortSettings(infoNode.inputs[input_class]);
 
-    infoNode.inputs[input_class].connections.forEach((item, i) => {
-      const id_output = item.node;
-      const output_class = item.input;
-      const targetNode = nodeforgeData[moduleName].data[id_output];
-      const id_input = id;
-
-      targetNode.outputs[output_class].connections.forEach((outputItem, j) => {
-        if (outputItem.node === id_input && outputItem.output === input_class) {
-          targetNode.outputs[output_class].connections.splice(j, 1);
-
-          const ele = container.querySelector('.connection.node_in_node-' + id_input + '.node_out_node-' + id_output + '.' + output_class + '.' + input_class);
-          ele.remove();
-
-          eventManager.dispatch(EVENTS.CONNECTION_REMOVED, {
-            output_id: id_output,
-            input_id: id_input,
-            output_class: output_class,
-            input_class: input_class
-          });
-        }
+    historyManager.beginTransaction('removeNodeInput');
+    try {
+      infoNode.inputs[input_class].connections.slice().forEach((item) => {
+        connectionManager.removeSingleConnection(item.node, id.toString(), item.input, input_class);
       });
-    });
 
-    delete nodeforgeData[moduleName].data[id].inputs[input_class];
+      delete nodeforgeData[moduleName].data[id].inputs[input_class];
 
-    const ele = container.querySelector('#node-' + id);
-    const input = ele.querySelector('.' + input_class);
-    input.remove();
+      const ele = container.querySelector('#node-' + id);
+      if (ele) {
+        ele.querySelector('.' + input_class).remove();
+        this.context.getRenderManager().invalidatePorts(id);
+      }
+
+      historyManager.record({
+        type: 'removeNodeInput',
+        module: moduleName,
+        undo: () => this.restoreNodePort(id, CSS_CLASSES.INPUT, input_class, index, settings),
+        redo: () => this.removeNodeInput(id, input_class)
+      });
+    } finally {
+      historyManager.endTransaction();
+    }
   }
 
   /**
@@ -451,40 +839,38 @@ export class NodeManager {
   removeNodeOutput(id, output_class) {
     const nodeforgeData = this.context.getNodeForgeData();
     const stateManager = this.context.getStateManager();
-    const eventManager = this.context.getEventManager();
     const container = this.context.getContainer();
+    const connectionManager = this.context.getConnectionManager();
+    const historyManager = this.context.getHistoryManager();
     const moduleName = stateManager.getModuleFromNodeId(id);
 
     const infoNode = nodeforgeData[moduleName].data[id];
+    const index = Object.keys(infoNode.outputs).indexOf(output_class);
+    const settings = getPortSettings(infoNode.outputs[output_class]);
 
-    infoNode.outputs[output_class].connections.forEach((item, i) => {
-      const id_input = item.node;
-      const input_class = item.output;
-      const targetNode = nodeforgeData[moduleName].data[id_input];
-      const id_output = id;
-
-      targetNode.inputs[input_class].connections.forEach((inputItem, j) => {
-        if (inputItem.node === id_output && inputItem.input === output_class) {
-          targetNode.inputs[input_class].connections.splice(j, 1);
-
-          const ele = container.querySelector('.connection.node_in_node-' + id_input + '.node_out_node-' + id_output + '.' + output_class + '.' + input_class);
-          ele.remove();
-
-          eventManager.dispatch(EVENTS.CONNECTION_REMOVED, {
-            output_id: id_output,
-            input_id: id_input,
-            output_class: output_class,
-            input_class: input_class
-          });
-        }
+    historyManager.beginTransaction('removeNodeOutput');
+    try {
+      infoNode.outputs[output_class].connections.slice().forEach((item) => {
+        connectionManager.removeSingleConnection(id.toString(), item.node, output_class, item.output);
       });
-    });
 
-    delete nodeforgeData[moduleName].data[id].outputs[output_class];
+      delete nodeforgeData[moduleName].data[id].outputs[output_class];
 
-    const ele = container.querySelector('#node-' + id);
-    const output = ele.querySelector('.' + output_class);
-    output.remove();
+      const ele = container.querySelector('#node-' + id);
+      if (ele) {
+        ele.querySelector('.' + output_class).remove();
+        this.context.getRenderManager().invalidatePorts(id);
+      }
+
+      historyManager.record({
+        type: 'removeNodeOutput',
+        module: moduleName,
+        undo: () => this.restoreNodePort(id, CSS_CLASSES.OUTPUT, output_class, index, settings),
+        redo: () => this.removeNodeOutput(id, output_class)
+      });
+    } finally {
+      historyManager.endTransaction();
+    }
   }
 
   /**
@@ -498,26 +884,91 @@ export class NodeManager {
     const container = this.context.getContainer();
     const stateManager = this.context.getStateManager();
     const eventManager = this.context.getEventManager();
+    const historyManager = this.context.getHistoryManager();
     const nodeforgeData = this.context.getNodeForgeData();
     const moduleName = stateManager.getModuleFromNodeId(nodeId);
 
-    // Remove connections via ConnectionManager
-    const connectionManager = this.context.getConnectionManager();
-    if (connectionManager) {
-      connectionManager.removeConnectionNodeId(nodeId);
-    } else {
-      this.context.nodeforge.removeConnectionNodeId(nodeId);
+    historyManager.beginTransaction('removeNode');
+    try {
+      this.context.getSelectionManager().deselectNode(nodeId);
+
+      // Remove connections via ConnectionManager
+      const connectionManager = this.context.getConnectionManager();
+      if (connectionManager) {
+        connectionManager.removeConnectionNodeId(nodeId);
+      } else {
+        this.context.nodeforge.removeConnectionNodeId(nodeId);
+      }
+
+      // Remove node element (id already has "node-" prefix)
+      const nodeElem = container.querySelector('#' + id);
+      if (nodeElem && nodeElem.parentElement) {
+        nodeElem.parentElement.remove();
+      }
+      this.context.getRenderManager().invalidatePorts(nodeId);
+
+      // Remove node data
+      const snapshot = JSON.parse(JSON.stringify(nodeforgeData[moduleName].data[nodeId]));
+      delete nodeforgeData[moduleName].data[nodeId];
+
+      eventManager.dispatch(EVENTS.NODE_REMOVED, nodeId);
+
+      historyManager.record({
+        type: 'removeNode',
+        module: moduleName,
+        undo: () => this.restoreNode(moduleName, snapshot),
+        redo: () => this.removeNodeId(buildNodeId(nodeId))
+      });
+    } finally {
+      historyManager.endTransaction();
     }
+  }
+
+  /**
+   * Moves a node to a new position
+   * @param {string} id - Node ID
+   * @param {number} pos_x - New X position in pixels
+   * @param {number} pos_y - New Y position in pixels
+   */
+  moveNode(id, pos_x, pos_y) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const stateManager = this.context.getStateManager();
+    const eventManager = this.context.getEventManager();
+    const container = this.context.getContainer();
+    const connectionManager = this.context.getConnectionManager();
+    const moduleName = stateManager.getModuleFromNodeId(id);
+    const infoNode = nodeforgeData[moduleName].data[id];
 
-    // Remove node element (id already has "node-" prefix)
-    const nodeElem = container.querySelector('#' + id);
-    if (nodeElem && nodeElem.parentElement) {
-      nodeElem.parentElement.remove();
+    const from = { pos_x: infoNode.pos_x, pos_y: infoNode.pos_y };
+    infoNode.pos_x = pos_x;
+    infoNode.pos_y = pos_y;
+
+    const nodeElem = container.querySelector('#' + buildNodeId(id));
+    if (nodeElem) {
+      nodeElem.style.top = pos_y + "px";
+      nodeElem.style.left = pos_x + "px";
+      connectionManager.updateConnectionNodes(buildNodeId(id));
     }
 
-    // Remove node data
-    delete nodeforgeData[moduleName].data[nodeId];
+    eventManager.dispatch(EVENTS.NODE_MOVED, id);
+    this.recordNodeMove(id, from, { pos_x: pos_x, pos_y: pos_y });
+  }
+
+  /**
+   * Records a node move in the history
+   * Called by moveNode() and at the end of an interactive drag
+   * @param {string} id - Node ID
+   * @param {{pos_x: number, pos_y: number}} from - Position before the move
+   * @param {{pos_x: number, pos_y: number}} to - Position after the move
+   */
+  recordNodeMove(id, from, to) {
+    const stateManager = this.context.getStateManager();
 
-    eventManager.dispatch(EVENTS.NODE_REMOVED, nodeId);
+    this.context.getHistoryManager().record({
+      type: 'moveNode',
+      module: stateManager.getModuleFromNodeId(id),
+      undo: () => this.moveNode(id, from.pos_x, from.pos_y),
+      redo: () => this.moveNode(id, to.pos_x, to.pos_y)
+    });
   }
 }
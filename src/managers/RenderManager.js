@@ -3,9 +3,31 @@
  *
  * Extracted from nodeforge.js
  * Manages SVG path creation, connection rendering, and node element creation
+ *
+ * Connection paths are drawn from node data: the offset of every port relative
+ * to its node is measured once and cached, so moving a node needs no DOM reads.
+ * Interactive updates are queued and drawn once per animation frame; inside
+ * beginBatch()/endBatch() programmatic updates are queued and drawn by endBatch().
+ *
+ * The geometry is handed to a connection renderer (see renderers/), chosen with
+ * the connection_renderer option: SVG elements by default, or one canvas.
+ * With edge_routing on, the geometry comes from RoutingManager instead of the path style.
  */
 import { createSVGElement } from '../utils/dom.js';
-import { CSS_CLASSES } from '../constants.js';
+import { buildNodeId, getConnectionKey } from '../utils/string.js';
+import {
+  calculateCurvatureCommands,
+  calculateStraightCommands,
+  calculateStepCommands,
+  calculateOrthogonalCommands,
+  commandsToPath,
+  getPointAlongPath,
+  getPathFraction,
+  flattenCommands
+} from '../utils/geometry.js';
+import { CSS_CLASSES, CONNECTION_RENDERERS, CANVAS_RENDERER_CONFIG, CONNECTION_CONFIG, CONNECTION_MARKERS, PATH_STYLES } from '../constants.js';
+import { SvgConnectionRenderer } from '../renderers/SvgConnectionRenderer.js';
+import { CanvasConnectionRenderer } from '../renderers/CanvasConnectionRenderer.js';
 
 export class RenderManager {
   /**
@@ -14,6 +36,560 @@ export class RenderManager {
    */
   constructor(context) {
     this.context = context;
+    this.dirtyNodes = {};
+    this.frame = null;
+    this.batchDepth = 0;
+    this.portOffsets = {};
+    this.renderer = null;
+  }
+
+  /**
+   * Gets the connection renderer, creating it on first use
+   * connection_renderer is 'svg', 'canvas' or a class extending ConnectionRenderer.
+   * @returns {ConnectionRenderer} The renderer
+   */
+  getRenderer() {
+    if (this.renderer === null) {
+      const option = this.context.getConnectionConfig().connection_renderer;
+      if (typeof option === 'function') {
+        this.renderer = new option(this.context);
+      } else if (option === CONNECTION_RENDERERS.CANVAS) {
+        this.renderer = new CanvasConnectionRenderer(this.context);
+      } else {
+        this.renderer = new SvgConnectionRenderer(this.context);
+      }
+      this.renderer.mount();
+    }
+    return this.renderer;
+  }
+
+  /**
+   * Checks if connections are drawn as DOM elements
+   * Connection elements, reroute points and value labels are only created when they are.
+   * @returns {boolean} True with the SVG renderer
+   */
+  hasConnectionElements() {
+    return this.getRenderer().hasElements();
+  }
+
+  /**
+   * Stops drawing the connections of a node
+   * @param {string|number} id - Node ID (without 'node-' prefix)
+   */
+  removeNodeConnections(id) {
+    this.getRenderer().removeNode(id.toString());
+  }
+
+  /**
+   * Finds the connection drawn under a mouse position
+   * Only renderers without connection elements hit test, SVG paths receive their own events.
+   * @param {number} clientX - Mouse X position
+   * @param {number} clientY - Mouse Y position
+   * @returns {Object|null} Connection ({ output_id, input_id, output_class, input_class }), null if none
+   */
+  getConnectionAt(clientX, clientY) {
+    const zoom = this.context.getZoom();
+    const rect = this.context.getPrecanvas().getBoundingClientRect();
+
+    return this.getRenderer().hitTest(
+      (clientX - rect.x) / zoom,
+      (clientY - rect.y) / zoom,
+      CANVAS_RENDERER_CONFIG.HIT_TOLERANCE / zoom
+    );
+  }
+
+  /**
+   * Starts a render batch
+   * Connection updates are queued until the matching endBatch(). Batches nest.
+   */
+  beginBatch() {
+    this.batchDepth++;
+  }
+
+  /**
+   * Ends a render batch, drawing the queued connections when the outermost batch ends
+   */
+  endBatch() {
+    if (this.batchDepth === 0) return;
+    this.batchDepth--;
+    if (this.batchDepth === 0) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Checks if a render batch is open
+   * @returns {boolean} True between beginBatch() and the matching endBatch()
+   */
+  isBatching() {
+    return this.batchDepth > 0;
+  }
+
+  /**
+   * Updates the connections of a node
+   * Drawn immediately, or queued while a batch is open.
+   * @param {string|number} id - Node ID (without 'node-' prefix)
+   */
+  updateNodeConnections(id) {
+    if (this.isBatching()) {
+      this.dirtyNodes[id] = true;
+      return;
+    }
+    delete this.dirtyNodes[id];
+    this.renderNodeConnections([id.toString()]);
+  }
+
+  /**
+   * Queues the connections of a node for the next animation frame
+   * Used while dragging, so several moves per frame draw once.
+   * @param {string|number} id - Node ID (without 'node-' prefix)
+   */
+  requestNodeUpdate(id) {
+    this.dirtyNodes[id] = true;
+    if (this.isBatching() || this.frame !== null) return;
+
+    if (typeof requestAnimationFrame === 'function') {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        if (!this.isBatching()) {
+          this.flush();
+        }
+      });
+    } else {
+      this.flush();
+    }
+  }
+
+  /**
+   * Draws all queued connections now
+   */
+  flush() {
+    if (this.frame !== null) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(this.frame);
+      }
+      this.frame = null;
+    }
+
+    const ids = Object.keys(this.dirtyNodes);
+    this.dirtyNodes = {};
+    if (ids.length > 0) {
+      this.renderNodeConnections(ids);
+    }
+  }
+
+  /**
+   * Drops queued updates and cached port offsets
+   * Called when the editor is (re)loaded.
+   */
+  reset() {
+    if (this.frame !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.frame);
+    }
+    this.frame = null;
+    this.dirtyNodes = {};
+    this.portOffsets = {};
+    this.getRenderer().clear();
+    this.context.getRoutingManager().reset();
+  }
+
+  /**
+   * Drops queued updates and unmounts the connection renderer
+   * A later draw mounts a new one.
+   */
+  destroy() {
+    if (this.frame !== null && typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.frame);
+    }
+    this.frame = null;
+    this.dirtyNodes = {};
+    if (this.renderer !== null) {
+      this.renderer.unmount();
+      this.renderer = null;
+    }
+  }
+
+  /**
+   * Draws every connection of the current module again
+   * Used when an option changes the geometry of all connections.
+   */
+  updateModuleConnections() {
+    this.beginBatch();
+    Object.keys(this.context.getStateManager().getCurrentModuleData()).forEach((id) => {
+      this.updateNodeConnections(id);
+    });
+    this.endBatch();
+  }
+
+  /**
+   * Draws the connections of a set of nodes
+   * All positions are computed before the renderer draws, so the layout is read at most once.
+   * @param {Array<string>} ids - Node IDs (without 'node-' prefix)
+   */
+  renderNodeConnections(ids) {
+    const connections = this.getNodeConnections(ids);
+
+    // Routes of other connections that went around the nodes or now cross them
+    const routingManager = this.context.getRoutingManager();
+    // The nodes only move between draws, so every route of this one shares the obstacles
+    const boxes = routingManager.isEnabled() ? routingManager.getNodeBoxes() : undefined;
+    if (boxes !== undefined) {
+      const keys = {};
+      connections.forEach((connection) => {
+        keys[getConnectionKey(connection)] = true;
+      });
+      routingManager.getAffectedConnections(ids, boxes).forEach((affected) => {
+        if (keys[getConnectionKey(affected)]) return;
+        const connection = this.getConnection(affected.output_id, affected.output_class, affected.input_id, affected.input_class);
+        if (connection !== null) {
+          connections.push(connection);
+        }
+      });
+    }
+
+    const items = [];
+    connections.forEach((connection) => {
+      const segments = this.getConnectionSegments(connection, boxes);
+      if (segments !== null) {
+        items.push({ connection: connection, segments: segments });
+      }
+    });
+
+    this.getRenderer().draw(items);
+  }
+
+  /**
+   * Gets the connections of a set of nodes from the data of the current module
+   * A connection between two of the nodes is listed once.
+   * @param {Array<string>} ids - Node IDs (without 'node-' prefix)
+   * @returns {Array<Object>} Connections ({ output_id, input_id, output_class, input_class, points, path_style, label, marker_start, marker_end, style })
+   */
+  getNodeConnections(ids) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const module = this.context.getModule();
+    const moduleData = nodeforgeData[module] ? nodeforgeData[module].data : {};
+    const connections = {};
+
+    const add = (output_id, output_class, input_id, input_class) => {
+      const connection = this.getConnection(output_id, output_class, input_id, input_class);
+      if (connection !== null) {
+        connections[getConnectionKey(connection)] = connection;
+      }
+    };
+
+    ids.forEach((id) => {
+      const dataNode = moduleData[id];
+      if (!dataNode) return;
+      Object.keys(dataNode.outputs).forEach((output_class) => {
+        dataNode.outputs[output_class].connections.forEach((item) => add(id, output_class, item.node, item.output));
+      });
+      Object.keys(dataNode.inputs).forEach((input_class) => {
+        dataNode.inputs[input_class].connections.forEach((item) => add(item.node, item.input, id, input_class));
+      });
+    });
+
+    return Object.keys(connections).map((key) => connections[key]);
+  }
+
+  /**
+   * Gets a connection from the data of the current module
+   * @param {string|number} output_id - Output node ID
+   * @param {string} output_class - Output class (e.g., 'output_1')
+   * @param {string|number} input_id - Input node ID
+   * @param {string} input_class - Input class (e.g., 'input_1')
+   * @returns {Object|null} Connection ({ output_id, input_id, output_class, input_class, points, path_style, label, marker_start, marker_end, style }), null if it does not exist
+   */
+  getConnection(output_id, output_class, input_id, input_class) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const module = this.context.getModule();
+    const moduleData = nodeforgeData[module] ? nodeforgeData[module].data : {};
+    const dataNode = moduleData[output_id];
+    if (!dataNode || !dataNode.outputs[output_class]) return null;
+    const entry = dataNode.outputs[output_class].connections.find((item) => {
+      return item.node == input_id && item.output === input_class;
+    });
+    if (!entry) return null;
+
+    return {
+      output_id: String(output_id),
+      input_id: String(input_id),
+      output_class: output_class,
+      input_class: input_class,
+      points: entry.points || [],
+      path_style: entry.path_style,
+      label: entry.label,
+      marker_start: entry.marker_start,
+      marker_end: entry.marker_end,
+      style: entry.style
+    };
+  }
+
+  /**
+   * Computes the path segments of a connection
+   * @param {Object} connection - Connection with its reroute points and path style
+   * @param {Array<Object>} [boxes] - Routing obstacles (see RoutingManager.getNodeBoxes()), by default built for this connection
+   * @returns {Array<Array<Object>>|null} Path commands of each segment, null if a port is not rendered
+   */
+  getConnectionSegments(connection, boxes) {
+    const start = this.getPortPosition(connection.output_id, connection.output_class);
+    const end = this.getPortPosition(connection.input_id, connection.input_class);
+    if (start === null || end === null) return null;
+
+    const routingManager = this.context.getRoutingManager();
+    if (routingManager.isEnabled()) {
+      return routingManager.route(connection, start, end, boxes);
+    }
+
+    return this.createConnectionSegments(connection, start, end);
+  }
+
+  /**
+   * Computes the path segments of a connection between two points, in its path style
+   * Not routed: also used to draw a connection whose end is being dragged.
+   * @param {Object} connection - Connection with its reroute points and path style
+   * @param {{x: number, y: number}} start - Output end
+   * @param {{x: number, y: number}} end - Input end
+   * @returns {Array<Array<Object>>} Path commands of each segment
+   */
+  createConnectionSegments(connection, start, end) {
+    const connectionConfig = this.context.getConnectionConfig();
+    const rerouteConfig = this.context.getRerouteConfig();
+
+    const style = this.getPathStyle(connection);
+    if (connection.points.length === 0) {
+      return [this.createPathCommands(start.x, start.y, end.x, end.y, style, connectionConfig.curvature, connectionConfig.line_path)];
+    }
+
+    const points = connection.points.map((point) => ({ x: point.pos_x, y: point.pos_y }));
+    return this.createReroutedSegments(start, points, end, rerouteConfig.curvature, rerouteConfig.curvature_start_end, style);
+  }
+
+  /**
+   * Gets the path style of a connection
+   * The connection's own path_style wins over the path_style of its output node's
+   * registered type, which wins over the editor's path_style.
+   * @param {{output_id: string, path_style: (string|undefined)}} connection - Connection, or just its output node
+   * @returns {string} Path style (see PATH_STYLES)
+   */
+  getPathStyle(connection) {
+    if (connection.path_style) return connection.path_style;
+
+    const dataNode = this.context.getStateManager().getCurrentModuleData()[connection.output_id];
+    if (dataNode) {
+      const definition = this.context.getNodeManager().getNodeDefinition(dataNode.name, dataNode.html, dataNode.typenode);
+      if (definition.path_style) return definition.path_style;
+    }
+    return this.context.getConnectionConfig().path_style || PATH_STYLES.BEZIER;
+  }
+
+  /**
+   * Gets the markers of a connection
+   * The connection's own marker_start/marker_end win over the editor's.
+   * @param {{marker_start: (string|undefined), marker_end: (string|undefined)}} connection - Connection
+   * @returns {{start: string, end: string}} Markers (see CONNECTION_MARKERS)
+   */
+  getConnectionMarkers(connection) {
+    const connectionConfig = this.context.getConnectionConfig();
+    return {
+      start: connection.marker_start || connectionConfig.marker_start || CONNECTION_MARKERS.NONE,
+      end: connection.marker_end || connectionConfig.marker_end || CONNECTION_MARKERS.NONE
+    };
+  }
+
+  /**
+   * Gets the style of a connection, ready to draw
+   * @param {{style: (Object|undefined)}} connection - Connection
+   * @returns {{color: (string|null), dash: (Array<number>|null), width: (number|null), class: (string|null)}}
+   *   Style, null for what the theme decides
+   */
+  getConnectionStyle(connection) {
+    const style = connection.style || {};
+    let dash = null;
+    if (Array.isArray(style.dash)) {
+      dash = style.dash.map(Number);
+    } else if (typeof style.dash === 'string' || typeof style.dash === 'number') {
+      dash = String(style.dash).trim().split(/[\s,]+/).map(Number);
+    }
+    const width = parseFloat(style.width);
+
+    return {
+      color: style.color ? String(style.color) : null,
+      dash: dash !== null && dash.length > 0 && dash.every((value) => isFinite(value)) ? dash : null,
+      width: width > 0 ? width : null,
+      class: style.class ? String(style.class) : null
+    };
+  }
+
+  /**
+   * Gets the point at a fraction of the length of a connection
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {number} fraction - From 0 (output) to 1 (input)
+   * @returns {{x: number, y: number}|null} Point in canvas coordinates, null if the connection is not drawn
+   */
+  getConnectionPoint(connection, fraction) {
+    const data = this.getConnection(connection.output_id, connection.output_class, connection.input_id, connection.input_class);
+    const segments = data === null ? null : this.getConnectionSegments(data);
+    return segments === null ? null : getPointAlongPath(segments, fraction);
+  }
+
+  /**
+   * Gets the fraction of the length of a connection closest to a point
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @param {number} x - X in canvas coordinates
+   * @param {number} y - Y in canvas coordinates
+   * @returns {number|null} From 0 (output) to 1 (input), null if the connection is not drawn
+   */
+  getConnectionFraction(connection, x, y) {
+    const data = this.getConnection(connection.output_id, connection.output_class, connection.input_id, connection.input_class);
+    const segments = data === null ? null : this.getConnectionSegments(data);
+    return segments === null ? null : getPathFraction(segments, x, y);
+  }
+
+  /**
+   * Approximates a drawn connection with a polyline
+   * Routed connections use their last route, so nothing is routed again.
+   * @param {Object} connection - Connection with its reroute points and path style
+   * @returns {Array<{x: number, y: number}>|null} Points in canvas coordinates, null if the connection is not drawn
+   */
+  getConnectionPolyline(connection) {
+    const legs = this.getConnectionLegs(connection);
+    return legs === null ? null : [].concat(...legs);
+  }
+
+  /**
+   * Approximates each segment of a drawn connection with a polyline
+   * @param {Object} connection - Connection with its reroute points and path style
+   * @returns {Array<Array<{x: number, y: number}>>|null} Points of each segment, one per reroute point plus one,
+   *   null if the connection is not drawn
+   */
+  getConnectionLegs(connection) {
+    const routingManager = this.context.getRoutingManager();
+    if (routingManager.isEnabled()) {
+      return routingManager.getRoute(connection);
+    }
+
+    const segments = this.getConnectionSegments(connection);
+    return segments === null ? null : segments.map((segment) => flattenCommands(segment));
+  }
+
+  /**
+   * Gets the center of a port in canvas coordinates
+   * Computed from the node position and the cached offset of the port.
+   * @param {string|number} id - Node ID (without 'node-' prefix)
+   * @param {string} port_class - Port class (e.g., 'output_1')
+   * @returns {{x: number, y: number}|null} Port center, null if the port is not rendered
+   */
+  getPortPosition(id, port_class) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const module = this.context.getModule();
+    const dataNode = nodeforgeData[module] ? nodeforgeData[module].data[id] : undefined;
+    if (!dataNode) return null;
+
+    let offsets = this.portOffsets[id];
+    if (offsets === undefined || offsets[port_class] === undefined) {
+      offsets = this.measurePorts(id, dataNode);
+      if (offsets === null || offsets[port_class] === undefined) return null;
+    }
+
+    return {
+      x: dataNode.pos_x + offsets[port_class].x,
+      y: dataNode.pos_y + offsets[port_class].y
+    };
+  }
+
+  /**
+   * Measures the offsets of all ports of a node relative to the node position
+   * @param {string|number} id - Node ID (without 'node-' prefix)
+   * @param {Object} dataNode - Node data
+   * @returns {Object|null} Offsets keyed by port class, null if the node is not rendered
+   */
+  measurePorts(id, dataNode) {
+    const node = this.context.getContainer().querySelector('#' + buildNodeId(id));
+    if (!node) return null;
+
+    const zoomFactors = this.context.getZoomManager().getZoomFactors();
+    const offsets = {};
+    Array.prototype.forEach.call(node.children, (list) => {
+      if (!list.classList.contains(CSS_CLASSES.INPUTS) && !list.classList.contains(CSS_CLASSES.OUTPUTS)) return;
+      Array.prototype.forEach.call(list.children, (port) => {
+        const center = this.getElementCenterCoords(port, zoomFactors);
+        offsets[port.classList[1]] = {
+          x: center.x - dataNode.pos_x,
+          y: center.y - dataNode.pos_y
+        };
+      });
+    });
+
+    this.portOffsets[id] = offsets;
+    // Also the size of the node, which routing avoids
+    this.context.getVirtualizationManager().measure(id.toString(), node);
+    return offsets;
+  }
+
+  /**
+   * Forgets the cached port offsets of a node, or of all nodes
+   * Needed whenever ports are added or removed or the node changes size.
+   * @param {string|number} [id] - Node ID (without 'node-' prefix), all nodes if omitted
+   */
+  invalidatePorts(id) {
+    if (id === undefined) {
+      this.portOffsets = {};
+    } else {
+      delete this.portOffsets[id];
+    }
+  }
+
+  /**
+   * Creates the segments of a rerouted connection
+   * @param {{x: number, y: number}} start - Output port center
+   * @param {Array<{x: number, y: number}>} points - Reroute point centers
+   * @param {{x: number, y: number}} end - Input port center
+   * @param {number} reroute_curvature - Curvature between reroute points
+   * @param {number} reroute_curvature_start_end - Curvature of the first and last segments
+   * @param {string} [style='bezier'] - Path style of the segments
+   * @returns {Array<Array<Object>>} Path commands of each segment
+   */
+  createReroutedSegments(start, points, end, reroute_curvature, reroute_curvature_start_end, style = PATH_STYLES.BEZIER) {
+    const segments = [];
+    points.forEach((point, i) => {
+      if (i === 0) {
+        segments.push(this.createPathCommands(start.x, start.y, point.x, point.y, style, reroute_curvature_start_end, 'open'));
+      } else {
+        const prev = points[i - 1];
+        segments.push(this.createPathCommands(prev.x, prev.y, point.x, point.y, style, reroute_curvature, 'other'));
+      }
+    });
+
+    // Last point → input
+    const last = points[points.length - 1];
+    segments.push(this.createPathCommands(last.x, last.y, end.x, end.y, style, reroute_curvature_start_end, 'close'));
+    return segments;
+  }
+
+  /**
+   * Creates the path commands of a connection segment in a path style
+   * @param {number} start_pos_x - Starting X position
+   * @param {number} start_pos_y - Starting Y position
+   * @param {number} end_pos_x - Ending X position
+   * @param {number} end_pos_y - Ending Y position
+   * @param {string} style - Path style (see PATH_STYLES), unknown styles draw a bezier
+   * @param {number} curvature_value - Curvature amount of bezier paths
+   * @param {string} type - Curvature type of bezier paths ('open', 'close', 'other', or default)
+   * @returns {Array<Object>} Path commands
+   */
+  createPathCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, style, curvature_value, type) {
+    switch (style) {
+      case PATH_STYLES.STRAIGHT:
+        return calculateStraightCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y);
+      case PATH_STYLES.STEP:
+        return calculateStepCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y);
+      case PATH_STYLES.SMOOTH_STEP:
+        return calculateStepCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, CONNECTION_CONFIG.STEP_RADIUS);
+      case PATH_STYLES.ORTHOGONAL:
+        return calculateOrthogonalCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, CONNECTION_CONFIG.ORTHOGONAL_OFFSET);
+      default:
+        return this.createCurvatureCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type);
+    }
   }
 
   /**
@@ -27,50 +603,22 @@ export class RenderManager {
    * @returns {string} SVG path string
    */
   createCurvature(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type) {
-    let line_x = start_pos_x;
-    let line_y = start_pos_y;
-    let x = end_pos_x;
-    let y = end_pos_y;
-    let curvature = curvature_value;
-
-    //type openclose open close other
-    switch (type) {
-      case 'open':
-        if (start_pos_x >= end_pos_x) {
-          var hx1 = line_x + Math.abs(x - line_x) * curvature;
-          var hx2 = x - Math.abs(x - line_x) * (curvature * -1);
-        } else {
-          var hx1 = line_x + Math.abs(x - line_x) * curvature;
-          var hx2 = x - Math.abs(x - line_x) * curvature;
-        }
-        return ' M ' + line_x + ' ' + line_y + ' C ' + hx1 + ' ' + line_y + ' ' + hx2 + ' ' + y + ' ' + x + '  ' + y;
-
-      case 'close':
-        if (start_pos_x >= end_pos_x) {
-          var hx1 = line_x + Math.abs(x - line_x) * (curvature * -1);
-          var hx2 = x - Math.abs(x - line_x) * curvature;
-        } else {
-          var hx1 = line_x + Math.abs(x - line_x) * curvature;
-          var hx2 = x - Math.abs(x - line_x) * curvature;
-        }
-        return ' M ' + line_x + ' ' + line_y + ' C ' + hx1 + ' ' + line_y + ' ' + hx2 + ' ' + y + ' ' + x + '  ' + y;
-
-      case 'other':
-        if (start_pos_x >= end_pos_x) {
-          var hx1 = line_x + Math.abs(x - line_x) * (curvature * -1);
-          var hx2 = x - Math.abs(x - line_x) * (curvature * -1);
-        } else {
-          var hx1 = line_x + Math.abs(x - line_x) * curvature;
-          var hx2 = x - Math.abs(x - line_x) * curvature;
-        }
-        return ' M ' + line_x + ' ' + line_y + ' C ' + hx1 + ' ' + line_y + ' ' + hx2 + ' ' + y + ' ' + x + '  ' + y;
-
-      default:
-        var hx1 = line_x + Math.abs(x - line_x) * curvature;
-        var hx2 = x - Math.abs(x - line_x) * curvature;
+    return commandsToPath(this.createCurvatureCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type));
+  }
 
-        return ' M ' + line_x + ' ' + line_y + ' C ' + hx1 + ' ' + line_y + ' ' + hx2 + ' ' + y + ' ' + x + '  ' + y;
-    }
+  /**
+   * Creates the path commands of a connection curve
+   * Renderers draw these; createCurvature() is the same curve as an SVG path string.
+   * @param {number} start_pos_x - Starting X position
+   * @param {number} start_pos_y - Starting Y position
+   * @param {number} end_pos_x - Ending X position
+   * @param {number} end_pos_y - Ending Y position
+   * @param {number} curvature_value - Curvature amount
+   * @param {string} type - Curvature type ('open', 'close', 'other', or default)
+   * @returns {Array<Object>} Path commands
+   */
+  createCurvatureCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type) {
+    return calculateCurvatureCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type);
   }
 
   /**
@@ -178,35 +726,12 @@ export class RenderManager {
 
     const outputCoords = this.getElementCenterCoords(outputElem, zoomFactors);
     const inputCoords = this.getElementCenterCoords(inputElem, zoomFactors);
-    let lineCurve = '';
 
-    const pointsArray = Array.from(points);
-    pointsArray.forEach((point, i) => {
-      const pointCoords = this.getReroutePointCoords(point, zoomFactors, rerouteWidth);
-
-      if (i === 0) {
-        lineCurve += this.createCurvature(
-          outputCoords.x, outputCoords.y,
-          pointCoords.x, pointCoords.y,
-          reroute_curvature_start_end, 'open'
-        );
-      } else {
-        const prevCoords = this.getReroutePointCoords(pointsArray[i - 1], zoomFactors, rerouteWidth);
-        lineCurve += this.createCurvature(
-          prevCoords.x, prevCoords.y,
-          pointCoords.x, pointCoords.y,
-          reroute_curvature, 'other'
-        );
-      }
-    });
-
-    // Last point → input
-    const lastCoords = this.getReroutePointCoords(pointsArray[pointsArray.length - 1], zoomFactors, rerouteWidth);
-    lineCurve += this.createCurvature(
-      lastCoords.x, lastCoords.y,
-      inputCoords.x, inputCoords.y,
-      reroute_curvature_start_end, 'close'
-    );
+    const pointCoords = Array.from(points).map((point) => this.getReroutePointCoords(point, zoomFactors, rerouteWidth));
+    const lineCurve = this.createReroutedSegments(
+      outputCoords, pointCoords, inputCoords,
+      reroute_curvature, reroute_curvature_start_end
+    ).map(commandsToPath).join('');
 
     connectionElem.children[0].setAttributeNS(null, 'd', lineCurve);
   }
@@ -229,35 +754,12 @@ export class RenderManager {
 
     const outputCoords = this.getElementCenterCoords(outputElem, zoomFactors);
     const inputCoords = this.getElementCenterCoords(inputElem, zoomFactors);
-    let lineCurve = '';
-
-    const pointsArray = Array.from(points);
-    pointsArray.forEach((point, i) => {
-      const pointCoords = this.getReroutePointCoords(point, zoomFactors, rerouteWidth);
 
-      if (i === 0) {
-        lineCurve += this.createCurvature(
-          outputCoords.x, outputCoords.y,
-          pointCoords.x, pointCoords.y,
-          reroute_curvature_start_end, 'open'
-        );
-      } else {
-        const prevCoords = this.getReroutePointCoords(pointsArray[i - 1], zoomFactors, rerouteWidth);
-        lineCurve += this.createCurvature(
-          prevCoords.x, prevCoords.y,
-          pointCoords.x, pointCoords.y,
-          reroute_curvature, 'other'
-        );
-      }
-    });
-
-    // Last point → input
-    const lastCoords = this.getReroutePointCoords(pointsArray[pointsArray.length - 1], zoomFactors, rerouteWidth);
-    lineCurve += this.createCurvature(
-      lastCoords.x, lastCoords.y,
-      inputCoords.x, inputCoords.y,
-      reroute_curvature_start_end, 'close'
-    );
+    const pointCoords = Array.from(points).map((point) => this.getReroutePointCoords(point, zoomFactors, rerouteWidth));
+    const lineCurve = this.createReroutedSegments(
+      outputCoords, pointCoords, inputCoords,
+      reroute_curvature, reroute_curvature_start_end
+    ).map(commandsToPath).join('');
 
     connectionElem.children[0].setAttributeNS(null, 'd', lineCurve);
   }
@@ -4,9 +4,9 @@
  * Extracted from nodeforge.js
  * Manages reroute point creation, deletion, and import
  */
-import { createSVGElement } from '../utils/dom.js';
+import { createSVGElement, getConnectionFromElement } from '../utils/dom.js';
 import { CSS_CLASSES, EVENTS } from '../constants.js';
-import { extractNodeId } from '../utils/string.js';
+import { buildNodeId, buildConnectionSelector } from '../utils/string.js';
 
 export class RerouteManager {
   /**
@@ -51,10 +51,8 @@ export class RerouteManager {
       connection_selected.classList.remove(CSS_CLASSES.SELECTED);
     }
 
-    const nodeUpdate = ele.parentElement.classList[2].replace("node_out_", "");
-    const nodeUpdateIn = extractNodeId(ele.parentElement.classList[1].replace("node_in_", ""));
-    const output_class = ele.parentElement.classList[3];
-    const input_class = ele.parentElement.classList[4];
+    const { output_id, input_id: nodeUpdateIn, output_class, input_class } = getConnectionFromElement(ele.parentElement);
+    const nodeUpdate = buildNodeId(output_id);
 
     this.context.setConnectionSelected(null);
 
@@ -97,6 +95,7 @@ export class RerouteManager {
     if (nodeforgeData[module].data[nodeId].outputs[output_class].connections[searchConnection].points === undefined) {
       nodeforgeData[module].data[nodeId].outputs[output_class].connections[searchConnection].points = [];
     }
+    const previousPoints = JSON.parse(JSON.stringify(nodeforgeData[module].data[nodeId].outputs[output_class].connections[searchConnection].points));
 
     if (rerouteConfig.fix_curvature) {
       if (position_add_array_point > 0 ||
@@ -125,6 +124,9 @@ export class RerouteManager {
     if (connectionManager) {
       connectionManager.updateConnectionNodes(nodeUpdate);
     }
+
+    this.recordPointsChange(nodeId, nodeUpdateIn, output_class, input_class, previousPoints,
+      nodeforgeData[module].data[nodeId].outputs[output_class].connections[searchConnection].points);
   }
 
   /**
@@ -138,21 +140,24 @@ export class RerouteManager {
     const eventManager = this.context.getEventManager();
     const connectionManager = this.context.getConnectionManager();
 
-    const nodeUpdate = ele.parentElement.classList[2].replace("node_out_", "");
-    const nodeUpdateIn = extractNodeId(ele.parentElement.classList[1].replace("node_in_", ""));
-    const output_class = ele.parentElement.classList[3];
-    const input_class = ele.parentElement.classList[4];
+    const { output_id, input_id: nodeUpdateIn, output_class, input_class } = getConnectionFromElement(ele.parentElement);
+    const nodeUpdate = buildNodeId(output_id);
 
-    let numberPointPosition = Array.from(ele.parentElement.children).indexOf(ele);
+    // Points come after the main-path elements: one without fix_curvature, so the
+    // first point is the second child (it used to remove the point after this one)
+    let numberPointPosition = Array.from(ele.parentElement.children).indexOf(ele) - 1;
     const nodeId = nodeUpdate.slice(5);
     const searchConnection = nodeforgeData[module].data[nodeId].outputs[output_class].connections.findIndex(function (item, i) {
       return item.node === nodeUpdateIn && item.output === input_class;
     });
 
+    const previousPoints = JSON.parse(JSON.stringify(nodeforgeData[module].data[nodeId].outputs[output_class].connections[searchConnection].points));
+
     if (rerouteConfig.fix_curvature) {
       const numberMainPath = ele.parentElement.querySelectorAll("." + CSS_CLASSES.MAIN_PATH).length;
       ele.parentElement.children[numberMainPath - 1].remove();
-      numberPointPosition -= numberMainPath;
+      // One per segment with fix_curvature, the first was counted above
+      numberPointPosition -= numberMainPath - 1;
       if (numberPointPosition < 0) {
         numberPointPosition = 0;
       }
@@ -168,6 +173,103 @@ export class RerouteManager {
     if (connectionManager) {
       connectionManager.updateConnectionNodes(nodeUpdate);
     }
+
+    this.recordPointsChange(nodeId, nodeUpdateIn, output_class, input_class, previousPoints,
+      nodeforgeData[module].data[nodeId].outputs[output_class].connections[searchConnection].points);
+  }
+
+  /**
+   * Replaces all reroute points of a connection and redraws them
+   * Used by undo/redo and by connection restoration
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Array<{pos_x: number, pos_y: number}>} points - New reroute points
+   */
+  setConnectionPoints(id_output, id_input, output_class, input_class, points) {
+    const nodeforgeData = this.context.getNodeForgeData();
+    const stateManager = this.context.getStateManager();
+    const container = this.context.getContainer();
+    const connectionManager = this.context.getConnectionManager();
+    const moduleName = stateManager.getModuleFromNodeId(id_output);
+
+    const connection = nodeforgeData[moduleName].data[id_output].outputs[output_class].connections.find(function (item) {
+      return item.node == id_input && item.output === input_class;
+    });
+    if (!connection) return;
+
+    connection.points = JSON.parse(JSON.stringify(points));
+
+    if (moduleName !== this.context.getModule()) return;
+
+    const ele = container.querySelector(buildConnectionSelector(id_output, id_input, output_class, input_class));
+    if (ele) {
+      // Drop the current points and the extra per-segment paths, keep the first main-path
+      ele.querySelectorAll('.' + CSS_CLASSES.POINT).forEach((item) => item.remove());
+      ele.querySelectorAll('.' + CSS_CLASSES.MAIN_PATH).forEach((item, i) => {
+        if (i > 0) item.remove();
+      });
+
+      this.drawReroutePoints(ele, connection.points);
+    }
+    if (connectionManager) {
+      connectionManager.updateConnectionNodes('node-' + id_output);
+    }
+  }
+
+  /**
+   * Records a change of a connection's reroute points in the history
+   * @param {string} id_output - Output node ID
+   * @param {string} id_input - Input node ID
+   * @param {string} output_class - Output class name
+   * @param {string} input_class - Input class name
+   * @param {Array} previous - Points before the change
+   * @param {Array} next - Points after the change
+   */
+  recordPointsChange(id_output, id_input, output_class, input_class, previous, next) {
+    const stateManager = this.context.getStateManager();
+    const before = JSON.parse(JSON.stringify(previous));
+    const after = JSON.parse(JSON.stringify(next));
+
+    this.context.getHistoryManager().record({
+      type: 'reroute',
+      module: stateManager.getModuleFromNodeId(id_output),
+      undo: () => this.setConnectionPoints(id_output, id_input, output_class, input_class, before),
+      redo: () => this.setConnectionPoints(id_output, id_input, output_class, input_class, after)
+    });
+  }
+
+  /**
+   * Appends reroute point circles (and, with fix_curvature, one path per segment)
+   * to a connection element
+   * @param {SVGElement} ele - The connection SVG element
+   * @param {Array<{pos_x: number, pos_y: number}>} points - Reroute points
+   */
+  drawReroutePoints(ele, points) {
+    const rerouteConfig = this.context.getRerouteConfig();
+
+    points.forEach((item, i) => {
+      if (rerouteConfig.fix_curvature) {
+        if (i === 0) {
+          for (let z = 0; z < points.length; z++) {
+            let path = createSVGElement("path");
+            path.classList.add("main-path");
+            path.setAttributeNS(null, 'd', '');
+            ele.appendChild(path);
+          }
+        }
+      }
+
+      const point = createSVGElement("circle");
+      point.classList.add("point");
+
+      point.setAttributeNS(null, 'cx', item.pos_x);
+      point.setAttributeNS(null, 'cy', item.pos_y);
+      point.setAttributeNS(null, 'r', rerouteConfig.width);
+
+      ele.appendChild(point);
+    });
   }
 
   /**
@@ -175,40 +277,20 @@ export class RerouteManager {
    * @param {Object} dataNode - Node data with connection reroute points
    */
   addRerouteImport(dataNode) {
-    const rerouteConfig = this.context.getRerouteConfig();
     const container = this.context.getContainer();
 
-    Object.keys(dataNode.outputs).map(function (output_item, index) {
-      Object.keys(dataNode.outputs[output_item].connections).map(function (input_item, index) {
+    Object.keys(dataNode.outputs).map((output_item, index) => {
+      Object.keys(dataNode.outputs[output_item].connections).map((input_item, index) => {
         const points = dataNode.outputs[output_item].connections[input_item].points;
         if (points !== undefined) {
-          points.forEach((item, i) => {
-            const input_id = dataNode.outputs[output_item].connections[input_item].node;
-            const input_class = dataNode.outputs[output_item].connections[input_item].output;
-            const ele = container.querySelector('.connection.node_in_node-' + input_id + '.node_out_node-' + dataNode.id + '.' + output_item + '.' + input_class);
-
-            if (rerouteConfig.fix_curvature) {
-              if (i === 0) {
-                for (let z = 0; z < points.length; z++) {
-                  let path = createSVGElement("path");
-                  path.classList.add("main-path");
-                  path.setAttributeNS(null, 'd', '');
-                  ele.appendChild(path);
-                }
-              }
-            }
-
-            const point = createSVGElement("circle");
-            point.classList.add("point");
-            let pos_x = item.pos_x;
-            let pos_y = item.pos_y;
-
-            point.setAttributeNS(null, 'cx', pos_x);
-            point.setAttributeNS(null, 'cy', pos_y);
-            point.setAttributeNS(null, 'r', rerouteConfig.width);
-
-            ele.appendChild(point);
-          });
+          const input_id = dataNode.outputs[output_item].connections[input_item].node;
+          const input_class = dataNode.outputs[output_item].connections[input_item].output;
+          const ele = container.querySelector(buildConnectionSelector(dataNode.id, input_id, output_item, input_class));
+
+          // No element with the canvas renderer, it draws the segments from the data
+          if (ele) {
+            this.drawReroutePoints(ele, points);
+          }
         }
       });
     });
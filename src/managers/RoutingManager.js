@@ -0,0 +1,317 @@
+/**
+ * RoutingManager - Routes connections around nodes
+ *
+ * With edge_routing set to 'orthogonal' or 'spline', RenderManager asks this
+ * manager for the segments of every connection instead of drawing its path
+ * style. Routes are computed from the module data: the obstacles are the node
+ * positions with their measured sizes (see VirtualizationManager), grown by
+ * routing_padding. Reroute points are waypoints, the part of the route between
+ * two of them is routed on its own.
+ *
+ * Routes are cached. When nodes move, only the routes of their connections,
+ * the routes they now block and the routes that went around them are
+ * computed again. Where a route runs along an already routed connection it
+ * is moved into a free lane, routing_spacing apart.
+ */
+import { routeOrthogonal, getRouteRegion, boxesOverlap } from '../utils/routing.js';
+import { polylineToCommands, calculateSplineCommands, getPointsBoundingBox } from '../utils/geometry.js';
+import { buildNodeId, getConnectionKey } from '../utils/string.js';
+import { EVENTS, EDGE_ROUTING, ROUTING_CONFIG } from '../constants.js';
+
+export class RoutingManager {
+  /**
+   * Creates a new RoutingManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.routes = {};
+    this.measured = {};
+    this.listening = false;
+  }
+
+  /**
+   * Subscribes to the events that make routes obsolete
+   * Done the first time a connection is routed
+   */
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    const eventManager = this.context.getEventManager();
+    eventManager.on(EVENTS.CONNECTION_REMOVED, (connection) => {
+      delete this.routes[getConnectionKey({
+        output_id: String(connection.output_id),
+        input_id: String(connection.input_id),
+        output_class: connection.output_class,
+        input_class: connection.input_class
+      })];
+    });
+    // A reconnected connection is routed again under its new ends
+    eventManager.on(EVENTS.CONNECTION_UPDATED, (update) => {
+      if (update.previous.output_id !== undefined) {
+        delete this.routes[getConnectionKey(update.previous)];
+      }
+    });
+    eventManager.on(EVENTS.NODE_REMOVED, (id) => this.forgetNode(String(id)));
+  }
+
+  /**
+   * Checks if connections are routed
+   * @returns {boolean} True when edge_routing is 'orthogonal' or 'spline'
+   */
+  isEnabled() {
+    const mode = this.context.getRoutingConfig().edge_routing;
+    return mode === EDGE_ROUTING.ORTHOGONAL || mode === EDGE_ROUTING.SPLINE;
+  }
+
+  /**
+   * Forgets every route
+   * Called when the editor is (re)loaded and when the routing options change.
+   */
+  reset() {
+    this.routes = {};
+    this.measured = {};
+  }
+
+  /**
+   * Routes a connection around the nodes of the current module
+   * @param {Object} connection - Connection with its reroute points
+   * @param {{x: number, y: number}} start - Output port center
+   * @param {{x: number, y: number}} end - Input port center
+   * @param {Array<Object>} [boxes] - Obstacles from getNodeBoxes(), shared by the connections drawn together;
+   *   by default built for this connection
+   * @returns {Array<Array<Object>>} Path commands of each segment, one per reroute point plus one
+   */
+  route(connection, start, end, boxes) {
+    this.listen();
+
+    const config = this.context.getRoutingConfig();
+    const key = getConnectionKey(connection);
+    if (boxes === undefined) {
+      boxes = this.getNodeBoxes();
+    }
+    const stops = [start].concat(connection.points.map((point) => ({ x: point.pos_x, y: point.pos_y })), [end]);
+    const near = {};
+    const legs = [];
+
+    // Ports leave and enter their nodes horizontally, clear of the padding
+    const output = boxes.find((box) => box.id === connection.output_id);
+    const input = boxes.find((box) => box.id === connection.input_id);
+    const start_stub = Math.max(config.padding, output ? output.x + output.width - start.x : 0);
+    const end_stub = Math.max(config.padding, input ? end.x - input.x : 0);
+
+    for (let i = 1; i < stops.length; i++) {
+      const region = getRouteRegion(stops[i - 1], stops[i], ROUTING_CONFIG.SEARCH_MARGIN + config.padding);
+      const points = routeOrthogonal(stops[i - 1], stops[i], boxes.filter((box) => boxesOverlap(box, region)), {
+        start_stub: i === 1 ? start_stub : 0,
+        end_stub: i === stops.length - 1 ? end_stub : 0,
+        bend_penalty: ROUTING_CONFIG.BEND_PENALTY,
+        margin: ROUTING_CONFIG.SEARCH_MARGIN
+      });
+      legs.push(this.spread(key, points, config));
+
+      // Nodes around the route: moving them may open a shorter way
+      const bounds = getPointsBoundingBox(points);
+      const area = {
+        x: bounds.x - config.padding,
+        y: bounds.y - config.padding,
+        width: bounds.width + config.padding * 2,
+        height: bounds.height + config.padding * 2
+      };
+      boxes.forEach((box) => {
+        if (boxesOverlap(box, area)) {
+          near[box.id] = true;
+        }
+      });
+    }
+
+    this.routes[key] = {
+      connection: {
+        output_id: connection.output_id,
+        input_id: connection.input_id,
+        output_class: connection.output_class,
+        input_class: connection.input_class
+      },
+      legs: legs,
+      near: near
+    };
+
+    return legs.map((points) => {
+      return config.edge_routing === EDGE_ROUTING.SPLINE ? calculateSplineCommands(points) : polylineToCommands(points);
+    });
+  }
+
+  /**
+   * Lists the routed connections that must be routed again after nodes moved
+   * Those that went around one of the nodes, and those the nodes now block.
+   * @param {Array<string>} ids - IDs of the moved nodes
+   * @param {Array<Object>} [boxes] - Obstacles from getNodeBoxes(), by default built now
+   * @returns {Array<Object>} Connections ({ output_id, input_id, output_class, input_class })
+   */
+  getAffectedConnections(ids, boxes) {
+    if (boxes === undefined) {
+      boxes = this.getNodeBoxes();
+    }
+    boxes = boxes.filter((box) => ids.indexOf(box.id) !== -1);
+
+    return Object.keys(this.routes).filter((key) => {
+      const route = this.routes[key];
+      return ids.some((id) => route.near[id]) || boxes.some((box) => this.crosses(route, box));
+    }).map((key) => this.routes[key].connection);
+  }
+
+  /**
+   * Gets the route of a connection as computed when it was last drawn
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   * @returns {Array<Array<{x: number, y: number}>>|null} Corners of each segment, null if not routed
+   */
+  getRoute(connection) {
+    const route = this.routes[getConnectionKey(connection)];
+    return route ? route.legs : null;
+  }
+
+  /**
+   * Drops the routes of a removed node
+   * @param {string} id - Node ID
+   */
+  forgetNode(id) {
+    Object.keys(this.routes).forEach((key) => {
+      const connection = this.routes[key].connection;
+      if (connection.output_id === id || connection.input_id === id) {
+        delete this.routes[key];
+      }
+    });
+    delete this.measured[id];
+  }
+
+  /**
+   * Gets the obstacles of the current module
+   * The node boxes grown by routing_padding. RenderManager builds them once
+   * for all the connections it draws together and passes them to route().
+   * @returns {Array<{id: string, x: number, y: number, width: number, height: number}>} Grown node boxes
+   */
+  getNodeBoxes() {
+    const padding = this.context.getRoutingConfig().padding;
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const virtualizationManager = this.context.getVirtualizationManager();
+
+    return Object.keys(moduleData).map((id) => {
+      // Virtualized nodes are measured when they are mounted
+      if (!this.measured[id] && !virtualizationManager.isActive()) {
+        this.measured[id] = true;
+        virtualizationManager.measure(id, this.context.getContainer().querySelector('#' + buildNodeId(id)));
+      }
+      const rect = virtualizationManager.getNodeRect(id, moduleData[id]);
+      return {
+        id: id,
+        x: rect.x - padding,
+        y: rect.y - padding,
+        width: rect.width + padding * 2,
+        height: rect.height + padding * 2
+      };
+    });
+  }
+
+  /**
+   * Checks if a route goes through a box
+   * @private
+   * @param {Object} route - Cached route
+   * @param {{x: number, y: number, width: number, height: number}} box - Box
+   * @returns {boolean} True if a segment enters the box
+   */
+  crosses(route, box) {
+    return route.legs.some((points) => {
+      for (let i = 1; i < points.length; i++) {
+        if (boxesOverlap(getPointsBoundingBox([points[i - 1], points[i]]), box)) return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Moves the inner segments of a route off the connections already routed along them
+   * The first and last segments stay on their ports or reroute points.
+   * @private
+   * @param {string} key - Connection key of the route
+   * @param {Array<{x: number, y: number}>} points - Corners of the route
+   * @param {Object} config - Routing config
+   * @returns {Array<{x: number, y: number}>} Corners of the spread route
+   */
+  spread(key, points, config) {
+    const result = points.map((point) => ({ x: point.x, y: point.y }));
+
+    for (let i = 1; i < result.length - 2; i++) {
+      const before = result[i - 1];
+      const a = result[i];
+      const b = result[i + 1];
+      const after = result[i + 2];
+      const axis = a.y === b.y ? 'y' : 'x';
+      const along = axis === 'y' ? 'x' : 'y';
+
+      const taken = this.getParallelSegments(key, axis, a[axis], Math.min(a[along], b[along]), Math.max(a[along], b[along]), config.padding);
+      const offset = this.findLane(a[axis], taken, config, (value) => {
+        // The neighbouring segments must keep their direction
+        return Math.sign(a[axis] + value - before[axis]) === Math.sign(a[axis] - before[axis]) &&
+          Math.sign(after[axis] - b[axis] - value) === Math.sign(after[axis] - b[axis]);
+      });
+      a[axis] += offset;
+      b[axis] += offset;
+    }
+
+    return result;
+  }
+
+  /**
+   * Collects the segments of other routes running along a segment
+   * @private
+   * @param {string} key - Connection key of the route being spread
+   * @param {string} axis - 'y' for horizontal segments, 'x' for vertical ones
+   * @param {number} coordinate - Position of the segment on that axis
+   * @param {number} min - Start of the segment along the other axis
+   * @param {number} max - End of the segment along the other axis
+   * @param {number} reach - Distance within which segments count
+   * @returns {Array<number>} Positions of the parallel segments
+   */
+  getParallelSegments(key, axis, coordinate, min, max, reach) {
+    const along = axis === 'y' ? 'x' : 'y';
+    const taken = [];
+
+    Object.keys(this.routes).forEach((other) => {
+      if (other === key) return;
+      this.routes[other].legs.forEach((points) => {
+        for (let i = 1; i < points.length; i++) {
+          const a = points[i - 1];
+          const b = points[i];
+          if (a[axis] !== b[axis] || Math.abs(a[axis] - coordinate) >= reach) continue;
+          if (Math.max(a[along], b[along]) > min && Math.min(a[along], b[along]) < max) {
+            taken.push(a[axis]);
+          }
+        }
+      });
+    });
+
+    return taken;
+  }
+
+  /**
+   * Finds the nearest free lane for a segment
+   * Lanes alternate on both sides and stay within the padding, so routes never reach a node.
+   * @private
+   * @param {number} coordinate - Position of the segment
+   * @param {Array<number>} taken - Positions of the parallel segments
+   * @param {Object} config - Routing config
+   * @param {Function} fits - Tells whether an offset keeps the route valid
+   * @returns {number} Offset of the lane, 0 if there is none
+   */
+  findLane(coordinate, taken, config, fits) {
+    if (taken.length === 0 || !(config.spacing > 0)) return 0;
+
+    for (let n = 0; Math.ceil(n / 2) * config.spacing < config.padding; n++) {
+      const offset = n === 0 ? 0 : (n % 2 === 1 ? 1 : -1) * Math.ceil(n / 2) * config.spacing;
+      const free = taken.every((value) => Math.abs(value - (coordinate + offset)) >= config.spacing);
+      if (free && fits(offset)) return offset;
+    }
+    return 0;
+  }
+}
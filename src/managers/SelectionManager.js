@@ -0,0 +1,541 @@
+/**
+ * SelectionManager - Handles multi-selection of nodes and connections
+ *
+ * Keeps the set of selected node IDs and connections, draws the rubber-band
+ * selection box and runs group operations (move, delete, copy) on the set.
+ *
+ * The legacy single selection (node_selected / connection_selected) is kept
+ * in sync: it always points at an element that is part of the selection.
+ */
+import { CSS_CLASSES, EVENTS } from '../constants.js';
+import { buildNodeId, buildConnectionSelector } from '../utils/string.js';
+
+export class SelectionManager {
+  /**
+   * Creates a new SelectionManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.nodes = [];
+    this.connections = [];
+    this.box = null;
+    this.boxStart = null;
+  }
+
+  /**
+   * Gets the current selection
+   * @returns {{nodes: Array<string>, connections: Array<Object>}} Copy of the selection
+   */
+  getSelection() {
+    return {
+      nodes: this.nodes.slice(),
+      connections: this.connections.map((item) => Object.assign({}, item))
+    };
+  }
+
+  /**
+   * Replaces the current selection
+   * @param {{nodes: Array<string|number>, connections: Array<Object>}} selection - Node IDs and
+   *   connections ({ output_id, input_id, output_class, input_class }) to select
+   */
+  setSelection(selection) {
+    const stateManager = this.context.getStateManager();
+    const nodes = (selection.nodes || [])
+      .map((id) => id.toString())
+      .filter((id) => stateManager.nodeExists(id));
+    const connections = (selection.connections || [])
+      .map((item) => this.normalizeConnection(item))
+      .filter((item) => this.connectionExists(item));
+
+    this.apply(nodes, connections);
+  }
+
+  /**
+   * Checks if a node is selected
+   * @param {string|number} id - Node ID
+   * @returns {boolean} True if selected
+   */
+  isNodeSelected(id) {
+    return this.nodes.indexOf(id.toString()) > -1;
+  }
+
+  /**
+   * Selects nodes
+   * @param {Array<string|number>} ids - Node IDs
+   * @param {boolean} [additive=false] - Keep the current selection
+   */
+  selectNodes(ids, additive = false) {
+    const nodes = additive ? this.nodes.slice() : [];
+    ids.forEach((id) => {
+      if (nodes.indexOf(id.toString()) === -1) nodes.push(id.toString());
+    });
+    this.apply(nodes, additive ? this.connections : []);
+  }
+
+  /**
+   * Selects every node of the current module and the connections between them
+   */
+  selectAll() {
+    const nodes = Object.keys(this.context.getStateManager().getCurrentModuleData());
+    this.apply(nodes, this.getConnectionsBetween(nodes));
+  }
+
+  /**
+   * Adds a node to the selection or removes it if already selected
+   * @param {string|number} id - Node ID
+   */
+  toggleNode(id) {
+    if (this.isNodeSelected(id)) {
+      this.deselectNode(id);
+    } else {
+      this.selectNodes([id], true);
+    }
+  }
+
+  /**
+   * Removes a node from the selection
+   * @param {string|number} id - Node ID
+   */
+  deselectNode(id) {
+    if (!this.isNodeSelected(id)) return;
+    this.apply(this.nodes.filter((item) => item !== id.toString()), this.connections);
+  }
+
+  /**
+   * Selects connections
+   * @param {Array<Object>} connections - Connections ({ output_id, input_id, output_class, input_class })
+   * @param {boolean} [additive=false] - Keep the current selection
+   */
+  selectConnections(connections, additive = false) {
+    const list = additive ? this.connections.slice() : [];
+    connections.forEach((item) => {
+      const connection = this.normalizeConnection(item);
+      if (this.indexOfConnection(list, connection) === -1) list.push(connection);
+    });
+    this.apply(additive ? this.nodes : [], list);
+  }
+
+  /**
+   * Adds a connection to the selection or removes it if already selected
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   */
+  toggleConnection(connection) {
+    if (this.indexOfConnection(this.connections, this.normalizeConnection(connection)) > -1) {
+      this.deselectConnection(connection);
+    } else {
+      this.selectConnections([connection], true);
+    }
+  }
+
+  /**
+   * Removes a connection from the selection
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   */
+  deselectConnection(connection) {
+    const index = this.indexOfConnection(this.connections, this.normalizeConnection(connection));
+    if (index === -1) return;
+
+    const connections = this.connections.slice();
+    connections.splice(index, 1);
+    this.apply(this.nodes, connections);
+  }
+
+  /**
+   * Keeps a reconnected connection selected under its new ends
+   * @param {Object} previous - Previous ends ({ output_id, input_id, output_class, input_class })
+   * @param {Object} connection - New ends
+   */
+  replaceConnection(previous, connection) {
+    const index = this.indexOfConnection(this.connections, this.normalizeConnection(previous));
+    if (index === -1) return;
+
+    const connections = this.connections.slice();
+    connections.splice(index, 1, this.normalizeConnection(connection));
+    this.apply(this.nodes, connections);
+  }
+
+  /**
+   * Clears the selection
+   */
+  clear() {
+    if (this.nodes.length === 0 && this.connections.length === 0) return;
+    this.apply([], []);
+  }
+
+  /**
+   * Re-applies selection classes after the canvas was rebuilt
+   * and drops nodes/connections that no longer exist in the current module
+   */
+  refresh() {
+    const stateManager = this.context.getStateManager();
+    const eventManager = this.context.getEventManager();
+    const nodes = this.nodes.filter((id) => stateManager.nodeExists(id));
+    const connections = this.connections.filter((item) => this.connectionExists(item));
+    const pruned = nodes.length !== this.nodes.length || connections.length !== this.connections.length;
+
+    this.nodes = [];
+    this.connections = [];
+    this.apply(nodes, connections, true);
+
+    if (pruned) {
+      eventManager.dispatch(EVENTS.SELECTION_CHANGED, this.getSelection());
+    }
+  }
+
+  /**
+   * Updates the selection, the CSS classes and the legacy single selection
+   * @param {Array<string>} nodes - New selected node IDs
+   * @param {Array<Object>} connections - New selected connections
+   * @param {boolean} [silent=false] - Skip the selectionChanged event
+   */
+  apply(nodes, connections, silent = false) {
+    const container = this.context.getContainer();
+    const eventManager = this.context.getEventManager();
+    const changed = !this.sameSelection(nodes, connections);
+
+    this.nodes.forEach((id) => {
+      if (nodes.indexOf(id) === -1) {
+        const ele = container.querySelector('#' + buildNodeId(id));
+        if (ele) ele.classList.remove(CSS_CLASSES.SELECTED);
+      }
+    });
+    this.connections.forEach((item) => {
+      if (this.indexOfConnection(connections, item) === -1) {
+        this.getConnectionPaths(item).forEach((path) => path.classList.remove(CSS_CLASSES.SELECTED));
+      }
+    });
+
+    this.nodes = nodes.slice();
+    this.connections = connections.slice();
+
+    this.nodes.forEach((id) => {
+      const ele = container.querySelector('#' + buildNodeId(id));
+      if (ele) ele.classList.add(CSS_CLASSES.SELECTED);
+    });
+    this.connections.forEach((item) => {
+      this.getConnectionPaths(item).forEach((path) => path.classList.add(CSS_CLASSES.SELECTED));
+    });
+
+    this.syncLegacySelection();
+
+    if (changed && !silent) {
+      eventManager.dispatch(EVENTS.SELECTION_CHANGED, this.getSelection());
+    }
+  }
+
+  /**
+   * Keeps node_selected / connection_selected pointing at selected elements
+   */
+  syncLegacySelection() {
+    const container = this.context.getContainer();
+    const node_selected = this.context.getNodeSelected();
+    const connection_selected = this.context.getConnectionSelected();
+
+    if (node_selected !== null && !this.nodes.some((id) => buildNodeId(id) === node_selected.id)) {
+      this.context.setNodeSelected(null);
+    }
+    if (this.context.getNodeSelected() === null && this.nodes.length > 0) {
+      this.context.setNodeSelected(container.querySelector('#' + buildNodeId(this.nodes[this.nodes.length - 1])));
+    }
+
+    if (connection_selected !== null) {
+      const selected = connection_selected.parentElement !== null && this.connections.some((item) => {
+        return this.getConnectionElement(item) === connection_selected.parentElement;
+      });
+      if (!selected) {
+        this.context.setConnectionSelected(null);
+      }
+    }
+    if (this.context.getConnectionSelected() === null && this.connections.length > 0) {
+      const paths = this.getConnectionPaths(this.connections[this.connections.length - 1]);
+      this.context.setConnectionSelected(paths.length > 0 ? paths[0] : null);
+    }
+  }
+
+  /**
+   * Starts drawing the rubber-band selection box
+   * @param {number} clientX - Mouse X position
+   * @param {number} clientY - Mouse Y position
+   */
+  startBox(clientX, clientY) {
+    const precanvas = this.context.getPrecanvas();
+
+    this.boxStart = this.toCanvasCoords(clientX, clientY);
+    this.box = document.createElement('div');
+    this.box.classList.add(CSS_CLASSES.SELECTION_BOX);
+    precanvas.appendChild(this.box);
+    this.updateBox(clientX, clientY);
+  }
+
+  /**
+   * Resizes the selection box to the current mouse position
+   * @param {number} clientX - Mouse X position
+   * @param {number} clientY - Mouse Y position
+   */
+  updateBox(clientX, clientY) {
+    if (!this.box) return;
+
+    const rect = this.getBoxRect(this.toCanvasCoords(clientX, clientY));
+    this.box.style.left = rect.x + "px";
+    this.box.style.top = rect.y + "px";
+    this.box.style.width = rect.width + "px";
+    this.box.style.height = rect.height + "px";
+  }
+
+  /**
+   * Removes the selection box and selects every node it touches,
+   * together with the connections between those nodes
+   * @param {number} clientX - Mouse X position
+   * @param {number} clientY - Mouse Y position
+   * @param {boolean} [additive=false] - Keep the current selection
+   */
+  endBox(clientX, clientY, additive = false) {
+    if (!this.box) return;
+
+    const container = this.context.getContainer();
+    const stateManager = this.context.getStateManager();
+    const moduleData = stateManager.getCurrentModuleData();
+    const rect = this.getBoxRect(this.toCanvasCoords(clientX, clientY));
+
+    this.box.remove();
+    this.box = null;
+    this.boxStart = null;
+
+    const nodes = Object.keys(moduleData).filter((id) => {
+      const ele = container.querySelector('#' + buildNodeId(id));
+      const width = ele ? ele.offsetWidth : 0;
+      const height = ele ? ele.offsetHeight : 0;
+      const node = moduleData[id];
+
+      return node.pos_x <= rect.x + rect.width && node.pos_x + width >= rect.x &&
+        node.pos_y <= rect.y + rect.height && node.pos_y + height >= rect.y;
+    });
+
+    const selectedNodes = additive ? this.nodes.slice() : [];
+    nodes.forEach((id) => {
+      if (selectedNodes.indexOf(id) === -1) selectedNodes.push(id);
+    });
+
+    const connections = additive ? this.connections.slice() : [];
+    this.getConnectionsBetween(selectedNodes).forEach((item) => {
+      if (this.indexOfConnection(connections, item) === -1) connections.push(item);
+    });
+
+    this.apply(selectedNodes, connections);
+  }
+
+  /**
+   * Moves every selected node by an offset as one undoable step
+   * @param {number} dx - Horizontal offset in pixels
+   * @param {number} dy - Vertical offset in pixels
+   */
+  moveSelection(dx, dy) {
+    const nodeManager = this.context.getNodeManager();
+    const historyManager = this.context.getHistoryManager();
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+
+    historyManager.beginTransaction('moveSelection');
+    try {
+      this.nodes.forEach((id) => {
+        nodeManager.moveNode(id, moduleData[id].pos_x + dx, moduleData[id].pos_y + dy);
+      });
+    } finally {
+      historyManager.endTransaction();
+    }
+  }
+
+  /**
+   * Removes every selected connection and node as one undoable step
+   */
+  removeSelection() {
+    const nodeManager = this.context.getNodeManager();
+    const connectionManager = this.context.getConnectionManager();
+    const historyManager = this.context.getHistoryManager();
+    const selection = this.getSelection();
+
+    historyManager.beginTransaction('removeSelection');
+    try {
+      selection.connections.forEach((item) => {
+        if (this.connectionExists(item)) {
+          connectionManager.removeSingleConnection(item.output_id, item.input_id, item.output_class, item.input_class);
+        }
+      });
+      selection.nodes.forEach((id) => {
+        nodeManager.removeNodeId(buildNodeId(id));
+      });
+    } finally {
+      historyManager.endTransaction();
+    }
+
+    this.clear();
+  }
+
+  /**
+   * Exports the selected nodes and the connections between them
+   * in the same shape export() produces
+   * @returns {Object} { nodeforge: { [module]: { data: {...} } } }
+   */
+  exportSelection() {
+    const module = this.context.getModule();
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const data = {};
+
+    this.nodes.forEach((id) => {
+      const node = JSON.parse(JSON.stringify(moduleData[id]));
+
+      Object.keys(node.inputs).forEach((input_class) => {
+        node.inputs[input_class].connections = node.inputs[input_class].connections.filter((item) => {
+          return this.isNodeSelected(item.node);
+        });
+      });
+      Object.keys(node.outputs).forEach((output_class) => {
+        node.outputs[output_class].connections = node.outputs[output_class].connections.filter((item) => {
+          return this.isNodeSelected(item.node);
+        });
+      });
+
+      data[id] = node;
+    });
+
+    return { nodeforge: { [module]: { data: data } } };
+  }
+
+  /**
+   * Lists the connections whose both ends are in a set of nodes
+   * @param {Array<string>} nodes - Node IDs
+   * @returns {Array<Object>} Connections
+   */
+  getConnectionsBetween(nodes) {
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const connections = [];
+
+    nodes.forEach((id) => {
+      Object.keys(moduleData[id].outputs).forEach((output_class) => {
+        moduleData[id].outputs[output_class].connections.forEach((item) => {
+          if (nodes.indexOf(item.node.toString()) > -1) {
+            connections.push({
+              output_id: id,
+              input_id: item.node.toString(),
+              output_class: output_class,
+              input_class: item.output
+            });
+          }
+        });
+      });
+    });
+
+    return connections;
+  }
+
+  /**
+   * Converts a mouse position to precanvas coordinates
+   * @param {number} clientX - Mouse X position
+   * @param {number} clientY - Mouse Y position
+   * @returns {{x: number, y: number}}
+   */
+  toCanvasCoords(clientX, clientY) {
+    const precanvas = this.context.getPrecanvas();
+    const zoomFactors = this.context.getZoomManager().getZoomFactors();
+    const rect = precanvas.getBoundingClientRect();
+
+    return {
+      x: (clientX - rect.x) * zoomFactors.widthZoom,
+      y: (clientY - rect.y) * zoomFactors.heightZoom
+    };
+  }
+
+  /**
+   * Gets the box rectangle spanned by the start point and a second point
+   * @param {{x: number, y: number}} end - Second corner in canvas coordinates
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getBoxRect(end) {
+    return {
+      x: Math.min(this.boxStart.x, end.x),
+      y: Math.min(this.boxStart.y, end.y),
+      width: Math.abs(end.x - this.boxStart.x),
+      height: Math.abs(end.y - this.boxStart.y)
+    };
+  }
+
+  /**
+   * Normalizes a connection descriptor to string node IDs
+   * @param {Object} connection - Connection descriptor
+   * @returns {Object} Normalized copy
+   */
+  normalizeConnection(connection) {
+    return {
+      output_id: connection.output_id.toString(),
+      input_id: connection.input_id.toString(),
+      output_class: connection.output_class,
+      input_class: connection.input_class
+    };
+  }
+
+  /**
+   * Finds a connection in a list
+   * @param {Array<Object>} list - Connections
+   * @param {Object} connection - Connection to find
+   * @returns {number} Index or -1
+   */
+  indexOfConnection(list, connection) {
+    return list.findIndex((item) => {
+      return item.output_id === connection.output_id && item.input_id === connection.input_id &&
+        item.output_class === connection.output_class && item.input_class === connection.input_class;
+    });
+  }
+
+  /**
+   * Checks whether a connection exists in the current module
+   * @param {Object} connection - Connection descriptor
+   * @returns {boolean} True if it exists
+   */
+  connectionExists(connection) {
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const node = moduleData[connection.output_id];
+    if (!node || !node.outputs[connection.output_class]) return false;
+
+    return node.outputs[connection.output_class].connections.some((item) => {
+      return item.node.toString() === connection.input_id.toString() && item.output === connection.input_class;
+    });
+  }
+
+  /**
+   * Gets the SVG element of a connection
+   * @param {Object} connection - Connection descriptor
+   * @returns {SVGElement|null} Connection element
+   */
+  getConnectionElement(connection) {
+    const container = this.context.getContainer();
+    return container.querySelector(buildConnectionSelector(
+      buildNodeId(connection.output_id),
+      buildNodeId(connection.input_id),
+      connection.output_class,
+      connection.input_class
+    ));
+  }
+
+  /**
+   * Gets the main-path elements of a connection
+   * @param {Object} connection - Connection descriptor
+   * @returns {Array<SVGPathElement>} Paths
+   */
+  getConnectionPaths(connection) {
+    const ele = this.getConnectionElement(connection);
+    return ele ? Array.from(ele.querySelectorAll('.' + CSS_CLASSES.MAIN_PATH)) : [];
+  }
+
+  /**
+   * Compares a selection with the current one
+   * @param {Array<string>} nodes - Node IDs
+   * @param {Array<Object>} connections - Connections
+   * @returns {boolean} True if both contain the same items
+   */
+  sameSelection(nodes, connections) {
+    return nodes.length === this.nodes.length &&
+      connections.length === this.connections.length &&
+      nodes.every((id) => this.nodes.indexOf(id) > -1) &&
+      connections.every((item) => this.indexOfConnection(this.connections, item) > -1);
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * ShortcutManager - Keyboard shortcuts of one editor
+ *
+ * Maps key chords to named commands. Every editor gets its own copy of
+ * DEFAULT_SHORTCUTS, which host applications can rebind or disable with
+ * setShortcut(), and can register their own commands.
+ *
+ * A command is { run, edit_only, in_fields }: run(event) returns false when
+ * it does nothing (e.g. copy without a selection) so the key keeps its
+ * default action, edit_only commands are ignored in fixed and view mode, and
+ * only in_fields commands run while a field inside a node has the focus.
+ */
+import { EVENTS, EDITOR_MODES, DEFAULT_SHORTCUTS, SHORTCUT_CONFIG } from '../constants.js';
+import { normalizeChord, getEventChord, isApplePlatform } from '../utils/shortcuts.js';
+import { isEditableElement } from '../utils/dom.js';
+
+export class ShortcutManager {
+  /**
+   * Creates a new ShortcutManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.apple = isApplePlatform();
+    this.commands = {};
+    this.bindings = {};
+
+    this.registerDefaultCommands();
+    this.resetShortcuts();
+  }
+
+  /**
+   * Registers a command that chords can be bound to
+   * Registering an existing name replaces its function, its chords are kept.
+   * @param {string} name - Command name
+   * @param {Function} run - Called with the keyboard event (undefined from runCommand()), returns false if it did nothing
+   * @param {Object} [options={}] - Command options
+   * @param {boolean} [options.edit_only=false] - Ignore the command in fixed and view mode
+   * @param {boolean} [options.in_fields=false] - Also run while a field inside a node has the focus
+   */
+  registerCommand(name, run, options = {}) {
+    this.commands[name] = {
+      run: run,
+      edit_only: options.edit_only === true,
+      in_fields: options.in_fields === true
+    };
+  }
+
+  /**
+   * Binds a command to chords, replacing its current ones
+   * A chord bound to another command is moved to this one.
+   * @param {string} command - Command name
+   * @param {string|Array<string>|null} chords - Chord or chords, null or [] to disable the command
+   * @returns {boolean} False if the command is unknown or a chord is invalid
+   */
+  setShortcut(command, chords) {
+    if (!this.commands[command]) return false;
+
+    const list = chords === null || chords === undefined ? [] : [].concat(chords);
+    const normalized = list.map((chord) => normalizeChord(chord, this.apple));
+    if (normalized.indexOf(null) !== -1) return false;
+
+    Object.keys(this.bindings).forEach((chord) => {
+      if (this.bindings[chord] === command) {
+        delete this.bindings[chord];
+      }
+    });
+    normalized.forEach((chord) => {
+      this.bindings[chord] = command;
+    });
+    return true;
+  }
+
+  /**
+   * Lists the bound commands
+   * @returns {Object<string, Array<string>>} Canonical chords of every command that has some
+   */
+  getShortcuts() {
+    const shortcuts = {};
+    Object.keys(this.bindings).forEach((chord) => {
+      const command = this.bindings[chord];
+      (shortcuts[command] = shortcuts[command] || []).push(chord);
+    });
+    return shortcuts;
+  }
+
+  /**
+   * Restores DEFAULT_SHORTCUTS; chords of host commands are dropped
+   */
+  resetShortcuts() {
+    this.bindings = {};
+    Object.keys(DEFAULT_SHORTCUTS).forEach((command) => {
+      this.setShortcut(command, DEFAULT_SHORTCUTS[command]);
+    });
+  }
+
+  /**
+   * Runs a command as if its shortcut was pressed, e.g. from a toolbar
+   * @param {string} command - Command name
+   * @param {KeyboardEvent} [event] - Event that triggered it
+   * @returns {boolean} True if the command did something
+   */
+  runCommand(command, event) {
+    const definition = this.commands[command];
+    if (!definition) return false;
+    if (definition.edit_only && this.context.getEditorMode() !== EDITOR_MODES.EDIT) return false;
+    return definition.run(event) !== false;
+  }
+
+  /**
+   * Runs the command bound to a pressed chord
+   * @param {KeyboardEvent} event - keydown event
+   * @returns {boolean} True if a command handled the key; its default action is prevented
+   */
+  handleKeyDown(event) {
+    const chord = getEventChord(event);
+    const command = chord === null ? undefined : this.bindings[chord];
+    if (command === undefined || !this.commands[command]) return false;
+
+    // Keys typed in fields inside nodes belong to the field
+    if (!this.commands[command].in_fields && isEditableElement(event.target)) return false;
+    if (!this.runCommand(command, event)) return false;
+
+    event.preventDefault();
+    this.context.getEventManager().dispatch(EVENTS.SHORTCUT, { command: command, chord: chord });
+    return true;
+  }
+
+  /**
+   * Registers the commands of DEFAULT_SHORTCUTS
+   * @private
+   */
+  registerDefaultCommands() {
+    const editor = () => this.context.nodeforge;
+    const selection = () => this.context.getSelectionManager().getSelection();
+    const edit = { edit_only: true };
+
+    this.registerCommand('delete', () => {
+      const selectionManager = this.context.getSelectionManager();
+      const current = selection();
+      if (current.nodes.length > 0) {
+        // Nodes stay while the last click was in one of their fields
+        if (isEditableElement(editor().first_click)) return false;
+        selectionManager.removeSelection();
+        this.context.setNodeSelected(null);
+        this.context.setConnectionSelected(null);
+        this.context.getEventManager().dispatch(EVENTS.NODE_UNSELECTED, true);
+        return true;
+      }
+      if (current.connections.length > 0) {
+        selectionManager.removeSelection();
+        this.context.setConnectionSelected(null);
+        return true;
+      }
+      return false;
+    }, edit);
+    this.registerCommand('selectAll', () => {
+      this.context.getSelectionManager().selectAll();
+    }, edit);
+    this.registerCommand('cancel', () => editor().cancelConnection() || this.clearSelection(), edit);
+    this.registerCommand('undo', () => {
+      editor().undo();
+    }, edit);
+    this.registerCommand('redo', () => {
+      editor().redo();
+    }, edit);
+    this.registerCommand('copy', () => selection().nodes.length > 0 && editor().copy() !== false, edit);
+    this.registerCommand('cut', () => selection().nodes.length > 0 && editor().cut() !== false, edit);
+    this.registerCommand('paste', () => {
+      // Nothing to report from a key press, parse() already rejects foreign data
+      editor().paste().catch(() => {});
+    }, edit);
+    this.registerCommand('duplicate', () => selection().nodes.length > 0 && editor().duplicate() !== false, edit);
+
+    [['Left', -1, 0], ['Right', 1, 0], ['Up', 0, -1], ['Down', 0, 1]].forEach(([direction, x, y]) => {
+      this.registerCommand('nudge' + direction, () => this.nudge(x * SHORTCUT_CONFIG.NUDGE_STEP, y * SHORTCUT_CONFIG.NUDGE_STEP), edit);
+      this.registerCommand('nudge' + direction + 'Large', () => this.nudge(x * SHORTCUT_CONFIG.NUDGE_STEP_LARGE, y * SHORTCUT_CONFIG.NUDGE_STEP_LARGE), edit);
+    });
+
+    this.registerCommand('zoomIn', () => {
+      editor().zoom_in();
+    });
+    this.registerCommand('zoomOut', () => {
+      editor().zoom_out();
+    });
+    this.registerCommand('zoomReset', () => {
+      editor().zoom_reset();
+    });
+    this.registerCommand('fitView', () => {
+      editor().fitView();
+    });
+    // Enter on a focused port starts or ends a connection
+    this.registerCommand('connect', (event) => {
+      return this.context.getAccessibilityManager().activatePort(event ? event.target : document.activeElement);
+    }, edit);
+
+    // Debugging works in every editor mode and from fields
+    const debug = { in_fields: true };
+    this.registerCommand('toggleBreakpoint', () => {
+      const nodes = selection().nodes;
+      nodes.forEach((id) => editor().toggleBreakpoint(id));
+      return nodes.length > 0;
+    }, debug);
+    this.registerCommand('step', () => editor().getPausedNode() !== null && editor().stepExecution() !== false, debug);
+    this.registerCommand('resume', () => editor().getPausedNode() !== null && editor().continueExecution() !== false, debug);
+  }
+
+  /**
+   * Moves the selected nodes
+   * @private
+   * @param {number} dx - Horizontal offset
+   * @param {number} dy - Vertical offset
+   * @returns {boolean} False if no node is selected, so arrows keep scrolling
+   */
+  nudge(dx, dy) {
+    const selectionManager = this.context.getSelectionManager();
+    if (selectionManager.getSelection().nodes.length === 0) return false;
+    selectionManager.moveSelection(dx, dy);
+    return true;
+  }
+
+  /**
+   * Clears the selection
+   * @private
+   * @returns {boolean} False if nothing was selected
+   */
+  clearSelection() {
+    const selection = this.context.getSelectionManager().getSelection();
+    if (selection.nodes.length === 0 && selection.connections.length === 0) return false;
+    this.context.nodeforge.clearSelection();
+    return true;
+  }
+}
@@ -0,0 +1,425 @@
+/**
+ * VirtualizationManager - Renders only the visible part of large graphs
+ *
+ * With `virtualize` on, load() no longer creates an element for every node
+ * of the module. Only nodes whose box intersects the viewport (grown by
+ * `virtualize_margin` screen pixels) are mounted, together with both nodes
+ * of every connection crossing the viewport, so visible connections are
+ * always drawn. A connection element exists while both of its nodes are
+ * mounted. Panning, zooming and graph changes re-evaluate the viewport once
+ * per animation frame, mounting and unmounting nodes as needed.
+ *
+ * The node data stays complete: every API works on unmounted nodes, their
+ * elements are simply created from the data when they come into view.
+ * Nodes that were never rendered are assumed to have the default node size
+ * (VIRTUALIZATION_CONFIG); the measured size is remembered once they are.
+ *
+ * The selected node, the nodes being dragged, the nodes of the selected
+ * connection and the node holding the focus are never unmounted.
+ */
+import { CSS_CLASSES, EVENTS, VIRTUALIZATION_CONFIG } from '../constants.js';
+import { buildNodeId, buildConnectionSelector, extractNodeId } from '../utils/string.js';
+import { getConnectionFromElement } from '../utils/dom.js';
+
+export class VirtualizationManager {
+  /**
+   * Creates a new VirtualizationManager
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+    this.active = false;
+    this.mounted = {};
+    this.sizes = {};
+    this.translation = null;
+    this.frame = null;
+    this.listening = false;
+  }
+
+  /**
+   * Subscribes to the events that move nodes in or out of the viewport
+   * Done the first time a module is loaded with virtualize on
+   */
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    const eventManager = this.context.getEventManager();
+    eventManager.on(EVENTS.TRANSLATE, (position) => {
+      // canvas_x/canvas_y are only updated when the pan ends
+      this.translation = position;
+      this.schedule();
+    });
+    eventManager.on(EVENTS.ZOOM, () => {
+      this.translation = null;
+      this.schedule();
+    });
+    eventManager.on(EVENTS.NODE_CREATED, (id) => this.onNodeCreated(id));
+    eventManager.on(EVENTS.NODE_REMOVED, (id) => this.forget(id));
+    eventManager.on(EVENTS.NODE_MOVED, () => this.schedule());
+    eventManager.on(EVENTS.CONNECTION_CREATED, () => this.schedule());
+    eventManager.on(EVENTS.REROUTE_MOVED, () => this.schedule());
+  }
+
+  /**
+   * Starts over for a freshly loaded module
+   * Called by load(); the virtualize property is read here, so changing it
+   * takes effect on the next load (see NodeForge.setVirtualization()).
+   */
+  reset() {
+    if (this.frame !== null) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(this.frame);
+      }
+      this.frame = null;
+    }
+    this.active = !!this.context.getVirtualizationConfig().virtualize && this.context.getPrecanvas() !== null;
+    this.mounted = {};
+    this.translation = null;
+
+    if (this.active) {
+      this.listen();
+    }
+  }
+
+  /**
+   * Checks whether virtualized rendering is in use for the current module
+   * @returns {boolean} True if only the visible nodes are rendered
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Checks whether a node of the current module has an element
+   * Always true when virtualization is off.
+   * @param {string|number} id - Node ID
+   * @returns {boolean} True if the node is rendered
+   */
+  isMounted(id) {
+    return !this.active || this.mounted[id] === true;
+  }
+
+  /**
+   * Re-evaluates the viewport on the next animation frame
+   * Right away where there are no animation frames (SSR, some test environments).
+   */
+  schedule() {
+    if (!this.active || this.frame !== null) return;
+
+    if (typeof requestAnimationFrame === 'function') {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.update();
+      });
+    } else {
+      this.update();
+    }
+  }
+
+  /**
+   * Mounts the nodes that came into view and unmounts the ones that left it
+   * Dispatches viewportUpdated when the set of rendered nodes changed.
+   */
+  update() {
+    if (!this.active) return;
+    if (this.frame !== null) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(this.frame);
+      }
+      this.frame = null;
+    }
+
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const viewport = this.getViewport();
+    const rects = {};
+    const visible = {};
+
+    Object.keys(moduleData).forEach((id) => {
+      rects[id] = this.getNodeRect(id, moduleData[id]);
+      if (intersects(rects[id], viewport)) {
+        visible[id] = true;
+      }
+    });
+
+    // A connection crossing the viewport needs both of its nodes
+    Object.keys(moduleData).forEach((id) => {
+      const outputs = moduleData[id].outputs;
+      Object.keys(outputs).forEach((output_class) => {
+        outputs[output_class].connections.forEach((item) => {
+          if ((visible[id] && visible[item.node]) || rects[item.node] === undefined) return;
+          if (intersects(getConnectionRect(rects[id], rects[item.node], item.points), viewport)) {
+            visible[id] = true;
+            visible[item.node] = true;
+          }
+        });
+      });
+    });
+
+    this.getPinnedNodes().forEach((id) => {
+      if (moduleData[id] !== undefined) {
+        visible[id] = true;
+      }
+    });
+
+    const unmounted = Object.keys(this.mounted).filter((id) => !visible[id]);
+    const mounted = Object.keys(visible).filter((id) => !this.mounted[id]);
+
+    unmounted.forEach((id) => this.unmountNode(id));
+    this.mountNodes(mounted);
+
+    if (mounted.length > 0 || unmounted.length > 0) {
+      this.context.getEventManager().dispatch(EVENTS.VIEWPORT_UPDATED, {
+        mounted: mounted,
+        unmounted: unmounted
+      });
+    }
+    this.translation = null;
+  }
+
+  /**
+   * Gets the visible area in canvas coordinates, grown by the margin
+   * The precanvas fills the container and is scaled around its centre, so a
+   * screen offset s maps to the canvas position c + (s - translate - c) / zoom.
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getViewport() {
+    const precanvas = this.context.getPrecanvas();
+    const zoom = this.context.getZoom();
+    const translation = this.translation || this.context.getCanvasPosition();
+    const margin = this.context.getVirtualizationConfig().virtualize_margin / zoom;
+    const width = precanvas.clientWidth;
+    const height = precanvas.clientHeight;
+
+    return {
+      x: width / 2 + (-translation.x - width / 2) / zoom - margin,
+      y: height / 2 + (-translation.y - height / 2) / zoom - margin,
+      width: width / zoom + margin * 2,
+      height: height / zoom + margin * 2
+    };
+  }
+
+  /**
+   * Gets the box of a node from its data and its last measured size
+   * @param {string} id - Node ID
+   * @param {Object} node - Node data
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getNodeRect(id, node) {
+    const size = this.sizes[id];
+    return {
+      x: node.pos_x,
+      y: node.pos_y,
+      width: size ? size.width : VIRTUALIZATION_CONFIG.NODE_WIDTH,
+      height: size ? size.height : VIRTUALIZATION_CONFIG.NODE_HEIGHT
+    };
+  }
+
+  /**
+   * Lists the nodes that must stay rendered whatever the viewport
+   * @returns {Array<string>} Node IDs
+   */
+  getPinnedNodes() {
+    const container = this.context.getContainer();
+    const node_selected = this.context.getNodeSelected();
+    const connection_selected = this.context.getConnectionSelected();
+    const drag_start = this.context.nodeforge.drag_start;
+    const pinned = [];
+
+    if (node_selected) {
+      pinned.push(extractNodeId(node_selected.id));
+    }
+    if (drag_start) {
+      pinned.push(...Object.keys(drag_start));
+    }
+    if (connection_selected && connection_selected.parentElement) {
+      const connection = getConnectionFromElement(connection_selected.parentElement);
+      pinned.push(connection.output_id);
+      pinned.push(connection.input_id);
+    }
+
+    const focused = document.activeElement;
+    if (focused && focused !== document.body && container.contains(focused) && focused.closest) {
+      const node = focused.closest('.' + CSS_CLASSES.NODEFORGE_NODE);
+      if (node) {
+        pinned.push(extractNodeId(node.id));
+      }
+    }
+    return pinned;
+  }
+
+  /**
+   * Creates the elements of nodes and of their connections to mounted nodes
+   * @param {Array<string>} ids - IDs of unmounted nodes of the current module
+   */
+  mountNodes(ids) {
+    if (ids.length === 0) return;
+
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const container = this.context.getContainer();
+    const precanvas = this.context.getPrecanvas();
+    const nodeManager = this.context.getNodeManager();
+    const connectionManager = this.context.getConnectionManager();
+    const debugManager = this.context.getDebugManager();
+    const renderManager = this.context.getRenderManager();
+    const hasConnectionElements = renderManager.hasConnectionElements();
+    const batch = {};
+    const created = [];
+
+    ids.forEach((id) => {
+      batch[id] = true;
+      this.mounted[id] = true;
+    });
+
+    // addNodeImport() draws the connections coming from mounted nodes
+    ids.forEach((id) => nodeManager.addNodeImport(moduleData[id], precanvas));
+
+    ids.forEach((id) => {
+      const dataNode = moduleData[id];
+
+      Object.keys(dataNode.outputs).forEach((output_class) => {
+        dataNode.outputs[output_class].connections.forEach((item) => {
+          if (!this.mounted[item.node]) return;
+          if (!batch[item.node] && hasConnectionElements) {
+            connectionManager.getConnectionLayer().appendChild(connectionManager.createConnectionElement(id, item.node, output_class, item.output));
+          }
+          created.push({ output_id: id, input_id: item.node, output_class: output_class, input_class: item.output, points: item.points });
+        });
+      });
+
+      Object.keys(dataNode.inputs).forEach((input_class) => {
+        dataNode.inputs[input_class].connections.forEach((item) => {
+          if (!this.mounted[item.node] || batch[item.node]) return;
+          const entry = moduleData[item.node].outputs[item.input].connections.find((output) => {
+            return output.node == id && output.output === input_class;
+          });
+          created.push({ output_id: item.node, input_id: id, output_class: item.input, input_class: input_class, points: entry && entry.points });
+        });
+      });
+    });
+
+    if (this.context.getRerouteConfig().enabled && hasConnectionElements) {
+      created.forEach((connection) => {
+        if (connection.points === undefined) return;
+        const ele = container.querySelector(buildConnectionSelector(
+          buildNodeId(connection.output_id),
+          buildNodeId(connection.input_id),
+          connection.output_class,
+          connection.input_class
+        ));
+        if (ele) {
+          this.context.getRerouteManager().drawReroutePoints(ele, connection.points);
+        }
+      });
+    }
+
+    // Sizes are read before any path is written, the paths are drawn together by endBatch()
+    renderManager.beginBatch();
+    ids.forEach((id) => {
+      this.measure(id, container.querySelector('#' + buildNodeId(id)));
+      connectionManager.updateConnectionNodes(buildNodeId(id));
+    });
+    renderManager.endBatch();
+
+    ids.forEach((id) => debugManager.refreshNode(id));
+
+    // Values of mounted nodes shown over the connections just drawn
+    const outputs = {};
+    created.forEach((connection) => {
+      if (!batch[connection.output_id]) outputs[connection.output_id] = true;
+    });
+    Object.keys(outputs).forEach((id) => debugManager.renderConnectionValues(id));
+
+    this.context.getSelectionManager().refresh();
+  }
+
+  /**
+   * Removes the element of a node and of its connections
+   * @param {string} id - Node ID
+   */
+  unmountNode(id) {
+    const container = this.context.getContainer();
+    const element = container.querySelector('#' + buildNodeId(id));
+
+    if (element) {
+      this.measure(id, element);
+      const content = element.querySelector('.' + CSS_CLASSES.NODEFORGE_CONTENT_NODE);
+      if (content) {
+        this.context.getNodeManager().clearNodeContent(content);
+      }
+      element.parentElement.remove();
+    }
+
+    this.context.getRenderManager().removeNodeConnections(id);
+    delete this.mounted[id];
+  }
+
+  /**
+   * Remembers the rendered size of a node
+   * @param {string} id - Node ID
+   * @param {HTMLElement|null} element - Node element
+   */
+  measure(id, element) {
+    if (element && element.offsetWidth > 0 && element.offsetHeight > 0) {
+      this.sizes[id] = { width: element.offsetWidth, height: element.offsetHeight };
+    }
+  }
+
+  /**
+   * Tracks nodes created by addNode() or undo, which are always rendered
+   * @param {string|number} id - Node ID
+   */
+  onNodeCreated(id) {
+    if (!this.active) return;
+
+    const element = this.context.getContainer().querySelector('#' + buildNodeId(id));
+    if (element) {
+      this.mounted[id] = true;
+      this.measure(id.toString(), element);
+    }
+    this.schedule();
+  }
+
+  /**
+   * Drops what is known about a removed node
+   * @param {string|number} id - Node ID
+   */
+  forget(id) {
+    delete this.mounted[id];
+    delete this.sizes[id];
+  }
+}
+
+/**
+ * Check whether two boxes overlap
+ * @param {{x: number, y: number, width: number, height: number}} a - First box
+ * @param {{x: number, y: number, width: number, height: number}} b - Second box
+ * @returns {boolean} True if the boxes share at least one point
+ */
+function intersects(a, b) {
+  return a.x <= b.x + b.width && a.x + a.width >= b.x &&
+    a.y <= b.y + b.height && a.y + a.height >= b.y;
+}
+
+/**
+ * Get the box enclosing a connection: both node boxes and the reroute points
+ * @param {Object} output - Box of the output node
+ * @param {Object} input - Box of the input node
+ * @param {Array<{pos_x: number, pos_y: number}>} [points] - Reroute points
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getConnectionRect(output, input, points) {
+  let left = Math.min(output.x, input.x);
+  let top = Math.min(output.y, input.y);
+  let right = Math.max(output.x + output.width, input.x + input.width);
+  let bottom = Math.max(output.y + output.height, input.y + input.height);
+
+  (points || []).forEach((point) => {
+    left = Math.min(left, point.pos_x);
+    top = Math.min(top, point.pos_y);
+    right = Math.max(right, point.pos_x);
+    bottom = Math.max(bottom, point.pos_y);
+  });
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
@@ -2,9 +2,11 @@
  * ZoomManager - Handles zoom controls
  *
  * Extracted from nodeforge.js
- * Manages zoom in, zoom out, zoom reset, and zoom refresh operations
+ * Manages zoom in, zoom out, zoom reset, zoom refresh, fit view and panning operations
  */
 import { EVENTS, ZOOM_CONFIG } from '../constants.js';
+import { getPointsBoundingBox, clamp } from '../utils/geometry.js';
+import { buildNodeId } from '../utils/string.js';
 
 export class ZoomManager {
   /**
@@ -101,6 +103,66 @@ export class ZoomManager {
     }
   }
 
+  /**
+   * Zooms and pans so every node of the current module is in view
+   * The zoom stays within zoom_min and zoom_max; the nodes are centred.
+   * @param {number} [padding=ZOOM_CONFIG.FIT_PADDING] - Space in screen pixels around the nodes
+   * @returns {boolean} False if the module has no nodes
+   */
+  fitView(padding = ZOOM_CONFIG.FIT_PADDING) {
+    const moduleData = this.context.getStateManager().getCurrentModuleData();
+    const virtualizationManager = this.context.getVirtualizationManager();
+    const container = this.context.getContainer();
+    const precanvas = this.context.getPrecanvas();
+    const zoomConfig = this.context.getZoomConfig();
+    const ids = Object.keys(moduleData);
+    if (ids.length === 0) return false;
+
+    const rects = ids.map((id) => {
+      virtualizationManager.measure(id, container.querySelector('#' + buildNodeId(id)));
+      return virtualizationManager.getNodeRect(id, moduleData[id]);
+    });
+    const box = getPointsBoundingBox([].concat(...rects.map((rect) => [
+      { x: rect.x, y: rect.y },
+      { x: rect.x + rect.width, y: rect.y + rect.height }
+    ])));
+
+    const width = precanvas.clientWidth;
+    const height = precanvas.clientHeight;
+    const fit = Math.min((width - padding * 2) / Math.max(box.width, 1), (height - padding * 2) / Math.max(box.height, 1));
+    const zoom = clamp(fit > 0 ? fit : zoomConfig.min, zoomConfig.min, zoomConfig.max);
+
+    // The precanvas is scaled around its centre: a canvas point c is drawn at
+    // width / 2 + translate + (c - width / 2) * zoom
+    const canvas_x = -(box.x + box.width / 2 - width / 2) * zoom;
+    const canvas_y = -(box.y + box.height / 2 - height / 2) * zoom;
+
+    this.context.setZoom(zoom);
+    this.context.setCanvasPosition(canvas_x, canvas_y);
+    this.context.nodeforge.zoom_last_value = zoom;
+    precanvas.style.transform = `translate(${canvas_x}px, ${canvas_y}px) scale(${zoom})`;
+
+    const eventManager = this.context.getEventManager();
+    eventManager.dispatch(EVENTS.ZOOM, zoom);
+    eventManager.dispatch(EVENTS.TRANSLATE, { x: canvas_x, y: canvas_y });
+    return true;
+  }
+
+  /**
+   * Pans the canvas
+   * @param {number} dx - Horizontal distance in screen pixels
+   * @param {number} dy - Vertical distance in screen pixels
+   */
+  panBy(dx, dy) {
+    const position = this.context.getCanvasPosition();
+    const canvas_x = position.x + dx;
+    const canvas_y = position.y + dy;
+
+    this.context.setCanvasPosition(canvas_x, canvas_y);
+    this.context.getPrecanvas().style.transform = `translate(${canvas_x}px, ${canvas_y}px) scale(${this.context.getZoom()})`;
+    this.context.getEventManager().dispatch(EVENTS.TRANSLATE, { x: canvas_x, y: canvas_y });
+  }
+
   /**
    * Gets current zoom factors for coordinate calculations
    * @returns {{widthZoom: number, heightZoom: number}} Zoom factors for width and height
@@ -5,10 +5,20 @@ import {
   EDITOR_MODES,
   REROUTE_CONFIG,
   CONNECTION_CONFIG,
+  CONNECTION_LAYERS,
+  CONNECTION_RENDERERS,
   MOBILE_CONFIG,
   DEFAULT_MODULE,
   MOUSE_BUTTONS,
-  KEY_CODES,
+  HISTORY_CONFIG,
+  CLIPBOARD_CONFIG,
+  EXECUTION_CONFIG,
+  SCHEMA_CONFIG,
+  DEBUG_CONFIG,
+  VIRTUALIZATION_CONFIG,
+  ROUTING_CONFIG,
+  ACCESSIBILITY_CONFIG,
+  ACCESSIBILITY_MESSAGES,
   NODE_ID_CONFIG,
   EVENTS
 } from './constants.js';
@@ -29,6 +39,16 @@ import { RenderManager } from './managers/RenderManager.js';
 import { NodeManager } from './managers/NodeManager.js';
 import { ConnectionManager } from './managers/ConnectionManager.js';
 import { RerouteManager } from './managers/RerouteManager.js';
+import { HistoryManager } from './managers/HistoryManager.js';
+import { SelectionManager } from './managers/SelectionManager.js';
+import { ClipboardManager } from './managers/ClipboardManager.js';
+import { ExecutionManager } from './managers/ExecutionManager.js';
+import { DebugManager } from './managers/DebugManager.js';
+import { VirtualizationManager } from './managers/VirtualizationManager.js';
+import { RoutingManager } from './managers/RoutingManager.js';
+import { FlowManager } from './managers/FlowManager.js';
+import { ShortcutManager } from './managers/ShortcutManager.js';
+import { AccessibilityManager } from './managers/AccessibilityManager.js';
 
 // Import interaction handlers
 import { InteractionHandler } from './handlers/InteractionHandler.js';
@@ -36,8 +56,17 @@ import { InteractionHandler } from './handlers/InteractionHandler.js';
 // Import utilities (only what's actually used)
 import {
   extractNodeId,
-  buildNodeId
+  buildNodeId,
+  buildConnectionSelector
 } from './utils/string.js';
+import { isConnectionElement, getConnectionFromElement } from './utils/dom.js';
+import { isTypeCompatible } from './utils/ports.js';
+import {
+  hasCycle,
+  findCycles,
+  topologicalSort,
+  getStronglyConnectedComponents
+} from './utils/graph.js';
 
 /**
  * NodeForge - Main class using Manager Pattern
@@ -56,6 +85,16 @@ import {
  * - NodeManager: Node CRUD operations
  * - ConnectionManager: Connection CRUD operations
  * - RerouteManager: Reroute point management
+ * - HistoryManager: Undo/redo of graph mutations
+ * - SelectionManager: Multi-selection and group operations
+ * - ClipboardManager: Copy, cut, paste and duplicate
+ * - ExecutionManager: Dataflow evaluation of node graphs
+ * - DebugManager: Breakpoints, stepping and execution visualisation
+ * - VirtualizationManager: Viewport-based rendering of large graphs
+ * - RoutingManager: Obstacle-avoiding connection routes
+ * - FlowManager: Animated flow along connections
+ * - ShortcutManager: Keyboard shortcuts bound to named commands
+ * - AccessibilityManager: Focus, ARIA labels, keyboard connections and announcements
  * - InteractionHandler: User interaction coordination
  */
 
@@ -65,8 +104,11 @@ export default class NodeForge {
    * @param {HTMLElement} container - The DOM element to attach the editor to
    * @param {Function} [render=null] - Optional custom render function for node content
    * @param {Object} [parent=null] - Optional parent context for nested editors
+   * @param {Object} [options={}] - Options that must be known before start()
+   * @param {string|Function} [options.connection_renderer='svg'] - 'svg', 'canvas' or a class extending ConnectionRenderer
+   * @param {Object<string, string|Array<string>|null>} [options.shortcuts] - Chords of commands, replacing their defaults (see setShortcut())
    */
-  constructor(container, render = null, parent = null) {
+  constructor(container, render = null, parent = null, options = {}) {
   // Constructor: Now uses constants from constants.js for all configuration values
   // This ensures consistency and makes the codebase easier to maintain
 
@@ -86,6 +128,16 @@ export default class NodeForge {
     this.nodeManager = new NodeManager(this.context);
     this.connectionManager = new ConnectionManager(this.context);
     this.rerouteManager = new RerouteManager(this.context);
+    this.historyManager = new HistoryManager(this.context);
+    this.selectionManager = new SelectionManager(this.context);
+    this.clipboardManager = new ClipboardManager(this.context);
+    this.executionManager = new ExecutionManager(this.context);
+    this.debugManager = new DebugManager(this.context);
+    this.virtualizationManager = new VirtualizationManager(this.context);
+    this.routingManager = new RoutingManager(this.context);
+    this.flowManager = new FlowManager(this.context);
+    this.shortcutManager = new ShortcutManager(this.context);
+    this.accessibilityManager = new AccessibilityManager(this.context);
 
     // Phase 5: Initialize interaction handler
     this.interactionHandler = new InteractionHandler(this.context);
@@ -99,6 +151,16 @@ export default class NodeForge {
     this.context.registerManager('nodeManager', this.nodeManager);
     this.context.registerManager('connectionManager', this.connectionManager);
     this.context.registerManager('rerouteManager', this.rerouteManager);
+    this.context.registerManager('historyManager', this.historyManager);
+    this.context.registerManager('selectionManager', this.selectionManager);
+    this.context.registerManager('clipboardManager', this.clipboardManager);
+    this.context.registerManager('executionManager', this.executionManager);
+    this.context.registerManager('debugManager', this.debugManager);
+    this.context.registerManager('virtualizationManager', this.virtualizationManager);
+    this.context.registerManager('routingManager', this.routingManager);
+    this.context.registerManager('flowManager', this.flowManager);
+    this.context.registerManager('shortcutManager', this.shortcutManager);
+    this.context.registerManager('accessibilityManager', this.accessibilityManager);
     this.context.registerManager('interactionHandler', this.interactionHandler);
 
     this.events = this.eventManager.events; // Backward compatibility
@@ -115,10 +177,13 @@ export default class NodeForge {
     this.reroute_curvature = REROUTE_CONFIG.DEFAULT_CURVATURE;
     this.reroute_width = REROUTE_CONFIG.DEFAULT_WIDTH;
     this.drag_point = false;
+    this.drag_start = null;
     this.editor_selected = false;
+    this.selecting = false;
     this.connection = false;
     this.connection_ele = null;
     this.connection_selected = null;
+    this.reconnect = false;
     this.canvas_x = 0;
     this.canvas_y = 0;
     this.pos_x = 0;
@@ -128,10 +193,32 @@ export default class NodeForge {
     this.mouse_x = 0;
     this.mouse_y = 0;
     this.line_path = CONNECTION_CONFIG.LINE_PATH;
+    this.path_style = CONNECTION_CONFIG.PATH_STYLE;
+    this.marker_start = CONNECTION_CONFIG.MARKER_START;
+    this.marker_end = CONNECTION_CONFIG.MARKER_END;
     this.first_click = null;
     this.force_first_input = false;
     this.draggable_inputs = true;
+    this.detach_inputs = CONNECTION_CONFIG.DETACH_INPUTS;
+    this.splice_on_drop = CONNECTION_CONFIG.SPLICE_ON_DROP;
     this.useuuid = false;
+    this.history_depth = HISTORY_CONFIG.DEPTH;
+    this.paste_offset = CLIPBOARD_CONFIG.PASTE_OFFSET;
+    this.canConnect = null;
+    this.allow_cycles = CONNECTION_CONFIG.ALLOW_CYCLES;
+    this.connection_layer = CONNECTION_LAYERS.SEPARATE;
+    this.connection_renderer = options.connection_renderer || CONNECTION_RENDERERS.SVG;
+    this.auto_execute = EXECUTION_CONFIG.AUTO_EXECUTE;
+    this.debug = DEBUG_CONFIG.ENABLED;
+    this.schema_validation = SCHEMA_CONFIG.VALIDATION;
+    this.virtualize = VIRTUALIZATION_CONFIG.ENABLED;
+    this.virtualize_margin = VIRTUALIZATION_CONFIG.MARGIN;
+    this.edge_routing = ROUTING_CONFIG.MODE;
+    this.routing_padding = ROUTING_CONFIG.PADDING;
+    this.routing_spacing = ROUTING_CONFIG.EDGE_SPACING;
+    this.accessibility = ACCESSIBILITY_CONFIG.ENABLED;
+    this.accessibility_messages = Object.assign({}, ACCESSIBILITY_MESSAGES);
+    this.nodeLabel = null;
     this.parent = parent;
 
     this.noderegister = {};
@@ -146,6 +233,11 @@ export default class NodeForge {
     this.zoom_value = ZOOM_CONFIG.STEP;
     this.zoom_last_value = ZOOM_CONFIG.LAST_VALUE;
 
+    // Shortcuts belong to this editor only
+    Object.keys(options.shortcuts || {}).forEach((command) => {
+      this.shortcutManager.setShortcut(command, options.shortcuts[command]);
+    });
+
     // Mobile
     this.evCache = new Array();
     this.prevDiff = MOBILE_CONFIG.PREV_DIFF_INITIAL;
@@ -184,6 +276,8 @@ export default class NodeForge {
     this.container.addEventListener('input', this.updateNodeValue.bind(this));
 
     this.container.addEventListener('dblclick', this.dblclick.bind(this));
+    /* Focus and screen reader announcements */
+    this.accessibilityManager.attach();
     /* Mobile zoom */
     this.container.onpointerdown = this.pointerdown_handler.bind(this);
     this.container.onpointermove = this.pointermove_handler.bind(this);
@@ -244,19 +338,31 @@ export default class NodeForge {
   }
   /* End Mobile Zoom */
   load() {
-    for (let key in this.nodeforge.nodeforge[this.module].data) {
-      this.addNodeImport(this.nodeforge.nodeforge[this.module].data[key], this.precanvas);
-    }
+    this.renderManager.reset();
+    this.virtualizationManager.reset();
+    if(this.virtualizationManager.isActive()) {
+      // Only the nodes in view are rendered
+      this.virtualizationManager.update();
+    } else {
+      for (let key in this.nodeforge.nodeforge[this.module].data) {
+        this.addNodeImport(this.nodeforge.nodeforge[this.module].data[key], this.precanvas);
+      }
+
+      if(this.reroute) {
+        for (let key in this.nodeforge.nodeforge[this.module].data) {
+          this.addRerouteImport(this.nodeforge.nodeforge[this.module].data[key]);
+        }
+      }
 
-    if(this.reroute) {
+      this.renderManager.beginBatch();
       for (let key in this.nodeforge.nodeforge[this.module].data) {
-        this.addRerouteImport(this.nodeforge.nodeforge[this.module].data[key]);
+        this.connectionManager.updateConnectionNodes(buildNodeId(key));
       }
+      this.renderManager.endBatch();
     }
 
-    for (let key in this.nodeforge.nodeforge[this.module].data) {
-      this.updateConnectionNodes(buildNodeId(key));
-    }
+    this.selectionManager.refresh();
+    this.debugManager.refresh();
 
     const editor = this.nodeforge.nodeforge;
     let number = 1;
@@ -306,9 +412,18 @@ export default class NodeForge {
       }
     }
     switch (this.ele_selected.classList[0]) {
-      case 'nodeforge-node':
+      case 'nodeforge-node': {
+        if(e.shiftKey || e.ctrlKey || e.metaKey) {
+          // Modifier click toggles the node in the multi-selection
+          this.selectionManager.toggleNode(extractNodeId(this.ele_selected.id));
+          break;
+        }
+        // Pressing on a node of a multi-selection keeps the selection to drag it as a group
+        const groupDrag = this.selectionManager.isNodeSelected(extractNodeId(this.ele_selected.id)) && this.selectionManager.getSelection().nodes.length > 1;
         if(this.node_selected !== null) {
-          this.node_selected.classList.remove(CSS_CLASSES.SELECTED);
+          if(!groupDrag) {
+            this.node_selected.classList.remove(CSS_CLASSES.SELECTED);
+          }
           if(this.node_selected !== this.ele_selected) {
             this.dispatch(EVENTS.NODE_UNSELECTED, true);
           }
@@ -323,6 +438,9 @@ export default class NodeForge {
         }
         this.node_selected = this.ele_selected;
         this.node_selected.classList.add(CSS_CLASSES.SELECTED);
+        if(!groupDrag) {
+          this.selectionManager.selectNodes([extractNodeId(this.ele_selected.id)]);
+        }
         if(!this.draggable_inputs) {
           if(e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'SELECT' && e.target.hasAttribute('contenteditable') !== true) {
             this.drag = true;
@@ -333,9 +451,30 @@ export default class NodeForge {
           }
         }
         if(this.drag) {
-          this.ele_selected.classList.add("dragging");
+          // drag_start maps every dragged node ID to its position before the drag
+          const dragged = groupDrag ? this.selectionManager.getSelection().nodes : [extractNodeId(this.ele_selected.id)];
+          this.drag_start = {};
+          // Content may have resized nodes since their ports were measured
+          this.renderManager.invalidatePorts();
+          dragged.forEach((id) => {
+            const dataNode = this.nodeforge.nodeforge[this.module].data[id];
+            this.drag_start[id] = { pos_x: dataNode.pos_x, pos_y: dataNode.pos_y };
+            const ele = this.container.querySelector('#' + buildNodeId(id));
+            if(ele) {
+              ele.classList.add("dragging");
+            }
+          });
         }
         break;
+      }
+      case 'input':
+        // Dragging a connected input pulls its last connection off it
+        if(this.detach_inputs && this.connectionManager.beginDetach(this.ele_selected)) {
+          this.reconnect = true;
+          break;
+        }
+        // Otherwise a connection is drawn backwards, to an output
+        // falls through
       case 'output':
         this.connection = true;
         if(this.node_selected !== null) {
@@ -348,9 +487,14 @@ export default class NodeForge {
           this.removeReouteConnectionSelected();
           this.connection_selected = null;
         }
+        this.selectionManager.clear();
         this.drawConnection(e.target);
         break;
       case 'parent-nodeforge':
+        if(e.shiftKey && this.editor_mode === EDITOR_MODES.EDIT) {
+          this.startCanvasDrag(e);
+          break;
+        }
         if(this.node_selected !== null) {
           this.node_selected.classList.remove(CSS_CLASSES.SELECTED);
           this.node_selected = null;
@@ -361,9 +505,13 @@ export default class NodeForge {
           this.removeReouteConnectionSelected();
           this.connection_selected = null;
         }
-        this.editor_selected = true;
+        this.startCanvasDrag(e);
         break;
       case 'nodeforge':
+        if(e.shiftKey && this.editor_mode === EDITOR_MODES.EDIT) {
+          this.startCanvasDrag(e);
+          break;
+        }
         if(this.node_selected !== null) {
           this.node_selected.classList.remove(CSS_CLASSES.SELECTED);
           this.node_selected = null;
@@ -374,9 +522,14 @@ export default class NodeForge {
           this.removeReouteConnectionSelected();
           this.connection_selected = null;
         }
-        this.editor_selected = true;
+        this.startCanvasDrag(e);
         break;
       case 'main-path':
+        if((e.shiftKey || e.ctrlKey || e.metaKey) && isConnectionElement(this.ele_selected.parentElement)) {
+          // Modifier click toggles the connection in the multi-selection
+          this.selectionManager.toggleConnection(this.getConnectionFromElement(this.ele_selected.parentElement));
+          break;
+        }
         if(this.node_selected !== null) {
           this.node_selected.classList.remove(CSS_CLASSES.SELECTED);
           this.node_selected = null;
@@ -389,14 +542,18 @@ export default class NodeForge {
         }
         this.connection_selected = this.ele_selected;
         this.connection_selected.classList.add(CSS_CLASSES.SELECTED);
-        const listclassConnection = this.connection_selected.parentElement.classList;
-        if(listclassConnection.length > 1){
-          this.dispatch(EVENTS.CONNECTION_SELECTED, { output_id: extractNodeId(listclassConnection[2].replace("node_out_", "")), input_id: extractNodeId(listclassConnection[1].replace("node_in_", "")), output_class: listclassConnection[3], input_class: listclassConnection[4] });
+        if(isConnectionElement(this.connection_selected.parentElement)){
+          const connectionSelected = this.getConnectionFromElement(this.connection_selected.parentElement);
+          this.selectionManager.selectConnections([connectionSelected]);
+          this.dispatch(EVENTS.CONNECTION_SELECTED, connectionSelected);
           if(this.reroute_fix_curvature) {
             this.connection_selected.parentElement.querySelectorAll("." + CSS_CLASSES.MAIN_PATH).forEach((item, i) => {
               item.classList.add(CSS_CLASSES.SELECTED);
             });
           }
+          // Pressing near a port grabs that end to drag it to another port
+          const point = e.type === "touchstart" ? e.touches[0] : e;
+          this.reconnect = this.connectionManager.beginReconnect(this.connection_selected.parentElement, point.clientX, point.clientY);
         }
       break;
       case 'point':
@@ -407,6 +564,7 @@ export default class NodeForge {
         }
         this.drag_point = true;
         this.ele_selected.classList.add(CSS_CLASSES.SELECTED);
+        this.drag_start = this.getReroutePointsFromElement(this.ele_selected);
       break;
       case 'nodeforge-delete':
         if(this.node_selected ) {
@@ -450,6 +608,45 @@ export default class NodeForge {
     this.dispatch(EVENTS.CLICK_END, e);
   }
 
+  /**
+   * Starts panning the canvas, or drawing the selection box when Shift is held
+   * @private
+   * @param {Event} e - Mouse or touch event
+   */
+  startCanvasDrag(e) {
+    if(e.shiftKey && this.editor_mode === EDITOR_MODES.EDIT) {
+      if(!(e.ctrlKey || e.metaKey)) {
+        this.selectionManager.clear();
+      }
+      this.selecting = true;
+      this.selectionManager.startBox(e.clientX, e.clientY);
+    } else {
+      // Connections drawn without elements (canvas renderer) are picked by hit testing
+      const point = e.type === "touchstart" ? e.touches[0] : e;
+      const onCanvas = e.target === this.container || e.target === this.precanvas;
+      const connection = onCanvas && this.editor_mode !== EDITOR_MODES.FIXED ? this.renderManager.getConnectionAt(point.clientX, point.clientY) : null;
+      if(connection === null) {
+        this.selectionManager.clear();
+      } else if(e.ctrlKey || e.metaKey) {
+        this.selectionManager.toggleConnection(connection);
+      } else {
+        this.selectionManager.selectConnections([connection]);
+        this.dispatch(EVENTS.CONNECTION_SELECTED, connection);
+      }
+      this.editor_selected = true;
+    }
+  }
+
+  /**
+   * Gets the connection descriptor of a connection element
+   * @private
+   * @param {SVGElement} ele - The connection <svg> or <g> element
+   * @returns {{output_id: string, input_id: string, output_class: string, input_class: string}}
+   */
+  getConnectionFromElement(ele) {
+    return getConnectionFromElement(ele);
+  }
+
   position(e) {
     let e_pos_x;
     let e_pos_y;
@@ -465,6 +662,12 @@ export default class NodeForge {
     if(this.connection) {
       this.updateConnection(e_pos_x, e_pos_y);
     }
+    if(this.reconnect) {
+      this.connectionManager.updateReconnect(e_pos_x, e_pos_y);
+    }
+    if(this.selecting) {
+      this.selectionManager.updateBox(e_pos_x, e_pos_y);
+    }
     if(this.editor_selected) {
       let x =  this.canvas_x + (-(this.pos_x - e_pos_x))
       let y = this.canvas_y + (-(this.pos_y - e_pos_y))
@@ -478,16 +681,29 @@ export default class NodeForge {
       this.pos_x = e_pos_x;
       this.pos_y = e_pos_y;
 
-      let newLeft = this.ele_selected.offsetLeft - x;
-      let newTop = this.ele_selected.offsetTop - y;
-
-      this.ele_selected.style.top = newTop + "px";
-      this.ele_selected.style.left = newLeft + "px";
-
-      this.nodeforge.nodeforge[this.module].data[extractNodeId(this.ele_selected.id)].pos_x = newLeft;
-      this.nodeforge.nodeforge[this.module].data[extractNodeId(this.ele_selected.id)].pos_y = newTop;
+      Object.keys(this.drag_start).forEach((id) => {
+        const ele = this.container.querySelector('#' + buildNodeId(id));
+        const dataNode = this.nodeforge.nodeforge[this.module].data[id];
+        // Positions come from the data so moving does not read the layout
+        let newLeft = dataNode.pos_x - x;
+        let newTop = dataNode.pos_y - y;
+
+        dataNode.pos_x = newLeft;
+        dataNode.pos_y = newTop;
+
+        // Selected nodes outside the viewport have no element in virtualized mode
+        if(ele) {
+          ele.style.top = newTop + "px";
+          ele.style.left = newLeft + "px";
+          this.renderManager.requestNodeUpdate(id);
+        }
+      });
 
-      this.updateConnectionNodes(this.ele_selected.id)
+      // A single dragged node highlights the connection it would be inserted into
+      const dragged = Object.keys(this.drag_start);
+      if(this.splice_on_drop && dragged.length === 1) {
+        this.connectionManager.updateSpliceTarget(dragged[0]);
+      }
     }
 
     if(this.drag_point) {
@@ -503,10 +719,10 @@ export default class NodeForge {
       this.ele_selected.setAttributeNS(null, 'cx', pos_x);
       this.ele_selected.setAttributeNS(null, 'cy', pos_y);
 
-      const nodeUpdate = this.ele_selected.parentElement.classList[2].replace("node_out_", "") /* Extract from node_out_ prefix */;
-      const nodeUpdateIn = extractNodeId(this.ele_selected.parentElement.classList[1].replace("node_in_", ""));
-      const output_class = this.ele_selected.parentElement.classList[3];
-      const input_class = this.ele_selected.parentElement.classList[4];
+      const pointConnection = this.getConnectionFromElement(this.ele_selected.parentElement);
+      const nodeUpdateIn = pointConnection.input_id;
+      const output_class = pointConnection.output_class;
+      const input_class = pointConnection.input_class;
 
       let numberPointPosition = Array.from(this.ele_selected.parentElement.children).indexOf(this.ele_selected)-1;
 
@@ -518,16 +734,14 @@ export default class NodeForge {
         }
       }
 
-      const nodeId = nodeUpdate.slice(5);
+      const nodeId = pointConnection.output_id;
       const searchConnection = this.nodeforge.nodeforge[this.module].data[nodeId].outputs[output_class].connections.findIndex(function(item,i) {
         return item.node ===  nodeUpdateIn && item.output === input_class;
       });
 
       this.nodeforge.nodeforge[this.module].data[nodeId].outputs[output_class].connections[searchConnection].points[numberPointPosition] = { pos_x: pos_x, pos_y: pos_y };
 
-      const parentSelected = this.ele_selected.parentElement.classList[2].replace("node_out_", "") /* Extract from node_out_ prefix */;
-
-      this.updateConnectionNodes(parentSelected);
+      this.renderManager.requestNodeUpdate(nodeId);
     }
 
     if (e.type === "touchmove") {
@@ -552,32 +766,67 @@ export default class NodeForge {
       ele_last = e.target;
     }
 
+    if(this.drag || this.drag_point) {
+      // Draw the last move before it is reported
+      this.renderManager.flush();
+    }
+
     if(this.drag) {
+      const splice = this.connectionManager.clearSpliceTarget();
       if(this.pos_x_start !== e_pos_x || this.pos_y_start !== e_pos_y) {
-        this.dispatch(EVENTS.NODE_MOVED, extractNodeId(this.ele_selected.id));
+        // Dropped on a connection: the move and the insertion are undone together
+        this.historyManager.beginTransaction('moveNodes');
+        Object.keys(this.drag_start).forEach((id) => {
+          const dataNode = this.nodeforge.nodeforge[this.module].data[id];
+          this.dispatch(EVENTS.NODE_MOVED, id);
+          this.nodeManager.recordNodeMove(id, this.drag_start[id], { pos_x: dataNode.pos_x, pos_y: dataNode.pos_y });
+        });
+        if(splice !== null) {
+          const connection = splice.connection;
+          this.spliceConnection(connection.output_id, connection.input_id, connection.output_class, connection.input_class, Object.keys(this.drag_start)[0], splice.node_input, splice.node_output);
+        }
+        this.historyManager.endTransaction();
       }
     }
 
     if(this.drag_point) {
       this.ele_selected.classList.remove(CSS_CLASSES.SELECTED);
         if(this.pos_x_start !== e_pos_x || this.pos_y_start !== e_pos_y) {
-          this.dispatch(EVENTS.REROUTE_MOVED, extractNodeId(this.ele_selected.parentElement.classList[2].replace("node_out_", "")));
+          const pointConnection = this.getConnectionFromElement(this.ele_selected.parentElement);
+          this.dispatch(EVENTS.REROUTE_MOVED, pointConnection.output_id);
+          this.rerouteManager.recordPointsChange(pointConnection.output_id, pointConnection.input_id, pointConnection.output_class, pointConnection.input_class, this.drag_start, this.getReroutePointsFromElement(this.ele_selected));
         }
     }
 
+    if(this.selecting) {
+      this.selectionManager.endBox(e_pos_x, e_pos_y, e.ctrlKey || e.metaKey);
+      this.selecting = false;
+    }
+
     if(this.editor_selected) {
       this.canvas_x = this.canvas_x + (-(this.pos_x - e_pos_x));
       this.canvas_y = this.canvas_y + (-(this.pos_y - e_pos_y));
       this.editor_selected = false;
     }
     if(this.connection === true) {
+      this.connectionManager.clearRejectedInputs();
+      this.connectionManager.clearRejectedOutputs();
       // Use snap target if available (magnetic snap connected visually but mouse wasn't exactly on input)
       if(this.connectionManager._lastSnapTarget) {
         ele_last = this.connectionManager._lastSnapTarget;
         this.connectionManager._lastSnapTarget.classList.remove('snap-hover');
         this.connectionManager._lastSnapTarget = null;
       }
-      if(ele_last.classList[0] === CSS_CLASSES.INPUT || (this.force_first_input && (ele_last.closest("." + CSS_CLASSES.NODEFORGE_CONTENT_NODE) !== null || ele_last.classList[0] === CSS_CLASSES.NODEFORGE_NODE))) {
+      if(this.ele_selected.classList[0] === CSS_CLASSES.INPUT) {
+        // Drawn backwards from an input: completed on an output of another node
+        let input_id = this.ele_selected.parentElement.parentElement.id;
+        let output_id = ele_last.classList[0] === CSS_CLASSES.OUTPUT ? ele_last.parentElement.parentElement.id : input_id;
+        this.connection_ele.remove();
+        this.connection_ele = null;
+        if(output_id === input_id || !this.addConnection(extractNodeId(output_id), extractNodeId(input_id), ele_last.classList[1], this.ele_selected.classList[1])) {
+          this.dispatch(EVENTS.CONNECTION_CANCEL, true);
+        }
+      } else if(ele_last.classList[0] === CSS_CLASSES.INPUT || (this.force_first_input && (ele_last.closest("." + CSS_CLASSES.NODEFORGE_CONTENT_NODE) !== null || ele_last.classList[0] === CSS_CLASSES.NODEFORGE_NODE))) {
 
         let input_id;
         let input_class;
@@ -605,21 +854,13 @@ export default class NodeForge {
 
         if(output_id !== input_id && input_class !== false) {
 
-          if(this.container.querySelectorAll('.connection.node_in_'+input_id+'.node_out_'+output_id+'.'+output_class+'.'+input_class).length === 0) {
+          if(this.container.querySelectorAll(buildConnectionSelector(output_id, input_id, output_class, input_class)).length === 0) {
           // Conection no exist save connection
-
-          this.connection_ele.classList.add("node_in_"+input_id);
-          this.connection_ele.classList.add("node_out_"+output_id);
-          this.connection_ele.classList.add(output_class);
-          this.connection_ele.classList.add(input_class);
-          let id_input = extractNodeId(input_id);
-          let id_output = extractNodeId(output_id);
-
-          this.nodeforge.nodeforge[this.module].data[id_output].outputs[output_class].connections.push( {"node": id_input, "output": input_class});
-          this.nodeforge.nodeforge[this.module].data[id_input].inputs[input_class].connections.push( {"node": id_output, "input": output_class});
-          this.updateConnectionNodes(buildNodeId(id_output));
-          this.updateConnectionNodes(buildNodeId(id_input));
-          this.dispatch(EVENTS.CONNECTION_CREATED, { output_id: id_output, input_id: id_input, output_class:  output_class, input_class: input_class});
+          // The drawn preview is replaced by the one addConnection() creates
+          this.connection_ele.remove();
+          if(!this.addConnection(extractNodeId(output_id), extractNodeId(input_id), output_class, input_class)) {
+            this.dispatch(EVENTS.CONNECTION_CANCEL, true);
+          }
 
         } else {
           this.dispatch(EVENTS.CONNECTION_CANCEL, true);
@@ -642,12 +883,23 @@ export default class NodeForge {
       }
     }
 
-    if(this.drag && this.ele_selected) {
-      this.ele_selected.classList.remove("dragging");
+    if(this.reconnect) {
+      this.connectionManager.endReconnect();
+    }
+
+    if(this.drag) {
+      Object.keys(this.drag_start).forEach((id) => {
+        const ele = this.container.querySelector('#' + buildNodeId(id));
+        if(ele) {
+          ele.classList.remove("dragging");
+        }
+      });
     }
     this.drag = false;
     this.drag_point = false;
+    this.drag_start = null;
     this.connection = false;
+    this.reconnect = false;
     this.ele_selected = null;
     this.editor_selected = false;
 
@@ -670,7 +922,7 @@ export default class NodeForge {
         this.node_selected.appendChild(deletebox);
 
       }
-      if(this.connection_selected && (this.connection_selected.parentElement.classList.length > 1)) {
+      if(this.connection_selected && isConnectionElement(this.connection_selected.parentElement)) {
         deletebox.style.top = e.clientY * ( this.precanvas.clientHeight / (this.precanvas.clientHeight * this.zoom)) - (this.precanvas.getBoundingClientRect().y *  ( this.precanvas.clientHeight / (this.precanvas.clientHeight * this.zoom)) ) + "px";
         deletebox.style.left = e.clientX * ( this.precanvas.clientWidth / (this.precanvas.clientWidth * this.zoom)) - (this.precanvas.getBoundingClientRect().x *  ( this.precanvas.clientWidth / (this.precanvas.clientWidth * this.zoom)) ) + "px";
 
@@ -689,22 +941,33 @@ export default class NodeForge {
 
   key(e) {
     this.dispatch(EVENTS.KEY_DOWN, e);
-    if(this.editor_mode === EDITOR_MODES.FIXED || this.editor_mode === EDITOR_MODES.VIEW) {
-      return false;
-    }
-    if (e.key === KEY_CODES.DELETE || (e.key === KEY_CODES.BACKSPACE && e.metaKey)) {
-      if(this.node_selected !== null) {
-        if(this.first_click.tagName !== 'INPUT' && this.first_click.tagName !== 'TEXTAREA' && this.first_click.hasAttribute('contenteditable') !== true) {
-          this.removeNodeId(this.node_selected.id);
-          this.node_selected = null;
-          this.dispatch(EVENTS.NODE_UNSELECTED, true);
-        }
-      }
-      if(this.connection_selected !== null) {
-        this.removeConnection();
-        this.connection_selected = null;
+    return this.shortcutManager.handleKeyDown(e);
+  }
+
+  /**
+   * Stops drawing or reconnecting a connection, as if it was dropped on the canvas
+   * Also cancels a connection started from the keyboard. Bound to Escape by default.
+   * @returns {boolean} True if a connection was being drawn or reconnected
+   */
+  cancelConnection() {
+    if(this.connection) {
+      this.connectionManager.clearSnapTarget();
+      this.connectionManager.clearRejectedInputs();
+      this.connectionManager.clearRejectedOutputs();
+      if(this.connection_ele !== null) {
+        this.connection_ele.remove();
+        this.connection_ele = null;
       }
+      this.connection = false;
+      this.ele_selected = null;
+      this.dispatch(EVENTS.CONNECTION_CANCEL, true);
+      return true;
+    }
+    if(this.reconnect) {
+      this.reconnect = false;
+      return this.connectionManager.cancelReconnect();
     }
+    return this.accessibilityManager.cancelConnection();
   }
 
   zoom_enter(event, delta) {
@@ -723,6 +986,15 @@ export default class NodeForge {
     return this.zoomManager.zoom_reset();
   }
 
+  /**
+   * Zooms and pans so every node of the current module is in view
+   * @param {number} [padding=40] - Space in screen pixels around the nodes
+   * @returns {boolean} False if the module has no nodes
+   */
+  fitView(padding) {
+    return this.zoomManager.fitView(padding);
+  }
+
   createCurvature(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type) {
     return this.renderManager.createCurvature(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature_value, type);
   }
@@ -747,6 +1019,269 @@ export default class NodeForge {
     return this.connectionManager.addConnection(id_output, id_input, output_class, input_class);
   }
 
+  /**
+   * Moves one or both ends of a connection to other ports
+   * Reroute points, path style, label, markers, style and data are kept. The move is
+   * validated like addConnection() and reported with a single connectionUpdated event.
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {Object} target - New ends, e.g. { input_id: 3, input_class: 'input_1' }; missing ones are kept
+   * @returns {boolean} True if the connection was moved, false if it does not exist, the target exists
+   *   already, is in another module or was rejected (see the connectionRejected event)
+   */
+  reconnectConnection(id_output, id_input, output_class, input_class, target) {
+    return this.connectionManager.reconnectConnection(id_output, id_input, output_class, input_class, target);
+  }
+
+  /**
+   * Inserts a node into a connection, as when the node is dropped on it
+   * The connection is replaced by output -> node -> input, undone in one step and
+   * reported with a connectionSpliced event.
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {string|number} id_node - The ID of the node to insert
+   * @param {string} [node_input] - Input of the node, by default its first free input that fits
+   * @param {string} [node_output] - Output of the node, by default its first free output that fits
+   * @returns {boolean} True if the node was inserted, false if it cannot be (see the connectionRejected event)
+   */
+  spliceConnection(id_output, id_input, output_class, input_class, id_node, node_input, node_output) {
+    return this.connectionManager.spliceConnection(id_output, id_input, output_class, input_class, id_node, node_input, node_output);
+  }
+
+  /**
+   * Checks whether a connection would be accepted, using canConnect or the port types
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {boolean} True if the ports may be connected
+   */
+  isConnectionAllowed(id_output, id_input, output_class, input_class) {
+    return this.connectionManager.canConnect(id_output, id_input, output_class, input_class);
+  }
+
+  /**
+   * Sets the editor-wide path style and redraws the connections of the current module
+   * @param {string} style - 'bezier', 'straight', 'step', 'smooth-step' or 'orthogonal'
+   */
+  setPathStyle(style) {
+    this.path_style = style;
+    this.renderManager.updateModuleConnections();
+  }
+
+  /**
+   * Sets the path style of a connection, stored in its data and exported
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {string|null} style - 'bezier', 'straight', 'step', 'smooth-step' or 'orthogonal';
+   *   null falls back to the node type's path_style, then to editor.path_style
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionPathStyle(id_output, id_input, output_class, input_class, style) {
+    return this.connectionManager.setConnectionPathStyle(id_output.toString(), id_input.toString(), output_class, input_class, style);
+  }
+
+  /**
+   * Gets the path style a connection is drawn with
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {string|null} Resolved path style, null if the connection does not exist
+   */
+  getConnectionPathStyle(id_output, id_input, output_class, input_class) {
+    const entry = this.connectionManager.getConnectionEntry(id_output.toString(), id_input.toString(), output_class, input_class);
+    if (entry === null) return null;
+    return this.renderManager.getPathStyle({ output_id: id_output.toString(), path_style: entry.path_style });
+  }
+
+  /**
+   * Sets the label of a connection, stored in its data and exported
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {string|{text: string, position: number}|null} label - Text, or text and place along the path
+   *   from 0 (output) to 1 (input), 0.5 by default; null or an empty text removes the label
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionLabel(id_output, id_input, output_class, input_class, label) {
+    return this.connectionManager.setConnectionLabel(id_output.toString(), id_input.toString(), output_class, input_class, label);
+  }
+
+  /**
+   * Gets the label of a connection
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {{text: string, position: (number|undefined)}|null} Copy of the label, null if none
+   */
+  getConnectionLabel(id_output, id_input, output_class, input_class) {
+    const entry = this.connectionManager.getConnectionEntry(id_output.toString(), id_input.toString(), output_class, input_class);
+    if (entry === null || !entry.label) return null;
+    return JSON.parse(JSON.stringify(entry.label));
+  }
+
+  /**
+   * Opens a text field to edit the label of a connection, as double-clicking it does
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {number} [position] - Place of a new label along the path, from 0 (output) to 1 (input)
+   * @returns {boolean} True if the field was opened
+   */
+  editConnectionLabel(id_output, id_input, output_class, input_class, position) {
+    return this.connectionManager.editConnectionLabel(id_output.toString(), id_input.toString(), output_class, input_class, position);
+  }
+
+  /**
+   * Sets the editor-wide markers and redraws the connections of the current module
+   * @param {{start: string, end: string}} markers - 'none', 'arrow', 'dot' or 'diamond'; a missing side is left as is
+   */
+  setMarkers(markers) {
+    if (markers.start !== undefined) this.marker_start = markers.start;
+    if (markers.end !== undefined) this.marker_end = markers.end;
+    this.renderManager.updateModuleConnections();
+  }
+
+  /**
+   * Sets the markers of a connection, stored in its data and exported
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {{start: (string|null), end: (string|null)}} markers - 'none', 'arrow', 'dot' or 'diamond';
+   *   a missing side is left as is, null falls back to editor.marker_start/marker_end
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionMarkers(id_output, id_input, output_class, input_class, markers) {
+    return this.connectionManager.setConnectionMarkers(id_output.toString(), id_input.toString(), output_class, input_class, markers);
+  }
+
+  /**
+   * Gets the markers a connection is drawn with
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {{start: string, end: string}|null} Resolved markers, null if the connection does not exist
+   */
+  getConnectionMarkers(id_output, id_input, output_class, input_class) {
+    const entry = this.connectionManager.getConnectionEntry(id_output.toString(), id_input.toString(), output_class, input_class);
+    if (entry === null) return null;
+    return this.renderManager.getConnectionMarkers(entry);
+  }
+
+  /**
+   * Sets the style of a connection, stored in its data and exported
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {{color: string, dash: (string|Array<number>), width: number, class: string}|null} style - Stroke color,
+   *   dash pattern (e.g. '6 4'), stroke width and CSS class, each optional; replaces the current style, null removes it
+   * @returns {boolean} True if the connection exists
+   */
+  setConnectionStyle(id_output, id_input, output_class, input_class, style) {
+    return this.connectionManager.setConnectionStyle(id_output.toString(), id_input.toString(), output_class, input_class, style);
+  }
+
+  /**
+   * Gets the style of a connection
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {Object|null} Copy of the style, null if none
+   */
+  getConnectionStyle(id_output, id_input, output_class, input_class) {
+    const entry = this.connectionManager.getConnectionEntry(id_output.toString(), id_input.toString(), output_class, input_class);
+    if (entry === null || !entry.style) return null;
+    return JSON.parse(JSON.stringify(entry.style));
+  }
+
+  /**
+   * Replaces the custom data of a connection, stored with it and exported
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {Object|null} data - JSON-serializable data, null removes it
+   * @returns {boolean} True if the connection exists
+   */
+  updateConnectionData(id_output, id_input, output_class, input_class, data) {
+    return this.connectionManager.updateConnectionData(id_output.toString(), id_input.toString(), output_class, input_class, data);
+  }
+
+  /**
+   * Gets the custom data of a connection
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {Object|null} Copy of the data, null if none
+   */
+  getConnectionData(id_output, id_input, output_class, input_class) {
+    const entry = this.connectionManager.getConnectionEntry(id_output.toString(), id_input.toString(), output_class, input_class);
+    if (entry === null || entry.data === undefined) return null;
+    return JSON.parse(JSON.stringify(entry.data));
+  }
+
+  /* Graph analysis */
+  /**
+   * Checks whether a module contains a loop
+   * @param {string} [moduleName] - Module to analyse, defaults to the current one
+   * @returns {boolean} True if at least one cycle exists
+   */
+  hasCycle(moduleName = this.module) {
+    return hasCycle(this.stateManager.getModuleData(moduleName) || {});
+  }
+
+  /**
+   * Lists the groups of nodes that form loops
+   * @param {string} [moduleName] - Module to analyse, defaults to the current one
+   * @returns {Array<Array<string>>} Node IDs of each cycle
+   */
+  findCycles(moduleName = this.module) {
+    return findCycles(this.stateManager.getModuleData(moduleName) || {});
+  }
+
+  /**
+   * Returns the nodes ordered so every node comes after the nodes feeding it
+   * @param {string} [moduleName] - Module to analyse, defaults to the current one
+   * @returns {Array<string>|null} Node IDs, or null if the module has a cycle
+   */
+  getTopologicalOrder(moduleName = this.module) {
+    return topologicalSort(this.stateManager.getModuleData(moduleName) || {});
+  }
+
+  /**
+   * Lists the strongly connected components of a module
+   * @param {string} [moduleName] - Module to analyse, defaults to the current one
+   * @returns {Array<Array<string>>} Node IDs of each component
+   */
+  getStronglyConnectedComponents(moduleName = this.module) {
+    return getStronglyConnectedComponents(this.stateManager.getModuleData(moduleName) || {});
+  }
+
+  /**
+   * Built-in port type check, useful to extend inside a custom canConnect
+   * @param {string|Array<string>|null} outputType - Output port type
+   * @param {string|Array<string>|null} inputType - Input port type
+   * @returns {boolean} True if the types share a type or one side is untyped/'any'
+   */
+  isTypeCompatible(outputType, inputType) {
+    return isTypeCompatible(outputType, inputType);
+  }
+
   /**
    * Calculate current zoom factors for coordinate transformations
    * @private
@@ -825,7 +1360,13 @@ export default class NodeForge {
     return this.renderManager.updateReroutedInputConnection(connectionElem, points, nodeId, container, zoomFactors, reroute_curvature, reroute_curvature_start_end, rerouteWidth);
   }
 
+  /**
+   * Redraws the connections of a node
+   * The node's ports are measured again, call it after changing its content or size.
+   * @param {string} id - Node ID (with 'node-' prefix)
+   */
   updateConnectionNodes(id) {
+    this.renderManager.invalidatePorts(extractNodeId(id));
     return this.connectionManager.updateConnectionNodes(id);
   }
 
@@ -835,8 +1376,22 @@ export default class NodeForge {
         return;
     }
 
+    if(e.target.classList[0] === CSS_CLASSES.CONNECTION_LABEL) {
+      if(this.editor_mode === EDITOR_MODES.EDIT) {
+        const { output_id, input_id, output_class, input_class } = this.getConnectionFromElement(e.target.parentElement);
+        this.editConnectionLabel(output_id, input_id, output_class, input_class);
+      }
+      return;
+    }
+
     if(this.connection_selected !== null && this.reroute) {
         this.createReroutePoint(this.connection_selected);
+    } else if(this.connection_selected !== null && e.target === this.connection_selected && this.editor_mode === EDITOR_MODES.EDIT && isConnectionElement(e.target.parentElement)) {
+      // Without reroute points, double-clicking a connection labels it where it was clicked
+      const connection = this.getConnectionFromElement(e.target.parentElement);
+      const rect = this.precanvas.getBoundingClientRect();
+      const position = this.renderManager.getConnectionFraction(connection, (e.clientX - rect.x) / this.zoom, (e.clientY - rect.y) / this.zoom);
+      this.editConnectionLabel(connection.output_id, connection.input_id, connection.output_class, connection.input_class, position === null ? undefined : Math.round(position * 1000) / 1000);
     }
   }
 
@@ -844,12 +1399,35 @@ export default class NodeForge {
     return this.rerouteManager.createReroutePoint(ele);
   }
 
+  /**
+   * Gets a copy of the reroute points stored for the connection a point belongs to
+   * @private
+   * @param {SVGElement} ele - A reroute point element
+   * @returns {Array<{pos_x: number, pos_y: number}>}
+   */
+  getReroutePointsFromElement(ele) {
+    const { output_id, input_id, output_class, input_class } = this.getConnectionFromElement(ele.parentElement);
+    const connection = this.nodeforge.nodeforge[this.module].data[output_id].outputs[output_class].connections.find(function(item) {
+      return item.node === input_id && item.output === input_class;
+    });
+    return JSON.parse(JSON.stringify(connection.points || []));
+  }
+
   removeReroutePoint(ele) {
     return this.rerouteManager.removeReroutePoint(ele);
   }
 
-  registerNode(name, html, props = null, options = null) {
-    return this.nodeManager.registerNode(name, html, props, options);
+  /**
+   * Registers a node type
+   * @param {string} name - Node type name
+   * @param {HTMLElement|Object} html - HTML template or Vue component
+   * @param {Object} [props=null] - Component properties
+   * @param {Object} [options=null] - Additional component options
+   * @param {{inputs: Array, outputs: Array, compute: Function, path_style: string}} [definition=null] - Port
+   *   definitions, the compute function used by execute() and the path style of the node's outgoing connections
+   */
+  registerNode(name, html, props = null, options = null, definition = null) {
+    return this.nodeManager.registerNode(name, html, props, options, definition);
   }
 
   /**
@@ -901,16 +1479,45 @@ export default class NodeForge {
     return this.nodeManager.updateNodeValue(event);
   }
 
+  /**
+   * Replaces the data of a node
+   * Data of a type registered with a schema is coerced and validated first
+   * @param {string|number} id - Node ID
+   * @param {Object} data - New data object
+   * @returns {boolean} False if the data failed the schema and schema_validation is 'reject'
+   */
   updateNodeDataFromId(id, data) {
     return this.nodeManager.updateNodeDataFromId(id, data);
   }
 
-  addNodeInput(id) {
-    return this.nodeManager.addNodeInput(id);
+  /**
+   * Validates node data against the schema of the node's type
+   * @param {string|number} id - Node ID
+   * @param {Object} [data] - Data to check, defaults to the node's current data
+   * @returns {Object|null} Error messages keyed by data key, null if valid
+   */
+  validateNodeData(id, data) {
+    return this.nodeManager.validateNodeData(id, data);
+  }
+
+  addNodeInput(id, definition = null) {
+    return this.nodeManager.addNodeInput(id, definition);
   }
 
-  addNodeOutput(id) {
-    return this.nodeManager.addNodeOutput(id);
+  addNodeOutput(id, definition = null) {
+    return this.nodeManager.addNodeOutput(id, definition);
+  }
+
+  /**
+   * Sets or clears the maximum number of connections of a port
+   * @param {string|number} id - Node ID
+   * @param {string} port_class - Port class (e.g., 'input_1' or 'output_1')
+   * @param {number|null} max_connections - Maximum connections, null for unlimited
+   * @param {string} [limit_policy='reject'] - 'reject' new connections or 'replace' the oldest one
+   * @returns {boolean} False if the port does not exist
+   */
+  setPortLimit(id, port_class, max_connections, limit_policy) {
+    return this.nodeManager.setPortLimit(id, port_class, max_connections, limit_policy);
   }
 
   removeNodeInput(id, input_class) {
@@ -965,7 +1572,549 @@ export default class NodeForge {
   }
 
   clear () {
-    return this.moduleManager.clear();
+    this.moduleManager.clear();
+    this.historyManager.clear();
+    this.flowManager.reset();
+  }
+
+  /**
+   * Moves a node to a new position
+   * @param {string|number} id - The node ID
+   * @param {number} pos_x - New X position in pixels
+   * @param {number} pos_y - New Y position in pixels
+   */
+  moveNode(id, pos_x, pos_y) {
+    return this.nodeManager.moveNode(id, pos_x, pos_y);
+  }
+
+  /* Selection */
+  /**
+   * Gets the selected nodes and connections
+   * @returns {{nodes: Array<string>, connections: Array<Object>}} Node IDs and connections
+   *   ({ output_id, input_id, output_class, input_class })
+   */
+  getSelection() {
+    return this.selectionManager.getSelection();
+  }
+
+  /**
+   * Replaces the selection
+   * @param {{nodes: Array<string|number>, connections: Array<Object>}} selection - Items to select
+   */
+  setSelection(selection) {
+    return this.selectionManager.setSelection(selection);
+  }
+
+  clearSelection() {
+    return this.selectionManager.clear();
+  }
+
+  /**
+   * Selects every node of the current module and the connections between them
+   */
+  selectAll() {
+    return this.selectionManager.selectAll();
+  }
+
+  /**
+   * Moves every selected node by an offset as one undoable step
+   * @param {number} dx - Horizontal offset in pixels
+   * @param {number} dy - Vertical offset in pixels
+   */
+  moveSelection(dx, dy) {
+    return this.selectionManager.moveSelection(dx, dy);
+  }
+
+  /**
+   * Removes every selected node and connection as one undoable step
+   */
+  removeSelection() {
+    return this.selectionManager.removeSelection();
+  }
+
+  /**
+   * Exports the selected nodes and the connections between them
+   * @returns {Object} Data in the same shape as export()
+   */
+  exportSelection() {
+    return this.selectionManager.exportSelection();
+  }
+
+  /* Clipboard */
+  /**
+   * Copies the selected nodes and the connections between them
+   * Uses the system clipboard when available, an in-memory copy otherwise
+   * @returns {Object|null} Copied data in export() format, null if no node is selected
+   */
+  copy() {
+    return this.clipboardManager.copy();
+  }
+
+  /**
+   * Copies the selected nodes, then removes them as one undoable step
+   * @returns {Object|null} Copied data in export() format, null if no node is selected
+   */
+  cut() {
+    return this.clipboardManager.cut();
+  }
+
+  /**
+   * Pastes copied nodes into the current module with new IDs
+   * @param {{x: number, y: number}} [position] - Canvas position of the pasted group's
+   *   top-left corner; defaults to the copied position shifted by paste_offset
+   * @returns {Promise<Array<string>>} IDs of the pasted nodes
+   */
+  paste(position) {
+    return this.clipboardManager.paste(position);
+  }
+
+  /**
+   * Adds nodes from export() data to the current module with new IDs
+   * @param {Object} data - Data in export() format
+   * @param {{x: number, y: number}} [position] - Canvas position of the group's top-left corner
+   * @returns {Array<string>} IDs of the new nodes
+   */
+  pasteData(data, position) {
+    return this.clipboardManager.pasteData(data, position);
+  }
+
+  /**
+   * Duplicates the selected nodes next to the originals
+   * @returns {Array<string>} IDs of the new nodes
+   */
+  duplicate() {
+    return this.clipboardManager.duplicate();
+  }
+
+  /* Execution */
+  /**
+   * Evaluates a module with the compute functions registered for its node types
+   * Only nodes that changed since the last run, and the nodes downstream of them, are recomputed
+   * @param {string} [moduleName] - Module to evaluate, defaults to the current one
+   * @returns {Promise<Object>} Outputs of every evaluated node, keyed by node ID
+   */
+  execute(moduleName = this.module) {
+    return this.executionManager.execute(moduleName);
+  }
+
+  /**
+   * Gets the outputs computed for a node by the last execution
+   * @param {string|number} id - Node ID
+   * @returns {Object|undefined} Values keyed by output class, undefined if not executed
+   */
+  getNodeResult(id) {
+    return this.executionManager.getNodeResult(id);
+  }
+
+  /**
+   * Forces a node and everything downstream of it to be recomputed on the next execution
+   * @param {string|number} id - Node ID
+   */
+  invalidateNode(id) {
+    return this.executionManager.invalidate(id);
+  }
+
+  /**
+   * Drops cached execution results
+   * @param {string} [moduleName] - Module to clear, all modules if omitted
+   */
+  clearExecutionCache(moduleName) {
+    return this.executionManager.clear(moduleName);
+  }
+
+  /* Debugging */
+  /**
+   * Turns the execution visualisation (node state classes, connection values) on or off
+   * @param {boolean} enabled - New value of the debug property
+   */
+  setDebugMode(enabled) {
+    this.debug = !!enabled;
+    this.debugManager.refresh();
+  }
+
+  /**
+   * Sets or clears a breakpoint; execution pauses before computing the node
+   * @param {string|number} id - Node ID
+   * @param {boolean} [enabled=true] - False to remove the breakpoint
+   * @returns {boolean} False if the node does not exist
+   */
+  setBreakpoint(id, enabled = true) {
+    return this.debugManager.setBreakpoint(id, enabled);
+  }
+
+  /**
+   * Toggles the breakpoint of a node
+   * @param {string|number} id - Node ID
+   * @returns {boolean} Whether the node now has a breakpoint
+   */
+  toggleBreakpoint(id) {
+    return this.debugManager.toggleBreakpoint(id);
+  }
+
+  getBreakpoints() {
+    return this.debugManager.getBreakpoints();
+  }
+
+  clearBreakpoints() {
+    return this.debugManager.clearBreakpoints();
+  }
+
+  /**
+   * Pauses the running execution before its next node,
+   * or the next execution before its first node
+   */
+  pauseExecution() {
+    return this.debugManager.pause();
+  }
+
+  /**
+   * Computes the node execution is paused on and pauses again before the next one
+   * @returns {boolean} False if execution is not paused
+   */
+  stepExecution() {
+    return this.debugManager.step();
+  }
+
+  /**
+   * Resumes a paused execution until the next breakpoint
+   * @returns {boolean} False if execution is not paused
+   */
+  continueExecution() {
+    return this.debugManager.resume();
+  }
+
+  /**
+   * Aborts the running execution; the pending execute() promise rejects
+   * @returns {boolean} False if nothing is running
+   */
+  stopExecution() {
+    return this.debugManager.stop();
+  }
+
+  /**
+   * Gets the node execution is paused on
+   * @returns {Object|null} {id, module, inputs}, null if not paused
+   */
+  getPausedNode() {
+    return this.debugManager.getPausedNode();
+  }
+
+  /**
+   * Gets the execution state of a node
+   * @param {string|number} id - Node ID
+   * @returns {string|null} 'pending', 'running', 'done', 'failed' or null if it never ran
+   */
+  getNodeStatus(id) {
+    return this.debugManager.getStatus(id);
+  }
+
+  /**
+   * Gets the inspected values of every node of a module, for watch panels
+   * @param {string} [moduleName] - Module name, defaults to the current one
+   * @returns {Object} {name, status, breakpoint, inputs, outputs, error} keyed by node ID
+   */
+  getWatch(moduleName) {
+    return this.debugManager.getWatch(moduleName);
+  }
+
+  /**
+   * Gets the value last sent through an output
+   * @param {string|number} id_output - Output node ID
+   * @param {string} output_class - Output class (e.g., 'output_1')
+   * @returns {*} Value, undefined if the node has not been executed
+   */
+  getConnectionValue(id_output, output_class) {
+    return this.debugManager.getConnectionValue(id_output, output_class);
+  }
+
+  /* Virtualization */
+  /**
+   * Turns virtualized rendering on or off and renders the current module again
+   * @param {boolean} enabled - New value of the virtualize property
+   */
+  setVirtualization(enabled) {
+    this.virtualize = !!enabled;
+    if(this.precanvas !== null) {
+      this.import(this.nodeforge, false);
+    }
+  }
+
+  /**
+   * Mounts and unmounts nodes for the current viewport right away
+   * Panning, zooming and graph changes do this on the next frame; call it
+   * after resizing the container.
+   */
+  updateViewport() {
+    return this.virtualizationManager.update();
+  }
+
+  /**
+   * Checks whether a node of the current module is rendered
+   * @param {string|number} id - Node ID
+   * @returns {boolean} Always true when virtualize is off
+   */
+  isNodeMounted(id) {
+    return this.virtualizationManager.isMounted(id);
+  }
+
+  /* Routing */
+  /**
+   * Sets how connections are routed around nodes and redraws the connections of the current module
+   * Set edge_routing directly before start() to route from the first load.
+   * @param {string} mode - 'none' (path styles), 'orthogonal' or 'spline'
+   */
+  setEdgeRouting(mode) {
+    this.edge_routing = mode;
+    this.routingManager.reset();
+    this.renderManager.updateModuleConnections();
+  }
+
+  /**
+   * Gets the route of a connection, as last drawn
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {Array<Array<{x: number, y: number}>>|null} Corners of each segment (one per reroute
+   *   point plus one), null if routing is off or the connection is not drawn
+   */
+  getConnectionRoute(id_output, id_input, output_class, input_class) {
+    if (!this.routingManager.isEnabled()) return null;
+    const route = this.routingManager.getRoute({
+      output_id: id_output.toString(),
+      input_id: id_input.toString(),
+      output_class: output_class,
+      input_class: input_class
+    });
+    return route === null ? null : route.map((points) => points.map((point) => ({ x: point.x, y: point.y })));
+  }
+
+  /* Flow */
+  /**
+   * Animates a connection to show data moving along it, or stops the animation
+   * Flows are view state: they are not exported nor undone.
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {boolean|Object|null} flow - True or options to animate, false or null to stop
+   * @param {string} [flow.type='dash'] - 'dash' (moving dashes) or 'dots' (moving dots)
+   * @param {number} [flow.speed=60] - Canvas units per second
+   * @param {string} [flow.direction='forward'] - 'forward' (output to input) or 'reverse'
+   * @returns {boolean} False if the connection does not exist
+   */
+  setConnectionFlow(id_output, id_input, output_class, input_class, flow) {
+    return this.flowManager.setFlow({
+      output_id: id_output.toString(),
+      input_id: id_input.toString(),
+      output_class: output_class,
+      input_class: input_class
+    }, flow);
+  }
+
+  /**
+   * Gets the flow options of a connection
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @returns {{type: string, speed: number, direction: string}|null} Options, null if not animated
+   */
+  getConnectionFlow(id_output, id_input, output_class, input_class) {
+    return this.flowManager.getFlow({
+      output_id: id_output.toString(),
+      input_id: id_input.toString(),
+      output_class: output_class,
+      input_class: input_class
+    });
+  }
+
+  /**
+   * Lists the animated connections
+   * @returns {Array<Object>} Connections ({ output_id, input_id, output_class, input_class })
+   */
+  getFlows() {
+    return this.flowManager.getFlows();
+  }
+
+  /**
+   * Stops the animation of every connection
+   */
+  clearFlows() {
+    this.flowManager.clearFlows();
+  }
+
+  /**
+   * Sends a single dot along a connection, e.g. when a value passes
+   * @param {string|number} id_output - The ID of the output node
+   * @param {string|number} id_input - The ID of the input node
+   * @param {string} output_class - The output connector class (e.g., 'output_1')
+   * @param {string} input_class - The input connector class (e.g., 'input_1')
+   * @param {Object} [options] - Pulse options
+   * @param {number} [options.speed=300] - Canvas units per second
+   * @param {string} [options.direction='forward'] - 'forward' (output to input) or 'reverse'
+   * @returns {boolean} False if the connection is not drawn (other module, not mounted or canvas renderer)
+   */
+  pulseConnection(id_output, id_input, output_class, input_class, options) {
+    return this.flowManager.pulse({
+      output_id: id_output.toString(),
+      input_id: id_input.toString(),
+      output_class: output_class,
+      input_class: input_class
+    }, options);
+  }
+
+  /* Rendering */
+  /**
+   * Starts a render batch
+   * Connection updates are queued until the matching endBatch() and drawn
+   * once, so bulk changes (adding, moving or connecting many nodes) do not
+   * lay out the page for every change. Batches nest.
+   */
+  beginBatch() {
+    this.renderManager.beginBatch();
+  }
+
+  /**
+   * Ends a render batch, drawing the queued connections when the outermost batch ends
+   */
+  endBatch() {
+    this.renderManager.endBatch();
+  }
+
+  /**
+   * Finds the connection under a mouse position
+   * Only answers for the canvas renderer; SVG connections are found through their elements.
+   * @param {number} clientX - Mouse X position
+   * @param {number} clientY - Mouse Y position
+   * @returns {Object|null} Connection ({ output_id, input_id, output_class, input_class }), null if none
+   */
+  getConnectionAt(clientX, clientY) {
+    return this.renderManager.getConnectionAt(clientX, clientY);
+  }
+
+  /**
+   * Releases what the editor holds outside its container
+   * Unmounts the connection renderer: the canvas renderer disconnects its
+   * observers and window listeners. Call it before dropping an editor.
+   */
+  destroy() {
+    this.renderManager.destroy();
+  }
+
+  /* History */
+  /**
+   * Undoes the last recorded mutation
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    return this.historyManager.undo();
+  }
+
+  /**
+   * Redoes the last undone mutation
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    return this.historyManager.redo();
+  }
+
+  canUndo() {
+    return this.historyManager.canUndo();
+  }
+
+  canRedo() {
+    return this.historyManager.canRedo();
+  }
+
+  clearHistory() {
+    return this.historyManager.clear();
+  }
+
+  /**
+   * Groups all mutations until endTransaction() into a single undo step
+   * @param {string} [label] - Name reported as the command type
+   */
+  beginTransaction(label) {
+    return this.historyManager.beginTransaction(label);
+  }
+
+  endTransaction() {
+    return this.historyManager.endTransaction();
+  }
+
+  /* Shortcuts */
+  /**
+   * Binds a command to key chords, replacing its current ones
+   * Chords are modifiers and a KeyboardEvent.key joined with '+', e.g. 'Mod+Shift+Z';
+   * Mod is Cmd on Apple platforms and Ctrl elsewhere.
+   * @param {string} command - Command name, e.g. 'zoomIn' (see getShortcuts())
+   * @param {string|Array<string>|null} chords - Chord or chords, null or [] to disable the command
+   * @returns {boolean} False if the command is unknown or a chord is invalid
+   */
+  setShortcut(command, chords) {
+    return this.shortcutManager.setShortcut(command, chords);
+  }
+
+  /**
+   * Lists the bound commands of this editor
+   * @returns {Object<string, Array<string>>} Chords of every bound command, e.g. { undo: ['Ctrl+z'] }
+   */
+  getShortcuts() {
+    return this.shortcutManager.getShortcuts();
+  }
+
+  /**
+   * Restores the default shortcuts
+   */
+  resetShortcuts() {
+    return this.shortcutManager.resetShortcuts();
+  }
+
+  /**
+   * Registers a command that shortcuts can be bound to
+   * @param {string} name - Command name
+   * @param {Function} run - Called with the keyboard event, returns false to let the key through
+   * @param {Object} [options] - { edit_only, in_fields }
+   */
+  registerShortcutCommand(name, run, options) {
+    return this.shortcutManager.registerCommand(name, run, options);
+  }
+
+  /**
+   * Runs a command as if its shortcut was pressed
+   * @param {string} command - Command name
+   * @returns {boolean} True if the command did something
+   */
+  runShortcutCommand(command) {
+    return this.shortcutManager.runCommand(command);
+  }
+
+  /* Accessibility */
+  /**
+   * Reads a message out to screen readers through the editor's live region
+   * @param {string} message - Text to read
+   */
+  announce(message) {
+    return this.accessibilityManager.announce(message);
+  }
+
+  /**
+   * Moves the keyboard focus to a node, selecting it and panning it into view
+   * @param {string|number} id - Node ID
+   * @returns {boolean} False if the node is not rendered
+   */
+  focusNode(id) {
+    return this.accessibilityManager.focusNode(String(id));
+  }
+
+  /**
+   * Gets the accessible name of a node
+   * @param {string|number} id - Node ID
+   * @returns {string} Label from nodeLabel, the node data (title, label or name) or the node name
+   */
+  getNodeLabel(id) {
+    return this.accessibilityManager.getNodeLabel(String(id));
   }
   /**
    * Exports the entire nodeforge data structure
@@ -983,10 +2132,13 @@ export default class NodeForge {
    * @param {boolean} [notifi=true] - Whether to dispatch an import event
    */
   import (data, notifi = true) {
-    this.clear();
+    this.moduleManager.clear();
     this.nodeforge = JSON.parse(JSON.stringify(data));
+    this.connectionManager.enforceConnectionLimits();
     this.load();
     if(notifi) {
+      // Internal reloads (module switch, data refresh) pass notifi = false and keep the history
+      this.historyManager.clear();
       this.dispatch(EVENTS.IMPORT, 'import');
     }
   }
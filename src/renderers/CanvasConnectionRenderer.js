@@ -0,0 +1,403 @@
+/**
+ * CanvasConnectionRenderer - Draws all connections on one <canvas>
+ *
+ * Meant for large, mostly read-only graphs (e.g. editor_mode 'view'
+ * dashboards): there are no connection elements, so adding, moving and
+ * panning cost no DOM work. The canvas sits behind the precanvas and covers
+ * the viewport; it is repainted on the next animation frame whenever
+ * connections, the viewport or the selection change.
+ *
+ * Hover and selection use geometric hit testing against the drawn curves.
+ * Colors and widths come from the --nf-edge-* CSS variables, or from the
+ * connection style (its CSS class does not apply). The variables are read
+ * again when the container is resized or its class or style changes.
+ *
+ * Connection elements do not exist with this renderer, so reroute editing
+ * and debug value labels are not available.
+ */
+import { ConnectionRenderer } from './ConnectionRenderer.js';
+import { flattenCommands, distanceToPolyline, getPointsBoundingBox, isPointInRect } from '../utils/geometry.js';
+import { getConnectionKey } from '../utils/string.js';
+import { CSS_CLASSES, EVENTS, CANVAS_RENDERER_CONFIG } from '../constants.js';
+
+// Used when the --nf-edge-* variables are not defined
+const DEFAULT_STYLE = {
+  stroke: '#94a3b8',
+  strokeHover: '#3b82f6',
+  strokeSelected: '#10b981',
+  width: 2,
+  widthHover: 3
+};
+
+export class CanvasConnectionRenderer extends ConnectionRenderer {
+  /**
+   * Creates a new CanvasConnectionRenderer
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    super(context);
+    this.canvas = null;
+    this.items = {};
+    this.hovered = null;
+    this.frame = null;
+    this.style = null;
+    // Kept to be undone by unmount()
+    this.subscriptions = [];
+    this.listeners = [];
+    this.observers = [];
+  }
+
+  /**
+   * Creates the canvas and subscribes to the events that need a repaint
+   */
+  mount() {
+    const container = this.context.getContainer();
+    const eventManager = this.context.getEventManager();
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.classList.add(CSS_CLASSES.CONNECTION_CANVAS);
+    container.insertBefore(this.canvas, container.firstChild);
+
+    const subscribe = (event, callback) => {
+      eventManager.on(event, callback);
+      this.subscriptions.push({ event: event, callback: callback });
+    };
+    subscribe(EVENTS.TRANSLATE, () => this.requestPaint());
+    subscribe(EVENTS.ZOOM, () => this.requestPaint());
+    subscribe(EVENTS.SELECTION_CHANGED, () => this.requestPaint());
+    subscribe(EVENTS.CONNECTION_REMOVED, (connection) => this.remove(connection));
+    subscribe(EVENTS.CONNECTION_UPDATED, (update) => {
+      if (update.previous.output_id !== undefined) {
+        this.remove(update.previous);
+      }
+    });
+
+    const listen = (target, type, callback) => {
+      target.addEventListener(type, callback);
+      this.listeners.push({ target: target, type: type, callback: callback });
+    };
+    listen(container, 'mousemove', (e) => this.onMouseMove(e));
+    listen(container, 'mouseleave', () => this.setHovered(null));
+
+    // The CSS variables are read again after a resize (media queries) or a
+    // class or style change of the container (themes)
+    const restyle = () => {
+      this.style = null;
+      this.requestPaint();
+    };
+    if (typeof ResizeObserver === 'function') {
+      const observer = new ResizeObserver(restyle);
+      observer.observe(container);
+      this.observers.push(observer);
+    } else if (typeof window !== 'undefined') {
+      listen(window, 'resize', restyle);
+    }
+    if (typeof MutationObserver === 'function') {
+      const observer = new MutationObserver(restyle);
+      observer.observe(container, { attributes: true, attributeFilter: ['class', 'style'] });
+      this.observers.push(observer);
+    }
+  }
+
+  /**
+   * Removes the canvas and stops listening
+   */
+  unmount() {
+    const eventManager = this.context.getEventManager();
+    this.subscriptions.forEach((subscription) => eventManager.removeListener(subscription.event, subscription.callback));
+    this.listeners.forEach((listener) => listener.target.removeEventListener(listener.type, listener.callback));
+    this.observers.forEach((observer) => observer.disconnect());
+    this.subscriptions = [];
+    this.listeners = [];
+    this.observers = [];
+
+    if (this.frame !== null) {
+      if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(this.frame);
+      } else {
+        clearTimeout(this.frame);
+      }
+      this.frame = null;
+    }
+    if (this.canvas !== null) {
+      this.canvas.remove();
+      this.canvas = null;
+    }
+    this.context.getContainer().classList.remove(CSS_CLASSES.CONNECTION_HOVER);
+    this.items = {};
+    this.hovered = null;
+    this.style = null;
+  }
+
+  /**
+   * Stores the segments of connections and repaints
+   * @param {Array<Object>} items - Connections and their segments
+   */
+  draw(items) {
+    if (items.length === 0) return;
+
+    const renderManager = this.context.getRenderManager();
+    items.forEach((item) => {
+      this.items[getConnectionKey(item.connection)] = {
+        connection: item.connection,
+        segments: item.segments,
+        style: renderManager.getConnectionStyle(item.connection),
+        points: null,
+        bounds: null
+      };
+    });
+    this.requestPaint();
+  }
+
+  /**
+   * Stops drawing a connection
+   * @param {Object} connection - Connection ({ output_id, input_id, output_class, input_class })
+   */
+  remove(connection) {
+    const key = getConnectionKey({
+      output_id: String(connection.output_id),
+      input_id: String(connection.input_id),
+      output_class: connection.output_class,
+      input_class: connection.input_class
+    });
+    if (this.items[key] === undefined) return;
+
+    delete this.items[key];
+    if (this.hovered === key) {
+      this.hovered = null;
+    }
+    this.requestPaint();
+  }
+
+  /**
+   * Stops drawing the connections of a node
+   * @param {string} id - Node ID
+   */
+  removeNode(id) {
+    Object.keys(this.items).forEach((key) => {
+      const connection = this.items[key].connection;
+      if (connection.output_id === String(id) || connection.input_id === String(id)) {
+        delete this.items[key];
+      }
+    });
+    this.requestPaint();
+  }
+
+  /**
+   * Forgets every drawn connection
+   */
+  clear() {
+    this.items = {};
+    this.hovered = null;
+    this.requestPaint();
+  }
+
+  /**
+   * Finds the connection drawn at a point
+   * The closest connection within the tolerance wins.
+   * @param {number} x - X in canvas coordinates
+   * @param {number} y - Y in canvas coordinates
+   * @param {number} tolerance - Hit distance in canvas units
+   * @returns {Object|null} Connection, null if none
+   */
+  hitTest(x, y, tolerance) {
+    let found = null;
+    let min = tolerance;
+
+    Object.keys(this.items).forEach((key) => {
+      const item = this.items[key];
+      if (item.points === null) {
+        item.points = item.segments.map((segment) => flattenCommands(segment, CANVAS_RENDERER_CONFIG.CURVE_SAMPLES));
+        item.bounds = getPointsBoundingBox([].concat(...item.points));
+      }
+
+      const bounds = item.bounds;
+      if (!isPointInRect(x, y, bounds.x - tolerance, bounds.y - tolerance, bounds.width + tolerance * 2, bounds.height + tolerance * 2)) {
+        return;
+      }
+
+      item.points.forEach((points) => {
+        const distance = distanceToPolyline(points, x, y);
+        if (distance <= min) {
+          min = distance;
+          found = item.connection;
+        }
+      });
+    });
+
+    if (found === null) return null;
+    return {
+      output_id: found.output_id,
+      input_id: found.input_id,
+      output_class: found.output_class,
+      input_class: found.input_class
+    };
+  }
+
+  /**
+   * Highlights the connection under the mouse
+   * @private
+   * @param {MouseEvent} e - Mouse event
+   */
+  onMouseMove(e) {
+    // Nodes cover the canvas, and nothing is hovered while dragging
+    if (e.buttons !== 0 || (e.target !== this.context.getContainer() && e.target !== this.context.getPrecanvas())) {
+      this.setHovered(null);
+      return;
+    }
+
+    const connection = this.context.getRenderManager().getConnectionAt(e.clientX, e.clientY);
+    this.setHovered(connection === null ? null : getConnectionKey(connection));
+  }
+
+  /**
+   * Sets the hovered connection
+   * @private
+   * @param {string|null} key - Connection key
+   */
+  setHovered(key) {
+    if (this.hovered === key) return;
+    this.hovered = key;
+    this.context.getContainer().classList.toggle(CSS_CLASSES.CONNECTION_HOVER, key !== null);
+    this.requestPaint();
+  }
+
+  /**
+   * Repaints on the next animation frame
+   * Zoom and translate are applied to the precanvas after their events, so the
+   * canvas is never painted synchronously.
+   * @private
+   */
+  requestPaint() {
+    if (this.frame !== null || this.canvas === null) return;
+
+    const paint = () => {
+      this.frame = null;
+      this.paint();
+    };
+    this.frame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame(paint) : setTimeout(paint, 0);
+  }
+
+  /**
+   * Paints all connections
+   * Connections drawn alike are stroked as one path: regular ones first, then
+   * the hovered one, then the selected ones.
+   * @private
+   */
+  paint() {
+    const ctx = this.canvas.getContext('2d');
+    if (!ctx) return;
+
+    const container = this.context.getContainer();
+    const precanvas = this.context.getPrecanvas();
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const width = Math.round(container.clientWidth * ratio);
+    const height = Math.round(container.clientHeight * ratio);
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Same transform as the precanvas: canvas coordinates map to where the nodes are
+    const zoom = this.context.getZoom();
+    const origin = precanvas.getBoundingClientRect();
+    const own = this.canvas.getBoundingClientRect();
+    ctx.setTransform(zoom * ratio, 0, 0, zoom * ratio, (origin.x - own.x) * ratio, (origin.y - own.y) * ratio);
+
+    const style = this.getStyle();
+    const selected = {};
+    this.context.getSelectionManager().getSelection().connections.forEach((connection) => {
+      selected[getConnectionKey(connection)] = true;
+    });
+
+    const layers = [{}, {}, {}];
+    Object.keys(this.items).forEach((key) => {
+      const item = this.items[key];
+      const own = item.style;
+      let layer = 0;
+      let stroke = own.color || style.stroke;
+      let width = own.width || style.width;
+      if (selected[key] || key === this.hovered) {
+        layer = selected[key] ? 2 : 1;
+        stroke = selected[key] ? style.strokeSelected : style.strokeHover;
+        width = own.width ? own.width + 1 : style.widthHover;
+      }
+
+      const group = `${stroke}|${width}|${own.dash}`;
+      if (layers[layer][group] === undefined) {
+        layers[layer][group] = { stroke: stroke, width: width, dash: own.dash || [], items: [] };
+      }
+      layers[layer][group].items.push(item);
+    });
+
+    layers.forEach((groups) => {
+      Object.keys(groups).forEach((group) => {
+        const entry = groups[group];
+        this.strokeItems(ctx, entry.items, entry.stroke, entry.width, entry.dash);
+      });
+    });
+  }
+
+  /**
+   * Strokes connections as one path
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Array<Object>} items - Stored connections
+   * @param {string} stroke - Stroke color
+   * @param {number} width - Line width in canvas units
+   * @param {Array<number>} dash - Dash pattern, empty for a solid line
+   */
+  strokeItems(ctx, items, stroke, width, dash) {
+    if (items.length === 0) return;
+
+    ctx.beginPath();
+    items.forEach((item) => {
+      item.segments.forEach((segment) => {
+        segment.forEach((command) => {
+          switch (command.type) {
+            case 'M':
+              ctx.moveTo(command.x, command.y);
+              break;
+            case 'L':
+              ctx.lineTo(command.x, command.y);
+              break;
+            case 'Q':
+              ctx.quadraticCurveTo(command.x1, command.y1, command.x, command.y);
+              break;
+            default:
+              ctx.bezierCurveTo(command.x1, command.y1, command.x2, command.y2, command.x, command.y);
+          }
+        });
+      });
+    });
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = width;
+    ctx.setLineDash(dash);
+    ctx.stroke();
+  }
+
+  /**
+   * Reads the connection colors and widths from the CSS variables
+   * Read once and kept until the container is resized or its class or style changes.
+   * @private
+   * @returns {Object} Stroke colors and widths
+   */
+  getStyle() {
+    if (this.style !== null) return this.style;
+
+    const computed = window.getComputedStyle(this.context.getContainer());
+    const read = (name) => computed.getPropertyValue(name).trim();
+
+    this.style = {
+      stroke: read('--nf-edge-stroke') || DEFAULT_STYLE.stroke,
+      strokeHover: read('--nf-edge-stroke-hover') || DEFAULT_STYLE.strokeHover,
+      strokeSelected: read('--nf-edge-stroke-selected') || DEFAULT_STYLE.strokeSelected,
+      width: parseFloat(read('--nf-edge-width')) || DEFAULT_STYLE.width,
+      widthHover: parseFloat(read('--nf-edge-width-hover')) || DEFAULT_STYLE.widthHover
+    };
+    return this.style;
+  }
+}
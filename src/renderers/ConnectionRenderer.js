@@ -0,0 +1,81 @@
+/**
+ * ConnectionRenderer - Interface of the connection renderers
+ *
+ * RenderManager computes the geometry of every connection from the node data
+ * and hands it to a renderer, which only draws it. Renderers receive items of
+ * the form:
+ *
+ *   {
+ *     connection: { output_id, input_id, output_class, input_class },
+ *     segments:   [ [ { type: 'M', x, y }, { type: 'C', x1, y1, x2, y2, x, y } ], ... ]
+ *   }
+ *
+ * with one segment per curve (one, or one per reroute point plus one), in
+ * canvas (precanvas) coordinates.
+ *
+ * A custom renderer extends this class and is passed to the editor as the
+ * connection_renderer option.
+ */
+export class ConnectionRenderer {
+  /**
+   * Creates a new ConnectionRenderer
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Attaches the renderer to the editor
+   * Called once, after the editor has started.
+   */
+  mount() {}
+
+  /**
+   * Detaches the renderer from the editor
+   * Undoes mount(): removes what it added to the container and stops its
+   * observers and listeners. Called by the editor's destroy().
+   */
+  unmount() {}
+
+  /**
+   * Checks if connections are DOM elements
+   * Connection elements, reroute points and value labels are only created
+   * for renderers that draw into them.
+   * @returns {boolean} True if the renderer draws into connection elements
+   */
+  hasElements() {
+    return false;
+  }
+
+  /**
+   * Draws connections, replacing their previous geometry
+   * @param {Array<Object>} items - Connections and their segments
+   */
+  draw(items) {}
+
+  /**
+   * Stops drawing the connections of a node
+   * Called when a node leaves the rendered set (virtualized mode).
+   * @param {string} id - Node ID
+   */
+  removeNode(id) {}
+
+  /**
+   * Forgets every drawn connection
+   * Called when the editor is (re)loaded or cleared.
+   */
+  clear() {}
+
+  /**
+   * Finds the connection drawn at a point
+   * @param {number} x - X in canvas coordinates
+   * @param {number} y - Y in canvas coordinates
+   * @param {number} tolerance - Hit distance in canvas units
+   * @returns {Object|null} Connection ({ output_id, input_id, output_class, input_class }), null if none.
+   *   Renderers with elements return null: their elements receive the pointer events.
+   */
+  hitTest(x, y, tolerance) {
+    return null;
+  }
+}
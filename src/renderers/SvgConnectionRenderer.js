@@ -0,0 +1,259 @@
+/**
+ * SvgConnectionRenderer - Draws connections as SVG elements
+ *
+ * The default renderer. Every connection is an <svg> (or a <g> of the shared
+ * layer) created by ConnectionManager; this renderer writes the segments into
+ * its main-path elements, so connections keep their CSS styling, pointer
+ * events, reroute points and value labels.
+ *
+ * A connection style overrides the --nf-edge-stroke and --nf-edge-width
+ * variables on the connection element, so hover and selection keep their
+ * theme colors, and adds its dash pattern and CSS class.
+ *
+ * Labels are <text> elements of the connection. Markers are <marker>
+ * definitions shared by all connections of the editor, in a hidden <svg> of the container,
+ * referenced by the marker-start/marker-end of the first and last main path.
+ * Animated flows are written by FlowManager.renderFlow().
+ */
+import { ConnectionRenderer } from './ConnectionRenderer.js';
+import { commandsToPath, getPointAlongPath } from '../utils/geometry.js';
+import { getConnectionKey, buildNodeConnectionsSelector } from '../utils/string.js';
+import { createSVGElement, getConnectionFromElement } from '../utils/dom.js';
+import { CSS_CLASSES, CONNECTION_CONFIG, CONNECTION_MARKERS } from '../constants.js';
+
+// Marker shapes in a CONNECTION_CONFIG.MARKER_SIZE square, pointing along +x
+const SIZE = CONNECTION_CONFIG.MARKER_SIZE;
+const MARKER_SHAPES = {
+  [CONNECTION_MARKERS.ARROW]: `M 0 0 L ${SIZE} ${SIZE / 2} L 0 ${SIZE} z`,
+  [CONNECTION_MARKERS.DOT]: `M 0 ${SIZE / 2} a ${SIZE / 2} ${SIZE / 2} 0 1 0 ${SIZE} 0 a ${SIZE / 2} ${SIZE / 2} 0 1 0 ${-SIZE} 0`,
+  [CONNECTION_MARKERS.DIAMOND]: `M 0 ${SIZE / 2} L ${SIZE / 2} 0 L ${SIZE} ${SIZE / 2} L ${SIZE / 2} ${SIZE} z`
+};
+
+// Numbers the renderers, so the marker IDs of several editors on a page differ
+let instances = 0;
+
+export class SvgConnectionRenderer extends ConnectionRenderer {
+  /**
+   * Creates a new SvgConnectionRenderer
+   * @param {NodeForgeContext} context - The NodeForgeContext instance
+   */
+  constructor(context) {
+    super(context);
+    instances++;
+    this.marker_prefix = 'nodeforge-' + instances + '-marker-';
+    this.defs = null;
+  }
+
+  /**
+   * Gets the element ID of a marker definition of this editor
+   * @param {string} marker - Marker (see CONNECTION_MARKERS)
+   * @returns {string} Element ID (e.g., 'nodeforge-1-marker-arrow')
+   */
+  getMarkerId(marker) {
+    return this.marker_prefix + marker;
+  }
+
+  /**
+   * Creates the marker definitions
+   */
+  mount() {
+    const container = this.context.getContainer();
+    const svg = createSVGElement('svg');
+    const defs = createSVGElement('defs');
+    svg.classList.add(CSS_CLASSES.CONNECTION_MARKER_DEFS);
+
+    // Drawn backwards at the start, so start markers point at the output
+    Object.keys(MARKER_SHAPES).forEach((marker) => {
+      const element = createSVGElement('marker');
+      element.setAttribute('id', this.getMarkerId(marker));
+      element.setAttribute('viewBox', `0 0 ${SIZE} ${SIZE}`);
+      element.setAttribute('markerWidth', SIZE);
+      element.setAttribute('markerHeight', SIZE);
+      element.setAttribute('markerUnits', 'userSpaceOnUse');
+      element.setAttribute('refX', SIZE + CONNECTION_CONFIG.MARKER_CLEARANCE);
+      element.setAttribute('refY', SIZE / 2);
+      element.setAttribute('orient', 'auto-start-reverse');
+
+      const shape = createSVGElement('path');
+      shape.setAttribute('d', MARKER_SHAPES[marker]);
+      element.appendChild(shape);
+      defs.appendChild(element);
+    });
+
+    svg.appendChild(defs);
+    container.insertBefore(svg, container.firstChild);
+    this.defs = svg;
+  }
+
+  /**
+   * Removes the marker definitions
+   */
+  unmount() {
+    if (this.defs) {
+      this.defs.remove();
+      this.defs = null;
+    }
+  }
+
+  /**
+   * Checks if connections are DOM elements
+   * @returns {boolean} Always true
+   */
+  hasElements() {
+    return true;
+  }
+
+  /**
+   * Writes the segments of connections into their elements
+   * @param {Array<Object>} items - Connections and their segments
+   */
+  draw(items) {
+    if (items.length === 0) return;
+
+    const container = this.context.getContainer();
+    const debugManager = this.context.getDebugManager();
+    const flowManager = this.context.getFlowManager();
+
+    // One pass over the connection elements to find the drawn ones
+    const elements = {};
+    container.querySelectorAll(`.${CSS_CLASSES.CONNECTION}[data-output-id]`).forEach((element) => {
+      elements[getConnectionKey(getConnectionFromElement(element))] = element;
+    });
+
+    const drawn = [];
+    items.forEach((item) => {
+      const element = elements[getConnectionKey(item.connection)];
+      if (!element) return;
+      this.writeConnectionPaths(element, item.segments.map(commandsToPath));
+      this.writeStyle(element, item.connection);
+      this.writeMarkers(element, item.connection);
+      this.writeLabel(element, item);
+      flowManager.renderFlow(element, item);
+      drawn.push(element);
+    });
+
+    drawn.forEach((element) => debugManager.positionValueLabel(element));
+  }
+
+  /**
+   * Writes the segments of a connection into its paths
+   * With reroute_fix_curvature each segment has its own path, otherwise the first path holds all.
+   * @param {SVGElement} connection - Connection SVG element
+   * @param {Array<string>} segments - Path segments
+   */
+  writeConnectionPaths(connection, segments) {
+    const paths = connection.querySelectorAll(`.${CSS_CLASSES.MAIN_PATH}`);
+    if (paths.length === 0) return;
+
+    if (this.context.getRerouteConfig().fix_curvature && paths.length === segments.length) {
+      segments.forEach((segment, i) => paths[i].setAttributeNS(null, 'd', segment));
+    } else {
+      paths[0].setAttributeNS(null, 'd', segments.join(''));
+    }
+  }
+
+  /**
+   * Applies the style of a connection to its element and paths
+   * @param {SVGElement} connection - Connection SVG element
+   * @param {Object} data - Connection with its style
+   */
+  writeStyle(connection, data) {
+    const style = this.context.getRenderManager().getConnectionStyle(data);
+    const setVariable = (name, value) => {
+      if (value === null) {
+        connection.style.removeProperty(name);
+      } else {
+        connection.style.setProperty(name, value);
+      }
+    };
+    setVariable('--nf-edge-stroke', style.color);
+    setVariable('--nf-edge-width', style.width === null ? null : style.width + 'px');
+    setVariable('--nf-edge-width-hover', style.width === null ? null : (style.width + 1) + 'px');
+
+    connection.querySelectorAll(`.${CSS_CLASSES.MAIN_PATH}`).forEach((path) => {
+      if (style.dash === null) {
+        path.removeAttribute('stroke-dasharray');
+      } else {
+        path.setAttribute('stroke-dasharray', style.dash.join(' '));
+      }
+    });
+
+    // Only the names added here are remembered and removed later: a name the
+    // connection already had (a positional or state class) is left to its owner
+    const previous = (connection.getAttribute('data-style-class') || '').split(/\s+/).filter((name) => name !== '');
+    const wanted = style.class === null ? [] : style.class.split(/\s+/).filter((name) => name !== '');
+    previous.filter((name) => wanted.indexOf(name) === -1).forEach((name) => connection.classList.remove(name));
+    const added = wanted.filter((name, index) => {
+      if (wanted.indexOf(name) !== index) return false;
+      if (previous.indexOf(name) !== -1) return true;
+      if (connection.classList.contains(name)) return false;
+      connection.classList.add(name);
+      return true;
+    });
+    if (added.length === 0) {
+      connection.removeAttribute('data-style-class');
+    } else {
+      connection.setAttribute('data-style-class', added.join(' '));
+    }
+  }
+
+  /**
+   * Points the first and last paths of a connection to its markers
+   * @param {SVGElement} connection - Connection SVG element
+   * @param {Object} data - Connection with its marker_start and marker_end
+   */
+  writeMarkers(connection, data) {
+    const paths = connection.querySelectorAll(`.${CSS_CLASSES.MAIN_PATH}`);
+    if (paths.length === 0) return;
+
+    const markers = this.context.getRenderManager().getConnectionMarkers(data);
+    const write = (path, attribute, marker) => {
+      if (MARKER_SHAPES[marker] === undefined) {
+        path.removeAttribute(attribute);
+      } else {
+        path.setAttribute(attribute, `url(#${this.getMarkerId(marker)})`);
+      }
+    };
+    write(paths[0], 'marker-start', markers.start);
+    write(paths[paths.length - 1], 'marker-end', markers.end);
+  }
+
+  /**
+   * Writes the label of a connection at its position along the path
+   * Connections without a label lose their label element.
+   * @param {SVGElement} connection - Connection SVG element
+   * @param {Object} item - Connection and its segments
+   */
+  writeLabel(connection, item) {
+    let element = connection.querySelector(`.${CSS_CLASSES.CONNECTION_LABEL}`);
+    const label = item.connection.label;
+
+    if (!label || label.text === undefined || label.text === '') {
+      if (element) element.remove();
+      return;
+    }
+
+    const position = label.position !== undefined ? label.position : CONNECTION_CONFIG.LABEL_POSITION;
+    const point = getPointAlongPath(item.segments, position);
+    if (point === null) return;
+
+    if (!element) {
+      element = createSVGElement('text');
+      element.classList.add(CSS_CLASSES.CONNECTION_LABEL);
+      connection.appendChild(element);
+    }
+    element.textContent = String(label.text);
+    element.setAttribute('x', point.x);
+    element.setAttribute('y', point.y);
+  }
+
+  /**
+   * Removes the elements of the connections of a node
+   * @param {string} id - Node ID
+   */
+  removeNode(id) {
+    this.context.getContainer().querySelectorAll(buildNodeConnectionsSelector(id)).forEach((connection) => {
+      connection.remove();
+    });
+  }
+}
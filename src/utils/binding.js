@@ -0,0 +1,186 @@
+/**
+ * Binding Utility Functions
+ * Type-aware reading and writing of the df-* controls bound to node data
+ *
+ *   checkbox            boolean, or an array of the checked values when
+ *                       several checkboxes share the same df-* attribute
+ *   radio               value of the checked radio of the group
+ *   select[multiple]    array of the selected values
+ *   number / range      number, null when empty
+ *   date, time, ...     string in the input's own format
+ *   contenteditable     innerText
+ *   anything else       value
+ */
+
+// Length of each date input format in an ISO 8601 string
+const DATE_FORMAT_LENGTHS = {
+  'date': 10,
+  'datetime-local': 16,
+  'month': 7
+};
+
+/**
+ * Get the df-* attribute of a control
+ * @param {HTMLElement} element - Bound control
+ * @returns {string|null} Attribute name (e.g., 'df-name'), null if unbound
+ */
+export function getBindingAttribute(element) {
+  const attributes = element.attributes;
+  for (let i = 0; i < attributes.length; i++) {
+    if (attributes[i].nodeName.startsWith('df-')) {
+      return attributes[i].nodeName;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the controls bound to the same key as a control
+ * @param {HTMLElement} element - Bound control
+ * @param {HTMLElement} container - Node content element
+ * @returns {Array<HTMLElement>} Controls of the group, including the element
+ */
+function getBindingGroup(element, container) {
+  const attribute = getBindingAttribute(element);
+  if (attribute === null || !container) return [element];
+  return Array.prototype.slice.call(container.querySelectorAll('[' + attribute + ']'))
+    .filter((item) => item.type === element.type);
+}
+
+/**
+ * Read the value of a bound control
+ * @param {HTMLElement} element - Control carrying a df-* attribute
+ * @param {HTMLElement} [container] - Node content element, used to find checkbox and radio groups
+ * @returns {*} Typed value
+ */
+export function readBoundValue(element, container) {
+  if (element.isContentEditable) {
+    return element.innerText;
+  }
+
+  const tagName = element.tagName;
+  const type = (element.type || '').toLowerCase();
+
+  if (tagName === 'INPUT' && type === 'checkbox') {
+    const group = getBindingGroup(element, container);
+    if (group.length > 1) {
+      return group.filter((item) => item.checked).map((item) => item.value);
+    }
+    return element.checked;
+  }
+
+  if (tagName === 'INPUT' && type === 'radio') {
+    if (element.checked) return element.value;
+    const checked = getBindingGroup(element, container).filter((item) => item.checked);
+    return checked.length > 0 ? checked[0].value : null;
+  }
+
+  if (tagName === 'SELECT' && element.multiple) {
+    return Array.prototype.slice.call(element.options)
+      .filter((option) => option.selected)
+      .map((option) => option.value);
+  }
+
+  if (tagName === 'INPUT' && (type === 'number' || type === 'range')) {
+    if (element.value === '') return null;
+    const number = Number(element.value);
+    return isNaN(number) ? null : number;
+  }
+
+  return element.value;
+}
+
+/**
+ * Write a data value into a bound control
+ * @param {HTMLElement} element - Control carrying a df-* attribute
+ * @param {*} value - Value from the node data
+ */
+export function writeBoundValue(element, value) {
+  const tagName = element.tagName;
+  const type = (element.type || '').toLowerCase();
+
+  if (tagName === 'INPUT' && type === 'checkbox') {
+    if (Array.isArray(value)) {
+      element.checked = value.map(String).indexOf(element.value) > -1;
+    } else {
+      element.checked = value === true || value === 'true' || value === 'on';
+    }
+    return;
+  }
+
+  if (tagName === 'INPUT' && type === 'radio') {
+    element.checked = value !== null && value !== undefined && String(value) === element.value;
+    return;
+  }
+
+  if (tagName === 'SELECT' && element.multiple) {
+    const values = [].concat(value === null || value === undefined ? [] : value).map(String);
+    Array.prototype.forEach.call(element.options, (option) => {
+      option.selected = values.indexOf(option.value) > -1;
+    });
+    return;
+  }
+
+  if (tagName === 'INPUT' && DATE_FORMAT_LENGTHS[type] !== undefined) {
+    element.value = formatDateValue(value, DATE_FORMAT_LENGTHS[type]);
+    return;
+  }
+
+  element.value = value === null || value === undefined ? '' : value;
+  if (element.isContentEditable) {
+    element.innerText = value === null || value === undefined ? '' : value;
+  }
+}
+
+/**
+ * Put a bound control back to the value of its markup
+ * @param {HTMLElement} element - Control carrying a df-* attribute
+ */
+export function resetBoundValue(element) {
+  const tagName = element.tagName;
+  const type = (element.type || '').toLowerCase();
+
+  if (tagName === 'INPUT' && (type === 'checkbox' || type === 'radio')) {
+    element.checked = element.defaultChecked;
+  } else if (tagName === 'SELECT') {
+    Array.prototype.forEach.call(element.options, (option) => {
+      option.selected = option.defaultSelected;
+    });
+  } else if (tagName === 'INPUT' || tagName === 'TEXTAREA') {
+    element.value = element.defaultValue;
+  }
+}
+
+/**
+ * Look up the data value a df-* attribute is bound to
+ * @param {Object} data - Node data
+ * @param {string} attribute - df-* attribute name (e.g., 'df-user-name' for data.user.name)
+ * @returns {*} Bound value, undefined if the path does not exist
+ */
+export function getBoundDataValue(data, attribute) {
+  const keys = attribute.slice(3).split('-');
+  let value = data;
+  for (let i = 0; i < keys.length; i++) {
+    if (value === null || typeof value !== 'object' || !(keys[i] in value)) {
+      return undefined;
+    }
+    value = value[keys[i]];
+  }
+  return value;
+}
+
+/**
+ * Format a date value for a date input
+ * Accepts strings in the input format or longer ISO 8601 strings, and timestamps.
+ * @param {string|number|null} value - Date value
+ * @param {number} length - Length of the input format
+ * @returns {string} Formatted value, '' if empty or invalid
+ */
+function formatDateValue(value, length) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, length);
+  }
+  return String(value).slice(0, length);
+}
@@ -4,7 +4,7 @@
  */
 
 import { SVG_NAMESPACE, CSS_CLASSES } from '../constants.js';
-import { buildConnectionClasses } from './string.js';
+import { buildConnectionClasses, extractNodeId } from './string.js';
 
 /**
  * Create SVG element with namespace
@@ -26,6 +26,7 @@ export function createSVGElement(tagName) {
 export function createConnectionElement(outputId, inputId, outputClass, inputClass) {
   const svg = createSVGElement('svg');
   svg.classList.add(...buildConnectionClasses(outputId, inputId, outputClass, inputClass).split(' '));
+  setConnectionAttributes(svg, outputId, inputId, outputClass, inputClass);
   svg.style.zIndex = '1000';
 
   const path = createSVGElement('path');
@@ -36,6 +37,45 @@ export function createConnectionElement(outputId, inputId, outputClass, inputCla
   return svg;
 }
 
+/**
+ * Set the data-* attributes identifying a connection element
+ * @param {SVGElement} element - Connection <svg> or <g> element
+ * @param {string} outputId - Output node ID, with or without 'node-' prefix
+ * @param {string} inputId - Input node ID, with or without 'node-' prefix
+ * @param {string} outputClass - Output class
+ * @param {string} inputClass - Input class
+ */
+export function setConnectionAttributes(element, outputId, inputId, outputClass, inputClass) {
+  element.setAttribute('data-output-id', extractNodeId(String(outputId)));
+  element.setAttribute('data-input-id', extractNodeId(String(inputId)));
+  element.setAttribute('data-output-class', outputClass);
+  element.setAttribute('data-input-class', inputClass);
+}
+
+/**
+ * Check if an element is a connection between two ports
+ * The connection being drawn has no data-* attributes yet.
+ * @param {Element|null} element - Element to check
+ * @returns {boolean} True for connection elements of the graph
+ */
+export function isConnectionElement(element) {
+  return !!element && element.classList.contains(CSS_CLASSES.CONNECTION) && element.hasAttribute('data-output-id');
+}
+
+/**
+ * Get the connection descriptor of a connection element
+ * @param {SVGElement} element - Connection <svg> or <g> element
+ * @returns {{output_id: string, input_id: string, output_class: string, input_class: string}}
+ */
+export function getConnectionFromElement(element) {
+  return {
+    output_id: element.getAttribute('data-output-id'),
+    input_id: element.getAttribute('data-input-id'),
+    output_class: element.getAttribute('data-output-class'),
+    input_class: element.getAttribute('data-input-class')
+  };
+}
+
 /**
  * Create reroute point element
  * @param {number} x - X position
@@ -243,3 +283,14 @@ export function safeQuerySelectorAll(parent, selector) {
     return [];
   }
 }
+
+/**
+ * Check if an element takes text input
+ * Keys pressed in these elements belong to them, not to the editor.
+ * @param {Element|null} element - Element to check
+ * @returns {boolean} True for inputs, textareas, selects and editable content
+ */
+export function isEditableElement(element) {
+  if (!element || !element.tagName) return false;
+  return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' || element.isContentEditable === true;
+}
@@ -117,6 +117,364 @@ export function calculateCurvaturePath(start_pos_x, start_pos_y, end_pos_x, end_
   }
 }
 
+/**
+ * Calculate the path commands of a connection curve
+ * Same curve as RenderManager.createCurvature(): a cubic Bézier with horizontal tangents.
+ * @param {number} start_pos_x - Start X position
+ * @param {number} start_pos_y - Start Y position
+ * @param {number} end_pos_x - End X position
+ * @param {number} end_pos_y - End Y position
+ * @param {number} curvature - Curvature value (0-1)
+ * @param {string} type - Curve type ('open', 'close', 'other', or default)
+ * @returns {Array<Object>} Path commands: { type: 'M', x, y } and { type: 'C', x1, y1, x2, y2, x, y }
+ */
+export function calculateCurvatureCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, curvature, type) {
+  const line_x = start_pos_x;
+  const line_y = start_pos_y;
+  const x = end_pos_x;
+  const y = end_pos_y;
+  const distance = Math.abs(x - line_x);
+  const backwards = start_pos_x >= end_pos_x;
+
+  let hx1 = line_x + distance * curvature;
+  let hx2 = x - distance * curvature;
+
+  // Going backwards, the open/close ends of rerouted segments loop out
+  if (backwards && (type === 'close' || type === 'other')) {
+    hx1 = line_x + distance * (curvature * -1);
+  }
+  if (backwards && (type === 'open' || type === 'other')) {
+    hx2 = x - distance * (curvature * -1);
+  }
+
+  return [
+    { type: 'M', x: line_x, y: line_y },
+    { type: 'C', x1: hx1, y1: line_y, x2: hx2, y2: y, x: x, y: y }
+  ];
+}
+
+/**
+ * Calculate the path commands of a straight connection
+ * @param {number} start_pos_x - Start X position
+ * @param {number} start_pos_y - Start Y position
+ * @param {number} end_pos_x - End X position
+ * @param {number} end_pos_y - End Y position
+ * @returns {Array<Object>} Path commands
+ */
+export function calculateStraightCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y) {
+  return [
+    { type: 'M', x: start_pos_x, y: start_pos_y },
+    { type: 'L', x: end_pos_x, y: end_pos_y }
+  ];
+}
+
+/**
+ * Calculate the path commands of a step connection
+ * Horizontal out of the start, vertical halfway, horizontal into the end.
+ * @param {number} start_pos_x - Start X position
+ * @param {number} start_pos_y - Start Y position
+ * @param {number} end_pos_x - End X position
+ * @param {number} end_pos_y - End Y position
+ * @param {number} [radius=0] - Corner radius, 0 for sharp corners
+ * @returns {Array<Object>} Path commands
+ */
+export function calculateStepCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, radius = 0) {
+  const mid_x = start_pos_x + (end_pos_x - start_pos_x) / 2;
+  return polylineToCommands([
+    { x: start_pos_x, y: start_pos_y },
+    { x: mid_x, y: start_pos_y },
+    { x: mid_x, y: end_pos_y },
+    { x: end_pos_x, y: end_pos_y }
+  ], radius);
+}
+
+/**
+ * Calculate the path commands of an orthogonal connection
+ * Like a step, but the path always leaves the start to the right and enters the
+ * end from the left: when the end lies behind the start it goes around through
+ * the middle between both.
+ * @param {number} start_pos_x - Start X position
+ * @param {number} start_pos_y - Start Y position
+ * @param {number} end_pos_x - End X position
+ * @param {number} end_pos_y - End Y position
+ * @param {number} offset - Minimum horizontal length at both ends
+ * @param {number} [radius=0] - Corner radius, 0 for sharp corners
+ * @returns {Array<Object>} Path commands
+ */
+export function calculateOrthogonalCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, offset, radius = 0) {
+  if (end_pos_x - start_pos_x >= offset * 2) {
+    return calculateStepCommands(start_pos_x, start_pos_y, end_pos_x, end_pos_y, radius);
+  }
+
+  const out_x = start_pos_x + offset;
+  const in_x = end_pos_x - offset;
+  const mid_y = start_pos_y + (end_pos_y - start_pos_y) / 2;
+  return polylineToCommands([
+    { x: start_pos_x, y: start_pos_y },
+    { x: out_x, y: start_pos_y },
+    { x: out_x, y: mid_y },
+    { x: in_x, y: mid_y },
+    { x: in_x, y: end_pos_y },
+    { x: end_pos_x, y: end_pos_y }
+  ], radius);
+}
+
+/**
+ * Convert a polyline to path commands
+ * @param {Array<{x: number, y: number}>} points - Polyline points
+ * @param {number} [radius=0] - Corner radius, limited to half of the adjacent segments
+ * @returns {Array<Object>} Path commands ('M', 'L' and, for rounded corners, 'Q')
+ */
+export function polylineToCommands(points, radius = 0) {
+  // Zero-length segments would make corners without a direction
+  const unique = points.filter((point, i) => {
+    return i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y;
+  });
+
+  const commands = [{ type: 'M', x: unique[0].x, y: unique[0].y }];
+  for (let i = 1; i < unique.length - 1; i++) {
+    const prev = unique[i - 1];
+    const corner = unique[i];
+    const next = unique[i + 1];
+    // Not a corner when the path goes straight on
+    if ((corner.x - prev.x) * (next.y - corner.y) === (corner.y - prev.y) * (next.x - corner.x)) continue;
+
+    const before = calculateDistance(prev.x, prev.y, corner.x, corner.y);
+    const after = calculateDistance(corner.x, corner.y, next.x, next.y);
+    const r = Math.min(radius, before / 2, after / 2);
+
+    if (r <= 0) {
+      commands.push({ type: 'L', x: corner.x, y: corner.y });
+      continue;
+    }
+    commands.push({
+      type: 'L',
+      x: corner.x + (prev.x - corner.x) * r / before,
+      y: corner.y + (prev.y - corner.y) * r / before
+    });
+    commands.push({
+      type: 'Q',
+      x1: corner.x,
+      y1: corner.y,
+      x: corner.x + (next.x - corner.x) * r / after,
+      y: corner.y + (next.y - corner.y) * r / after
+    });
+  }
+
+  const last = unique[unique.length - 1];
+  if (unique.length > 1) {
+    commands.push({ type: 'L', x: last.x, y: last.y });
+  }
+  return commands;
+}
+
+/**
+ * Create a smooth curve guided by the corners of a polyline
+ * A quadratic B-spline: straight from the first point to the middle of the first
+ * segment, one curve per corner between segment middles, then straight from the
+ * middle of the last segment to the last point.
+ * @param {Array<{x: number, y: number}>} points - Polyline points (corners only)
+ * @returns {Array<Object>} Path commands
+ */
+export function calculateSplineCommands(points) {
+  const commands = [{ type: 'M', x: points[0].x, y: points[0].y }];
+  if (points.length < 3) {
+    return commands.concat(points.slice(1).map((point) => ({ type: 'L', x: point.x, y: point.y })));
+  }
+
+  commands.push({ type: 'L', x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 });
+  for (let i = 1; i < points.length - 1; i++) {
+    commands.push({
+      type: 'Q',
+      x1: points[i].x,
+      y1: points[i].y,
+      x: (points[i].x + points[i + 1].x) / 2,
+      y: (points[i].y + points[i + 1].y) / 2
+    });
+  }
+
+  const last = points[points.length - 1];
+  commands.push({ type: 'L', x: last.x, y: last.y });
+  return commands;
+}
+
+/**
+ * Convert path commands to SVG path data
+ * @param {Array<Object>} commands - Path commands ('M', 'L', 'Q' and 'C')
+ * @returns {string} SVG path string, formatted like RenderManager.createCurvature()
+ */
+export function commandsToPath(commands) {
+  return commands.map((command) => {
+    switch (command.type) {
+      case 'M':
+        return ' M ' + command.x + ' ' + command.y;
+      case 'L':
+        return ' L ' + command.x + ' ' + command.y;
+      case 'Q':
+        return ' Q ' + command.x1 + ' ' + command.y1 + ' ' + command.x + ' ' + command.y;
+      default:
+        return ' C ' + command.x1 + ' ' + command.y1 + ' ' + command.x2 + ' ' + command.y2 + ' ' + command.x + '  ' + command.y;
+    }
+  }).join('');
+}
+
+/**
+ * Approximate path commands with a polyline
+ * @param {Array<Object>} commands - Path commands ('M', 'L', 'Q' and 'C')
+ * @param {number} [samples=16] - Points per curve
+ * @returns {Array<{x: number, y: number}>} Points along the path
+ */
+export function flattenCommands(commands, samples = 16) {
+  const points = [];
+  let current = { x: 0, y: 0 };
+
+  commands.forEach((command) => {
+    if (command.type === 'M' || command.type === 'L') {
+      current = { x: command.x, y: command.y };
+      points.push(current);
+      return;
+    }
+    const start = current;
+    for (let i = 1; i <= samples; i++) {
+      const t = i / samples;
+      const u = 1 - t;
+      if (command.type === 'Q') {
+        current = {
+          x: u * u * start.x + 2 * u * t * command.x1 + t * t * command.x,
+          y: u * u * start.y + 2 * u * t * command.y1 + t * t * command.y
+        };
+      } else {
+        current = {
+          x: u * u * u * start.x + 3 * u * u * t * command.x1 + 3 * u * t * t * command.x2 + t * t * t * command.x,
+          y: u * u * u * start.y + 3 * u * u * t * command.y1 + 3 * u * t * t * command.y2 + t * t * t * command.y
+        };
+      }
+      points.push(current);
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Calculate the distance from a point to a polyline
+ * @param {Array<{x: number, y: number}>} points - Polyline points
+ * @param {number} px - Point X
+ * @param {number} py - Point Y
+ * @returns {number} Shortest distance, Infinity for an empty polyline
+ */
+export function distanceToPolyline(points, px, py) {
+  if (points.length === 1) {
+    return calculateDistance(points[0].x, points[0].y, px, py);
+  }
+
+  let min = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = dx * dx + dy * dy;
+    const t = length === 0 ? 0 : clamp(((px - a.x) * dx + (py - a.y) * dy) / length, 0, 1);
+    min = Math.min(min, calculateDistance(a.x + t * dx, a.y + t * dy, px, py));
+  }
+  return min;
+}
+
+/**
+ * Get the point at a fraction of the length of a path
+ * @param {Array<Array<Object>>} segments - Path commands of each segment
+ * @param {number} fraction - From 0 (start) to 1 (end)
+ * @param {number} [samples=16] - Points per curve
+ * @returns {{x: number, y: number}|null} Point, null for an empty path
+ */
+export function getPointAlongPath(segments, fraction, samples = 16) {
+  const points = [].concat(...segments.map((segment) => flattenCommands(segment, samples)));
+  if (points.length === 0) return null;
+
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + calculateDistance(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y));
+  }
+
+  const target = clamp(fraction, 0, 1) * lengths[lengths.length - 1];
+  for (let i = 1; i < points.length; i++) {
+    if (lengths[i] >= target && lengths[i] > lengths[i - 1]) {
+      const t = (target - lengths[i - 1]) / (lengths[i] - lengths[i - 1]);
+      return {
+        x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+        y: points[i - 1].y + (points[i].y - points[i - 1].y) * t
+      };
+    }
+  }
+  return { x: points[0].x, y: points[0].y };
+}
+
+/**
+ * Get the length of a path
+ * @param {Array<Array<Object>>} segments - Path commands of each segment
+ * @param {number} [samples=16] - Points per curve
+ * @returns {number} Length, curves measured on their flattened points
+ */
+export function getPathLength(segments, samples = 16) {
+  const points = [].concat(...segments.map((segment) => flattenCommands(segment, samples)));
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += calculateDistance(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+  }
+  return length;
+}
+
+/**
+ * Get the fraction of the length of a path at the point closest to a position
+ * @param {Array<Array<Object>>} segments - Path commands of each segment
+ * @param {number} px - Position X
+ * @param {number} py - Position Y
+ * @param {number} [samples=16] - Points per curve
+ * @returns {number} From 0 (start) to 1 (end)
+ */
+export function getPathFraction(segments, px, py, samples = 16) {
+  const points = [].concat(...segments.map((segment) => flattenCommands(segment, samples)));
+  let length = 0;
+  let best = 0;
+  let min = Infinity;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const step = calculateDistance(a.x, a.y, b.x, b.y);
+    const t = step === 0 ? 0 : clamp(((px - a.x) * (b.x - a.x) + (py - a.y) * (b.y - a.y)) / (step * step), 0, 1);
+    const distance = calculateDistance(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, px, py);
+    if (distance < min) {
+      min = distance;
+      best = length + step * t;
+    }
+    length += step;
+  }
+  return length === 0 ? 0 : best / length;
+}
+
+/**
+ * Get the bounding box of a set of points
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @returns {{x: number, y: number, width: number, height: number}} Bounding box
+ */
+export function getPointsBoundingBox(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  points.forEach((point) => {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  });
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
 /**
  * Calculate distance between two points
  * @param {number} x1 - First point X
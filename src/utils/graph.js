@@ -0,0 +1,231 @@
+/**
+ * Graph Utility Functions
+ * Analysis helpers over the node data of one module
+ * (nodeforge.nodeforge[module].data), where edges go from an output
+ * node to the node of the connected input.
+ */
+
+/**
+ * Build the adjacency list of a module
+ * @param {Object} moduleData - Node data keyed by ID
+ * @returns {Object<string, Array<string>>} Target node IDs keyed by source node ID
+ */
+export function getAdjacency(moduleData) {
+  const adjacency = {};
+
+  Object.keys(moduleData).forEach((id) => {
+    adjacency[id] = [];
+  });
+
+  Object.keys(moduleData).forEach((id) => {
+    const outputs = moduleData[id].outputs || {};
+    Object.keys(outputs).forEach((output_class) => {
+      outputs[output_class].connections.forEach((item) => {
+        const target = item.node.toString();
+        if (adjacency[target] !== undefined && adjacency[id].indexOf(target) === -1) {
+          adjacency[id].push(target);
+        }
+      });
+    });
+  });
+
+  return adjacency;
+}
+
+/**
+ * Check whether a node can be reached from another one
+ * @param {Object<string, Array<string>>} adjacency - Adjacency list
+ * @param {string} from - Start node ID
+ * @param {string} to - Target node ID
+ * @returns {boolean} True if a path exists (a node always reaches itself)
+ */
+export function isReachable(adjacency, from, to) {
+  const start = from.toString();
+  const target = to.toString();
+  const visited = {};
+  const stack = [start];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === target) return true;
+    if (visited[id]) continue;
+    visited[id] = true;
+    (adjacency[id] || []).forEach((next) => {
+      if (!visited[next]) stack.push(next);
+    });
+  }
+
+  return false;
+}
+
+/**
+ * List the nodes reachable from a node
+ * @param {Object<string, Array<string>>} adjacency - Adjacency list
+ * @param {string} from - Start node ID
+ * @returns {Object<string, boolean>} Reached node IDs, the start node included
+ */
+export function getReachableNodes(adjacency, from) {
+  const visited = {};
+  const stack = [from.toString()];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (visited[id]) continue;
+    visited[id] = true;
+    (adjacency[id] || []).forEach((next) => {
+      if (!visited[next]) stack.push(next);
+    });
+  }
+
+  return visited;
+}
+
+/**
+ * List the nodes that reach a node
+ * @param {Object<string, Array<string>>} adjacency - Adjacency list
+ * @param {string} to - Target node ID
+ * @returns {Object<string, boolean>} Node IDs with a path to the target, the target included
+ */
+export function getReachingNodes(adjacency, to) {
+  const reverse = {};
+  Object.keys(adjacency).forEach((id) => {
+    reverse[id] = reverse[id] || [];
+    adjacency[id].forEach((target) => {
+      (reverse[target] = reverse[target] || []).push(id);
+    });
+  });
+  return getReachableNodes(reverse, to);
+}
+
+/**
+ * Check whether adding a connection would close a loop
+ * @param {Object} moduleData - Node data keyed by ID
+ * @param {string|number} id_output - Output node ID
+ * @param {string|number} id_input - Input node ID
+ * @returns {boolean} True if the input node already reaches the output node
+ */
+export function wouldCreateCycle(moduleData, id_output, id_input) {
+  return isReachable(getAdjacency(moduleData), id_input, id_output);
+}
+
+/**
+ * Return the nodes in topological order (Kahn's algorithm)
+ * Nodes without dependencies keep the module's key order.
+ * @param {Object} moduleData - Node data keyed by ID
+ * @returns {Array<string>|null} Node IDs, or null if the graph has a cycle
+ */
+export function topologicalSort(moduleData) {
+  const adjacency = getAdjacency(moduleData);
+  const ids = Object.keys(adjacency);
+  const inDegree = {};
+
+  ids.forEach((id) => {
+    inDegree[id] = 0;
+  });
+  ids.forEach((id) => {
+    adjacency[id].forEach((target) => {
+      inDegree[target]++;
+    });
+  });
+
+  const queue = ids.filter((id) => inDegree[id] === 0);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    adjacency[id].forEach((target) => {
+      inDegree[target]--;
+      if (inDegree[target] === 0) {
+        queue.push(target);
+      }
+    });
+  }
+
+  return order.length === ids.length ? order : null;
+}
+
+/**
+ * Check whether a module contains a cycle
+ * @param {Object} moduleData - Node data keyed by ID
+ * @returns {boolean} True if at least one loop exists
+ */
+export function hasCycle(moduleData) {
+  return topologicalSort(moduleData) === null;
+}
+
+/**
+ * List the strongly connected components (iterative Tarjan)
+ * Every node belongs to exactly one component; a component with more than
+ * one node, or a node connected to itself, is a cycle.
+ * @param {Object} moduleData - Node data keyed by ID
+ * @returns {Array<Array<string>>} Components as lists of node IDs
+ */
+export function getStronglyConnectedComponents(moduleData) {
+  const adjacency = getAdjacency(moduleData);
+  const index = {};
+  const lowlink = {};
+  const onStack = {};
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  Object.keys(adjacency).forEach((root) => {
+    if (index[root] !== undefined) return;
+
+    // Each frame holds a node and the position of the next edge to visit
+    const frames = [{ id: root, edge: 0 }];
+    index[root] = lowlink[root] = counter++;
+    stack.push(root);
+    onStack[root] = true;
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const targets = adjacency[frame.id];
+
+      if (frame.edge < targets.length) {
+        const next = targets[frame.edge++];
+        if (index[next] === undefined) {
+          index[next] = lowlink[next] = counter++;
+          stack.push(next);
+          onStack[next] = true;
+          frames.push({ id: next, edge: 0 });
+        } else if (onStack[next]) {
+          lowlink[frame.id] = Math.min(lowlink[frame.id], index[next]);
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length > 0) {
+        const parent = frames[frames.length - 1].id;
+        lowlink[parent] = Math.min(lowlink[parent], lowlink[frame.id]);
+      }
+
+      if (lowlink[frame.id] === index[frame.id]) {
+        const component = [];
+        let id;
+        do {
+          id = stack.pop();
+          onStack[id] = false;
+          component.push(id);
+        } while (id !== frame.id);
+        components.push(component);
+      }
+    }
+  });
+
+  return components;
+}
+
+/**
+ * List the node groups that form cycles
+ * @param {Object} moduleData - Node data keyed by ID
+ * @returns {Array<Array<string>>} Strongly connected components that contain a loop
+ */
+export function findCycles(moduleData) {
+  const adjacency = getAdjacency(moduleData);
+  return getStronglyConnectedComponents(moduleData).filter((component) => {
+    return component.length > 1 || adjacency[component[0]].indexOf(component[0]) > -1;
+  });
+}
@@ -0,0 +1,148 @@
+/**
+ * Port Utility Functions
+ * Helper functions for port definitions and port type matching
+ *
+ * A port definition is one of:
+ *   null / undefined           - untyped port, accepts anything
+ *   'number'                   - single type
+ *   ['string', 'number']       - several accepted types
+ *   { type: 'number' }         - object form
+ *
+ * The object form also accepts connection limits:
+ *   { type: 'number', max_connections: 1, limit_policy: 'replace' }
+ */
+
+import { PORT_TYPE_ANY, PORT_LIMIT_POLICIES } from '../constants.js';
+
+/**
+ * Normalize a port type
+ * @param {string|Array<string>|null|undefined} type - Port type
+ * @returns {string|Array<string>|null} Type string, array of types, or null if untyped
+ */
+export function normalizePortType(type) {
+  if (Array.isArray(type)) {
+    const types = type.filter((item, i) => typeof item === 'string' && item !== '' && type.indexOf(item) === i);
+    if (types.length === 0) return null;
+    return types.length === 1 ? types[0] : types;
+  }
+  if (typeof type === 'string' && type !== '') {
+    return type;
+  }
+  return null;
+}
+
+/**
+ * Get the type of a port definition
+ * @param {string|Array<string>|Object|null} definition - Port definition
+ * @returns {string|Array<string>|null} Normalized type
+ */
+export function getPortDefinitionType(definition) {
+  if (definition !== null && typeof definition === 'object' && !Array.isArray(definition)) {
+    return normalizePortType(definition.type);
+  }
+  return normalizePortType(definition);
+}
+
+/**
+ * Build the port data stored in the node JSON
+ * @param {string|Array<string>|Object|null} definition - Port definition
+ * @returns {Object} Port data (e.g., { connections: [], type: 'number' })
+ */
+export function createPortData(definition) {
+  const port = { "connections": [] };
+  const type = getPortDefinitionType(definition);
+  if (type !== null) {
+    port.type = type;
+  }
+  if (definition !== null && typeof definition === 'object' && !Array.isArray(definition)) {
+    applyPortLimit(port, definition.max_connections, definition.limit_policy);
+  }
+  return port;
+}
+
+/**
+ * Set or clear the connection limit of a port
+ * @param {Object} port - Port data
+ * @param {number|null} max_connections - Maximum number of connections, null for unlimited
+ * @param {string} [limit_policy] - 'reject' (default) or 'replace'
+ */
+export function applyPortLimit(port, max_connections, limit_policy) {
+  const max = parseInt(max_connections);
+  if (isNaN(max) || max < 1) {
+    delete port.max_connections;
+    delete port.limit_policy;
+    return;
+  }
+
+  port.max_connections = max;
+  if (limit_policy === PORT_LIMIT_POLICIES.REPLACE) {
+    port.limit_policy = PORT_LIMIT_POLICIES.REPLACE;
+  } else {
+    delete port.limit_policy;
+  }
+}
+
+/**
+ * Check whether a port reached its connection limit
+ * @param {Object} port - Port data
+ * @returns {boolean} True if no connection can be added without removing one
+ */
+export function isPortFull(port) {
+  return port.max_connections !== undefined && port.connections.length >= port.max_connections;
+}
+
+/**
+ * Get the limit policy of a port
+ * @param {Object} port - Port data
+ * @returns {string} 'reject' or 'replace'
+ */
+export function getPortLimitPolicy(port) {
+  return port.limit_policy === PORT_LIMIT_POLICIES.REPLACE ? PORT_LIMIT_POLICIES.REPLACE : PORT_LIMIT_POLICIES.REJECT;
+}
+
+/**
+ * Get the settings of a port, i.e. its data without connections
+ * @param {Object} port - Port data
+ * @returns {Object} Port settings
+ */
+export function getPortSettings(port) {
+  const settings = {};
+  Object.keys(port || {}).forEach((key) => {
+    if (key !== 'connections') {
+      settings[key] = JSON.parse(JSON.stringify(port[key]));
+    }
+  });
+  return settings;
+}
+
+/**
+ * Check whether an output type can feed an input type
+ * Untyped ports and the 'any' type are compatible with everything;
+ * otherwise both sides must share at least one type.
+ * @param {string|Array<string>|null} outputType - Output port type
+ * @param {string|Array<string>|null} inputType - Input port type
+ * @returns {boolean} True if compatible
+ */
+export function isTypeCompatible(outputType, inputType) {
+  const outputTypes = [].concat(normalizePortType(outputType) || []);
+  const inputTypes = [].concat(normalizePortType(inputType) || []);
+
+  if (outputTypes.length === 0 || inputTypes.length === 0) return true;
+  if (outputTypes.indexOf(PORT_TYPE_ANY) > -1 || inputTypes.indexOf(PORT_TYPE_ANY) > -1) return true;
+
+  return outputTypes.some((type) => inputTypes.indexOf(type) > -1);
+}
+
+/**
+ * Reflect a port type on its element as a data-type attribute
+ * @param {HTMLElement} element - Port element
+ * @param {string|Array<string>|null} type - Port type
+ */
+export function setPortTypeAttribute(element, type) {
+  const normalized = normalizePortType(type);
+  if (normalized === null) {
+    element.removeAttribute('data-type');
+  } else {
+    element.setAttribute('data-type', [].concat(normalized).join(' '));
+  }
+}
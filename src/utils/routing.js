@@ -0,0 +1,238 @@
+/**
+ * Routing Utility Functions
+ * Orthogonal paths between two points around rectangular obstacles (node
+ * boxes grown by the routing padding). The candidate lines are the obstacle
+ * edges and the lines through both ends; A* searches their intersections for
+ * the shortest path with the fewest bends.
+ */
+
+/**
+ * Get the area searched for a route
+ * Obstacles outside of it are ignored, its edges let routes go around large obstacles.
+ * @param {{x: number, y: number}} start - Start point
+ * @param {{x: number, y: number}} end - End point
+ * @param {number} margin - Distance the route may stray from the box of both points
+ * @returns {{x: number, y: number, width: number, height: number}} Searched area
+ */
+export function getRouteRegion(start, end, margin) {
+  const x = Math.min(start.x, end.x) - margin;
+  const y = Math.min(start.y, end.y) - margin;
+  return {
+    x: x,
+    y: y,
+    width: Math.abs(end.x - start.x) + margin * 2,
+    height: Math.abs(end.y - start.y) + margin * 2
+  };
+}
+
+/**
+ * Check whether two boxes overlap (touching edges do not)
+ * @param {{x: number, y: number, width: number, height: number}} a - First box
+ * @param {{x: number, y: number, width: number, height: number}} b - Second box
+ * @returns {boolean} True if the interiors intersect
+ */
+export function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Route an orthogonal path around obstacles
+ * @param {{x: number, y: number}} start - Start point
+ * @param {{x: number, y: number}} end - End point
+ * @param {Array<{x: number, y: number, width: number, height: number}>} obstacles - Boxes to avoid
+ * @param {Object} options - Routing options
+ * @param {number} options.start_stub - Length of the rightward leg out of start, 0 to leave in any direction
+ * @param {number} options.end_stub - Length of the rightward leg into end, 0 to arrive from any direction
+ * @param {number} options.bend_penalty - Cost of a bend, in canvas units of length
+ * @param {number} options.margin - Distance the route may stray from the box of both ends
+ * @returns {Array<{x: number, y: number}>} Corners of the path, from start to end
+ */
+export function routeOrthogonal(start, end, obstacles, options) {
+  const from = options.start_stub > 0 ? { x: start.x + options.start_stub, y: start.y } : start;
+  const to = options.end_stub > 0 ? { x: end.x - options.end_stub, y: end.y } : end;
+
+  // An end inside an obstacle (overlapping nodes, a reroute point on a node) cannot avoid it
+  const region = getRouteRegion(from, to, options.margin);
+  const boxes = obstacles.filter((box) => {
+    return boxesOverlap(box, region) && !isInsideBox(from, box) && !isInsideBox(to, box);
+  });
+
+  const xs = [from.x, to.x, (from.x + to.x) / 2, region.x, region.x + region.width];
+  const ys = [from.y, to.y, (from.y + to.y) / 2, region.y, region.y + region.height];
+  boxes.forEach((box) => {
+    xs.push(box.x, box.x + box.width);
+    ys.push(box.y, box.y + box.height);
+  });
+
+  const path = findGridPath(
+    uniqueSorted(xs, region.x, region.x + region.width),
+    uniqueSorted(ys, region.y, region.y + region.height),
+    from, to, boxes, options
+  );
+
+  // No way around: fall back to a step through the middle
+  const middle = (from.x + to.x) / 2;
+  const corners = path || [from, { x: middle, y: from.y }, { x: middle, y: to.y }, to];
+
+  return simplifyPolyline([start].concat(corners, [end]));
+}
+
+/**
+ * Remove repeated points and points in the middle of straight runs
+ * @param {Array<{x: number, y: number}>} points - Polyline points
+ * @returns {Array<{x: number, y: number}>} Polyline with corners only
+ */
+export function simplifyPolyline(points) {
+  const unique = points.filter((point, i) => {
+    return i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y;
+  });
+
+  return unique.filter((point, i) => {
+    if (i === 0 || i === unique.length - 1) return true;
+    const prev = unique[i - 1];
+    const next = unique[i + 1];
+    return (point.x - prev.x) * (next.y - point.y) !== (point.y - prev.y) * (next.x - point.x);
+  });
+}
+
+/**
+ * Check whether a point is strictly inside a box
+ * @param {{x: number, y: number}} point - Point
+ * @param {{x: number, y: number, width: number, height: number}} box - Box
+ * @returns {boolean} True if inside, false on the edges
+ */
+function isInsideBox(point, box) {
+  return point.x > box.x && point.x < box.x + box.width && point.y > box.y && point.y < box.y + box.height;
+}
+
+/**
+ * Sort coordinates and drop duplicates and those out of range
+ * @param {Array<number>} values - Coordinates
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {Array<number>} Sorted unique coordinates
+ */
+function uniqueSorted(values, min, max) {
+  return values
+    .filter((value) => value >= min && value <= max)
+    .sort((a, b) => a - b)
+    .filter((value, i, sorted) => i === 0 || value !== sorted[i - 1]);
+}
+
+/**
+ * Find the cheapest path over the grid of candidate lines with A*
+ * A state is a grid point and the axis it was reached along, so bends can be charged.
+ * Consecutive lines include every obstacle edge, so a grid edge is blocked
+ * exactly when its midpoint is inside an obstacle.
+ * @param {Array<number>} xs - Vertical lines
+ * @param {Array<number>} ys - Horizontal lines
+ * @param {{x: number, y: number}} from - Start point, on the grid
+ * @param {{x: number, y: number}} to - End point, on the grid
+ * @param {Array<Object>} boxes - Obstacles
+ * @param {Object} options - Routing options (see routeOrthogonal)
+ * @returns {Array<{x: number, y: number}>|null} Grid points of the path, null if there is none
+ */
+function findGridPath(xs, ys, from, to, boxes, options) {
+  const width = xs.length;
+  const size = xs.length * ys.length;
+  const target = ys.indexOf(to.y) * width + xs.indexOf(to.x);
+  const goal = size * 2;
+  const cost = new Float64Array(size * 2 + 1).fill(Infinity);
+  const prev = new Int32Array(size * 2 + 1).fill(-1);
+  const heap = [];
+
+  const estimate = (point) => Math.abs(xs[point % width] - to.x) + Math.abs(ys[Math.floor(point / width)] - to.y);
+  const reach = (state, g, from_state) => {
+    if (g >= cost[state]) return;
+    cost[state] = g;
+    prev[state] = from_state;
+    heapPush(heap, { state: state, f: state === goal ? g : g + estimate(state >> 1) });
+  };
+
+  const origin = ys.indexOf(from.y) * width + xs.indexOf(from.x);
+  reach(origin * 2, 0, -1);
+  if (options.start_stub <= 0) {
+    reach(origin * 2 + 1, 0, -1);
+  }
+
+  while (heap.length > 0) {
+    const item = heapPop(heap);
+    const state = item.state;
+    if (state === goal) break;
+    if (item.f > cost[state] + estimate(state >> 1)) continue;
+
+    const point = state >> 1;
+    const axis = state & 1;
+    const i = point % width;
+    const j = Math.floor(point / width);
+
+    if (point === target) {
+      // The route enters the input horizontally
+      reach(goal, cost[state] + (options.end_stub > 0 && axis === 1 ? options.bend_penalty : 0), state);
+      continue;
+    }
+
+    [[i - 1, j, 0], [i + 1, j, 0], [i, j - 1, 1], [i, j + 1, 1]].forEach((step) => {
+      const ni = step[0];
+      const nj = step[1];
+      if (ni < 0 || nj < 0 || ni >= width || nj >= ys.length) return;
+
+      const middle = { x: (xs[i] + xs[ni]) / 2, y: (ys[j] + ys[nj]) / 2 };
+      if (boxes.some((box) => isInsideBox(middle, box))) return;
+
+      const length = Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]);
+      const bend = step[2] === axis ? 0 : options.bend_penalty;
+      reach((nj * width + ni) * 2 + step[2], cost[state] + length + bend, state);
+    });
+  }
+
+  if (prev[goal] === -1) return null;
+
+  const path = [];
+  for (let state = prev[goal]; state !== -1; state = prev[state]) {
+    const point = state >> 1;
+    path.unshift({ x: xs[point % width], y: ys[Math.floor(point / width)] });
+  }
+  return path;
+}
+
+/**
+ * Add an item to a binary min-heap ordered by f
+ * @param {Array<{f: number}>} heap - Heap
+ * @param {{f: number}} item - Item
+ */
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= heap[i].f) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+/**
+ * Remove the item with the lowest f from a binary min-heap
+ * @param {Array<{f: number}>} heap - Heap
+ * @returns {{f: number}} Removed item
+ */
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+      if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
@@ -0,0 +1,266 @@
+/**
+ * Schema Utility Functions
+ * Declarative node data: defaults, type coercion, validation and form generation
+ *
+ * A schema maps data keys to field descriptions:
+ *   {
+ *     title:   { type: 'string', label: 'Title', required: true, max: 40 },
+ *     count:   { type: 'integer', default: 1, min: 0, max: 10 },
+ *     ratio:   { type: 'number', default: 0.5 },
+ *     mode:    { enum: ['add', 'multiply'], default: 'add' },
+ *     enabled: { type: 'boolean', default: true }
+ *   }
+ *
+ * Types are 'string', 'number', 'integer' and 'boolean'; without a type the
+ * field takes the type of its first enum value, or 'string'. min/max bound
+ * numbers, and the length of strings.
+ */
+
+import { CSS_CLASSES } from '../constants.js';
+import { readBoundValue } from './binding.js';
+
+/**
+ * Get the type of a field
+ * @param {Object} field - Field description
+ * @returns {string} 'string', 'number', 'integer' or 'boolean'
+ */
+export function getFieldType(field) {
+  if (typeof field.type === 'string') return field.type;
+  if (Array.isArray(field.enum) && field.enum.length > 0 && typeof field.enum[0] === 'number') return 'number';
+  if (Array.isArray(field.enum) && field.enum.length > 0 && typeof field.enum[0] === 'boolean') return 'boolean';
+  return 'string';
+}
+
+/**
+ * Build the default data of a schema
+ * Fields without a default are left out.
+ * @param {Object} schema - Field descriptions keyed by data key
+ * @returns {Object} Default values keyed by data key
+ */
+export function getSchemaDefaults(schema) {
+  const data = {};
+  Object.keys(schema).forEach((key) => {
+    if (schema[key].default !== undefined) {
+      data[key] = JSON.parse(JSON.stringify(schema[key].default));
+    }
+  });
+  return data;
+}
+
+/**
+ * Convert a value to the type of its field
+ * Values that cannot be converted are returned unchanged so validation reports them.
+ * @param {Object} field - Field description
+ * @param {*} value - Raw value (e.g., the string of an input element)
+ * @returns {*} Coerced value; an empty string becomes null for numbers
+ */
+export function coerceValue(field, value) {
+  if (value === undefined || value === null) return value;
+
+  switch (getFieldType(field)) {
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'number') return value;
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (typeof value !== 'string') return value;
+      if (value.trim() === '') return null;
+      const number = Number(value);
+      return isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'number') return value !== 0;
+      if (typeof value === 'string') {
+        const text = value.trim().toLowerCase();
+        if (text === 'true' || text === 'on' || text === '1') return true;
+        if (text === 'false' || text === 'off' || text === '0' || text === '') return false;
+      }
+      return value;
+    default:
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return value;
+  }
+}
+
+/**
+ * Validate a value against its field
+ * @param {Object} field - Field description
+ * @param {*} value - Coerced value
+ * @returns {string|null} Error message, null if the value is valid
+ */
+export function validateValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return field.required ? 'Value is required' : null;
+  }
+
+  const type = getFieldType(field);
+  if ((type === 'number' || type === 'integer') && (typeof value !== 'number' || !isFinite(value))) {
+    return 'Must be a number';
+  }
+  if (type === 'integer' && Math.floor(value) !== value) {
+    return 'Must be a whole number';
+  }
+  if (type === 'boolean' && typeof value !== 'boolean') {
+    return 'Must be true or false';
+  }
+  if (type === 'string' && typeof value !== 'string') {
+    return 'Must be text';
+  }
+
+  if (Array.isArray(field.enum) && field.enum.indexOf(value) === -1) {
+    return 'Must be one of ' + field.enum.join(', ');
+  }
+
+  const size = type === 'string' ? value.length : value;
+  const unit = type === 'string' ? ' characters' : '';
+  if (typeof field.min === 'number' && size < field.min) {
+    return 'Must be at least ' + field.min + unit;
+  }
+  if (typeof field.max === 'number' && size > field.max) {
+    return 'Must be at most ' + field.max + unit;
+  }
+
+  return null;
+}
+
+/**
+ * Coerce every schema field of a data object
+ * Keys the schema does not describe are copied unchanged.
+ * @param {Object} schema - Field descriptions keyed by data key
+ * @param {Object} data - Node data
+ * @returns {Object} New data object
+ */
+export function coerceData(schema, data) {
+  const result = JSON.parse(JSON.stringify(data || {}));
+  Object.keys(schema).forEach((key) => {
+    if (result[key] !== undefined) {
+      result[key] = coerceValue(schema[key], result[key]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Validate every schema field of a data object
+ * @param {Object} schema - Field descriptions keyed by data key
+ * @param {Object} data - Coerced node data
+ * @returns {Object|null} Error messages keyed by data key, null if the data is valid
+ */
+export function validateData(schema, data) {
+  const errors = {};
+  Object.keys(schema).forEach((key) => {
+    const error = validateValue(schema[key], (data || {})[key]);
+    if (error !== null) {
+      errors[key] = error;
+    }
+  });
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Read the value of a control bound to a schema field
+ * @param {HTMLElement} element - Control with a df-* attribute
+ * @param {Object} field - Field description
+ * @param {HTMLElement} [container] - Element containing the control's group
+ * @returns {*} Coerced value
+ */
+export function readFieldValue(element, field, container) {
+  return coerceValue(field, readBoundValue(element, container));
+}
+
+/**
+ * Create the form of a schema
+ * Every control carries the df-<key> attribute of its field, so the
+ * regular data binding keeps it in sync with the node data.
+ * @param {Object} schema - Field descriptions keyed by data key
+ * @param {Object} data - Node data used as initial values
+ * @returns {HTMLElement} Form element
+ */
+export function createSchemaForm(schema, data) {
+  const form = document.createElement('div');
+  form.classList.add(CSS_CLASSES.NODEFORGE_FORM);
+
+  Object.keys(schema).forEach((key) => {
+    const field = schema[key];
+    const type = getFieldType(field);
+    const value = (data || {})[key];
+
+    const label = document.createElement('label');
+    label.classList.add(CSS_CLASSES.NODEFORGE_FIELD);
+    label.setAttribute('data-field', key);
+
+    const text = document.createElement('span');
+    text.classList.add(CSS_CLASSES.NODEFORGE_FIELD_LABEL);
+    text.textContent = field.label !== undefined ? field.label : key;
+
+    let control;
+    if (Array.isArray(field.enum)) {
+      control = document.createElement('select');
+      if (!field.required) {
+        control.appendChild(document.createElement('option'));
+      }
+      field.enum.forEach((item) => {
+        const option = document.createElement('option');
+        option.value = String(item);
+        option.textContent = String(item);
+        control.appendChild(option);
+      });
+      control.value = value === undefined || value === null ? '' : String(value);
+    } else if (type === 'boolean') {
+      control = document.createElement('input');
+      control.type = 'checkbox';
+      control.checked = value === true;
+    } else {
+      control = document.createElement('input');
+      if (type === 'string') {
+        control.type = 'text';
+        if (typeof field.min === 'number') control.minLength = field.min;
+        if (typeof field.max === 'number') control.maxLength = field.max;
+      } else {
+        control.type = 'number';
+        control.step = type === 'integer' ? '1' : 'any';
+        if (typeof field.min === 'number') control.min = String(field.min);
+        if (typeof field.max === 'number') control.max = String(field.max);
+      }
+      control.value = value === undefined || value === null ? '' : String(value);
+    }
+
+    control.setAttribute('df-' + key, '');
+    if (field.required) {
+      control.required = true;
+    }
+
+    if (type === 'boolean') {
+      label.appendChild(control);
+      label.appendChild(text);
+    } else {
+      label.appendChild(text);
+      label.appendChild(control);
+    }
+    form.appendChild(label);
+  });
+
+  return form;
+}
+
+/**
+ * Flag the controls of a form whose values are invalid
+ * @param {HTMLElement} container - Element containing the controls (node content)
+ * @param {Object} schema - Field descriptions keyed by data key
+ * @param {Object|null} errors - Error messages keyed by data key
+ */
+export function markInvalidFields(container, schema, errors) {
+  Object.keys(schema).forEach((key) => {
+    const error = errors && errors[key] !== undefined ? errors[key] : null;
+    container.querySelectorAll('[df-' + key + ']').forEach((element) => {
+      element.classList.toggle(CSS_CLASSES.INVALID, error !== null);
+      if (error !== null) {
+        element.setAttribute('aria-invalid', 'true');
+        element.setAttribute('title', error);
+      } else {
+        element.removeAttribute('aria-invalid');
+        element.removeAttribute('title');
+      }
+    });
+  });
+}
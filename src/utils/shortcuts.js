@@ -0,0 +1,116 @@
+/**
+ * Shortcut Utility Functions
+ * Helper functions for parsing key chords and matching them to keyboard events
+ *
+ * A chord is written as modifiers and one key joined with '+':
+ *   'Delete', 'Mod+Z', 'Mod+Shift+Z', 'Shift+ArrowLeft', 'Mod++'
+ *
+ * Chords are compared in a canonical form: modifiers in the order
+ * Ctrl, Alt, Shift, Meta, then the key, with letters in lower case.
+ * Shift is ignored for other printable characters, since it is part of
+ * the character itself ('+' is Shift+'=' on many layouts).
+ */
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const MODIFIER_ALIASES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta',
+  cmd: 'Meta',
+  command: 'Meta'
+};
+
+const KEY_ALIASES = {
+  esc: 'Escape',
+  del: 'Delete',
+  plus: '+',
+  space: 'Space',
+  ' ': 'Space',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight'
+};
+
+/**
+ * Check if the browser runs on an Apple platform, where Mod is Cmd
+ * @returns {boolean} True on macOS and iOS
+ */
+export function isApplePlatform() {
+  if (typeof navigator === 'undefined') return false;
+  return /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent || '');
+}
+
+/**
+ * Build the canonical form of a chord from its modifiers and key
+ * @param {Object} modifiers - Pressed modifiers ({ Ctrl, Alt, Shift, Meta })
+ * @param {string} key - Key name
+ * @returns {string} Canonical chord
+ */
+function buildChord(modifiers, key) {
+  const name = KEY_ALIASES[key.toLowerCase()] || key;
+  const printable = name.length === 1;
+  const parts = MODIFIERS.filter((modifier) => {
+    return modifiers[modifier] && !(modifier === 'Shift' && printable && name.toLowerCase() === name.toUpperCase());
+  });
+  parts.push(printable ? name.toLowerCase() : name);
+  return parts.join('+');
+}
+
+/**
+ * Normalize a chord written by hand
+ * @param {string} chord - Chord, e.g. 'Mod+Shift+Z'
+ * @param {boolean} [apple=isApplePlatform()] - Whether Mod means Meta (Cmd) instead of Ctrl
+ * @returns {string|null} Canonical chord, null if it has no key or an unknown modifier
+ */
+export function normalizeChord(chord, apple = isApplePlatform()) {
+  if (typeof chord !== 'string' || chord === '') return null;
+
+  // A trailing '+' is the plus key itself
+  let key;
+  let rest;
+  if (chord === '+' || chord.slice(-2) === '++') {
+    key = '+';
+    rest = chord.slice(0, -2);
+  } else {
+    const index = chord.lastIndexOf('+');
+    key = chord.slice(index + 1);
+    rest = index === -1 ? '' : chord.slice(0, index);
+  }
+  if (key === '') return null;
+
+  const modifiers = {};
+  const names = rest === '' ? [] : rest.split('+');
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i].trim().toLowerCase();
+    if (name === 'mod') {
+      modifiers[apple ? 'Meta' : 'Ctrl'] = true;
+    } else if (MODIFIER_ALIASES[name]) {
+      modifiers[MODIFIER_ALIASES[name]] = true;
+    } else {
+      return null;
+    }
+  }
+  return buildChord(modifiers, key);
+}
+
+/**
+ * Get the canonical chord of a keyboard event
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {string|null} Canonical chord, null for a modifier pressed alone
+ */
+export function getEventChord(event) {
+  if (!event.key || event.key === 'Control' || event.key === 'Alt' || event.key === 'Shift' || event.key === 'Meta') {
+    return null;
+  }
+  return buildChord({
+    Ctrl: event.ctrlKey,
+    Alt: event.altKey,
+    Shift: event.shiftKey,
+    Meta: event.metaKey
+  }, event.key);
+}
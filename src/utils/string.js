@@ -65,14 +65,42 @@ export function buildNodeSelector(id) {
 
 /**
  * Build selector string for connection
- * @param {string} outputId - Output node ID
- * @param {string} inputId - Input node ID
+ * Matches the data-* attributes, so it finds connections in both connection layers.
+ * @param {string} outputId - Output node ID, with or without 'node-' prefix
+ * @param {string} inputId - Input node ID, with or without 'node-' prefix
  * @param {string} outputClass - Output class
  * @param {string} inputClass - Input class
  * @returns {string} Connection selector
  */
 export function buildConnectionSelector(outputId, inputId, outputClass, inputClass) {
-  return `.connection.node_in_${inputId}.node_out_${outputId}.${outputClass}.${inputClass}`;
+  return `.connection[data-output-id="${extractNodeId(String(outputId))}"]` +
+    `[data-input-id="${extractNodeId(String(inputId))}"]` +
+    `[data-output-class="${outputClass}"][data-input-class="${inputClass}"]`;
+}
+
+/**
+ * Build selector string for the connections of a node
+ * @param {string|number} id - Node ID, with or without 'node-' prefix
+ * @param {string} [side] - 'output' for the connections leaving the node, 'input' for
+ *   those entering it, both if omitted
+ * @returns {string} Connection selector
+ */
+export function buildNodeConnectionsSelector(id, side) {
+  const nodeId = extractNodeId(String(id));
+  const outputs = `.connection[data-output-id="${nodeId}"]`;
+  const inputs = `.connection[data-input-id="${nodeId}"]`;
+  if (side === 'output') return outputs;
+  if (side === 'input') return inputs;
+  return `${outputs}, ${inputs}`;
+}
+
+/**
+ * Build a key identifying a connection
+ * @param {{output_id: string, input_id: string, output_class: string, input_class: string}} connection - Connection descriptor
+ * @returns {string} Key (e.g., '1:output_1>2:input_1')
+ */
+export function getConnectionKey(connection) {
+  return `${connection.output_id}:${connection.output_class}>${connection.input_id}:${connection.input_class}`;
 }
 
 /**